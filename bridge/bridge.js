@@ -0,0 +1,284 @@
+/*
+ * Guardian-Track: Serial → WebSocket Bridge
+ * ==========================================
+ * Relays the Arduino's JSON lines to every connected dashboard over
+ * WebSocket, and forwards dashboard commands (MODE:, SYNC, ...) back to
+ * the device. Also serves the dashboard itself, so phones and laptops on
+ * the school LAN only need a browser.
+ *
+ * Usage:
+ *   node bridge.js --port /dev/ttyUSB0        (COM3 on Windows)
+ *   node bridge.js --simulate                 (no hardware)
+ *   node bridge.js --list                     (show serial ports)
+ *
+ * Options:
+ *   --baud 9600       Serial baud rate (must match Serial.begin)
+ *   --listen 8080     HTTP + WebSocket port
+ *   --token <secret>  Clients must connect to ws://<this-pc>:8080/?token=<secret>
+ *   --allow-origin <url>
+ *                     Also accept dashboards served from another origin
+ *                     (repeatable; "null" for a dashboard opened as a file)
+ *   --allow-host <name>
+ *                     Also accept this PC's own name, e.g. gate-pc.local
+ *                     (repeatable; not needed with --token)
+ *
+ * Then open http://<this-pc>:8080 and pick "Network bridge" in Settings.
+ * Browsers may only connect from the dashboard this bridge serves (or an
+ * --allow-origin), and only the commands the dashboard sends reach the
+ * device. Without --token the dashboard must be opened by IP address,
+ * localhost or an --allow-host name.
+ *
+ * In --simulate mode clients can also drive the simulated readers:
+ *   SIM:TAP:<gate|classroom|hostel>:<UID>   e.g. SIM:TAP:gate:93:85:CB:13
+ *   SIM:REMOVE:<gate|classroom|hostel>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const DASHBOARD_DIR = path.join(__dirname, '..', 'web-dashboard');
+const REOPEN_DELAY_MS = 3000;
+
+// Commands the dashboard sends to the firmware; anything else is dropped
+const DEVICE_COMMANDS = [
+  /^HELLO$/,
+  /^SYNC$/,
+  /^MODE:(CLASS|FREE)$/,
+  /^GATE:(APPROVE|DENY)(:.{0,16})?$/,
+  /^ROSTER:SET:\d+:[0-9A-Fa-f]{2}(:[0-9A-Fa-f]{2}){3}:[01]:.{0,16}$/,
+  /^ROSTER:END:\d+$/
+];
+const SIM_COMMAND = /^SIM:(TAP|REMOVE):(gate|classroom|hostel)(?::(.+))?$/;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+// ============================================================
+//  ARGUMENTS
+// ============================================================
+function parseArgs(argv) {
+  const opts = { port: null, baud: 9600, listen: 8080, simulate: false, list: false, token: null, origins: [], hosts: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': opts.port = argv[++i]; break;
+      case '--baud': opts.baud = Number(argv[++i]); break;
+      case '--listen': opts.listen = Number(argv[++i]); break;
+      case '--token': opts.token = argv[++i]; break;
+      case '--allow-origin': opts.origins.push(argv[++i]); break;
+      case '--allow-host': opts.hosts.push(argv[++i].toLowerCase()); break;
+      case '--simulate': opts.simulate = true; break;
+      case '--list': opts.list = true; break;
+      default:
+        console.error(`Unknown option: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+  return opts;
+}
+
+// ============================================================
+//  DEVICE SOURCES
+// ============================================================
+
+// Real Arduino over USB serial. Reopens automatically if the cable drops.
+function openSerialSource(opts, onLine) {
+  const { SerialPort, ReadlineParser } = require('serialport');
+  let serial = null;
+
+  function open() {
+    serial = new SerialPort({ path: opts.port, baudRate: opts.baud, autoOpen: false });
+    serial.pipe(new ReadlineParser({ delimiter: '\n' }))
+      .on('data', line => { if (line.trim()) onLine(line.trim()); });
+
+    serial.on('close', () => {
+      console.warn(`Serial port ${opts.port} closed — retrying in ${REOPEN_DELAY_MS / 1000}s`);
+      setTimeout(open, REOPEN_DELAY_MS);
+    });
+
+    serial.open(err => {
+      if (err) {
+        console.warn(`Cannot open ${opts.port}: ${err.message} — retrying in ${REOPEN_DELAY_MS / 1000}s`);
+        setTimeout(open, REOPEN_DELAY_MS);
+        return;
+      }
+      console.log(`Serial port ${opts.port} open at ${opts.baud} baud`);
+    });
+  }
+
+  open();
+
+  return {
+    write(cmd) {
+      if (serial && serial.isOpen) serial.write(cmd + '\n');
+    }
+  };
+}
+
+// Firmware simulator shared with the dashboard
+function openSimulatedSource(onLine) {
+  const { FirmwareSimulator } = require(path.join(DASHBOARD_DIR, 'simulator.js'));
+  const simulator = new FirmwareSimulator({ onLine });
+  simulator.start();
+  console.log('Simulated device running');
+
+  return {
+    write(cmd) {
+      const sim = cmd.match(SIM_COMMAND);
+      if (!sim) {
+        simulator.write(cmd);
+      } else if (sim[1] === 'TAP' && sim[3]) {
+        simulator.tapCard(sim[2], sim[3].toUpperCase());
+      } else if (sim[1] === 'REMOVE') {
+        simulator.removeCard(sim[2]);
+      }
+    }
+  };
+}
+
+// ============================================================
+//  CLIENTS
+// ============================================================
+function sameSecret(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Whoever controls a hostname's DNS can point it at this PC (DNS
+// rebinding); their page's Origin and Host then match. An IP address or
+// localhost can't be repointed, so only those and --allow-host names
+// count as this bridge's own dashboard.
+function ownHost(hostHeader, opts) {
+  let hostname;
+  try { hostname = new URL(`http://${hostHeader}`).hostname; } catch (e) { return false; }
+  return hostname === 'localhost' || net.isIP(hostname.replace(/^\[|\]$/g, '')) !== 0 || opts.hosts.includes(hostname);
+}
+
+// Browsers always send Origin: a page from another origin is refused
+// unless it is an --allow-origin. Without a token, a same-origin page
+// must also come from one of this PC's own names (see ownHost). Other
+// clients need the token, if set.
+function clientRefusal(req, opts) {
+  const origin = req.headers.origin;
+  if (origin !== undefined && !opts.origins.includes(origin)) {
+    let host = null;
+    try { host = new URL(origin).host; } catch (e) { /* "null" and other opaque origins */ }
+    if (host !== req.headers.host) return `origin ${origin} not allowed`;
+    if (!opts.token && !ownHost(req.headers.host, opts)) return `host ${req.headers.host} not allowed (use --allow-host or --token)`;
+  }
+  if (opts.token) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (!token || !sameSecret(token, opts.token)) return 'wrong or missing token';
+  }
+  return null;
+}
+
+function allowedCommand(cmd, opts) {
+  return DEVICE_COMMANDS.some(re => re.test(cmd)) || (opts.simulate && SIM_COMMAND.test(cmd));
+}
+
+// ============================================================
+//  HTTP (serves the dashboard)
+// ============================================================
+function serveDashboard(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (e) {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  const filePath = path.normalize(path.join(DASHBOARD_DIR, urlPath === '/' ? 'index.html' : urlPath));
+
+  if (!filePath.startsWith(DASHBOARD_DIR + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+// ============================================================
+//  MAIN
+// ============================================================
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  if (opts.list) {
+    const { SerialPort } = require('serialport');
+    const ports = await SerialPort.list();
+    ports.forEach(p => console.log(`${p.path}\t${p.manufacturer || ''}`));
+    return;
+  }
+
+  if (!opts.simulate && !opts.port) {
+    console.error('Pass --port <path> or --simulate (see --list for ports)');
+    process.exit(1);
+  }
+
+  const server = http.createServer(serveDashboard);
+  const wss = new WebSocketServer({
+    server,
+    verifyClient: ({ req }, done) => {
+      const refusal = clientRefusal(req, opts);
+      if (refusal) console.warn(`Refused dashboard from ${req.socket.remoteAddress}: ${refusal}`);
+      done(!refusal, 403);
+    }
+  });
+
+  function broadcast(line) {
+    wss.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) client.send(line + '\n');
+    });
+  }
+
+  const device = opts.simulate ? openSimulatedSource(broadcast) : openSerialSource(opts, broadcast);
+
+  wss.on('connection', (ws, req) => {
+    const who = req.socket.remoteAddress;
+    console.log(`Dashboard connected from ${who} (${wss.clients.size} watching)`);
+
+    ws.on('message', data => {
+      String(data).split('\n').map(l => l.trim()).filter(Boolean).forEach(cmd => {
+        if (!allowedCommand(cmd, opts)) {
+          console.warn(`${who} → ${cmd} (not a dashboard command, dropped)`);
+          return;
+        }
+        console.log(`${who} → ${cmd}`);
+        device.write(cmd);
+      });
+    });
+
+    ws.on('close', () => console.log(`Dashboard ${who} left (${wss.clients.size} watching)`));
+  });
+
+  server.listen(opts.listen, () => {
+    console.log(`Guardian-Track bridge on http://0.0.0.0:${opts.listen} (dashboard + WebSocket)`);
+    if (opts.token) console.log(`Dashboards connect to ws://<this-pc>:${opts.listen}/?token=${opts.token}`);
+  });
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
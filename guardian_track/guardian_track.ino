@@ -5,11 +5,12 @@
  *
  * Features:
  *   - 3-zone RFID tracking (Gate, Classroom, Hostel)
- *   - Gate authorization (admin card approval required to exit)
+ *   - Gate authorization (admin card or dashboard approval required to exit)
  *   - Sneaking detection with 5-second alarm countdown
  *   - Class time enforcement (wrong zone alerts)
  *   - LCD dashboard with scrolling info
- *   - Serial JSON protocol for web dashboard
+ *   - Serial JSON protocol for web dashboard (sequenced, checksummed lines)
+ *   - Student roster in EEPROM, editable from the dashboard
  *   - LED + Buzzer feedback
  *
  * Wiring:
@@ -19,6 +20,7 @@
  *   Servo=D3 | Red LED=D5 | Blue LED=D4 | Buzzer=D6
  */
 
+#include <EEPROM.h>
 #include <LiquidCrystal_I2C.h>
 #include <MFRC522.h>
 #include <SPI.h>
@@ -42,13 +44,20 @@
 // ============================================================
 //  CONSTANTS
 // ============================================================
-#define NUM_STUDENTS 5
+#define MAX_STUDENTS 40
 #define UID_LENGTH 4
+#define NAME_LEN 16             // Max student name stored on the device
 #define GATE_TIMEOUT_MS 20000   // Max time to wait while card at gate
 #define SNEAK_WINDOW_MS 5000    // 5 seconds after card leaves gate
 #define GATE_OPEN_TIME_MS 5000  // How long gate stays open
 #define LCD_SCROLL_MS 3000      // LCD scroll interval
 #define ALARM_DURATION_MS 10000 // How long sneak alarm lasts
+#define GATE_COOLDOWN_MS 5000   // Ignore a denied/expired card left on the gate
+#define OPERATOR_LEN 16         // Max operator name in GATE: commands
+
+// Serial protocol — bump PROTOCOL_VERSION when the line format changes
+#define FIRMWARE_VERSION "2.0.0"
+#define PROTOCOL_VERSION 2
 
 // Location codes
 #define LOC_UNKNOWN 0
@@ -74,57 +83,43 @@
 #define GATE_SNEAK_COUNTDOWN 3
 #define GATE_ALARM 4
 
+// EEPROM roster layout: [magic][count][record 0][record 1]...
+// Each record: UID (4) + active flag (1) + name (NAME_LEN, zero padded)
+#define ROSTER_MAGIC 0x47       // Bump when the record layout changes
+#define EEPROM_MAGIC_ADDR 0
+#define EEPROM_COUNT_ADDR 1
+#define EEPROM_ROSTER_ADDR 2
+#define RECORD_SIZE (UID_LENGTH + 1 + NAME_LEN)
+
 // ============================================================
 //  DATA STRUCTURES
 // ============================================================
+// Names stay in EEPROM (read on demand) to save RAM; class, dorm and
+// parent contact are kept by the dashboard, not the device.
 struct Student {
   byte uid[UID_LENGTH];
-  const char *name;
-  const char *classGrade;
-  const char *dormRoom;
-  const char *parentContact;
+  bool active;
   byte location;
 };
 
+struct DefaultStudent {
+  byte uid[UID_LENGTH];
+  char name[NAME_LEN + 1];
+};
+
+// ============================================================
+//  FACTORY ROSTER (written to EEPROM on first boot)
 // ============================================================
-//  HARDCODED STUDENT DATA (Replace UIDs after scanning!)
-// ============================================================
-Student students[NUM_STUDENTS] = {
-    // Student 1 — Tag: 93:85:CB:13
-    {{0x93, 0x85, 0xCB, 0x13},
-     "Ali Hassan",
-     "Form 3A",
-     "Dorm A, Rm 5",
-     "+254700000001",
-     LOC_UNKNOWN},
-    // Student 2 — Tag: 93:E5:02:29
-    {{0x93, 0xE5, 0x02, 0x29},
-     "Fatima Said",
-     "Form 3B",
-     "Dorm B, Rm 12",
-     "+254700000002",
-     LOC_UNKNOWN},
-    // Student 3 — Tag: 23:9E:C8:13
-    {{0x23, 0x9E, 0xC8, 0x13},
-     "James Ochieng",
-     "Form 4A",
-     "Dorm A, Rm 8",
-     "+254700000003",
-     LOC_UNKNOWN},
-    // Student 4 — Tag: 53:C3:B7:13
-    {{0x53, 0xC3, 0xB7, 0x13},
-     "Sarah Wanjiku",
-     "Form 4B",
-     "Dorm C, Rm 3",
-     "+254700000004",
-     LOC_UNKNOWN},
-    // Student 5 — Tag: B3:21:D3:26
-    {{0xB3, 0x21, 0xD3, 0x26},
-     "David Mutua",
-     "Form 2A",
-     "Dorm B, Rm 7",
-     "+254700000005",
-     LOC_UNKNOWN}};
+const DefaultStudent defaultStudents[] PROGMEM = {
+    {{0x93, 0x85, 0xCB, 0x13}, "Ali Hassan"},    // Tag: 93:85:CB:13
+    {{0x93, 0xE5, 0x02, 0x29}, "Fatima Said"},   // Tag: 93:E5:02:29
+    {{0x23, 0x9E, 0xC8, 0x13}, "James Ochieng"}, // Tag: 23:9E:C8:13
+    {{0x53, 0xC3, 0xB7, 0x13}, "Sarah Wanjiku"}, // Tag: 53:C3:B7:13
+    {{0xB3, 0x21, 0xD3, 0x26}, "David Mutua"}};  // Tag: B3:21:D3:26
+#define NUM_DEFAULT_STUDENTS (sizeof(defaultStudents) / sizeof(defaultStudents[0]))
+
+Student students[MAX_STUDENTS];
+byte studentCount = 0; // Slots in use (active or not)
 
 // Admin card UID — Tag: 03:3E:27:29
 byte adminUID[UID_LENGTH] = {0x03, 0x3E, 0x27, 0x29};
@@ -149,6 +144,9 @@ int gateStudentIdx = -1;          // Index of student at gate
 unsigned long gateEventTime = 0;  // When gate event started
 unsigned long sneakStartTime = 0; // When card left gate reader
 unsigned long alarmStartTime = 0; // When alarm started
+byte gateReturnLocation = LOC_UNKNOWN; // Where the student was before the gate
+int gateCooldownIdx = -1;              // Student whose request was just closed
+unsigned long gateCooldownTime = 0;    // When that request was closed
 
 // LCD scrolling
 unsigned long lastLCDScroll = 0;
@@ -170,6 +168,42 @@ unsigned long blueLedOffTime = 0;
 unsigned long lastStatusBroadcast = 0;
 #define STATUS_INTERVAL_MS 5000
 
+// ============================================================
+//  SERIAL LINE WRITER
+// ============================================================
+// Every line to the dashboard goes through `out`: it starts with a
+// sequence number and ends with an XOR checksum of the JSON, NMEA style:
+//   {"seq":12,"event":"scan","id":0,"student":"Ali Hassan","zone":"gate"}*5A
+// A gap in seq tells the dashboard it missed lines and should SYNC.
+class ProtocolLine : public Print {
+public:
+  void begin() {
+    checksum = 0;
+    print(F("{\"seq\":"));
+    print(seq++);
+    print(',');
+  }
+
+  void end() {
+    print('}');
+    Serial.print('*');
+    if (checksum < 0x10)
+      Serial.print('0');
+    Serial.println(checksum, HEX);
+  }
+
+  size_t write(uint8_t c) {
+    checksum ^= c;
+    return Serial.write(c);
+  }
+
+private:
+  unsigned int seq = 0; // Wraps at 65536
+  byte checksum = 0;
+};
+
+ProtocolLine out;
+
 // ============================================================
 //  HELPER FUNCTIONS
 // ============================================================
@@ -183,10 +217,10 @@ bool compareUID(byte *uid1, byte *uid2) {
   return true;
 }
 
-// Find student index by UID, returns -1 if not found
+// Find active student index by UID, returns -1 if not found
 int findStudent(byte *uid) {
-  for (int i = 0; i < NUM_STUDENTS; i++) {
-    if (compareUID(students[i].uid, uid))
+  for (int i = 0; i < studentCount; i++) {
+    if (students[i].active && compareUID(students[i].uid, uid))
       return i;
   }
   return -1;
@@ -198,7 +232,7 @@ bool isAdmin(byte *uid) { return compareUID(uid, adminUID); }
 // Count students at a given location
 int countAt(byte loc) {
   int count = 0;
-  for (int i = 0; i < NUM_STUDENTS; i++) {
+  for (int i = 0; i < studentCount; i++) {
     if (students[i].location == loc)
       count++;
   }
@@ -208,7 +242,9 @@ int countAt(byte loc) {
 // Count students currently in school (classroom + hostel + gate + unknown)
 int countInSchool() {
   int count = 0;
-  for (int i = 0; i < NUM_STUDENTS; i++) {
+  for (int i = 0; i < studentCount; i++) {
+    if (!students[i].active)
+      continue;
     byte loc = students[i].location;
     if (loc != LOC_LEFT && loc != LOC_SNEAKED)
       count++;
@@ -216,6 +252,142 @@ int countInSchool() {
   return count;
 }
 
+// ============================================================
+//  ROSTER (EEPROM)
+// ============================================================
+
+int recordAddr(int idx) { return EEPROM_ROSTER_ADDR + idx * RECORD_SIZE; }
+
+// Name of a student, read from EEPROM into a shared buffer.
+// Use the result before calling studentName() again.
+const char *studentName(int idx) {
+  static char nameBuf[NAME_LEN + 1];
+  int addr = recordAddr(idx) + UID_LENGTH + 1;
+  for (byte i = 0; i < NAME_LEN; i++) {
+    nameBuf[i] = EEPROM.read(addr + i);
+  }
+  nameBuf[NAME_LEN] = '\0';
+  return nameBuf;
+}
+
+void writeRecord(int idx, byte *uid, bool active, const char *name) {
+  int addr = recordAddr(idx);
+  for (byte i = 0; i < UID_LENGTH; i++) {
+    EEPROM.update(addr + i, uid[i]);
+  }
+  EEPROM.update(addr + UID_LENGTH, active ? 1 : 0);
+  bool ended = false;
+  for (byte i = 0; i < NAME_LEN; i++) {
+    if (name[i] == '\0')
+      ended = true;
+    EEPROM.update(addr + UID_LENGTH + 1 + i, ended ? 0 : name[i]);
+  }
+}
+
+void writeDefaultRoster() {
+  for (byte i = 0; i < NUM_DEFAULT_STUDENTS; i++) {
+    DefaultStudent d;
+    memcpy_P(&d, &defaultStudents[i], sizeof(DefaultStudent));
+    writeRecord(i, d.uid, true, d.name);
+  }
+  EEPROM.update(EEPROM_COUNT_ADDR, NUM_DEFAULT_STUDENTS);
+  EEPROM.update(EEPROM_MAGIC_ADDR, ROSTER_MAGIC);
+}
+
+// Load UIDs and active flags into RAM. Locations of students whose card
+// is unchanged are kept, so a roster push doesn't wipe tracking state.
+void loadRoster() {
+  if (EEPROM.read(EEPROM_MAGIC_ADDR) != ROSTER_MAGIC)
+    writeDefaultRoster();
+
+  studentCount = min((int)EEPROM.read(EEPROM_COUNT_ADDR), MAX_STUDENTS);
+  for (int i = 0; i < studentCount; i++) {
+    int addr = recordAddr(i);
+    bool changed = false;
+    for (byte b = 0; b < UID_LENGTH; b++) {
+      byte v = EEPROM.read(addr + b);
+      if (students[i].uid[b] != v)
+        changed = true;
+      students[i].uid[b] = v;
+    }
+    students[i].active = EEPROM.read(addr + UID_LENGTH) == 1;
+    if (changed || !students[i].active)
+      students[i].location = LOC_UNKNOWN;
+  }
+}
+
+// Parse "93:85:CB:13" into bytes; false if malformed
+bool parseUID(const String &text, byte *uid) {
+  if (text.length() != UID_LENGTH * 3 - 1)
+    return false;
+  for (byte i = 0; i < UID_LENGTH; i++) {
+    char *end;
+    String part = text.substring(i * 3, i * 3 + 2);
+    uid[i] = (byte)strtol(part.c_str(), &end, 16);
+    if (*end != '\0' || (i < UID_LENGTH - 1 && text.charAt(i * 3 + 2) != ':'))
+      return false;
+  }
+  return true;
+}
+
+void printUID(byte *uid) {
+  for (byte i = 0; i < UID_LENGTH; i++) {
+    if (uid[i] < 0x10)
+      out.print('0');
+    out.print(uid[i], HEX);
+    if (i < UID_LENGTH - 1)
+      out.print(':');
+  }
+}
+
+// ROSTER:SET:<id>:<uid>:<active>:<name>  e.g. ROSTER:SET:5:93:85:CB:13:1:Ali Hassan
+void handleRosterSet(const String &cmd) {
+  int idEnd = cmd.indexOf(':', 11);
+  int id = idEnd > 11 ? cmd.substring(11, idEnd).toInt() : -1;
+  int uidStart = idEnd + 1;
+  int activePos = uidStart + UID_LENGTH * 3;
+  byte uid[UID_LENGTH];
+
+  if (id < 0 || id >= MAX_STUDENTS || cmd.length() < (unsigned int)activePos + 2 ||
+      !parseUID(cmd.substring(uidStart, activePos - 1), uid) ||
+      cmd.charAt(activePos - 1) != ':' || cmd.charAt(activePos + 1) != ':') {
+    sendCommandError("ROSTER:SET", "bad_record");
+    return;
+  }
+
+  char name[NAME_LEN + 1];
+  cmd.substring(activePos + 2).toCharArray(name, NAME_LEN + 1);
+  writeRecord(id, uid, cmd.charAt(activePos) == '1', name);
+
+  out.begin();
+  out.print(F("\"event\":\"roster_ack\",\"id\":"));
+  out.print(id);
+  out.end();
+}
+
+// ROSTER:END:<count> — commit the pushed roster
+void handleRosterEnd(const String &cmd) {
+  int count = cmd.substring(11).toInt();
+  if (count < 0 || count > MAX_STUDENTS || cmd.length() <= 11) {
+    sendCommandError("ROSTER:END", "bad_count");
+    return;
+  }
+
+  EEPROM.update(EEPROM_COUNT_ADDR, count);
+  EEPROM.update(EEPROM_MAGIC_ADDR, ROSTER_MAGIC);
+  loadRoster();
+
+  out.begin();
+  out.print(F("\"event\":\"roster_saved\",\"count\":"));
+  out.print(studentCount);
+  out.end();
+  sendStudentList();
+  sendStatus();
+
+  lcdShowOverride("Roster updated", "");
+  beepShort(1);
+}
+
 // ============================================================
 //  FEEDBACK FUNCTIONS
 // ============================================================
@@ -284,63 +456,121 @@ void updateAlarm() {
 //  SERIAL COMMUNICATION
 // ============================================================
 
-// Send JSON event to dashboard
+// Send JSON event to dashboard. Students are identified by their roster
+// slot ("id"); the name is only there for people reading the log.
 void sendEvent(const char *event, int studentIdx, const char *extra1 = NULL,
                const char *extra2 = NULL) {
-  Serial.print(F("{\"event\":\""));
-  Serial.print(event);
-  Serial.print(F("\""));
+  out.begin();
+  out.print(F("\"event\":\""));
+  out.print(event);
+  out.print(F("\""));
 
   if (studentIdx >= 0) {
-    Serial.print(F(",\"student\":\""));
-    Serial.print(students[studentIdx].name);
-    Serial.print(F("\""));
+    out.print(F(",\"id\":"));
+    out.print(studentIdx);
+    out.print(F(",\"student\":\""));
+    out.print(studentName(studentIdx));
+    out.print(F("\""));
   }
 
   if (extra1 != NULL && extra2 != NULL) {
-    Serial.print(F(",\""));
-    Serial.print(extra1);
-    Serial.print(F("\":\""));
-    Serial.print(extra2);
-    Serial.print(F("\""));
+    out.print(F(",\""));
+    out.print(extra1);
+    out.print(F("\":\""));
+    out.print(extra2);
+    out.print(F("\""));
   }
 
-  Serial.println(F("}"));
+  out.end();
+}
+
+// Handshake: answers HELLO and opens every boot, so the dashboard knows
+// which line format to expect
+void sendHello(const char *event) {
+  out.begin();
+  out.print(F("\"event\":\""));
+  out.print(event);
+  out.print(F("\",\"firmware\":\"" FIRMWARE_VERSION "\",\"protocol\":"));
+  out.print(PROTOCOL_VERSION);
+  out.print(F(",\"max_students\":"));
+  out.print(MAX_STUDENTS);
+  out.end();
 }
 
 void sendStatus() {
-  Serial.print(F("{\"event\":\"status\",\"classroom\":"));
-  Serial.print(countAt(LOC_CLASSROOM));
-  Serial.print(F(",\"hostel\":"));
-  Serial.print(countAt(LOC_HOSTEL));
-  Serial.print(F(",\"left\":"));
-  Serial.print(countAt(LOC_LEFT));
-  Serial.print(F(",\"sneaked\":"));
-  Serial.print(countAt(LOC_SNEAKED));
-  Serial.print(F(",\"mode\":\""));
-  Serial.print(systemMode == MODE_CLASS ? F("class") : F("free"));
-  Serial.println(F("\"}"));
+  out.begin();
+  out.print(F("\"event\":\"status\",\"classroom\":"));
+  out.print(countAt(LOC_CLASSROOM));
+  out.print(F(",\"hostel\":"));
+  out.print(countAt(LOC_HOSTEL));
+  out.print(F(",\"left\":"));
+  out.print(countAt(LOC_LEFT));
+  out.print(F(",\"sneaked\":"));
+  out.print(countAt(LOC_SNEAKED));
+  out.print(F(",\"mode\":\""));
+  out.print(systemMode == MODE_CLASS ? F("class") : F("free"));
+  out.print(F("\""));
+  out.end();
 }
 
 // Send full student list (for dashboard initial sync)
 void sendStudentList() {
-  for (int i = 0; i < NUM_STUDENTS; i++) {
-    Serial.print(F("{\"event\":\"student_info\",\"id\":"));
-    Serial.print(i);
-    Serial.print(F(",\"name\":\""));
-    Serial.print(students[i].name);
-    Serial.print(F("\",\"class\":\""));
-    Serial.print(students[i].classGrade);
-    Serial.print(F("\",\"dorm\":\""));
-    Serial.print(students[i].dormRoom);
-    Serial.print(F("\",\"contact\":\""));
-    Serial.print(students[i].parentContact);
-    Serial.print(F("\",\"location\":"));
-    Serial.print(students[i].location);
-    Serial.println(F("}"));
+  for (int i = 0; i < studentCount; i++) {
+    out.begin();
+    out.print(F("\"event\":\"student_info\",\"id\":"));
+    out.print(i);
+    out.print(F(",\"name\":\""));
+    out.print(studentName(i));
+    out.print(F("\",\"uid\":\""));
+    printUID(students[i].uid);
+    out.print(F("\",\"active\":"));
+    out.print(students[i].active ? 1 : 0);
+    out.print(F(",\"location\":"));
+    out.print(students[i].location);
+    out.end();
   }
 }
 
+// Unknown cards carry their UID so the dashboard can enroll them
+void sendUnknownCard(const char *zoneName, byte *uid) {
+  out.begin();
+  out.print(F("\"event\":\"unknown_card\",\"zone\":\""));
+  out.print(zoneName);
+  out.print(F("\",\"uid\":\""));
+  printUID(uid);
+  out.print(F("\""));
+  out.end();
+}
+
+// Copy the operator name after a "GATE:APPROVE:" / "GATE:DENY:" prefix
+void readOperator(const String &cmd, int prefixLen, char *out) {
+  String name = cmd.length() > prefixLen ? cmd.substring(prefixLen) : String("dashboard");
+  name.toCharArray(out, OPERATOR_LEN + 1);
+}
+
+// Dashboard approval/denial only applies while a request is pending
+bool gateRequestPending() {
+  return gateState == GATE_WAITING_APPROVAL || gateState == GATE_SNEAK_COUNTDOWN;
+}
+
+void sendCommandError(const char *command, const char *reason) {
+  out.begin();
+  out.print(F("\"event\":\"command_error\",\"command\":\""));
+  out.print(command);
+  out.print(F("\",\"reason\":\""));
+  out.print(reason);
+  out.print(F("\""));
+  out.end();
+}
+
+void sendModeChange() {
+  out.begin();
+  out.print(F("\"event\":\"mode_change\",\"mode\":\""));
+  out.print(systemMode == MODE_CLASS ? F("class") : F("free"));
+  out.print(F("\""));
+  out.end();
+}
+
 void processSerialCommand() {
   if (Serial.available()) {
     String cmd = Serial.readStringUntil('\n');
@@ -348,17 +578,39 @@ void processSerialCommand() {
 
     if (cmd == "MODE:CLASS") {
       systemMode = MODE_CLASS;
-      Serial.println(F("{\"event\":\"mode_change\",\"mode\":\"class\"}"));
+      sendModeChange();
       lcdShowOverride("Mode: CLASS", "Time enforced!");
       beepShort(1);
     } else if (cmd == "MODE:FREE") {
       systemMode = MODE_FREE;
-      Serial.println(F("{\"event\":\"mode_change\",\"mode\":\"free\"}"));
+      sendModeChange();
       lcdShowOverride("Mode: FREE", "No restrictions");
       beepShort(1);
+    } else if (cmd == "HELLO") {
+      sendHello("hello");
     } else if (cmd == "SYNC") {
       sendStudentList();
       sendStatus();
+    } else if (cmd.startsWith("GATE:APPROVE")) {
+      if (gateRequestPending()) {
+        char by[OPERATOR_LEN + 1];
+        readOperator(cmd, 13, by);
+        gateApproved(by);
+      } else {
+        sendCommandError("GATE:APPROVE", "no_request");
+      }
+    } else if (cmd.startsWith("ROSTER:SET:")) {
+      handleRosterSet(cmd);
+    } else if (cmd.startsWith("ROSTER:END:")) {
+      handleRosterEnd(cmd);
+    } else if (cmd.startsWith("GATE:DENY")) {
+      if (gateRequestPending()) {
+        char by[OPERATOR_LEN + 1];
+        readOperator(cmd, 10, by);
+        gateDenied(by);
+      } else {
+        sendCommandError("GATE:DENY", "no_request");
+      }
     }
   }
 }
@@ -429,11 +681,20 @@ void updateLCDDefault() {
     // Show individual student locations
     // Find next student to display
     static byte displayStudent = 0;
-    if (displayStudent >= NUM_STUDENTS)
-      displayStudent = 0;
+    bool found = false;
+    for (byte tries = 0; tries < studentCount && !found; tries++) {
+      if (displayStudent >= studentCount)
+        displayStudent = 0;
+      if (students[displayStudent].active)
+        found = true;
+      else
+        displayStudent++;
+    }
+    if (!found)
+      break;
 
     lcd.setCursor(0, 0);
-    lcd.print(students[displayStudent].name);
+    lcd.print(studentName(displayStudent));
     lcd.setCursor(0, 1);
     switch (students[displayStudent].location) {
     case LOC_UNKNOWN:
@@ -559,7 +820,7 @@ void handleZoneTap(int studentIdx, byte zone) {
   // Show on LCD
   lcd.clear();
   lcd.setCursor(0, 0);
-  lcd.print(students[studentIdx].name);
+  lcd.print(studentName(studentIdx));
   lcd.setCursor(0, 1);
   lcd.print("-> ");
   lcd.print(zoneName);
@@ -597,6 +858,7 @@ void handleGateDetection(int studentIdx) {
   gateState = GATE_WAITING_APPROVAL;
   gateEventTime = millis();
 
+  gateReturnLocation = students[studentIdx].location;
   students[studentIdx].location = LOC_AT_GATE;
 
   // Display on LCD
@@ -604,7 +866,7 @@ void handleGateDetection(int studentIdx) {
   lcd.setCursor(0, 0);
   lcd.print("EXIT REQUEST:");
   lcd.setCursor(0, 1);
-  lcd.print(students[studentIdx].name);
+  lcd.print(studentName(studentIdx));
 
   // Send event to dashboard
   sendEvent("scan", studentIdx, "zone", "gate");
@@ -628,7 +890,7 @@ void updateGateStateMachine() {
     // Check Classroom reader for admin card
     if (readCard(&rfidClass, uid)) {
       if (isAdmin(uid)) {
-        gateApproved();
+        gateApproved("admin_card");
         return;
       } else {
         // It's a student card on classroom reader - handle zone tap
@@ -641,7 +903,7 @@ void updateGateStateMachine() {
     // Check Hostel reader for admin card
     if (readCard(&rfidHostel, uid)) {
       if (isAdmin(uid)) {
-        gateApproved();
+        gateApproved("admin_card");
         return;
       } else {
         // It's a student card on hostel reader - handle zone tap
@@ -666,8 +928,10 @@ void updateGateStateMachine() {
 
     // Timeout - if waiting too long, reset
     if (millis() - gateEventTime > GATE_TIMEOUT_MS) {
-      gateState = GATE_IDLE;
-      gateStudentIdx = -1;
+      students[gateStudentIdx].location = gateReturnLocation;
+      sendEvent("gate_timeout", gateStudentIdx);
+      sendStatus();
+      startGateCooldown();
       lcdShowOverride("Gate timeout", "Request expired");
     }
     break;
@@ -689,7 +953,7 @@ void updateGateStateMachine() {
         return;
       } else if (isAdmin(uid)) {
         // Late admin approval - still allow
-        gateApproved();
+        gateApproved("admin_card");
         return;
       } else if (idx >= 0) {
         handleZoneTap(idx, ZONE_CLASS);
@@ -709,7 +973,7 @@ void updateGateStateMachine() {
         gateStudentIdx = -1;
         return;
       } else if (isAdmin(uid)) {
-        gateApproved();
+        gateApproved("admin_card");
         return;
       } else if (idx >= 0) {
         handleZoneTap(idx, ZONE_HOSTEL);
@@ -727,7 +991,7 @@ void updateGateStateMachine() {
         lcd.setCursor(0, 0);
         lcd.print("EXIT REQUEST:");
         lcd.setCursor(0, 1);
-        lcd.print(students[gateStudentIdx].name);
+        lcd.print(studentName(gateStudentIdx));
         return;
       }
     }
@@ -744,7 +1008,7 @@ void updateGateStateMachine() {
       lcd.setCursor(0, 0);
       lcd.print("!! ALARM !!");
       lcd.setCursor(0, 1);
-      lcd.print(students[gateStudentIdx].name);
+      lcd.print(studentName(gateStudentIdx));
 
       // Start alarm (red LED + buzzer)
       startAlarm();
@@ -789,7 +1053,21 @@ void updateGateStateMachine() {
   }
 }
 
-void gateApproved() {
+// Close a request without opening the gate and ignore the same card on the
+// gate reader for a moment, so a card left lying there doesn't re-request
+void startGateCooldown() {
+  gateCooldownIdx = gateStudentIdx;
+  gateCooldownTime = millis();
+  gateState = GATE_IDLE;
+  gateStudentIdx = -1;
+}
+
+bool inGateCooldown(int studentIdx) {
+  return studentIdx == gateCooldownIdx &&
+         millis() - gateCooldownTime < GATE_COOLDOWN_MS;
+}
+
+void gateApproved(const char *by) {
   students[gateStudentIdx].location = LOC_LEFT;
 
   // Open gate
@@ -805,15 +1083,36 @@ void gateApproved() {
   lcd.setCursor(0, 0);
   lcd.print("APPROVED!");
   lcd.setCursor(0, 1);
-  lcd.print(students[gateStudentIdx].name);
+  lcd.print(studentName(gateStudentIdx));
 
   // Send event
-  sendEvent("approved", gateStudentIdx);
+  sendEvent("approved", gateStudentIdx, "by", by);
   sendStatus();
 
   gateState = GATE_APPROVED;
 }
 
+void gateDenied(const char *by) {
+  // Student stays in school: back to wherever they were before the gate
+  students[gateStudentIdx].location = gateReturnLocation;
+
+  flashRed(2);
+  beepShort(3);
+
+  lcd.clear();
+  lcd.setCursor(0, 0);
+  lcd.print("EXIT DENIED");
+  lcd.setCursor(0, 1);
+  lcd.print(studentName(gateStudentIdx));
+  lcdOverride = true;
+  lcdOverrideTime = millis();
+
+  sendEvent("denied", gateStudentIdx, "by", by);
+  sendStatus();
+
+  startGateCooldown();
+}
+
 // ============================================================
 //  LED UPDATE
 // ============================================================
@@ -834,6 +1133,9 @@ void setup() {
   // Initialize serial
   Serial.begin(9600);
 
+  // Load student roster from EEPROM (factory roster on first boot)
+  loadRoster();
+
   // CRITICAL: Set all SDA pins as OUTPUT HIGH *before* SPI.begin()
   // This prevents D10 (hardware SPI SS) from being hijacked by the SPI library
   pinMode(SS_GATE, OUTPUT);
@@ -891,7 +1193,7 @@ void setup() {
   flashBlue(1000);
 
   // Verify RFID readers
-  Serial.println(F("{\"event\":\"boot\",\"status\":\"ok\"}"));
+  sendHello("boot");
 
   delay(2000);
   lcd.clear();
@@ -932,13 +1234,14 @@ void loop() {
       } else {
         int idx = findStudent(uid);
         if (idx >= 0) {
-          handleGateDetection(idx);
+          if (!inGateCooldown(idx))
+            handleGateDetection(idx);
         } else {
           // Unknown card
           lcdShowOverride("UNKNOWN CARD!", "Access Denied");
           flashRed(3);
           beepShort(3);
-          sendEvent("unknown_card", -1, "zone", "gate");
+          sendUnknownCard("gate", uid);
         }
       }
     }
@@ -955,7 +1258,7 @@ void loop() {
           lcdShowOverride("UNKNOWN CARD!", "Classroom");
           flashRed(3);
           beepShort(3);
-          sendEvent("unknown_card", -1, "zone", "classroom");
+          sendUnknownCard("classroom", uid);
         }
       }
     }
@@ -970,7 +1273,7 @@ void loop() {
           lcdShowOverride("UNKNOWN CARD!", "Hostel");
           flashRed(3);
           beepShort(3);
-          sendEvent("unknown_card", -1, "zone", "hostel");
+          sendUnknownCard("hostel", uid);
         }
       }
     }
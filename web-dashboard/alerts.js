@@ -0,0 +1,275 @@
+/* ============================================================
+   Guardian-Track — Alert Workflow
+   Critical alerts (sneaked out, wrong zone) are tracked until a
+   member of staff resolves them:
+     open → acknowledged → resolved
+   Tracked alerts are kept in IndexedDB so a reload or the Clear
+   button can't lose them, and re-sound while nobody responds.
+   ============================================================ */
+
+const ALERTS_KEY = 'gt-alerts';
+const ALERT_ESCALATE_TICK_MS = 5000;
+const ALERT_STATUS_LABELS = localizedLabels({
+  open: 'alert.status.open', acknowledged: 'alert.status.acknowledged', resolved: 'alert.status.resolved'
+});
+const ALERT_STATUS_CSS = { open: 'sneaked', acknowledged: 'gate', resolved: 'classroom' };
+const ALERT_LOG_ACTIONS = localizedLabels(Object.fromEntries(
+  ['opened', 'acknowledged', 'resolved', 'assigned', 'note', 'escalated'].map(action => [action, `alert.log.${action}`])));
+
+const alertEls = {
+  escalateMinutes: document.getElementById('alert-escalate-minutes'),
+  modal: document.getElementById('alert-modal'),
+  btnClose: document.getElementById('alert-close'),
+  message: document.getElementById('alert-detail-message'),
+  meta: document.getElementById('alert-detail-meta'),
+  assignee: document.getElementById('alert-assignee'),
+  staff: document.getElementById('alert-staff'),
+  timeline: document.getElementById('alert-timeline'),
+  note: document.getElementById('alert-note'),
+  btnNote: document.getElementById('alert-add-note'),
+  btnStudent: document.getElementById('alert-student'),
+  btnAck: document.getElementById('alert-ack'),
+  btnResolve: document.getElementById('alert-resolve')
+};
+
+let alertSettings = loadAlertSettings();
+let alertDetailId = null;
+let alertsRestored = Promise.resolve();
+
+// ============================================================
+//  SETTINGS
+// ============================================================
+function loadAlertSettings() {
+  const defaults = { escalateMinutes: 2, staff: [] };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(ALERTS_KEY)) };
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function saveAlertSettings() {
+  try { localStorage.setItem(ALERTS_KEY, JSON.stringify(alertSettings)); } catch (e) { /* storage unavailable */ }
+}
+
+// ============================================================
+//  LIFECYCLE
+// ============================================================
+function isUnresolved(alert) {
+  return alert.status === 'open' || alert.status === 'acknowledged';
+}
+
+function alertActor() {
+  return getOperatorName() || 'dashboard';
+}
+
+function findAlert(id) {
+  return state.alerts.find(a => a.id === id);
+}
+
+function logAlertAction(alert, action, text = '', by = alertActor()) {
+  alert.log.push({ ts: Date.now(), by, action, text });
+}
+
+function saveAlert(alert) {
+  if (isReplaying()) return;
+  dbPut('alerts', alert).catch(() => { /* storage unavailable — kept in memory */ });
+}
+
+// Turn a freshly added alert into a tracked one
+function trackAlert(alert) {
+  Object.assign(alert, { status: 'open', assignee: '', log: [], escalations: 0, escalatedAt: alert.ts });
+  logAlertAction(alert, 'opened', '', 'system');
+  saveAlert(alert);
+}
+
+function updateAlert(id, change) {
+  const alert = findAlert(id);
+  if (!alert || !alert.status) return;
+  change(alert);
+  saveAlert(alert);
+  renderAlerts();
+  renderAlertDetail();
+}
+
+function acknowledgeAlert(id) {
+  updateAlert(id, alert => {
+    if (alert.status !== 'open') return;
+    alert.status = 'acknowledged';
+    logAlertAction(alert, 'acknowledged');
+  });
+}
+
+function resolveAlert(id) {
+  updateAlert(id, alert => {
+    if (alert.status === 'resolved') return;
+    alert.status = 'resolved';
+    logAlertAction(alert, 'resolved');
+  });
+}
+
+function assignAlert(id, name) {
+  const assignee = name.trim();
+  updateAlert(id, alert => {
+    if (alert.assignee === assignee) return;
+    alert.assignee = assignee;
+    logAlertAction(alert, 'assigned', assignee);
+  });
+  if (assignee && !alertSettings.staff.includes(assignee)) {
+    alertSettings.staff.push(assignee);
+    saveAlertSettings();
+  }
+}
+
+function addAlertNote(id, text) {
+  if (!text.trim()) return;
+  updateAlert(id, alert => logAlertAction(alert, 'note', text.trim()));
+}
+
+// Nobody has acknowledged: sound the alarm again and bring it back to the top
+function escalationTick() {
+  const limit = alertSettings.escalateMinutes * 60000;
+  const now = Date.now();
+  const due = state.alerts.filter(a => a.status === 'open' && now - a.escalatedAt >= limit);
+  if (due.length === 0) return;
+
+  due.forEach(alert => {
+    alert.escalations++;
+    alert.escalatedAt = now;
+    logAlertAction(alert, 'escalated', '', 'system');
+    saveAlert(alert);
+    state.alerts.splice(state.alerts.indexOf(alert), 1);
+    state.alerts.unshift(alert);
+    pushNotify('escalated', alert);
+  });
+
+  if (state.activeTab !== 'alerts') {
+    state.unreadAlerts += due.length;
+    updateAlertBadge();
+  }
+  playAlertSound();
+  vibrateDevice();
+  document.body.classList.add('sneak-alert-active');
+  setTimeout(() => document.body.classList.remove('sneak-alert-active'), 2000);
+  renderAlerts();
+}
+
+// Unresolved alerts from before a reload go back into the feed
+async function restoreAlerts() {
+  let stored;
+  try {
+    stored = await dbQuery('alerts', { index: 'ts', direction: 'prev', filter: isUnresolved });
+  } catch (e) {
+    return;
+  }
+  const known = new Set(state.alerts.map(a => a.id));
+  state.alerts.push(...stored.filter(a => !known.has(a.id)));
+  state.alerts.sort((a, b) => b.ts - a.ts);
+  renderAlerts();
+}
+
+// ============================================================
+//  DETAIL VIEW
+// ============================================================
+// Alerts from protocol 2 firmware know the student's id; older ones only the name
+function openAlertStudent(alert) {
+  if (typeof alert.studentId === 'number') openStudentDrawer(alert.studentId);
+  else openStudentDrawerByName(alert.student);
+}
+
+function openAlertDetail(id) {
+  alertDetailId = id;
+  alertEls.note.value = '';
+  alertEls.modal.classList.remove('hidden');
+  renderAlertDetail();
+}
+
+function closeAlertDetail() {
+  alertDetailId = null;
+  alertEls.modal.classList.add('hidden');
+}
+
+// 'system' and 'dashboard' stand in for no operator; anything else is a name
+function alertLogActor(by) {
+  return by === 'system' || by === 'dashboard' ? t(`alert.by.${by}`) : by;
+}
+
+// Escalations are worded from when they happened, so nothing English is stored
+function alertLogText(alert, entry) {
+  if (entry.action === 'escalated') return ': ' + t('alert.openFor', { minutes: Math.round((entry.ts - alert.ts) / 60000) });
+  if (entry.action === 'assigned') return ': ' + escapeHtml(entry.text || t('alert.nobody'));
+  return entry.text ? ': ' + escapeHtml(entry.text) : '';
+}
+
+function renderAlertDetail() {
+  const alert = alertDetailId !== null ? findAlert(alertDetailId) : null;
+  if (!alert || alertEls.modal.classList.contains('hidden')) return;
+
+  alertEls.message.textContent = alert.message;
+  alertEls.meta.innerHTML = `<span class="student-status ${ALERT_STATUS_CSS[alert.status]}">${ALERT_STATUS_LABELS[alert.status]}</span>
+    <span>${escapeHtml(formatHistoryTime(alert.ts))}</span>` +
+    (alert.escalations ? `<span class="text-red-400/80">${t('alert.escalated', { count: alert.escalations })}</span>` : '');
+
+  if (document.activeElement !== alertEls.assignee) alertEls.assignee.value = alert.assignee;
+  const staff = new Set([getOperatorName(), ...alertSettings.staff].filter(Boolean));
+  alertEls.staff.innerHTML = [...staff].map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+
+  alertEls.timeline.innerHTML = alert.log.map(entry => `<div class="text-[11px] text-white/50">
+    <span class="text-white/25">${new Date(entry.ts).toLocaleTimeString(currentLocale(), { hour: '2-digit', minute: '2-digit' })}</span>
+    <span class="text-white/70">${escapeHtml(alertLogActor(entry.by))}</span> ${ALERT_LOG_ACTIONS[entry.action] || escapeHtml(entry.action)}${alertLogText(alert, entry)}
+  </div>`).join('');
+  alertEls.timeline.scrollTop = alertEls.timeline.scrollHeight;
+
+  alertEls.btnAck.classList.toggle('hidden', alert.status !== 'open');
+  alertEls.btnResolve.classList.toggle('hidden', alert.status === 'resolved');
+}
+
+function initAlertWorkflow() {
+  if (!alertEls.modal) return;
+
+  if (alertEls.escalateMinutes) {
+    alertEls.escalateMinutes.value = alertSettings.escalateMinutes;
+    alertEls.escalateMinutes.addEventListener('change', () => {
+      alertSettings.escalateMinutes = Math.max(1, Number(alertEls.escalateMinutes.value) || 1);
+      alertEls.escalateMinutes.value = alertSettings.escalateMinutes;
+      saveAlertSettings();
+    });
+  }
+
+  // Tracked alerts open their workflow, reports open themselves, and any
+  // other alert naming a student opens the drawer
+  els.alertsList.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-alert-id]');
+    const alert = item && findAlert(item.dataset.alertId);
+    if (!alert) return;
+    const action = e.target.closest('[data-alert-action]');
+    if (action) {
+      if (action.dataset.alertAction === 'ack') acknowledgeAlert(alert.id);
+      else resolveAlert(alert.id);
+    } else if (alert.status) {
+      openAlertDetail(alert.id);
+    } else if (alert.kind === 'offline_report') {
+      openOfflineReport();
+    } else if (alert.student) {
+      openAlertStudent(alert);
+    }
+  });
+
+  alertEls.btnClose.addEventListener('click', closeAlertDetail);
+  alertEls.modal.addEventListener('click', (e) => { if (e.target === alertEls.modal) closeAlertDetail(); });
+  alertEls.assignee.addEventListener('change', () => assignAlert(alertDetailId, alertEls.assignee.value));
+  alertEls.btnNote.addEventListener('click', () => {
+    addAlertNote(alertDetailId, alertEls.note.value);
+    alertEls.note.value = '';
+  });
+  alertEls.btnStudent.addEventListener('click', () => {
+    const alert = findAlert(alertDetailId);
+    closeAlertDetail();
+    if (alert) openAlertStudent(alert);
+  });
+  alertEls.btnAck.addEventListener('click', () => acknowledgeAlert(alertDetailId));
+  alertEls.btnResolve.addEventListener('click', () => resolveAlert(alertDetailId));
+
+  setInterval(escalationTick, ALERT_ESCALATE_TICK_MS);
+  alertsRestored = restoreAlerts();
+}
@@ -0,0 +1,242 @@
+/* ============================================================
+   Guardian-Track — Analytics
+   Occupancy samples (one per minute from the status line) and
+   the movement history drawn as inline SVG charts, so nothing
+   is fetched from a CDN and the tab works offline.
+   ============================================================ */
+
+const SAMPLE_INTERVAL_MS = 60000;
+const ANALYTICS_REFRESH_MS = 60000;
+const ANALYTICS_TOP_STUDENTS = 5;
+const INCIDENT_EVENTS = ['sneaked', 'alarm'];
+const OCCUPANCY_SERIES = [
+  { key: 'classroom', get label() { return t('location.classroom'); }, color: '#60a5fa' },
+  { key: 'hostel', get label() { return t('location.hostel'); }, color: '#a78bfa' },
+  { key: 'left', get label() { return t('location.left'); }, color: '#fbbf24' },
+  { key: 'sneaked', get label() { return t('location.sneaked'); }, color: '#f87171' }
+];
+
+const INCIDENT_SERIES = [
+  { key: 'sneaked', get label() { return t('history.type.sneaked'); }, color: '#f87171' },
+  { key: 'alarm', get label() { return t('analytics.wrongZone'); }, color: '#fbbf24' }
+];
+
+const analyticsEls = {
+  panel: document.getElementById('panel-analytics'),
+  day: document.getElementById('analytics-day'),
+  range: document.getElementById('analytics-range'),
+  occupancy: document.getElementById('chart-occupancy'),
+  byHour: document.getElementById('chart-incidents-hour'),
+  byWeekday: document.getElementById('chart-incidents-weekday'),
+  topStudents: document.getElementById('analytics-top-students'),
+  gateWait: document.getElementById('analytics-gate-wait'),
+  gateWaitDetail: document.getElementById('analytics-gate-wait-detail')
+};
+
+let lastSampleTs = 0;
+
+// ============================================================
+//  SAMPLING
+// ============================================================
+function recordSample(stats) {
+  const ts = Date.now();
+  if (ts - lastSampleTs < SAMPLE_INTERVAL_MS || isReplaying()) return;
+  lastSampleTs = ts;
+  dbPut('samples', { ts, ...stats }).catch(() => { /* storage unavailable */ });
+}
+
+// ============================================================
+//  AGGREGATION
+// ============================================================
+// → null while the date input is empty or half typed
+function dayBounds(dateValue) {
+  const start = new Date(dateValue + 'T00:00:00').getTime();
+  return Number.isFinite(start) ? { start, end: start + 24 * 3600 * 1000 - 1 } : null;
+}
+
+function countIncidents(events) {
+  const byHour = Array.from({ length: 24 }, () => ({ sneaked: 0, alarm: 0 }));
+  const byWeekday = Array.from({ length: 7 }, () => ({ sneaked: 0, alarm: 0 }));
+  const byStudent = new Map();
+
+  events.forEach(e => {
+    const d = new Date(e.ts);
+    byHour[d.getHours()][e.type]++;
+    byWeekday[d.getDay()][e.type]++;
+    const key = e.student || t('location.unknown');
+    const entry = byStudent.get(key) || { student: key, sneaked: 0, alarm: 0 };
+    entry[e.type]++;
+    byStudent.set(key, entry);
+  });
+
+  const top = [...byStudent.values()]
+    .sort((a, b) => (b.sneaked + b.alarm) - (a.sneaked + a.alarm) || b.sneaked - a.sneaked)
+    .slice(0, ANALYTICS_TOP_STUDENTS);
+  return { byHour, byWeekday, top };
+}
+
+// Pair each gate scan with the approval that followed it for the same student
+function gateWaits(events) {
+  const pending = new Map();
+  const waits = [];
+  events.forEach(e => {
+    if (e.type === 'scan') pending.set(e.student, e.ts);
+    else if (['approved', 'denied', 'gate_timeout', 'sneaked'].includes(e.type) && pending.has(e.student)) {
+      if (e.type === 'approved') waits.push(e.ts - pending.get(e.student));
+      pending.delete(e.student);
+    }
+  });
+  return waits;
+}
+
+// ============================================================
+//  SVG CHARTS
+// ============================================================
+const CHART_W = 600;
+const CHART_H = 180;
+const CHART_PAD = { top: 10, right: 10, bottom: 22, left: 28 };
+
+function niceMax(value) {
+  if (value <= 5) return 5;
+  const step = Math.pow(10, Math.floor(Math.log10(value)));
+  return Math.ceil(value / step) * step;
+}
+
+function chartFrame(yMax, xLabels) {
+  const innerW = CHART_W - CHART_PAD.left - CHART_PAD.right;
+  const innerH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  let svg = '';
+  for (let i = 0; i <= 4; i++) {
+    const y = CHART_PAD.top + innerH - (innerH * i) / 4;
+    svg += `<line x1="${CHART_PAD.left}" x2="${CHART_W - CHART_PAD.right}" y1="${y}" y2="${y}" class="chart-grid" />`;
+    svg += `<text x="${CHART_PAD.left - 6}" y="${y + 3}" text-anchor="end" class="chart-label">${Math.round((yMax * i) / 4)}</text>`;
+  }
+  xLabels.forEach(({ x, text }) => {
+    svg += `<text x="${CHART_PAD.left + x * innerW}" y="${CHART_H - 6}" text-anchor="middle" class="chart-label">${text}</text>`;
+  });
+  return svg;
+}
+
+function chartSvg(body, label) {
+  return `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" class="chart" role="img" aria-label="${label}">${body}</svg>`;
+}
+
+function legend(series) {
+  return `<div class="chart-legend">${series.map(s =>
+    `<span><i style="background:${s.color}"></i>${s.label}</span>`).join('')}</div>`;
+}
+
+// samples: [{ ts, ...values }] within [start, end]
+function lineChart(samples, series, start, end, label) {
+  const innerW = CHART_W - CHART_PAD.left - CHART_PAD.right;
+  const innerH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const yMax = niceMax(Math.max(1, ...samples.flatMap(s => series.map(se => s[se.key] || 0))));
+  const xOf = ts => CHART_PAD.left + ((ts - start) / (end - start)) * innerW;
+  const yOf = v => CHART_PAD.top + innerH - (v / yMax) * innerH;
+
+  const hours = [0, 3, 6, 9, 12, 15, 18, 21, 24].map(h => ({ x: h / 24, text: String(h).padStart(2, '0') }));
+  let body = chartFrame(yMax, hours);
+  series.forEach(s => {
+    const points = samples.map(p => `${xOf(p.ts).toFixed(1)},${yOf(p[s.key] || 0).toFixed(1)}`).join(' ');
+    if (points) body += `<polyline points="${points}" fill="none" stroke="${s.color}" stroke-width="1.5" stroke-linejoin="round" />`;
+  });
+  return chartSvg(body, label) + legend(series);
+}
+
+// buckets: [{ key: count }] drawn as stacked bars
+function barChart(buckets, series, labels, label) {
+  const innerW = CHART_W - CHART_PAD.left - CHART_PAD.right;
+  const innerH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const totals = buckets.map(b => series.reduce((sum, s) => sum + b[s.key], 0));
+  const yMax = niceMax(Math.max(1, ...totals));
+  const slot = innerW / buckets.length;
+  const barW = Math.max(2, slot * 0.6);
+
+  const xLabels = labels.map((text, i) => ({ x: (i + 0.5) / buckets.length, text }))
+    .filter((l, i) => buckets.length <= 12 || i % 3 === 0);
+  let body = chartFrame(yMax, xLabels);
+  buckets.forEach((b, i) => {
+    let y = CHART_PAD.top + innerH;
+    const x = CHART_PAD.left + i * slot + (slot - barW) / 2;
+    series.forEach(s => {
+      const h = (b[s.key] / yMax) * innerH;
+      if (h <= 0) return;
+      y -= h;
+      body += `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" rx="2" fill="${s.color}"><title>${labels[i]}: ${b[s.key]} ${s.label.toLowerCase()}</title></rect>`;
+    });
+  });
+  return chartSvg(body, label) + legend(series);
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? t('duration.seconds', { seconds })
+    : t('duration.minutes', { minutes: Math.floor(seconds / 60), seconds: seconds % 60 });
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+async function renderAnalytics() {
+  if (!analyticsEls.panel) return;
+
+  const day = dayBounds(analyticsEls.day.value);
+  const rangeDays = Number(analyticsEls.range.value) || 7;
+  const rangeStart = Date.now() - rangeDays * 24 * 3600 * 1000;
+
+  let samples, events;
+  try {
+    [samples, events] = await Promise.all([
+      day ? dbQuery('samples', { range: IDBKeyRange.bound(day.start, day.end) }) : [],
+      dbQuery('events', { index: 'ts', range: IDBKeyRange.lowerBound(rangeStart) })
+    ]);
+  } catch (e) {
+    analyticsEls.occupancy.innerHTML = `<p class="text-white/25 text-xs text-center py-6">${t('analytics.blocked')}</p>`;
+    return;
+  }
+
+  analyticsEls.occupancy.innerHTML = !day
+    ? `<p class="text-white/25 text-xs text-center py-6">${t('analytics.pickDay')}</p>`
+    : samples.length
+      ? lineChart(samples, OCCUPANCY_SERIES, day.start, day.end, t('analytics.occupancyChart'))
+      : `<p class="text-white/25 text-xs text-center py-6">${t('analytics.noSamples')}</p>`;
+
+  const incidents = countIncidents(events.filter(e => INCIDENT_EVENTS.includes(e.type)));
+  analyticsEls.byHour.innerHTML = barChart(incidents.byHour, INCIDENT_SERIES,
+    incidents.byHour.map((b, h) => String(h).padStart(2, '0')), t('analytics.byHourChart'));
+  analyticsEls.byWeekday.innerHTML = barChart(incidents.byWeekday, INCIDENT_SERIES,
+    TIMETABLE_DAYS.map((d, i) => TIMETABLE_DAY_LABELS[i]), t('analytics.byWeekdayChart'));
+
+  const topMax = Math.max(1, ...incidents.top.map(t => t.sneaked + t.alarm));
+  analyticsEls.topStudents.innerHTML = incidents.top.length === 0
+    ? `<p class="text-white/25 text-xs">${t('analytics.noIncidents')}</p>`
+    : incidents.top.map(t => `<div class="analytics-bar">
+        <span class="truncate">${escapeHtml(t.student)}</span>
+        <div class="analytics-bar-track">
+          <div style="width:${(t.sneaked / topMax) * 100}%; background:#f87171"></div>
+          <div style="width:${(t.alarm / topMax) * 100}%; background:#fbbf24"></div>
+        </div>
+        <span class="text-white/50">${t.sneaked + t.alarm}</span>
+      </div>`).join('');
+
+  const waits = gateWaits(events);
+  const average = waits.length ? waits.reduce((a, b) => a + b, 0) / waits.length : 0;
+  analyticsEls.gateWait.textContent = waits.length ? formatDuration(average) : '—';
+  analyticsEls.gateWaitDetail.textContent = waits.length
+    ? t('analytics.gateWaits', { count: waits.length, longest: formatDuration(Math.max(...waits)) })
+    : t('analytics.noExits');
+}
+
+function initAnalytics() {
+  if (!analyticsEls.panel) return;
+
+  analyticsEls.day.value = dateKey(new Date());
+  analyticsEls.day.addEventListener('change', renderAnalytics);
+  analyticsEls.range.addEventListener('change', renderAnalytics);
+
+  // Only while someone can see the charts; switchTab draws them on the way in
+  setInterval(() => {
+    if (!document.hidden && analyticsEls.panel.classList.contains('active')) renderAnalytics();
+  }, ANALYTICS_REFRESH_MS);
+  renderAnalytics();
+}
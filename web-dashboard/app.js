@@ -5,11 +5,8 @@
 // ============================================================
 //  STATE
 // ============================================================
-let port = null;
-let reader = null;
-let writer = null;
+let transport = null;
 let connected = false;
-let lineBuffer = '';
 
 const state = {
   students: [],
@@ -20,38 +17,29 @@ const state = {
   unreadAlerts: 0
 };
 
+// ON_CAMPUS is the dashboard's own: at a reader the Arduino has no
+// location code for, found on the map by student.reader (see map.js)
 const LOC = {
-  UNKNOWN: 0, CLASSROOM: 1, HOSTEL: 2, AT_GATE: 3, LEFT: 4, SNEAKED: 5
+  UNKNOWN: 0, CLASSROOM: 1, HOSTEL: 2, AT_GATE: 3, LEFT: 4, SNEAKED: 5, ON_CAMPUS: 6
 };
 
-const LOC_NAMES = {
-  [LOC.UNKNOWN]: 'Unknown', [LOC.CLASSROOM]: 'Classroom', [LOC.HOSTEL]: 'Hostel',
-  [LOC.AT_GATE]: 'At Gate', [LOC.LEFT]: 'Left', [LOC.SNEAKED]: 'Sneaked'
-};
+// Names follow the chosen language (see i18n.js)
+const LOC_NAMES = localizedLabels({
+  [LOC.UNKNOWN]: 'location.unknown', [LOC.CLASSROOM]: 'location.classroom', [LOC.HOSTEL]: 'location.hostel',
+  [LOC.AT_GATE]: 'location.gate', [LOC.LEFT]: 'location.left', [LOC.SNEAKED]: 'location.sneaked', [LOC.ON_CAMPUS]: 'location.campus'
+});
 
 const LOC_CSS = {
   [LOC.UNKNOWN]: 'unknown', [LOC.CLASSROOM]: 'classroom', [LOC.HOSTEL]: 'hostel',
-  [LOC.AT_GATE]: 'gate', [LOC.LEFT]: 'left', [LOC.SNEAKED]: 'sneaked'
+  [LOC.AT_GATE]: 'gate', [LOC.LEFT]: 'left', [LOC.SNEAKED]: 'sneaked', [LOC.ON_CAMPUS]: 'classroom'
 };
 
-const ZONE_POSITIONS = {
-  classroom: [
-    { x: 150, y: 190 }, { x: 200, y: 210 }, { x: 250, y: 185 },
-    { x: 180, y: 240 }, { x: 280, y: 230 }
-  ],
-  hostel: [
-    { x: 500, y: 190 }, { x: 550, y: 210 }, { x: 610, y: 185 },
-    { x: 530, y: 240 }, { x: 640, y: 230 }
-  ],
-  gate: [
-    { x: 370, y: 420 }, { x: 400, y: 435 }, { x: 430, y: 420 },
-    { x: 385, y: 445 }, { x: 415, y: 445 }
-  ],
-  outside: [
-    { x: 330, y: 490 }, { x: 370, y: 495 }, { x: 410, y: 490 },
-    { x: 440, y: 495 }, { x: 470, y: 490 }
-  ]
-};
+// Dots are laid out on a grid of DOT_SPACING across the free space of each
+// map zone (see mapZoneLayout) and whoever doesn't fit becomes "+N more"
+const DOT_SPACING = 22;
+
+const STUDENT_ROW_HEIGHT = 52;
+const STUDENT_ROW_OVERSCAN = 6;
 
 const STUDENT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#06b6d4'];
 
@@ -68,17 +56,30 @@ const els = {
   toggleText: document.getElementById('toggle-text'),
   settingsModeText: document.getElementById('settings-mode-text'),
   statSchool: document.getElementById('stat-school-count'),
-  statClass: document.getElementById('stat-class-count'),
-  statHostel: document.getElementById('stat-hostel-count'),
   statLeft: document.getElementById('stat-left-count'),
   statSneaked: document.getElementById('stat-sneaked-count'),
   statLeftMobile: document.getElementById('stat-left-count-mobile'),
   statSneakedMobile: document.getElementById('stat-sneaked-count-mobile'),
   studentList: document.getElementById('student-list'),
+  studentSearch: document.getElementById('student-search'),
+  studentFilterClass: document.getElementById('student-filter-class'),
+  studentFilterDorm: document.getElementById('student-filter-dorm'),
+  studentFilterLocation: document.getElementById('student-filter-location'),
   studentTotal: document.getElementById('student-total'),
   alertsList: document.getElementById('alerts-list'),
   btnClearAlerts: document.getElementById('btn-clear-alerts'),
-  btnDemo: document.getElementById('btn-demo'),
+  connectionType: document.getElementById('connection-type'),
+  bridgeUrl: document.getElementById('bridge-url'),
+  bridgeUrlRow: document.getElementById('bridge-url-row'),
+  btnSimulator: document.getElementById('btn-simulator'),
+  simControls: document.getElementById('sim-controls'),
+  simReader: document.getElementById('sim-reader'),
+  simCard: document.getElementById('sim-card'),
+  simTap: document.getElementById('sim-tap'),
+  simRemove: document.getElementById('sim-remove'),
+  simLcd: document.getElementById('sim-lcd'),
+  simGateState: document.getElementById('sim-gate-state'),
+  simReaders: document.getElementById('sim-readers'),
   alertSound: document.getElementById('alert-sound'),
   schoolMap: document.getElementById('school-map'),
   alertBadge: document.getElementById('alert-badge'),
@@ -87,96 +88,156 @@ const els = {
 };
 
 // ============================================================
-//  WEB SERIAL API
+//  CONNECTION (see transport.js)
 // ============================================================
-async function connectSerial() {
-  if (connected) { disconnectSerial(); return; }
-
-  if (!('serial' in navigator)) {
-    addAlert('critical', 'Web Serial API not supported. Use Chrome/Edge/Brave.');
-    return;
-  }
+const CONNECTION_KEY = 'gt-connection';
 
+function loadConnectionSettings() {
+  const defaults = {
+    type: SerialTransport.supported ? 'serial' : 'websocket',
+    bridgeUrl: `ws://${location.hostname || 'localhost'}:8080`
+  };
   try {
-    port = await navigator.serial.requestPort();
-    await port.open({ baudRate: 9600 });
-    connected = true;
-    updateConnectionUI(true);
-    addAlert('success', 'Connected to Arduino');
-
-    const textDecoder = new TextDecoderStream();
-    port.readable.pipeTo(textDecoder.writable);
-    reader = textDecoder.readable.getReader();
-
-    const textEncoder = new TextEncoderStream();
-    textEncoder.readable.pipeTo(port.writable);
-    writer = textEncoder.writable.getWriter();
-
-    sendCommand('SYNC');
-    readLoop();
-  } catch (err) {
-    addAlert('critical', 'Connection failed: ' + err.message);
+    return { ...defaults, ...JSON.parse(localStorage.getItem(CONNECTION_KEY)) };
+  } catch (e) {
+    return defaults;
   }
 }
 
-async function disconnectSerial() {
+function saveConnectionSettings() {
   try {
-    if (reader) { reader.cancel(); reader = null; }
-    if (writer) { writer.close(); writer = null; }
-    if (port) { await port.close(); port = null; }
-  } catch (e) { /* ignore */ }
+    localStorage.setItem(CONNECTION_KEY, JSON.stringify({
+      type: els.connectionType.value,
+      bridgeUrl: els.bridgeUrl.value.trim()
+    }));
+  } catch (e) { /* storage unavailable */ }
+  els.bridgeUrlRow.classList.toggle('hidden', els.connectionType.value !== 'websocket');
+}
 
-  connected = false;
-  updateConnectionUI(false);
-  addAlert('info', 'Disconnected from Arduino');
+function createTransport(type) {
+  switch (type) {
+    case 'websocket': return new WebSocketTransport(els.bridgeUrl.value.trim());
+    case 'simulator': return new SimulatorTransport({ onChange: updateSimulatorUI });
+    default: return new SerialTransport({ baudRate: 9600 });
+  }
+}
+
+async function toggleConnection() {
+  if (connected) {
+    await disconnectDevice();
+    return;
+  }
+  if (reconnectState) {
+    cancelReconnect();
+    return;
+  }
+  exitReplay();
+  const type = els.connectionType.value;
+  if (type === 'simulator') resetTracking();
+  await openTransport(createTransport(type));
 }
 
-async function readLoop() {
+// Resolves true once connected. `quiet` is for reconnect attempts, which
+// report their own outcome.
+async function openTransport(newTransport, { quiet = false } = {}) {
+  newTransport.onLine = processLine;
+  newTransport.onClose = (err) => {
+    if (transport === newTransport) connectionLost(newTransport, err);
+  };
+
+  // A fresh simulator holds the factory roster; give it demo profiles
+  if (newTransport instanceof SimulatorTransport) await seedDemoRoster(SIM_STUDENTS);
+
+  resetProtocol();
   try {
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      lineBuffer += value;
-      const lines = lineBuffer.split('\n');
-      lineBuffer = lines.pop();
-      for (const line of lines) {
-        if (line.trim()) processLine(line.trim());
-      }
-    }
-  } catch (e) {
-    if (connected) disconnectSerial();
+    await newTransport.open();
+  } catch (err) {
+    if (!quiet) addAlert('critical', t('alert.connectFailed', { error: err.message }));
+    return false;
+  }
+
+  transport = newTransport;
+  connected = true;
+  resetModeSync();
+  updateConnectionUI(true);
+  updateSimulatorUI();
+  if (newTransport instanceof SerialTransport) rememberSerialPort(newTransport.port);
+
+  if (quiet) {
+    // Reconnected — reconnect.js reports it
+  } else if (newTransport instanceof SimulatorTransport) {
+    populateSimulatorCards();
+    addAlert('success', t('alert.simulatorStarted'));
+  } else if (newTransport instanceof WebSocketTransport) {
+    addAlert('success', t('alert.bridgeConnected', { url: newTransport.url }));
+  } else {
+    addAlert('success', t('alert.arduinoConnected'));
   }
+
+  startHandshake();
+  sendCommand('SYNC');
+  return true;
+}
+
+// `lostError` is set when the link dropped by itself (see reconnect.js)
+async function disconnectDevice(lostError = null) {
+  const old = transport;
+  transport = null;
+  connected = false;
+  resetModeSync();
+  resetProtocol();
+  if (old) await old.close();
+
+  updateConnectionUI(false);
+  updateSimulatorUI();
+  if (lostError) addAlert('critical', t('alert.connectionLost', { error: lostError.message }), { push: 'connection' });
+  else if (old instanceof SimulatorTransport) addAlert('info', t('alert.simulatorStopped'));
+  else if (old instanceof WebSocketTransport) addAlert('info', t('alert.bridgeDisconnected'));
+  else addAlert('info', t('alert.arduinoDisconnected'));
 }
 
 async function sendCommand(cmd) {
-  if (!writer) return;
-  try { await writer.write(cmd + '\n'); } catch (e) { /* ignore */ }
+  if (!transport) return;
+  recordLine('tx', cmd);
+  logConsoleLine('tx', cmd);
+  try { await transport.write(cmd); } catch (e) { /* ignore */ }
 }
 
 // ============================================================
 //  MESSAGE PARSING
 // ============================================================
+// Validation, checksums and sequence tracking live in protocol.js
 function processLine(line) {
-  try {
-    if (line.startsWith('{')) {
-      const data = JSON.parse(line);
-      handleEvent(data);
-    }
-  } catch (e) { /* skip non-JSON lines */ }
+  recordLine('rx', line);
+  logConsoleLine('rx', line);
+  const data = readDeviceLine(line);
+  if (!data) return;
+  handleEvent(data);
+  noteDiagnostics(data);
+  noteRulesEvent(data);
+  forwardEvent(data);
+  noteSyncLine(data);
 }
 
 function handleEvent(data) {
+  recordEvent(data);
+
   switch (data.event) {
     case 'student_info': handleStudentInfo(data); break;
     case 'status': handleStatusUpdate(data); break;
     case 'scan': handleScan(data); break;
     case 'approved': handleApproved(data); break;
+    case 'denied': handleDenied(data); break;
+    case 'gate_timeout': handleGateTimeout(data); break;
+    case 'command_error': handleCommandError(data); break;
+    case 'roster_ack': handleRosterAck(data); break;
+    case 'roster_saved': handleRosterSaved(data); break;
     case 'sneaked': handleSneaked(data); break;
     case 'zone_change': handleZoneChange(data); break;
     case 'alarm': handleAlarm(data); break;
     case 'mode_change': handleModeChange(data); break;
-    case 'unknown_card': addAlert('warning', `Unknown card at ${data.zone || 'reader'}`); break;
-    case 'boot': addAlert('success', 'Arduino booted successfully'); break;
+    case 'unknown_card': handleUnknownCard(data); break;
+    case 'boot': handleBoot(data); break;
   }
 }
 
@@ -184,18 +245,49 @@ function handleEvent(data) {
 //  EVENT HANDLERS
 // ============================================================
 function handleStudentInfo(data) {
-  const existing = state.students.find(s => s.id === data.id);
-  if (existing) {
-    Object.assign(existing, data);
+  noteDeviceStudent(data);
+
+  // Profiles come from the dashboard roster; older firmware sent them inline
+  const profile = rosterProfile(data.id) || {};
+  const info = {
+    id: data.id, name: data.name, uid: data.uid || profile.uid || null,
+    classGrade: profile.classGrade || data.class || '',
+    dormRoom: profile.dormRoom || data.dorm || '',
+    contact: profile.contact || data.contact || '',
+    location: data.location
+  };
+
+  const index = state.students.findIndex(s => s.id === data.id);
+  if (data.active === 0) {
+    if (index >= 0) state.students.splice(index, 1);
+  } else if (index >= 0) {
+    Object.assign(state.students[index], info);
   } else {
-    state.students.push({
-      id: data.id, name: data.name, classGrade: data.class,
-      dormRoom: data.dorm, contact: data.contact, location: data.location
-    });
+    state.students.push(info);
   }
-  els.studentTotal.textContent = state.students.length + ' registered';
-  renderStudentList();
-  renderMapDots();
+  refreshStudents();
+}
+
+// Locations live in the Arduino's RAM, so a boot wipes them
+function handleBoot(data) {
+  const known = state.students.filter(s => s.location !== LOC.UNKNOWN).length;
+  noteDeviceReset();
+  if (known === 0) {
+    addAlert('success', data.firmware ? t('alert.bootedFirmware', { firmware: data.firmware }) : t('alert.booted'));
+    return;
+  }
+  addAlert('warning', t('alert.restarted', { count: known }));
+}
+
+function handleCommandError(data) {
+  if (String(data.command || '').startsWith('ROSTER')) handleRosterCommandError(data);
+  else handleGateCommandError(data);
+}
+
+function handleUnknownCard(data) {
+  if (offerCardEnrollment(data)) return;
+  const zone = data.zone || t('alert.reader');
+  addAlert('warning', data.uid ? t('alert.unknownCard', { card: data.uid, zone }) : t('alert.unknownCardNoId', { zone }));
 }
 
 function handleStatusUpdate(data) {
@@ -206,26 +298,51 @@ function handleStatusUpdate(data) {
   if (data.mode) {
     state.mode = data.mode;
     updateModeUI();
+    noteDeviceMode();
   }
   updateStatsUI();
+  recordSample(state.stats);
 }
 
 function handleScan(data) {
-  const s = state.students.find(s => s.name === data.student);
-  if (s) { s.location = LOC.AT_GATE; renderStudentList(); renderMapDots(); }
-  addAlert('warning', `🚪 ${data.student} at gate — awaiting approval`);
+  const s = eventStudent(data);
+  notePermitReturn(s, 'gate');
+  openGateRequest(data, s);
+  if (s) moveStudent(s, LOC.AT_GATE, data.zone);
+  addAlert('warning', t('alert.scan', { student: data.student }), { student: data.student, studentId: data.id, push: 'scan' });
 }
 
 function handleApproved(data) {
-  const s = state.students.find(s => s.name === data.student);
-  if (s) { s.location = LOC.LEFT; renderStudentList(); renderMapDots(); }
-  addAlert('success', `✅ ${data.student} — exit approved`);
+  const s = eventStudent(data);
+  if (s) moveStudent(s, LOC.LEFT);
+  issuePermit(data, s);
+  const by = describeDecider(data.by);
+  closeGateRequest(data, t('gate.approvedBy', { by }));
+  addAlert('success', t('alert.approved', { student: data.student, by }), { student: data.student, studentId: data.id });
+  notifyParent('approved', data);
+}
+
+function handleDenied(data) {
+  const s = eventStudent(data);
+  if (s) moveStudent(s, gateReturnLocation(data), gateReturnReader(data));
+  const by = describeDecider(data.by);
+  closeGateRequest(data, t('gate.deniedBy', { by }));
+  addAlert('warning', t('alert.denied', { student: data.student, by }), { student: data.student, studentId: data.id });
+}
+
+function handleGateTimeout(data) {
+  const s = eventStudent(data);
+  if (s) moveStudent(s, gateReturnLocation(data), gateReturnReader(data));
+  closeGateRequest(data, t('gate.expired'));
+  addAlert('warning', t('alert.timeout', { student: data.student }), { student: data.student, studentId: data.id });
 }
 
 function handleSneaked(data) {
-  const s = state.students.find(s => s.name === data.student);
-  if (s) { s.location = LOC.SNEAKED; renderStudentList(); renderMapDots(); }
-  addAlert('critical', `🚨 ALERT: ${data.student} sneaked out!`);
+  const s = eventStudent(data);
+  if (s) moveStudent(s, LOC.SNEAKED);
+  closeGateRequest(data, t('gate.leftUnapproved'));
+  addAlert('critical', t('alert.sneaked', { student: data.student }), { student: data.student, studentId: data.id, track: true, push: 'sneaked' });
+  notifyParent('sneaked', data);
   playAlertSound();
   vibrateDevice();
   document.body.classList.add('sneak-alert-active');
@@ -233,70 +350,68 @@ function handleSneaked(data) {
 }
 
 function handleZoneChange(data) {
-  const s = state.students.find(s => s.name === data.student);
-  if (s) {
-    s.location = data.zone === 'classroom' ? LOC.CLASSROOM : LOC.HOSTEL;
-    renderStudentList();
-    renderMapDots();
-  }
-  const icon = data.zone === 'classroom' ? '📚' : '🏠';
-  addAlert('info', `${icon} ${data.student} → ${data.zone}`);
+  const s = eventStudent(data);
+  if (s) moveStudent(s, readerLocation(data.zone), data.zone);
+  notePermitReturn(s, data.zone);
+  const zone = zoneForReader(data.zone);
+  const place = zone ? zone.name : data.zone;
+  closeGateRequest(data, t('gate.wentBack', { place: place.toLowerCase() }));
+  addAlert('info', t('alert.zoneChange', { icon: zone && zone.icon ? zone.icon : '📍', student: data.student, place }), { student: data.student, studentId: data.id });
+  checkZoneRules(data, s);
 }
 
 function handleAlarm(data) {
-  addAlert('critical', `⚠️ Alarm: ${data.student} — ${data.reason || 'security breach'}`);
+  addAlert('critical', t('alert.alarm', { student: data.student, reason: data.reason || t('alert.securityBreach') }), { student: data.student, studentId: data.id, track: true, push: 'alarm' });
   playAlertSound();
   vibrateDevice();
 }
 
 function handleModeChange(data) {
+  const request = confirmModeChange(data.mode);
   state.mode = data.mode;
   updateModeUI();
-  addAlert('info', `Mode changed to ${data.mode === 'class' ? 'Class Time' : 'Free Time'}`);
+  const key = request && request.source === 'timetable' ? 'alert.modeChangedTimetable' : 'alert.modeChanged';
+  addAlert('info', t(key, { mode: MODE_LABELS[data.mode] || data.mode }));
 }
 
 // ============================================================
 //  UI RENDERING
 // ============================================================
 function updateConnectionUI(isConnected) {
-  els.statusDot.className = `w-2 h-2 rounded-full ${isConnected ? 'bg-accent animate-pulse' : 'bg-red-500 animate-pulse'}`;
-  els.statusText.textContent = isConnected ? 'Connected' : 'Disconnected';
-  els.btnConnect.querySelector('span').textContent = isConnected ? 'Disconnect' : 'Connect';
+  const retrying = !isConnected && reconnectState;
+  const replaying = !isConnected && isReplaying();
+  els.statusDot.className = `w-2 h-2 rounded-full ${isConnected ? 'bg-accent' : retrying || replaying ? 'bg-amber-400' : 'bg-red-500'} animate-pulse`;
+  els.statusText.textContent = isConnected
+    ? t('connection.connected', { transport: transport.label })
+    : retrying ? t('connection.reconnecting', { attempt: reconnectState.attempt + 1 })
+      : t(replaying ? 'connection.replaying' : 'connection.disconnected');
+  els.btnConnect.querySelector('span').textContent = t(isConnected ? 'connection.disconnect' : retrying ? 'connection.cancel' : 'connection.connect');
 }
 
 function updateModeUI() {
+  // Badge shows the confirmed mode; toggles show a switch still in flight
   const isClass = state.mode === 'class';
-  els.modeBadge.textContent = isClass ? 'CLASS TIME' : 'FREE TIME';
+  const showClass = displayedMode() === 'class';
+  els.modeBadge.textContent = MODE_LABELS[isClass ? 'class' : 'free'];
   els.modeBadge.classList.toggle('class-mode', isClass);
-  els.modeCheckbox.checked = isClass;
-  els.toggleText.textContent = isClass ? 'Class Time' : 'Free Time';
+  els.modeCheckbox.checked = showClass;
+  els.toggleText.textContent = modeRequest ? t('mode.switching') : MODE_LABELS[isClass ? 'class' : 'free'];
   if (els.settingsModeCheckbox) {
-    els.settingsModeCheckbox.checked = isClass;
-    els.settingsModeText.textContent = isClass ? 'Class Time — restrictions enforced' : 'Free Time — no restrictions';
+    els.settingsModeCheckbox.checked = showClass;
+    els.settingsModeText.textContent = modeRequest
+      ? t('mode.switchingTo', { mode: MODE_LABELS[modeRequest.mode] })
+      : t(isClass ? 'mode.classDetail' : 'mode.freeDetail');
   }
 }
 
+// In School and the zone counts follow the students (see renderZone)
 function updateStatsUI() {
-  const total = state.stats.classroom + state.stats.hostel;
-  animateNumber(els.statSchool, total);
-  animateNumber(els.statClass, state.stats.classroom);
-  animateNumber(els.statHostel, state.stats.hostel);
   animateNumber(els.statLeft, state.stats.left);
   animateNumber(els.statSneaked, state.stats.sneaked);
 
   // Mobile stat duplicates
   if (els.statLeftMobile) els.statLeftMobile.textContent = state.stats.left;
   if (els.statSneakedMobile) els.statSneakedMobile.textContent = state.stats.sneaked;
-
-  // Update map zone counts
-  const classCount = document.getElementById('class-zone-count');
-  const hostelCount = document.getElementById('hostel-zone-count');
-  const gateCount = document.getElementById('gate-zone-count');
-  if (classCount) classCount.textContent = state.stats.classroom + ' students';
-  if (hostelCount) hostelCount.textContent = state.stats.hostel + ' students';
-
-  const gateStudents = state.students.filter(s => s.location === LOC.AT_GATE).length;
-  if (gateCount) gateCount.textContent = gateStudents + ' students';
 }
 
 function animateNumber(el, target) {
@@ -308,81 +423,315 @@ function animateNumber(el, target) {
   setTimeout(() => el.classList.remove('updated'), 500);
 }
 
+// ============================================================
+//  HTML ESCAPING
+// ============================================================
+// Names are typed in by staff now, so never trust them as markup
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+// ============================================================
+//  FILE DOWNLOADS
+// ============================================================
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Quote every cell so commas, quotes and line breaks survive. Text that
+// a spreadsheet would run as a formula (names, reasons and console
+// commands are typed by people) gets a leading apostrophe.
+function csvCell(v) {
+  let text = v === null || v === undefined ? '' : String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(',');
+}
+
+// Print a plain black-on-white sheet instead of the dashboard (see @media print)
+function printSheet(html) {
+  const sheet = document.getElementById('print-sheet');
+  sheet.innerHTML = html;
+  document.body.classList.add('printing');
+  window.print();
+  document.body.classList.remove('printing');
+}
+
+// ============================================================
+//  RENDER SCHEDULING
+// ============================================================
+// Events only note what changed; the next animation frame redraws the
+// visible rows of the list and just the map zones someone entered or
+// left, so a burst of zone_change lines or a full sync is one repaint.
+const renderQueue = { roster: false, list: false, zones: new Set() };
+let renderFrame = 0;
+
+function scheduleRender() {
+  if (!renderFrame) renderFrame = requestAnimationFrame(flushRender);
+}
+
+// Students were added, removed or edited
+function refreshStudents() {
+  renderQueue.roster = true;
+  renderQueue.list = true;
+  campusMap.zones.forEach(zone => renderQueue.zones.add(zone.id));
+  scheduleRender();
+}
+
+// `reader` is the reader that put them there, when an event says
+function moveStudent(s, location, reader = null) {
+  if (s.location === location && (s.reader || null) === reader) return;
+  const from = zoneForStudent(s);
+  s.location = location;
+  s.reader = reader;
+  [from, zoneForStudent(s)].forEach(zone => {
+    if (zone) renderQueue.zones.add(zone.id);
+  });
+  renderQueue.list = true;
+  scheduleRender();
+}
+
+function flushRender() {
+  renderFrame = 0;
+  if (renderQueue.roster) {
+    updateStudentFilterOptions();
+    updateHistoryStudentOptions();
+  }
+  if (renderQueue.list) {
+    renderStudentList();
+    refreshRollCall();
+  }
+  renderQueue.zones.forEach(renderZone);
+  if (renderQueue.zones.size) {
+    animateNumber(els.statSchool, state.students.filter(s => {
+      const zone = zoneForStudent(s);
+      return zone && zone.kind === 'inside';
+    }).length);
+  }
+
+  renderQueue.roster = false;
+  renderQueue.list = false;
+  renderQueue.zones.clear();
+}
+
 // ============================================================
 //  STUDENT LIST
 // ============================================================
+// Only the rows scrolled into view are in the DOM, positioned inside a
+// spacer as tall as the whole filtered list. Rows are kept per student
+// and only rewritten when what they show changes.
+let listStudents = [];
+const listRows = new Map();   // student id → { el, html }
+
+function studentInitials(name) {
+  return name.split(' ').map(n => n[0]).join('').substring(0, 2);
+}
+
+// Sneaked out first, then waiting at the gate, then everyone by name
+function listRank(s) {
+  if (s.location === LOC.SNEAKED) return 0;
+  return s.location === LOC.AT_GATE ? 1 : 2;
+}
+
+function studentMatches(s, query, filters) {
+  if (filters.classGrade && s.classGrade !== filters.classGrade) return false;
+  if (filters.dormRoom && s.dormRoom !== filters.dormRoom) return false;
+  if (filters.zone) {
+    const zone = zoneForStudent(s);
+    if (!zone || zone.id !== filters.zone) return false;
+  }
+  return !query || [s.name, s.classGrade, s.dormRoom, s.uid]
+    .some(value => value && String(value).toLowerCase().includes(query));
+}
+
 function renderStudentList() {
-  if (state.students.length === 0) {
-    els.studentList.innerHTML = '<div class="empty-state px-4 py-8 text-center"><p class="text-white/25 text-xs">Connect Arduino to see students</p></div>';
+  const query = els.studentSearch.value.trim().toLowerCase();
+  const filters = {
+    classGrade: els.studentFilterClass.value,
+    dormRoom: els.studentFilterDorm.value,
+    zone: els.studentFilterLocation.value
+  };
+  listStudents = state.students.filter(s => studentMatches(s, query, filters))
+    .sort((a, b) => listRank(a) - listRank(b) || a.name.localeCompare(b.name));
+
+  const total = state.students.length;
+  els.studentTotal.textContent = listStudents.length === total
+    ? t('students.registered', { count: total })
+    : t('students.filtered', { shown: listStudents.length, total });
+
+  if (listStudents.length === 0) {
+    listRows.clear();
+    const message = t(total ? 'students.noMatch' : 'students.connect');
+    els.studentList.innerHTML = `<div class="empty-state px-4 py-8 text-center"><p class="text-white/25 text-xs">${message}</p></div>`;
     return;
   }
 
-  const sorted = [...state.students].sort((a, b) => {
-    if (a.location === LOC.SNEAKED) return -1;
-    if (b.location === LOC.SNEAKED) return 1;
-    if (a.location === LOC.AT_GATE) return -1;
-    if (b.location === LOC.AT_GATE) return 1;
-    return 0;
+  let rows = els.studentList.querySelector('.student-rows');
+  if (!rows) {
+    listRows.clear();
+    els.studentList.innerHTML = '<div class="student-rows"></div>';
+    rows = els.studentList.firstElementChild;
+  }
+  rows.style.height = `${listStudents.length * STUDENT_ROW_HEIGHT}px`;
+  renderStudentWindow();
+}
+
+function studentRowHtml(s) {
+  const color = STUDENT_COLORS[s.id % STUDENT_COLORS.length];
+  const meta = [s.classGrade, s.dormRoom].filter(Boolean).join(' · ') || t('students.noProfile');
+
+  return `<div class="student-avatar" style="background:${color}20; color:${color}">${escapeHtml(studentInitials(s.name))}</div>
+    <div class="student-details">
+      <div class="student-name">${escapeHtml(s.name)}</div>
+      <div class="student-meta">${escapeHtml(meta)}</div>
+    </div>
+    ${studentPlaceHtml(s)}`;
+}
+
+function renderStudentWindow() {
+  const rows = els.studentList.querySelector('.student-rows');
+  if (!rows) return;
+
+  // A hidden tab has no height yet — draw a screenful anyway
+  const viewport = els.studentList.clientHeight || 280;
+  const first = Math.max(0, Math.floor(els.studentList.scrollTop / STUDENT_ROW_HEIGHT) - STUDENT_ROW_OVERSCAN);
+  const last = Math.min(listStudents.length, first + Math.ceil(viewport / STUDENT_ROW_HEIGHT) + 2 * STUDENT_ROW_OVERSCAN);
+
+  const visible = new Set();
+  for (let i = first; i < last; i++) {
+    const s = listStudents[i];
+    let row = listRows.get(s.id);
+    if (!row) {
+      row = { el: document.createElement('div'), html: '' };
+      row.el.className = 'student-item';
+      row.el.dataset.studentId = s.id;
+      rows.appendChild(row.el);
+      listRows.set(s.id, row);
+    }
+    const html = studentRowHtml(s);
+    if (row.html !== html) {
+      row.el.innerHTML = html;
+      row.html = html;
+    }
+    row.el.style.top = `${i * STUDENT_ROW_HEIGHT}px`;
+    visible.add(s.id);
+  }
+
+  listRows.forEach((row, id) => {
+    if (visible.has(id)) return;
+    row.el.remove();
+    listRows.delete(id);
   });
+}
 
-  els.studentList.innerHTML = sorted.map((s, i) => {
-    const color = STUDENT_COLORS[s.id % STUDENT_COLORS.length];
-    const initials = s.name.split(' ').map(n => n[0]).join('').substring(0, 2);
-    const locClass = LOC_CSS[s.location] || 'unknown';
-    const locName = LOC_NAMES[s.location] || 'Unknown';
-
-    return `<div class="student-item">
-      <div class="student-avatar" style="background:${color}20; color:${color}">${initials}</div>
-      <div class="student-details">
-        <div class="student-name">${s.name}</div>
-        <div class="student-meta">${s.classGrade} · ${s.dormRoom}</div>
-      </div>
-      <span class="student-status ${locClass}">${locName}</span>
-    </div>`;
-  }).join('');
+function updateStudentFilterOptions() {
+  const fill = (select, label, values) => {
+    const selected = select.value;
+    const options = [...new Set(values.filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    select.innerHTML = `<option value="">${label}</option>` +
+      options.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+    select.value = options.includes(selected) ? selected : '';
+  };
+  fill(els.studentFilterClass, t('students.allClasses'), state.students.map(s => s.classGrade));
+  fill(els.studentFilterDorm, t('students.allDorms'), state.students.map(s => s.dormRoom));
 }
 
-// ============================================================
-//  MAP RENDERING
-// ============================================================
-function renderMapDots() {
-  const classStudents = state.students.filter(s => s.location === LOC.CLASSROOM);
-  const hostelStudents = state.students.filter(s => s.location === LOC.HOSTEL);
-  const gateStudents = state.students.filter(s => s.location === LOC.AT_GATE);
-  const sneakedStudents = state.students.filter(s => s.location === LOC.SNEAKED);
-  const leftStudents = state.students.filter(s => s.location === LOC.LEFT);
+// "+N more" on the map: list everyone in that zone
+function showZoneInList(zone) {
+  els.studentSearch.value = '';
+  els.studentFilterLocation.value = zone;
+  els.studentList.scrollTop = 0;
+  renderStudentList();
+  switchTab('students');
+}
 
-  renderZoneDots('classroom-students', classStudents, 'classroom');
-  renderZoneDots('hostel-students', hostelStudents, 'hostel');
-  renderZoneDots('gate-students', gateStudents, 'gate');
-  renderZoneDots('outside-students', [...sneakedStudents, ...leftStudents], 'outside');
+function updateStudentLocationOptions() {
+  const selected = els.studentFilterLocation.value;
+  els.studentFilterLocation.innerHTML = `<option value="">${t('students.allLocations')}</option>` +
+    campusMap.zones.map(z => `<option value="${z.id}">${escapeHtml(zonePlaceName(z))}</option>`).join('');
+  els.studentFilterLocation.value = mapZone(selected) ? selected : '';
 }
 
-function renderZoneDots(containerId, students, zoneName) {
-  const container = document.getElementById(containerId);
-  if (!container) return;
+function initStudentList() {
+  updateStudentLocationOptions();
+  updateStudentFilterOptions();
 
-  const positions = ZONE_POSITIONS[zoneName] || [];
-  let svg = '';
+  els.studentSearch.addEventListener('input', () => {
+    els.studentList.scrollTop = 0;
+    renderStudentList();
+  });
+  [els.studentFilterClass, els.studentFilterDorm, els.studentFilterLocation].forEach(el =>
+    el.addEventListener('change', () => {
+      els.studentList.scrollTop = 0;
+      renderStudentList();
+    }));
+  els.studentList.addEventListener('scroll', renderStudentWindow, { passive: true });
+}
 
-  students.forEach((s, i) => {
-    const pos = positions[i % positions.length];
-    if (!pos) return;
+// ============================================================
+//  MAP RENDERING
+// ============================================================
+function zoneSlots(zone) {
+  const area = mapZoneLayout(zone).area;
+  const cols = Math.max(2, Math.floor(area.w / DOT_SPACING) + 1);
+  const rows = Math.floor(area.h / DOT_SPACING) + 1;
+  const slots = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) slots.push({ x: area.x + c * DOT_SPACING, y: area.y + r * DOT_SPACING });
+  }
+  return slots;
+}
 
-    const color = STUDENT_COLORS[s.id % STUDENT_COLORS.length];
-    const initials = s.name.split(' ').map(n => n[0]).join('').substring(0, 2);
+function renderZone(id) {
+  const zone = mapZone(id);
+  const container = document.getElementById(`zone-students-${id}`);
+  if (!zone || !container) return;
+
+  // Sneaked students are never the ones folded into "+N more"
+  const students = state.students.filter(s => zoneForStudent(s) === zone)
+    .sort((a, b) => (b.location === LOC.SNEAKED) - (a.location === LOC.SNEAKED));
+  const count = document.getElementById(`zone-count-${id}`);
+  if (count) count.textContent = t('map.students', { count: students.length });
+  animateNumber(document.getElementById(`stat-zone-${id}`), students.length);
+  const slots = zoneSlots(zone);
+  const overflow = students.length > slots.length;
+  const shown = overflow ? students.slice(0, slots.length - 2) : students;
+
+  let svg = shown.map((s, i) => {
+    const { x, y } = slots[i];
     const isSneaked = s.location === LOC.SNEAKED;
-    const dotColor = isSneaked ? '#ef4444' : color;
-    const extraClass = isSneaked ? 'sneaked' : '';
-
-    const offsetX = (i * 7) % 20 - 10;
-    const offsetY = (i * 5) % 15 - 7;
+    const dotColor = isSneaked ? '#ef4444' : STUDENT_COLORS[s.id % STUDENT_COLORS.length];
 
-    svg += `<g class="student-dot ${extraClass}" transform="translate(${pos.x + offsetX}, ${pos.y + offsetY})">
+    return `<g class="student-dot ${isSneaked ? 'sneaked' : ''}" data-student-id="${s.id}" transform="translate(${x}, ${y})">
+      <title>${escapeHtml(s.name)}</title>
       <circle r="10" fill="${dotColor}" opacity="0.9" filter="url(#glow)" />
-      <text dy="0.5">${initials}</text>
+      <text dy="0.5">${escapeHtml(studentInitials(s.name))}</text>
     </g>`;
-  });
+  }).join('');
+
+  // The last two slots become one "+N more" pill
+  if (overflow) {
+    const a = slots[slots.length - 2];
+    const b = slots[slots.length - 1];
+    svg += `<g class="zone-more" data-zone-more="${id}" transform="translate(${(a.x + b.x) / 2}, ${a.y})">
+      <title>${t('map.showAll', { count: students.length })}</title>
+      <rect x="-21" y="-9" width="42" height="18" rx="9" />
+      <text dy="0.5">${t('map.more', { count: students.length - shown.length })}</text>
+    </g>`;
+  }
 
   container.innerHTML = svg;
 }
@@ -390,11 +739,34 @@ function renderZoneDots(containerId, students, zoneName) {
 // ============================================================
 //  ALERTS
 // ============================================================
-function addAlert(type, message) {
+const ALERT_LIMIT = 50;
+let alertSeq = 0;
+
+// `details.student` (name) and `details.studentId` tie the alert to a
+// student; `details.track` starts the acknowledge/resolve workflow (see alerts.js);
+// `details.kind` names a report the alert opens (e.g. 'offline_report');
+// `details.push` is the type it is announced as in system notifications (push.js).
+function addAlert(type, message, details = {}) {
   const now = new Date();
-  const time = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-  state.alerts.unshift({ type, message, time });
-  if (state.alerts.length > 50) state.alerts.pop();
+  const alert = {
+    id: `${now.getTime().toString(36)}-${++alertSeq}`,
+    type,
+    message,
+    student: details.student || null,
+    studentId: typeof details.studentId === 'number' ? details.studentId : null,
+    kind: details.kind || null,
+    ts: now.getTime(),
+    time: formatTime(now),
+    status: null
+  };
+  if (details.track) trackAlert(alert);
+
+  state.alerts.unshift(alert);
+  if (state.alerts.length > ALERT_LIMIT) {
+    // Drop the oldest alert that nobody still has to act on
+    const index = state.alerts.map(a => isUnresolved(a)).lastIndexOf(false);
+    if (index >= 0) state.alerts.splice(index, 1);
+  }
 
   // Update badge if not on alerts tab
   if (state.activeTab !== 'alerts') {
@@ -403,28 +775,45 @@ function addAlert(type, message) {
   }
 
   renderAlerts();
+  if (details.push) pushNotify(details.push, alert);
+  return alert;
 }
 
 function renderAlerts() {
   if (state.alerts.length === 0) {
-    els.alertsList.innerHTML = '<div class="empty-state px-4 py-8 text-center"><p class="text-white/25 text-xs">No alerts yet</p></div>';
+    els.alertsList.innerHTML = `<div class="empty-state px-4 py-8 text-center"><p class="text-white/25 text-xs">${t('alert.none')}</p></div>`;
     return;
   }
 
-  els.alertsList.innerHTML = state.alerts.map(a => `
-    <div class="alert-item ${a.type === 'critical' ? 'critical' : ''}">
+  els.alertsList.innerHTML = state.alerts.map(a => {
+    const meta = [a.time, a.assignee && `→ ${escapeHtml(a.assignee)}`, a.escalations && t('alert.escalated', { count: a.escalations })]
+      .filter(Boolean).join(' · ');
+    const actions = a.status === 'open'
+      ? `<button type="button" class="alert-action" data-alert-action="ack">${t('alert.ack')}</button>`
+      : a.status === 'acknowledged'
+        ? `<button type="button" class="alert-action" data-alert-action="resolve">${t('alert.resolve')}</button>`
+        : '';
+    return `
+    <div class="alert-item ${a.type === 'critical' ? 'critical' : ''} ${a.status ? 'tracked ' + a.status : ''} ${a.student || a.kind ? 'linked' : ''}" data-alert-id="${a.id}">
       <div class="alert-icon ${a.type}"></div>
       <div class="alert-content">
-        <div class="alert-message">${a.message}</div>
-        <div class="alert-time">${a.time}</div>
+        <div class="alert-message">${escapeHtml(a.message)}</div>
+        <div class="alert-time">${meta}</div>
       </div>
-    </div>
-  `).join('');
+      ${a.status ? `<span class="student-status ${ALERT_STATUS_CSS[a.status]}">${ALERT_STATUS_LABELS[a.status]}</span>` : ''}
+      ${actions}
+    </div>`;
+  }).join('');
 }
 
+// Unresolved critical alerts survive Clear — they have to be resolved
 function clearAlerts() {
-  state.alerts = [];
-  renderAlerts();
+  withOperator('clear_alerts', () => {
+    const before = state.alerts.length;
+    state.alerts = state.alerts.filter(isUnresolved);
+    renderAlerts();
+    return before === state.alerts.length ? null : { target: 'alerts', before, after: state.alerts.length };
+  });
 }
 
 function updateAlertBadge() {
@@ -441,7 +830,7 @@ function updateAlertBadge() {
 //  SOUND & HAPTICS
 // ============================================================
 function playAlertSound() {
-  if (!els.alertSound) return;
+  if (!els.alertSound || isReplaying()) return;
   try {
     els.alertSound.currentTime = 0;
     els.alertSound.play().catch(() => {});
@@ -449,7 +838,7 @@ function playAlertSound() {
 }
 
 function vibrateDevice() {
-  if ('vibrate' in navigator) {
+  if ('vibrate' in navigator && !isReplaying()) {
     navigator.vibrate([200, 100, 200, 100, 400]);
   }
 }
@@ -474,6 +863,10 @@ function switchTab(tabName) {
     if (target) target.classList.add('active');
   }
 
+  // The list may have been laid out while its panel was hidden
+  if (tabName === 'students') renderStudentWindow();
+  if (tabName === 'analytics') renderAnalytics();
+
   // Clear alert badge when viewing alerts
   if (tabName === 'alerts') {
     state.unreadAlerts = 0;
@@ -493,8 +886,8 @@ function handleResize() {
 // ============================================================
 //  3D TILT EFFECT
 // ============================================================
-function initTiltEffect() {
-  document.querySelectorAll('[data-tilt]').forEach(card => {
+function initTiltEffect(root = document) {
+  root.querySelectorAll('[data-tilt]').forEach(card => {
     card.addEventListener('mousemove', (e) => {
       const rect = card.getBoundingClientRect();
       const x = (e.clientX - rect.left) / rect.width - 0.5;
@@ -511,30 +904,71 @@ function initTiltEffect() {
 }
 
 // ============================================================
-//  DEMO MODE
+//  SIMULATOR
 // ============================================================
-function loadDemoData() {
-  const demoStudents = [
-    { id: 0, name: 'Ali Hassan', classGrade: 'Form 3A', dormRoom: 'Dorm A, Rm 5', contact: '+254700000001', location: LOC.CLASSROOM },
-    { id: 1, name: 'Fatima Said', classGrade: 'Form 3B', dormRoom: 'Dorm B, Rm 12', contact: '+254700000002', location: LOC.HOSTEL },
-    { id: 2, name: 'James Ochieng', classGrade: 'Form 4A', dormRoom: 'Dorm A, Rm 8', contact: '+254700000003', location: LOC.CLASSROOM },
-    { id: 3, name: 'Sarah Wanjiku', classGrade: 'Form 4B', dormRoom: 'Dorm C, Rm 3', contact: '+254700000004', location: LOC.CLASSROOM },
-    { id: 4, name: 'David Mutua', classGrade: 'Form 2A', dormRoom: 'Dorm B, Rm 7', contact: '+254700000005', location: LOC.HOSTEL }
-  ];
+function resetTracking() {
+  state.students = [];
+  state.stats = { classroom: 0, hostel: 0, left: 0, sneaked: 0 };
+  updateStatsUI();
+  refreshStudents();
+}
 
-  state.students = demoStudents;
-  state.stats = { classroom: 3, hostel: 2, left: 0, sneaked: 0 };
-  state.mode = 'free';
+function activeSimulator() {
+  return transport instanceof SimulatorTransport ? transport.simulator : null;
+}
 
-  updateStatsUI();
-  updateModeUI();
-  renderStudentList();
-  renderMapDots();
-  els.studentTotal.textContent = state.students.length + ' registered';
+async function toggleSimulator() {
+  if (activeSimulator()) {
+    await disconnectDevice();
+    return;
+  }
+  if (connected) await disconnectDevice();
+  exitReplay();
+  resetTracking();
+  await openTransport(new SimulatorTransport({ onChange: updateSimulatorUI }));
+}
 
-  addAlert('info', '📊 Demo data loaded — connect Arduino for live tracking');
-  addAlert('info', '💡 Tip: Press Ctrl+Shift+D to toggle demo mode');
-  addAlert('success', '🛡️ Guardian-Track ready. Click Connect to start monitoring.');
+function populateSimulatorCards() {
+  const simulator = activeSimulator();
+  if (!els.simCard || !simulator) return;
+  // A new blank card each time the roster changes, for trying enrollment
+  const blankUid = Array.from({ length: 4 }, () =>
+    Math.floor(Math.random() * 256).toString(16).toUpperCase().padStart(2, '0')).join(':');
+  const chosen = els.simCard.value;
+  els.simCard.innerHTML = simulator.students.filter(s => s.active).map(s =>
+    `<option value="${s.uid}">${escapeHtml(s.name)}</option>`
+  ).join('') +
+    `<option value="${SIM_ADMIN_UID}">${t('simulator.adminCard')}</option>` +
+    `<option value="${blankUid}">${t('simulator.blankCard', { uid: blankUid })}</option>`;
+  if ([...els.simCard.options].some(o => o.value === chosen)) els.simCard.value = chosen;
+}
+
+function updateSimulatorUI() {
+  const simulator = activeSimulator();
+  if (!els.simControls) return;
+  els.simControls.classList.toggle('hidden', !simulator);
+  if (els.btnSimulator) els.btnSimulator.textContent = t(simulator ? 'simulator.stop' : 'simulator.start');
+  if (!simulator) return;
+
+  const [line1, line2] = simulator.lcd;
+  const lcdText = `${line1.padEnd(16).substring(0, 16)}\n${line2.padEnd(16).substring(0, 16)}`;
+  if (els.simLcd.textContent !== lcdText) els.simLcd.textContent = lcdText;
+
+  const gateText = t(...simulator.describeGate());
+  if (els.simGateState.textContent !== gateText) els.simGateState.textContent = gateText;
+
+  const cardName = uid => {
+    if (uid === SIM_ADMIN_UID) return t('simulator.admin');
+    const s = simulator.students.find(s => s.uid === uid);
+    return s ? s.name : uid;
+  };
+  const gateCard = simulator.cards.gate;
+  const readersText = [
+    t('simulator.gateCard', { card: gateCard ? cardName(gateCard.uid) : t('simulator.noCard') }),
+    simulator.gateOpen && t('simulator.gateOpen'),
+    simulator.alarmActive && t('simulator.buzzerOn')
+  ].filter(Boolean).join(' · ');
+  if (els.simReaders.textContent !== readersText) els.simReaders.textContent = readersText;
 }
 
 // ============================================================
@@ -553,15 +987,28 @@ function init() {
   // PWA
   registerSW();
 
-  // Connect button
-  els.btnConnect.addEventListener('click', connectSerial);
-
-  // Mode toggles
-  function toggleMode() {
-    const newMode = state.mode === 'free' ? 'CLASS' : 'FREE';
-    sendCommand('MODE:' + newMode);
-    state.mode = newMode.toLowerCase();
-    updateModeUI();
+  // Language — before anything below draws text
+  initLanguage();
+
+  // Connection
+  const connection = loadConnectionSettings();
+  els.connectionType.value = connection.type;
+  els.bridgeUrl.value = connection.bridgeUrl;
+  saveConnectionSettings();
+  els.connectionType.addEventListener('change', saveConnectionSettings);
+  els.bridgeUrl.addEventListener('change', saveConnectionSettings);
+  els.btnConnect.addEventListener('click', toggleConnection);
+
+  // Mode toggles — need a signed-in operator; the device confirms with
+  // mode_change (see timetable.js)
+  function toggleMode(e) {
+    const mode = e.target.checked ? 'class' : 'free';
+    updateModeUI();   // Snap back until the operator is known
+    withOperator('mode', () => {
+      const before = displayedMode();
+      if (before === mode || !requestMode(mode, 'manual')) return null;
+      return { target: 'mode', before, after: mode };
+    });
   }
 
   els.modeCheckbox.addEventListener('change', toggleMode);
@@ -569,19 +1016,86 @@ function init() {
     els.settingsModeCheckbox.addEventListener('change', toggleMode);
   }
 
-  // Clear alerts
+  // Operators — sign-in, auto-lock and the audit log
+  initOperators();
+
+  // Alerts
   els.btnClearAlerts.addEventListener('click', clearAlerts);
+  initAlertWorkflow();
+
+  // Automatic mode switching
+  initTimetable();
+
+  // Campus map — zones, stats bar and the layout editor
+  initCampusMap();
+
+  // Movement history
+  initHistory();
+
+  // Parent notifications
+  initNotify();
+
+  // Analytics
+  initAnalytics();
+
+  // Gate requests
+  initGate();
+
+  // Roster editor
+  initRoster();
 
-  // Demo button
-  if (els.btnDemo) {
-    els.btnDemo.addEventListener('click', loadDemoData);
+  // Student list filters
+  initStudentList();
+
+  // Roll call
+  initRollCall();
+  initPermits();
+  initRules();
+  initReports();
+  initIntegrations();
+  initBackup();
+
+  // Automatic reconnect
+  initReconnect();
+
+  // Serial recording and replay
+  initRecorder();
+
+  // Diagnostics console and reader health
+  initDiagnostics();
+
+  // System notifications
+  initPush();
+
+  // Student drawer — from the list and the map
+  initStudentDrawer();
+  [els.studentList, els.schoolMap].forEach(el => el.addEventListener('click', (e) => {
+    const more = e.target.closest('[data-zone-more]');
+    if (more) return showZoneInList(more.dataset.zoneMore);
+    const item = e.target.closest('[data-student-id]');
+    if (item) openStudentDrawer(Number(item.dataset.studentId));
+  }));
+
+  // Simulator
+  if (els.btnSimulator) {
+    els.btnSimulator.addEventListener('click', toggleSimulator);
+  }
+  if (els.simTap) {
+    els.simTap.addEventListener('click', () => {
+      const simulator = activeSimulator();
+      if (simulator) simulator.tapCard(els.simReader.value, els.simCard.value);
+    });
+    els.simRemove.addEventListener('click', () => {
+      const simulator = activeSimulator();
+      if (simulator) simulator.removeCard(els.simReader.value);
+    });
   }
 
-  // Keyboard shortcut for demo
+  // Keyboard shortcut for simulator
   document.addEventListener('keydown', (e) => {
     if (e.ctrlKey && e.shiftKey && e.key === 'D') {
       e.preventDefault();
-      loadDemoData();
+      toggleSimulator();
     }
   });
 
@@ -598,8 +1112,8 @@ function init() {
   initTiltEffect();
 
   // Initial alert
-  addAlert('info', '🛡️ Guardian-Track ready. Click Connect to start monitoring.');
-  addAlert('info', '💡 Tip: Press Ctrl+Shift+D to load demo data for testing.');
+  addAlert('info', t('alert.ready'));
+  addAlert('info', t('alert.tip'));
 }
 
 init();
@@ -0,0 +1,571 @@
+/* ============================================================
+   Guardian-Track — Backup & Restore
+   One file with everything the dashboard keeps in this browser:
+   the settings in localStorage and the IndexedDB stores. The
+   payload carries a SHA-256 checksum, and restore refuses a file
+   whose checksum or audit chain doesn't add up. Before anything
+   is written the operator sees what would change and picks:
+     merge    → add what this dashboard doesn't have; where both
+                have a record or setting, this dashboard's wins
+     replace  → make this dashboard exactly what the file holds
+   Automatic backups write the same file into a folder chosen with
+   the File System Access API (Chrome/Edge) while the dashboard is
+   open, keeping the newest few.
+   ============================================================ */
+
+const BACKUP_KEY = 'gt-backup';
+const BACKUP_FORMAT = 'guardian-track-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_FILE_PREFIX = 'guardian-track-backup-';
+const BACKUP_TICK_MS = 60000;
+
+// Settings that belong to the school, not this browser. gt-backup itself
+// stays out: the folder it points at only exists on this computer.
+const BACKUP_SETTINGS = localizedLabels({
+  'gt-map': 'backup.setting.map',
+  'gt-timetable': 'backup.setting.timetable',
+  'gt-operators': 'backup.setting.operators',
+  'gt-alerts': 'backup.setting.alerts',
+  'gt-rules': 'backup.setting.rules',
+  'gt-notify': 'backup.setting.notify',
+  'gt-push': 'backup.setting.push',
+  'gt-integrations': 'backup.setting.integrations',
+  'gt-diagnostics': 'backup.setting.diagnostics',
+  'gt-connection': 'backup.setting.connection',
+  'gt-language': 'backup.setting.language'
+});
+
+const BACKUP_STORES = localizedLabels(Object.fromEntries(
+  ['roster', 'events', 'alerts', 'samples', 'rollcalls', 'permits', 'outbox', 'deliveries', 'audit']
+    .map(name => [name, `backup.store.${name}`])));
+
+// Hours between automatic backups
+const BACKUP_INTERVALS = localizedLabels({ 1: 'backup.every.1', 6: 'backup.every.6', 24: 'backup.every.24', 168: 'backup.every.168' });
+
+const backupEls = {
+  summary: document.getElementById('backup-summary'),
+  btnOpen: document.getElementById('btn-backup'),
+  modal: document.getElementById('backup-modal'),
+  btnClose: document.getElementById('backup-close'),
+  btnDownload: document.getElementById('backup-download'),
+  auto: document.getElementById('backup-auto'),
+  interval: document.getElementById('backup-interval'),
+  keep: document.getElementById('backup-keep'),
+  folderName: document.getElementById('backup-folder-name'),
+  btnFolder: document.getElementById('backup-folder'),
+  autoStatus: document.getElementById('backup-auto-status'),
+  btnFile: document.getElementById('backup-choose-file'),
+  file: document.getElementById('backup-file'),
+  error: document.getElementById('backup-error'),
+  review: document.getElementById('backup-review'),
+  reviewInfo: document.getElementById('backup-review-info'),
+  diff: document.getElementById('backup-diff'),
+  btnCancel: document.getElementById('backup-cancel'),
+  btnMerge: document.getElementById('backup-merge'),
+  btnReplace: document.getElementById('backup-replace')
+};
+
+let backupSettings = loadBackupSettings();
+let backupFolder = null;      // FileSystemDirectoryHandle, kept in the handles store
+let backupBlocked = false;    // The folder needs its permission granted again
+let backupRunning = false;
+let backupPending = null;     // { name, backup, diff } while a restore is being reviewed
+
+// ============================================================
+//  SETTINGS
+// ============================================================
+function loadBackupSettings() {
+  const defaults = { auto: false, hours: 24, keep: 7, last: 0, folder: '', error: '' };
+  try {
+    const saved = { ...defaults, ...JSON.parse(localStorage.getItem(BACKUP_KEY)) };
+    if (!BACKUP_INTERVALS[saved.hours]) saved.hours = defaults.hours;
+    return saved;
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function saveBackupSettings() {
+  try { localStorage.setItem(BACKUP_KEY, JSON.stringify(backupSettings)); } catch (e) { /* storage unavailable */ }
+}
+
+// ============================================================
+//  BUILDING A BACKUP
+// ============================================================
+function readBackupSettings() {
+  const settings = {};
+  Object.keys(BACKUP_SETTINGS).forEach(key => {
+    try {
+      const value = localStorage.getItem(key);
+      if (value !== null) settings[key] = JSON.parse(value);
+    } catch (e) { /* unreadable — leave it out */ }
+  });
+  return settings;
+}
+
+async function buildBackup() {
+  await auditAppends;
+  const stores = {};
+  for (const name of Object.keys(BACKUP_STORES)) stores[name] = await dbGetAll(name);
+  const payload = { created: new Date().toISOString(), dbVersion: DB_VERSION, settings: readBackupSettings(), stores };
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    checksum: await sha256Hex(JSON.stringify(payload)),
+    payload
+  };
+}
+
+// Local time, so the newest file sorts last in the folder too
+function backupFileName(ts) {
+  const d = new Date(ts);
+  const time = [d.getHours(), d.getMinutes(), d.getSeconds()].map(n => String(n).padStart(2, '0')).join('');
+  return `${BACKUP_FILE_PREFIX}${dateKey(d)}-${time}.json`;
+}
+
+function backupRecordCount(stores) {
+  return Object.keys(BACKUP_STORES).reduce((sum, name) => sum + (stores[name] || []).length, 0);
+}
+
+async function downloadBackup() {
+  await withOperator('backup', async () => {
+    let backup;
+    try {
+      backup = await buildBackup();
+    } catch (e) {
+      addAlert('warning', t('backup.failed'));
+      return null;
+    }
+    const name = backupFileName(Date.now());
+    downloadFile(name, JSON.stringify(backup), 'application/json');
+    return { target: name, after: `${backupRecordCount(backup.payload.stores)} records` };
+  });
+}
+
+// ============================================================
+//  CHECKING A BACKUP
+// ============================================================
+// → { backup } when the file can be restored, otherwise { error }
+async function readBackupFile(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    return { error: t('backup.error.notJson') };
+  }
+  if (!backup || backup.format !== BACKUP_FORMAT) return { error: t('backup.error.notBackup') };
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    return { error: t('backup.error.newer', { version: backup.version }) };
+  }
+
+  const payload = backup.payload;
+  if (!payload || typeof payload !== 'object' || (await sha256Hex(JSON.stringify(payload))) !== backup.checksum) {
+    return { error: t('backup.error.checksum') };
+  }
+  if (!payload.settings || typeof payload.settings !== 'object' || !payload.stores || typeof payload.stores !== 'object') {
+    return { error: t('backup.error.missing') };
+  }
+  for (const [name, label] of Object.entries(BACKUP_STORES)) {
+    const records = payload.stores[name] || [];
+    const keyPath = DB_STORES[name].keyPath;
+    if (!Array.isArray(records) || records.some(r => !r || typeof r !== 'object' || r[keyPath] === undefined)) {
+      return { error: t('backup.error.malformed', { store: label.toLowerCase() }) };
+    }
+  }
+
+  const broken = await verifyAuditChain(payload.stores.audit || []);
+  if (broken !== null) return { error: t('backup.error.auditBroken', { entry: broken }) };
+  return { backup };
+}
+
+// Auto-numbered records get new ids on every computer, so they are
+// matched by what they hold; the others by their key
+function backupRecordKey(name, record) {
+  if (!DB_STORES[name].autoIncrement) return record[DB_STORES[name].keyPath];
+  const copy = { ...record };
+  delete copy.id;
+  return JSON.stringify(copy);
+}
+
+async function diffBackup(payload) {
+  const stores = [];
+  for (const [name, label] of Object.entries(BACKUP_STORES)) {
+    const current = await dbGetAll(name);
+    const here = new Map(current.map(r => [backupRecordKey(name, r), JSON.stringify(r)]));
+    const incoming = payload.stores[name] || [];
+    let added = 0, changed = 0;
+    incoming.forEach(record => {
+      const mine = here.get(backupRecordKey(name, record));
+      if (mine === undefined) added++;
+      else if (!DB_STORES[name].autoIncrement && mine !== JSON.stringify(record)) changed++;
+    });
+    stores.push({ name, label, here: current.length, file: incoming.length, added, changed });
+  }
+
+  const current = readBackupSettings();
+  const settings = Object.entries(BACKUP_SETTINGS).map(([key, label]) => {
+    const inFile = key in payload.settings;
+    const here = key in current;
+    const status = !inFile ? (here ? 'only here' : null)
+      : !here ? 'new'
+        : JSON.stringify(current[key]) === JSON.stringify(payload.settings[key]) ? 'same' : 'different';
+    return { key, label, status };
+  }).filter(s => s.status);
+
+  return { stores, settings };
+}
+
+async function reviewBackupFile(file) {
+  backupEls.error.classList.add('hidden');
+  backupEls.review.classList.add('hidden');
+  backupPending = null;
+
+  let result;
+  try {
+    result = await readBackupFile(await file.text());
+  } catch (e) {
+    result = { error: e.message };
+  }
+  if (result.backup) {
+    try {
+      backupPending = { name: file.name, backup: result.backup, diff: await diffBackup(result.backup.payload) };
+    } catch (e) {
+      result = { error: t('backup.error.storage') };
+    }
+  }
+  if (!backupPending) {
+    backupEls.error.textContent = t('backup.cantRestore', { file: file.name, error: result.error });
+    backupEls.error.classList.remove('hidden');
+    return;
+  }
+  renderBackupReview();
+}
+
+// ============================================================
+//  RESTORING
+// ============================================================
+// One transaction for every store, so a failed restore changes nothing
+// A merge leaves out what would act twice: parent messages and
+// deliveries still waiting to go (the other computer sends them) and a
+// second open permit for a student who is already out on one here.
+// A replace takes this dashboard over from the backup, so it keeps them
+// and sends them itself (both senders requeue any left 'sending')
+function skipOnMerge(name, record, studentsOut) {
+  if (name === 'outbox' || name === 'deliveries') return record.status === 'queued' || record.status === 'sending';
+  if (name === 'permits' && record.status === 'out') {
+    if (studentsOut.has(record.studentId)) return true;
+    studentsOut.add(record.studentId);
+  }
+  return false;
+}
+
+async function writeBackupStores(payload, mode) {
+  // The audit log is append-only: only a replace brings in another chain
+  const names = Object.keys(BACKUP_STORES).filter(name => mode === 'replace' || name !== 'audit');
+  const known = {};
+  let studentsOut = null;
+  if (mode === 'merge') {
+    for (const name of names) known[name] = new Set((await dbGetAll(name)).map(r => backupRecordKey(name, r)));
+    studentsOut = new Set((await dbQuery('permits', { index: 'status', range: IDBKeyRange.only('out') })).map(p => p.studentId));
+  }
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readwrite');
+    let written = 0;
+    names.forEach(name => {
+      const store = tx.objectStore(name);
+      if (mode === 'replace') store.clear();
+      (payload.stores[name] || []).forEach(record => {
+        if (mode === 'replace') {
+          store.put(record);
+        } else {
+          const key = backupRecordKey(name, record);
+          if (known[name].has(key) || skipOnMerge(name, record, studentsOut)) return;
+          known[name].add(key);
+          const copy = { ...record };
+          if (DB_STORES[name].autoIncrement) delete copy.id;
+          store.add(copy);
+        }
+        written++;
+      });
+    });
+    tx.oncomplete = () => resolve(written);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function writeBackupSettings(settings, mode) {
+  Object.keys(BACKUP_SETTINGS).forEach(key => {
+    try {
+      if (mode === 'merge' && localStorage.getItem(key) !== null) return;
+      if (key in settings) localStorage.setItem(key, JSON.stringify(settings[key]));
+      else localStorage.removeItem(key);
+    } catch (e) { /* storage unavailable */ }
+  });
+}
+
+// Every module reads its settings and stores at start-up, so the page
+// reloads once the restore and its audit entry are written
+async function restoreBackup(mode) {
+  const pending = backupPending;
+  if (!pending) return;
+  if (mode === 'replace' && !window.confirm(t('backup.confirmReplace'))) return;
+
+  const restored = await withOperator('backup_restore', async () => {
+    const here = pending.diff.stores.reduce((sum, s) => sum + s.here, 0);
+    let written;
+    try {
+      written = await writeBackupStores(pending.backup.payload, mode);
+    } catch (e) {
+      addAlert('critical', t('backup.restoreFailed', { error: e.message || t('backup.error.storageShort') }));
+      return null;
+    }
+    writeBackupSettings(pending.backup.payload.settings, mode);
+    if (mode === 'replace') resetAuditHead();
+    return {
+      target: pending.name,
+      before: `${here} records`,
+      after: `${mode === 'replace' ? 'Replaced with' : 'Merged'} backup of ${formatHistoryTime(pending.backup.payload.created)} — ${written} records written`
+    };
+  });
+  if (!restored) return;
+
+  backupEls.reviewInfo.textContent = t('backup.restored');
+  backupEls.diff.innerHTML = '';
+  [backupEls.btnCancel, backupEls.btnMerge, backupEls.btnReplace].forEach(btn => { btn.disabled = true; });
+  location.reload();
+}
+
+function cancelRestore() {
+  backupPending = null;
+  backupEls.review.classList.add('hidden');
+  backupEls.file.value = '';
+}
+
+// ============================================================
+//  AUTOMATIC BACKUPS
+// ============================================================
+function backupFoldersSupported() {
+  return 'showDirectoryPicker' in window;
+}
+
+async function loadBackupFolder() {
+  try {
+    const saved = await dbGet('handles', 'backupFolder');
+    backupFolder = saved ? saved.handle : null;
+  } catch (e) {
+    backupFolder = null;
+  }
+}
+
+// The picker needs the click's user gesture, so the operator is asked
+// for once a folder has been picked
+async function chooseBackupFolder() {
+  let folder;
+  try {
+    folder = await window.showDirectoryPicker({ id: 'guardian-track-backups', mode: 'readwrite' });
+  } catch (e) {
+    return;   // Picker dismissed
+  }
+  const before = backupFolder ? backupSettings.folder || backupFolder.name : 'none';
+  await withOperator('backup_settings', async () => {
+    backupFolder = folder;
+    backupBlocked = false;
+    try { await dbPut('handles', { name: 'backupFolder', handle: folder }); } catch (e) { /* this session only */ }
+    backupSettings.folder = folder.name;
+    backupSettings.error = '';
+    saveBackupSettings();
+    return { target: 'backup folder', before, after: folder.name };
+  });
+  renderBackup();
+  backupTick();
+}
+
+// After a reload the browser asks again, and only from a click (`ask`)
+async function backupFolderPermission(ask) {
+  const options = { mode: 'readwrite' };
+  try {
+    let permission = await backupFolder.queryPermission(options);
+    if (permission === 'prompt' && ask) permission = await backupFolder.requestPermission(options);
+    return permission;
+  } catch (e) {
+    return 'denied';
+  }
+}
+
+// Only files this dashboard named are ever removed
+async function pruneBackupFolder() {
+  const names = [];
+  for await (const [name, entry] of backupFolder.entries()) {
+    if (entry.kind === 'file' && name.startsWith(BACKUP_FILE_PREFIX) && name.endsWith('.json')) names.push(name);
+  }
+  const old = names.sort().reverse().slice(backupSettings.keep);
+  for (const name of old) await backupFolder.removeEntry(name);
+}
+
+async function writeBackupToFolder() {
+  const backup = await buildBackup();
+  const file = await backupFolder.getFileHandle(backupFileName(Date.now()), { create: true });
+  const writable = await file.createWritable();
+  await writable.write(JSON.stringify(backup));
+  await writable.close();
+  await pruneBackupFolder();
+}
+
+async function backupTick(ask = false) {
+  if (!backupSettings.auto || !backupFolder || backupRunning) return;
+  if (Date.now() - backupSettings.last < backupSettings.hours * 3600000) return;
+
+  backupRunning = true;
+  try {
+    if ((await backupFolderPermission(ask)) !== 'granted') {
+      if (!backupBlocked) addAlert('warning', t('backup.paused'));
+      backupBlocked = true;
+      return;
+    }
+    backupBlocked = false;
+    await writeBackupToFolder();
+    backupSettings.last = Date.now();
+    backupSettings.error = '';
+  } catch (e) {
+    // Retried every tick; said once per different failure
+    const error = e.message || t('backup.error.write');
+    if (error !== backupSettings.error) addAlert('warning', t('backup.autoFailed', { error }));
+    backupSettings.error = error;
+  } finally {
+    backupRunning = false;
+    saveBackupSettings();
+    renderBackup();
+  }
+}
+
+function describeBackupSchedule(settings) {
+  return settings.auto ? `${BACKUP_INTERVALS[settings.hours]}, keep ${settings.keep}` : 'off';
+}
+
+function saveBackupForm() {
+  const next = {
+    auto: backupEls.auto.checked,
+    hours: Number(backupEls.interval.value),
+    keep: Math.min(99, Math.max(1, parseInt(backupEls.keep.value, 10) || 7))
+  };
+  renderBackup();   // Snap back until the operator is known
+  withOperator('backup_settings', () => {
+    const before = describeBackupSchedule(backupSettings);
+    Object.assign(backupSettings, next);
+    saveBackupSettings();
+    renderBackup();
+    backupTick();
+    const after = describeBackupSchedule(backupSettings);
+    return after === before ? null : { target: 'automatic backups', before, after };
+  });
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function backupAutoStatus() {
+  if (!backupSettings.auto) return '';
+  if (!backupFolder) return t('backup.status.noFolder');
+  if (backupBlocked) return t('backup.status.paused');
+  if (backupSettings.error) return t('backup.status.failed', { error: backupSettings.error });
+  return backupSettings.last ? t('backup.status.last', { time: formatHistoryTime(backupSettings.last) }) : t('backup.status.first');
+}
+
+function renderBackup() {
+  if (!backupEls.summary) return;
+  backupEls.summary.textContent = backupSettings.auto && backupFolder
+    ? t('backup.summary', { interval: BACKUP_INTERVALS[backupSettings.hours], folder: backupSettings.folder, status: backupAutoStatus() })
+    : t('backup.off');
+  if (backupEls.modal.classList.contains('hidden')) return;
+
+  const supported = backupFoldersSupported();
+  backupEls.auto.checked = backupSettings.auto;
+  backupEls.interval.value = backupSettings.hours;
+  backupEls.keep.value = backupSettings.keep;
+  [backupEls.auto, backupEls.interval, backupEls.keep, backupEls.btnFolder].forEach(el => { el.disabled = !supported; });
+  backupEls.folderName.textContent = !supported ? t('backup.unsupported')
+    : backupFolder ? t('backup.folder', { folder: backupSettings.folder || backupFolder.name }) : t('backup.noFolder');
+  backupEls.btnFolder.textContent = t(backupBlocked ? 'backup.allowAccess' : backupFolder ? 'backup.changeFolder' : 'backup.chooseFolder');
+  backupEls.autoStatus.textContent = backupAutoStatus();
+  backupEls.autoStatus.className = `text-[11px] ${backupBlocked || backupSettings.error ? 'text-amber-400' : 'text-white/40'}`;
+}
+
+const BACKUP_SETTING_CSS = { new: 'classroom', different: 'gate', same: 'unknown', 'only here': 'unknown' };
+const BACKUP_SETTING_STATUS = localizedLabels({
+  new: 'backup.diff.new', different: 'backup.diff.different', same: 'backup.diff.same', 'only here': 'backup.diff.onlyHere'
+});
+
+function renderBackupReview() {
+  const { backup, diff } = backupPending;
+  const created = formatHistoryTime(backup.payload.created);
+  backupEls.reviewInfo.textContent = t('backup.reviewInfo', { file: backupPending.name, created, count: backupRecordCount(backup.payload.stores) });
+
+  const storeRows = diff.stores.map(s => {
+    const changes = [s.added && t('backup.diff.added', { count: s.added }), s.changed && t('backup.diff.changed', { count: s.changed })]
+      .filter(Boolean).join(' · ') || t('backup.diff.nothingNew');
+    return `<div class="flex items-center gap-3 px-1 py-1.5">
+      <p class="flex-1 min-w-0 text-xs text-white/80 truncate">${s.label}${s.name === 'audit' ? ` <span class="text-white/30">· ${t('backup.diff.onlyReplace')}</span>` : ''}</p>
+      <p class="text-[10px] text-white/35 flex-shrink-0">${t('backup.diff.counts', { here: s.here, file: s.file })}</p>
+      <span class="text-[10px] w-28 text-right flex-shrink-0 ${s.added || s.changed ? 'text-amber-400' : 'text-white/30'}">${changes}</span>
+    </div>`;
+  }).join('');
+  const settingRows = diff.settings.map(s => `<div class="flex items-center gap-3 px-1 py-1.5">
+      <p class="flex-1 min-w-0 text-xs text-white/80 truncate">${s.label}</p>
+      <span class="student-status ${BACKUP_SETTING_CSS[s.status]}">${BACKUP_SETTING_STATUS[s.status]}</span>
+    </div>`).join('');
+
+  backupEls.diff.innerHTML = `<p class="text-[10px] font-bold uppercase tracking-widest text-white/30 px-1 pt-1">${t('backup.diff.data')}</p>${storeRows}
+    <p class="text-[10px] font-bold uppercase tracking-widest text-white/30 px-1 pt-2">${t('backup.diff.settings')}</p>${settingRows || `<p class="text-[11px] text-white/30 px-1 py-1.5">${t('backup.diff.noSettings')}</p>`}`;
+  [backupEls.btnCancel, backupEls.btnMerge, backupEls.btnReplace].forEach(btn => { btn.disabled = false; });
+  backupEls.review.classList.remove('hidden');
+}
+
+function renderBackupIntervals() {
+  if (!backupEls.summary) return;
+  backupEls.interval.innerHTML = Object.entries(BACKUP_INTERVALS)
+    .map(([hours, label]) => `<option value="${hours}">${label}</option>`).join('');
+  backupEls.interval.value = backupSettings.hours;
+}
+
+function openBackup() {
+  backupEls.modal.classList.remove('hidden');
+  renderBackup();
+}
+
+function closeBackup() {
+  cancelRestore();
+  backupEls.error.classList.add('hidden');
+  backupEls.modal.classList.add('hidden');
+}
+
+function initBackup() {
+  if (!backupEls.summary) return;
+
+  renderBackupIntervals();
+  backupEls.btnOpen.addEventListener('click', openBackup);
+  backupEls.btnClose.addEventListener('click', closeBackup);
+  backupEls.modal.addEventListener('click', (e) => { if (e.target === backupEls.modal) closeBackup(); });
+  backupEls.btnDownload.addEventListener('click', downloadBackup);
+  [backupEls.auto, backupEls.interval, backupEls.keep].forEach(el => el.addEventListener('change', saveBackupForm));
+  backupEls.btnFolder.addEventListener('click', () => {
+    if (backupBlocked) backupTick(true);
+    else chooseBackupFolder();
+  });
+  backupEls.btnFile.addEventListener('click', () => backupEls.file.click());
+  backupEls.file.addEventListener('change', () => {
+    if (backupEls.file.files[0]) reviewBackupFile(backupEls.file.files[0]);
+  });
+  backupEls.btnCancel.addEventListener('click', cancelRestore);
+  backupEls.btnMerge.addEventListener('click', () => restoreBackup('merge'));
+  backupEls.btnReplace.addEventListener('click', () => restoreBackup('replace'));
+
+  renderBackup();
+  loadBackupFolder().then(() => {
+    renderBackup();
+    backupTick();
+  });
+  setInterval(backupTick, BACKUP_TICK_MS);
+}
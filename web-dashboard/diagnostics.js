@@ -0,0 +1,245 @@
+/* ============================================================
+   Guardian-Track — Diagnostics
+   The raw serial console (including the plain-text output of
+   the reader_test / hostel_debug sketches), the status
+   heartbeat, boots and parse errors, and how busy each RFID
+   reader is. A reader that stays silent while the others keep
+   logging taps is probably dead or unplugged, so it raises a
+   warning instead of going unnoticed for days.
+   ============================================================ */
+
+const DIAG_KEY = 'gt-diagnostics';
+const DIAG_STATUS_INTERVAL_MS = 5000;   // Mirrors STATUS_INTERVAL_MS in the firmware
+const DIAG_HEARTBEAT_MISSES = 3;        // Status lines missed before warning
+const DIAG_CONSOLE_LINES = 500;
+const DIAG_TICK_MS = 1000;
+const READER_QUIET_TAPS = 25;           // Taps on the other readers since this one's last
+
+const DIAG_READERS = { gate: 'Gate', classroom: 'Classroom', hostel: 'Hostel' };
+
+// Tap lines printed by the debug sketches, e.g. "CARD DETECTED on Hostel (D10) -> UID: …"
+const DIAG_TEXT_TAP = /^CARD(?: DETECTED)? on (Gate|Class|Hostel)/i;
+const DIAG_TEXT_READERS = { gate: 'gate', class: 'classroom', hostel: 'hostel' };
+
+const diagEls = {
+  btnOpen: document.getElementById('btn-diagnostics'),
+  modal: document.getElementById('diagnostics-modal'),
+  btnClose: document.getElementById('diagnostics-close'),
+  heartbeat: document.getElementById('diag-heartbeat'),
+  boots: document.getElementById('diag-boots'),
+  lines: document.getElementById('diag-lines'),
+  errors: document.getElementById('diag-errors'),
+  readers: document.getElementById('diag-readers'),
+  btnResetReaders: document.getElementById('diag-reset-readers'),
+  console: document.getElementById('diag-console'),
+  btnPause: document.getElementById('diag-pause'),
+  btnClear: document.getElementById('diag-clear'),
+  commandForm: document.getElementById('diag-command-form'),
+  command: document.getElementById('diag-command')
+};
+
+let diagnostics = loadDiagnostics();
+let diagConsole = [];               // [{ ts, dir, line }], newest last
+let diagConsolePaused = false;
+let diagConsoleFrame = null;
+let diagLastStatus = null;          // When the last status line arrived on this connection
+let diagHeartbeatWarned = false;
+
+// ============================================================
+//  STORAGE
+// ============================================================
+// { boots, lastBoot, readers: { gate: { taps, lastTap, elsewhere, warned } } }
+function loadDiagnostics() {
+  const defaults = { boots: 0, lastBoot: null, readers: {} };
+  let saved;
+  try {
+    saved = { ...defaults, ...JSON.parse(localStorage.getItem(DIAG_KEY)) };
+  } catch (e) {
+    saved = defaults;
+  }
+  Object.keys(DIAG_READERS).forEach(reader => {
+    saved.readers[reader] = { taps: 0, lastTap: null, elsewhere: 0, warned: false, ...saved.readers[reader] };
+  });
+  return saved;
+}
+
+function saveDiagnostics() {
+  try { localStorage.setItem(DIAG_KEY, JSON.stringify(diagnostics)); } catch (e) { /* storage unavailable */ }
+}
+
+// ============================================================
+//  COLLECTING
+// ============================================================
+// Every line read ('rx') or written ('tx'), before any parsing
+function logConsoleLine(dir, line) {
+  diagConsole.push({ ts: Date.now(), dir, line });
+  if (diagConsole.length > DIAG_CONSOLE_LINES) diagConsole.shift();
+
+  const tap = dir === 'rx' && line.match(DIAG_TEXT_TAP);
+  if (tap) noteReaderTap(DIAG_TEXT_READERS[tap[1].toLowerCase()]);
+  scheduleConsoleRender();
+}
+
+function readerForEvent(data) {
+  switch (data.event) {
+    case 'scan': return 'gate';
+    case 'zone_change':
+    case 'unknown_card': return DIAG_READERS[data.zone] ? data.zone : null;
+    default: return null;
+  }
+}
+
+// Called for every valid device message
+function noteDiagnostics(data) {
+  if (data.event === 'status') {
+    diagLastStatus = Date.now();
+    diagHeartbeatWarned = false;
+  } else if (data.event === 'boot' && !isReplaying()) {
+    diagnostics.boots++;
+    diagnostics.lastBoot = Date.now();
+    saveDiagnostics();
+  }
+  const reader = readerForEvent(data);
+  if (reader) noteReaderTap(reader);
+}
+
+function noteReaderTap(reader) {
+  if (isReplaying()) return;
+  const now = Date.now();
+  Object.entries(diagnostics.readers).forEach(([name, r]) => {
+    if (name === reader) {
+      Object.assign(r, { taps: r.taps + 1, lastTap: now, elsewhere: 0, warned: false });
+      return;
+    }
+    r.elsewhere++;
+    if (r.elsewhere >= READER_QUIET_TAPS && !r.warned) {
+      r.warned = true;
+      addAlert('warning', t(r.lastTap ? 'diagnostics.quietReader' : 'diagnostics.quietReaderNever', {
+        reader: DIAG_READERS[name], time: r.lastTap ? formatHistoryTime(r.lastTap) : '', count: r.elsewhere
+      }));
+    }
+  });
+  saveDiagnostics();
+}
+
+function diagnosticsTick() {
+  if (!connected) {
+    diagLastStatus = null;
+  } else if (diagLastStatus === null) {
+    diagLastStatus = Date.now();   // Count from the moment the link came up
+  } else if (!diagHeartbeatWarned && Date.now() - diagLastStatus > DIAG_HEARTBEAT_MISSES * DIAG_STATUS_INTERVAL_MS) {
+    diagHeartbeatWarned = true;
+    addAlert('warning', t('diagnostics.noHeartbeat', { duration: formatDuration(Date.now() - diagLastStatus) }));
+  }
+  renderDiagnostics();
+}
+
+function resetReaderCounters() {
+  Object.keys(diagnostics.readers).forEach(reader => {
+    diagnostics.readers[reader] = { taps: 0, lastTap: null, elsewhere: 0, warned: false };
+  });
+  saveDiagnostics();
+  renderDiagnostics();
+}
+
+// Raw commands can do anything the buttons can, so they need an operator
+function sendConsoleCommand(e) {
+  e.preventDefault();
+  const command = diagEls.command.value.replace(/[\r\n]/g, '').trim();
+  if (!command) return;
+  if (!connected) {
+    addAlert('warning', t('diagnostics.notConnected'));
+    return;
+  }
+  withOperator('console_command', async () => {
+    await sendCommand(command);
+    diagEls.command.value = '';
+    return { target: command };
+  });
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function diagnosticsOpen() {
+  return diagEls.modal && !diagEls.modal.classList.contains('hidden');
+}
+
+function formatAgo(ts) {
+  const seconds = Math.round((Date.now() - ts) / 1000);
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return `${Math.floor(seconds / 86400)} d ago`;
+}
+
+function renderDiagnostics() {
+  if (!diagnosticsOpen()) return;
+  const { lines, text, errors, dropped, resyncs } = protocol.stats;
+
+  const late = diagLastStatus !== null && Date.now() - diagLastStatus > 2 * DIAG_STATUS_INTERVAL_MS;
+  diagEls.heartbeat.textContent = !connected ? '—' : diagLastStatus === null ? 'waiting…' : formatAgo(diagLastStatus);
+  diagEls.heartbeat.classList.toggle('text-amber-400', connected && late);
+  diagEls.boots.textContent = `${diagnostics.boots}${diagnostics.lastBoot ? ` · last ${formatAgo(diagnostics.lastBoot)}` : ''}`;
+  diagEls.lines.textContent = `${lines}${text ? ` (${text} text)` : ''}`;
+  diagEls.errors.textContent = `${errors}${dropped ? ` · ${dropped} lost` : ''}${resyncs ? ` · ${resyncs} resync${resyncs === 1 ? '' : 's'}` : ''}`;
+  diagEls.errors.classList.toggle('text-amber-400', errors > 0);
+
+  diagEls.readers.innerHTML = Object.entries(DIAG_READERS).map(([reader, label]) => {
+    const r = diagnostics.readers[reader];
+    const quiet = r.elsewhere >= READER_QUIET_TAPS;
+    return `<div class="diag-stat">
+      <span class="text-[10px] text-white/30">${label} reader</span>
+      <span class="text-sm font-bold ${quiet ? 'text-amber-400' : 'text-white/85'}">${r.taps} tap${r.taps === 1 ? '' : 's'}</span>
+      <span class="text-[10px] ${quiet ? 'text-amber-400/80' : 'text-white/40'}">${r.lastTap ? formatAgo(r.lastTap) : 'never'}${quiet ? ` · quiet for ${r.elsewhere} taps` : ''}</span>
+    </div>`;
+  }).join('');
+}
+
+function scheduleConsoleRender() {
+  if (diagConsoleFrame !== null || diagConsolePaused || !diagnosticsOpen()) return;
+  diagConsoleFrame = requestAnimationFrame(renderConsole);
+}
+
+function renderConsole() {
+  diagConsoleFrame = null;
+  const el = diagEls.console;
+  const atBottom = el.scrollTop + el.clientHeight >= el.scrollHeight - 8;
+  el.innerHTML = diagConsole.map(entry => {
+    const time = new Date(entry.ts).toLocaleTimeString(currentLocale(), { hour12: false });
+    const kind = entry.dir === 'tx' ? 'tx' : entry.line.startsWith('{') ? 'rx' : 'text';
+    return `<div class="diag-line ${kind}"><span>${time}</span> ${entry.dir === 'tx' ? '→' : '←'} ${escapeHtml(entry.line)}</div>`;
+  }).join('');
+  if (atBottom) el.scrollTop = el.scrollHeight;
+}
+
+function openDiagnostics() {
+  diagEls.modal.classList.remove('hidden');
+  renderDiagnostics();
+  renderConsole();
+  diagEls.console.scrollTop = diagEls.console.scrollHeight;
+}
+
+function closeDiagnostics() {
+  diagEls.modal.classList.add('hidden');
+}
+
+function initDiagnostics() {
+  setInterval(diagnosticsTick, DIAG_TICK_MS);
+  if (!diagEls.modal) return;
+
+  diagEls.btnOpen.addEventListener('click', openDiagnostics);
+  diagEls.btnClose.addEventListener('click', closeDiagnostics);
+  diagEls.modal.addEventListener('click', (e) => { if (e.target === diagEls.modal) closeDiagnostics(); });
+  diagEls.btnResetReaders.addEventListener('click', resetReaderCounters);
+  diagEls.btnPause.addEventListener('click', () => {
+    diagConsolePaused = !diagConsolePaused;
+    diagEls.btnPause.textContent = t(diagConsolePaused ? 'diagnostics.resume' : 'diagnostics.pause');
+    scheduleConsoleRender();
+  });
+  diagEls.btnClear.addEventListener('click', () => {
+    diagConsole = [];
+    renderConsole();
+  });
+  diagEls.commandForm.addEventListener('submit', sendConsoleCommand);
+}
@@ -0,0 +1,143 @@
+/* ============================================================
+   Guardian-Track — Student Drawer
+   One student's whole day: profile, where they are now and
+   since when, gate/sneak counts and today's movements.
+   ============================================================ */
+
+const DRAWER_COUNT_DAYS = 30;
+const DRAWER_LOCATION_EVENTS = ['zone_change', 'scan', 'approved', 'denied', 'gate_timeout', 'sneaked'];
+
+const drawerEls = {
+  drawer: document.getElementById('student-drawer'),
+  backdrop: document.getElementById('student-drawer-backdrop'),
+  btnClose: document.getElementById('drawer-close'),
+  btnEdit: document.getElementById('drawer-edit'),
+  avatar: document.getElementById('drawer-avatar'),
+  name: document.getElementById('drawer-name'),
+  location: document.getElementById('drawer-location'),
+  since: document.getElementById('drawer-since'),
+  profile: document.getElementById('drawer-profile'),
+  counts: document.getElementById('drawer-counts'),
+  timeline: document.getElementById('drawer-timeline')
+};
+
+let drawerStudentId = null;
+
+function openStudentDrawer(id) {
+  if (!state.students.some(s => s.id === id) && !rosterProfile(id)) return;
+  drawerStudentId = id;
+  drawerEls.drawer.classList.add('open');
+  drawerEls.drawer.setAttribute('aria-hidden', 'false');
+  drawerEls.backdrop.classList.remove('hidden');
+  renderStudentDrawer();
+}
+
+function openStudentDrawerByName(name) {
+  const s = state.students.find(s => s.name === name);
+  if (s) openStudentDrawer(s.id);
+}
+
+function closeStudentDrawer() {
+  drawerStudentId = null;
+  drawerEls.drawer.classList.remove('open');
+  drawerEls.drawer.setAttribute('aria-hidden', 'true');
+  drawerEls.backdrop.classList.add('hidden');
+}
+
+// Called whenever a movement was stored or the student list changed
+function refreshStudentDrawer() {
+  if (drawerStudentId !== null) renderStudentDrawer();
+}
+
+function formatSince(ts) {
+  const minutes = Math.floor((Date.now() - ts) / 60000);
+  if (minutes < 1) return t('drawer.justNow');
+  if (minutes < 60) return t('drawer.forMinutes', { minutes });
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? t('drawer.forHours', { hours, minutes: minutes % 60 }) : t('drawer.since', { time: formatHistoryTime(ts) });
+}
+
+function profileRow(label, value) {
+  return `<div class="drawer-row"><span>${label}</span><span>${value || '<span class="text-white/25">—</span>'}</span></div>`;
+}
+
+async function renderStudentDrawer() {
+  const id = drawerStudentId;
+  const student = state.students.find(s => s.id === id);
+  const profile = rosterProfile(id) || student || {};
+  const name = (student || profile).name || t('location.unknown');
+  const color = STUDENT_COLORS[id % STUDENT_COLORS.length];
+
+  drawerEls.avatar.textContent = name.split(' ').map(n => n[0]).join('').substring(0, 2);
+  drawerEls.avatar.style.cssText = `background:${color}20; color:${color}`;
+  drawerEls.name.textContent = name;
+  const place = student ? studentPlace(student) : { name: t('roster.inactive'), css: 'unknown', style: '' };
+  drawerEls.location.className = `student-status ${place.css}`.trim();
+  drawerEls.location.style.cssText = place.style;
+  drawerEls.location.textContent = place.name;
+
+  const phone = profile.contact ? escapeHtml(profile.contact) : '';
+  const dial = phone.replace(/[^\d+]/g, '');
+  drawerEls.profile.innerHTML =
+    profileRow(t('page.class'), escapeHtml(profile.classGrade || '')) +
+    profileRow(t('page.dorm'), escapeHtml(profile.dormRoom || '')) +
+    profileRow(t('page.parent'), phone && `${phone}
+      <a href="tel:${dial}" class="drawer-link">${t('drawer.call')}</a>
+      <a href="sms:${dial}" class="drawer-link">${t('drawer.sms')}</a>`) +
+    (profile.email ? profileRow(t('page.email'), `<a href="mailto:${escapeHtml(profile.email)}" class="drawer-link">${escapeHtml(profile.email)}</a>`) : '') +
+    profileRow(t('page.card'), profile.uid ? `<span class="font-mono">${escapeHtml(profile.uid)}</span>` : '');
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const countFrom = Date.now() - DRAWER_COUNT_DAYS * 24 * 3600 * 1000;
+
+  let recent, lastMove;
+  try {
+    [recent, lastMove] = await Promise.all([
+      queryHistory({ studentId: id, from: Math.min(countFrom, today.getTime()) }, Infinity),
+      queryHistory({ studentId: id }, 50).then(list => list.find(e => DRAWER_LOCATION_EVENTS.includes(e.type)))
+    ]);
+  } catch (e) {
+    recent = [];
+    lastMove = null;
+  }
+  if (drawerStudentId !== id) return;   // Another student was opened meanwhile
+
+  drawerEls.since.textContent = lastMove ? formatSince(lastMove.ts) : '';
+
+  const count = (type, from) => recent.filter(e => e.type === type && e.ts >= from).length;
+  drawerEls.counts.innerHTML = ['scan', 'approved', 'sneaked'].map(type => `<div class="drawer-count">
+      <span class="text-lg font-bold text-white/85">${count(type, today.getTime())}</span>
+      <span class="text-[10px] text-white/30">${t('drawer.today', { type: HISTORY_TYPE_LABELS[type] })}</span>
+      <span class="text-[10px] text-white/40">${t('drawer.inDays', { count: count(type, countFrom), days: DRAWER_COUNT_DAYS })}</span>
+    </div>`).join('');
+
+  const todays = recent.filter(e => e.ts >= today.getTime());
+  drawerEls.timeline.innerHTML = todays.length === 0
+    ? `<p class="text-white/25 text-xs py-2">${t('drawer.noMovements')}</p>`
+    : todays.map(e => `<div class="drawer-event">
+        <div class="alert-icon ${HISTORY_TYPE_ALERT[e.type] || 'info'}"></div>
+        <div class="alert-content">
+          <div class="alert-message">${escapeHtml(describeHistoryEntry(e))}</div>
+          <div class="alert-time">${new Date(e.ts).toLocaleTimeString(currentLocale(), { hour: '2-digit', minute: '2-digit', second: '2-digit' })}</div>
+        </div>
+      </div>`).join('');
+}
+
+function initStudentDrawer() {
+  if (!drawerEls.drawer) return;
+
+  drawerEls.btnClose.addEventListener('click', closeStudentDrawer);
+  drawerEls.backdrop.addEventListener('click', closeStudentDrawer);
+  drawerEls.btnEdit.addEventListener('click', () => {
+    const id = drawerStudentId;
+    closeStudentDrawer();
+    openRoster(id);
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && drawerStudentId !== null) closeStudentDrawer();
+  });
+
+  // Keep "for N min" current while the drawer stays open
+  setInterval(refreshStudentDrawer, 30000);
+}
@@ -0,0 +1,169 @@
+/* ============================================================
+   Guardian-Track — Gate Requests
+   Remote approve/deny for the exit request currently waiting
+   at the gate reader (the firmware handles one at a time).
+   ============================================================ */
+
+const GATE_TIMEOUT_MS = 20000;     // Mirrors GATE_TIMEOUT_MS in the firmware
+const GATE_OUTCOME_MS = 4000;      // How long the outcome stays on screen
+const OPERATOR_MAX_LEN = 16;       // Mirrors OPERATOR_LEN in the firmware
+
+const gateEls = {
+  panel: document.getElementById('gate-request'),
+  student: document.getElementById('gate-request-student'),
+  wait: document.getElementById('gate-request-wait'),
+  progress: document.getElementById('gate-request-progress'),
+  actions: document.getElementById('gate-request-actions'),
+  approve: document.getElementById('gate-approve'),
+  deny: document.getElementById('gate-deny'),
+  permit: document.getElementById('gate-permit')
+};
+
+// { student, studentId, since, returnLocation, sent, outcome, permit }
+let gateRequest = null;
+let gateTicker = null;
+let gateOutcomeTimer = null;
+
+// ============================================================
+//  OPERATOR
+// ============================================================
+// Names travel inside a serial command and come back inside JSON,
+// so operator profiles (see operators.js) are created with this too
+function cleanOperatorName(name) {
+  return String(name).replace(/["\\\r\n]/g, '').trim().substring(0, OPERATOR_MAX_LEN);
+}
+
+function describeDecider(by) {
+  if (!by || by === 'admin_card') return t('gate.adminCard');
+  return by;
+}
+
+// ============================================================
+//  REQUEST LIFECYCLE
+// ============================================================
+function openGateRequest(data, student) {
+  clearTimeout(gateOutcomeTimer);
+  gateRequest = {
+    student: data.student,
+    studentId: student ? student.id : (typeof data.id === 'number' ? data.id : null),
+    since: Date.now(),
+    returnLocation: student ? student.location : LOC.UNKNOWN,
+    returnReader: student ? student.reader || null : null,
+    sent: null,
+    outcome: null,
+    permit: null
+  };
+  resetPermitDraft();
+
+  clearInterval(gateTicker);
+  gateTicker = setInterval(renderGateRequest, 250);
+  renderGateRequest();
+}
+
+// Does a device event concern the pending request? By slot id when the
+// firmware sends one, else by name
+function isGateStudent(data) {
+  if (!gateRequest) return false;
+  return typeof data.id === 'number' ? gateRequest.studentId === data.id : gateRequest.student === data.student;
+}
+
+// Location to restore when a request ends without the student leaving
+function gateReturnLocation(data) {
+  return isGateStudent(data) ? gateRequest.returnLocation : LOC.UNKNOWN;
+}
+
+function gateReturnReader(data) {
+  return isGateStudent(data) ? gateRequest.returnReader : null;
+}
+
+// Permit details the operator approved with (see permits.js), null
+// when the exit was approved with the admin card at the gate
+function gatePermitDraft(data) {
+  return isGateStudent(data) ? gateRequest.permit : null;
+}
+
+// Drop the request without an outcome (e.g. when a replay starts over)
+function resetGateRequest() {
+  clearInterval(gateTicker);
+  clearTimeout(gateOutcomeTimer);
+  gateTicker = null;
+  gateRequest = null;
+  renderGateRequest();
+}
+
+// `data` null closes whatever request is pending
+function closeGateRequest(data, outcome) {
+  if (!gateRequest || (data && !isGateStudent(data))) return;
+
+  clearInterval(gateTicker);
+  gateTicker = null;
+  gateRequest.outcome = outcome;
+  renderGateRequest();
+
+  clearTimeout(gateOutcomeTimer);
+  gateOutcomeTimer = setTimeout(() => {
+    gateRequest = null;
+    renderGateRequest();
+  }, GATE_OUTCOME_MS);
+}
+
+async function decideGateRequest(decision) {
+  if (!gateRequest || gateRequest.sent || gateRequest.outcome) return;
+
+  if (!connected) {
+    addAlert('warning', t('gate.notConnected'));
+    return;
+  }
+
+  await withOperator('gate_decision', async (operator) => {
+    // The request may have timed out while the PIN was being typed
+    if (!gateRequest || gateRequest.sent || gateRequest.outcome) return null;
+    const student = gateRequest.student;
+    gateRequest.sent = decision;
+    if (decision === 'approve') gateRequest.permit = { ...readPermitDraft(), approvedBy: operator.name };
+    renderGateRequest();
+    await sendCommand(`GATE:${decision === 'approve' ? 'APPROVE' : 'DENY'}:${cleanOperatorName(operator.name)}`);
+    return { target: student, before: 'waiting', after: decision };
+  });
+}
+
+// Device rejected the command: the request had already ended on its side
+function handleGateCommandError(data) {
+  if (gateRequest) closeGateRequest(null, t('gate.alreadyClosed'));
+  addAlert('warning', t('gate.ignored', { reason: data.reason || 'error' }));
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function renderGateRequest() {
+  if (!gateEls.panel) return;
+
+  gateEls.panel.classList.toggle('hidden', !gateRequest);
+  if (!gateRequest) return;
+
+  const waited = Date.now() - gateRequest.since;
+  const fraction = Math.min(1, waited / GATE_TIMEOUT_MS);
+
+  gateEls.student.textContent = gateRequest.student;
+  gateEls.actions.classList.toggle('hidden', !!gateRequest.outcome);
+  if (gateEls.permit) gateEls.permit.classList.toggle('hidden', !!(gateRequest.outcome || gateRequest.sent));
+  gateEls.approve.disabled = gateEls.deny.disabled = !!gateRequest.sent;
+  gateEls.progress.style.width = `${(gateRequest.outcome ? 1 : fraction) * 100}%`;
+  gateEls.panel.classList.toggle('urgent', !gateRequest.outcome && fraction > 0.75);
+
+  if (gateRequest.outcome) {
+    gateEls.wait.textContent = gateRequest.outcome;
+  } else if (gateRequest.sent) {
+    gateEls.wait.textContent = t(gateRequest.sent === 'approve' ? 'gate.sendingApproval' : 'gate.sendingDenial');
+  } else {
+    gateEls.wait.textContent = t('gate.waiting', { waited: Math.floor(waited / 1000), timeout: GATE_TIMEOUT_MS / 1000 });
+  }
+}
+
+function initGate() {
+  if (!gateEls.panel) return;
+
+  gateEls.approve.addEventListener('click', () => decideGateRequest('approve'));
+  gateEls.deny.addEventListener('click', () => decideGateRequest('deny'));
+}
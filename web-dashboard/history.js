@@ -0,0 +1,204 @@
+/* ============================================================
+   Guardian-Track — Movement History
+   ============================================================ */
+
+// Events worth keeping a durable record of
+const HISTORY_EVENTS = ['zone_change', 'scan', 'approved', 'denied', 'gate_timeout', 'sneaked', 'alarm', 'mode_change'];
+const HISTORY_LIMIT = 300;
+
+const HISTORY_TYPE_LABELS = localizedLabels(
+  Object.fromEntries(HISTORY_EVENTS.map(type => [type, `history.type.${type}`])));
+
+const HISTORY_TYPE_ALERT = {
+  zone_change: 'info', scan: 'warning', approved: 'success', denied: 'warning',
+  gate_timeout: 'warning', sneaked: 'critical', alarm: 'critical', mode_change: 'info'
+};
+
+const historyEls = {
+  list: document.getElementById('history-list'),
+  count: document.getElementById('history-count'),
+  student: document.getElementById('history-student'),
+  zone: document.getElementById('history-zone'),
+  type: document.getElementById('history-type'),
+  from: document.getElementById('history-from'),
+  to: document.getElementById('history-to')
+};
+
+let historyRefreshTimer = null;
+
+// ============================================================
+//  RECORDING
+// ============================================================
+// Events are filed under map zone ids (see map.js); a reader that is on
+// no zone is filed under its own name
+function historyZoneFor(data, student) {
+  const id = zone => zone ? zone.id : null;
+  switch (data.event) {
+    case 'zone_change': return id(zoneForReader(data.zone)) || data.zone;
+    case 'scan':
+    case 'denied':
+    case 'gate_timeout': return id(gateZoneFor(data.zone || (student && student.reader)));
+    case 'approved':
+    case 'sneaked': return id(outsideZone());
+    case 'alarm': return student ? id(zoneForStudent(student)) : null;
+    default: return null;
+  }
+}
+
+function recordEvent(data) {
+  if (!HISTORY_EVENTS.includes(data.event) || isReplaying()) return;
+
+  const student = data.student ? eventStudent(data) : null;
+  const entry = {
+    ts: Date.now(),
+    type: data.event,
+    studentId: student ? student.id : null,
+    student: data.student || null,
+    zone: historyZoneFor(data, student),
+    mode: data.event === 'mode_change' ? data.mode : state.mode,
+    reason: data.reason || null,
+    by: data.by || null
+  };
+
+  dbAdd('events', entry)
+    .then(() => {
+      scheduleHistoryRefresh();
+      refreshStudentDrawer();
+    })
+    .catch(() => { /* storage unavailable — live view still works */ });
+}
+
+// ============================================================
+//  QUERYING
+// ============================================================
+// A range picked backwards covers the same days
+function readHistoryFilters() {
+  let fromDay = historyEls.from.value, toDay = historyEls.to.value;
+  if (fromDay && toDay && fromDay > toDay) [fromDay, toDay] = [toDay, fromDay];
+  const from = fromDay ? new Date(fromDay + 'T00:00:00').getTime() : null;
+  const to = toDay ? new Date(toDay + 'T23:59:59.999').getTime() : null;
+  return {
+    studentId: historyEls.student.value === '' ? null : Number(historyEls.student.value),
+    zone: historyEls.zone.value || null,
+    type: historyEls.type.value || null,
+    from, to
+  };
+}
+
+function queryHistory({ studentId = null, zone = null, type = null, from = null, to = null } = {}, limit = HISTORY_LIMIT) {
+  let range = null;
+  if (from !== null && to !== null) range = IDBKeyRange.bound(from, to);
+  else if (from !== null) range = IDBKeyRange.lowerBound(from);
+  else if (to !== null) range = IDBKeyRange.upperBound(to);
+
+  return dbQuery('events', {
+    index: 'ts',
+    range,
+    direction: 'prev',
+    limit,
+    filter: e => (studentId === null || e.studentId === studentId) &&
+                 (zone === null || e.zone === zone) &&
+                 (type === null || e.type === type)
+  });
+}
+
+// ============================================================
+//  HISTORY PANEL
+// ============================================================
+function describeHistoryEntry(e) {
+  const zoneName = mapZoneName(e.zone);
+  switch (e.type) {
+    case 'zone_change': return `${e.student} → ${zoneName}`;
+    case 'scan': return t('history.scan', { student: e.student });
+    case 'approved': return t('history.approved', { student: e.student, by: describeDecider(e.by) });
+    case 'denied': return t('history.denied', { student: e.student, by: describeDecider(e.by) });
+    case 'gate_timeout': return t('history.timeout', { student: e.student });
+    case 'sneaked': return t('history.sneaked', { student: e.student });
+    case 'alarm': return t('history.alarm', { student: e.student, reason: e.reason || t('alert.securityBreach') });
+    case 'mode_change': return t('history.modeChanged', { mode: MODE_LABELS[e.mode === 'class' ? 'class' : 'free'] });
+    default: return e.type;
+  }
+}
+
+function formatHistoryTime(ts) {
+  return new Date(ts).toLocaleString(currentLocale(), {
+    weekday: 'short', day: 'numeric', month: 'short',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+}
+
+async function renderHistory() {
+  if (!historyEls.list) return;
+
+  let entries;
+  try {
+    entries = await queryHistory(readHistoryFilters());
+  } catch (e) {
+    historyEls.list.innerHTML = `<div class="empty-state px-4 py-8 text-center"><p class="text-white/25 text-xs">${t('history.unavailable')}</p></div>`;
+    return;
+  }
+
+  historyEls.count.textContent = entries.length >= HISTORY_LIMIT
+    ? t('history.latest', { count: HISTORY_LIMIT })
+    : t('history.events', { count: entries.length });
+
+  if (entries.length === 0) {
+    historyEls.list.innerHTML = `<div class="empty-state px-4 py-8 text-center"><p class="text-white/25 text-xs">${t('history.none')}</p></div>`;
+    return;
+  }
+
+  historyEls.list.innerHTML = entries.map(e => {
+    const meta = [formatHistoryTime(e.ts), e.zone && mapZoneName(e.zone), HISTORY_TYPE_LABELS[e.type]]
+      .filter(Boolean).join(' · ');
+    return `<div class="history-item">
+      <div class="alert-icon ${HISTORY_TYPE_ALERT[e.type] || 'info'}"></div>
+      <div class="alert-content">
+        <div class="alert-message">${escapeHtml(describeHistoryEntry(e))}</div>
+        <div class="alert-time">${meta}</div>
+      </div>
+    </div>`;
+  }).join('');
+}
+
+function scheduleHistoryRefresh() {
+  clearTimeout(historyRefreshTimer);
+  historyRefreshTimer = setTimeout(renderHistory, 300);
+}
+
+function updateHistoryStudentOptions() {
+  if (!historyEls.student) return;
+  const selected = historyEls.student.value;
+  const sorted = [...state.students].sort((a, b) => a.name.localeCompare(b.name));
+  historyEls.student.innerHTML = `<option value="">${t('history.allStudents')}</option>` +
+    sorted.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('');
+  historyEls.student.value = selected;
+}
+
+function updateHistoryZoneOptions() {
+  if (!historyEls.zone) return;
+  const selected = historyEls.zone.value;
+  historyEls.zone.innerHTML = `<option value="">${t('history.allZones')}</option>` +
+    campusMap.zones.map(z => `<option value="${z.id}">${escapeHtml(z.name)}</option>`).join('');
+  historyEls.zone.value = mapZone(selected) ? selected : '';
+}
+
+function updateHistoryTypeOptions() {
+  if (!historyEls.type) return;
+  const selected = historyEls.type.value;
+  historyEls.type.innerHTML = `<option value="">${t('history.allEvents')}</option>` +
+    HISTORY_EVENTS.map(type => `<option value="${type}">${HISTORY_TYPE_LABELS[type]}</option>`).join('');
+  historyEls.type.value = selected;
+}
+
+function initHistory() {
+  if (!historyEls.list) return;
+
+  updateHistoryZoneOptions();
+  updateHistoryTypeOptions();
+  updateHistoryStudentOptions();
+
+  [historyEls.student, historyEls.zone, historyEls.type, historyEls.from, historyEls.to]
+    .forEach(el => el.addEventListener('change', renderHistory));
+
+  renderHistory();
+}
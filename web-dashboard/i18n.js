@@ -0,0 +1,1670 @@
+/* ============================================================
+   Guardian-Track — Languages
+   Message catalogs and the t() lookup used for user-facing text.
+     t('alert.sneaked', { student })   → interpolates {student}
+     t('map.students', { count })      → picks the plural form
+   Static text in index.html is tagged with data-i18n (textContent)
+   or data-i18n-placeholder / -title / -aria-label and re-applied
+   whenever the language changes. Missing Swahili keys fall back to
+   English, missing English keys show the key itself.
+   ============================================================ */
+
+const LANGUAGE_KEY = 'gt-language';
+
+const LANGUAGES = {
+  en: { label: 'English', locale: 'en-KE' },
+  sw: { label: 'Kiswahili', locale: 'sw-KE' }
+};
+
+// A plural entry is { one, other } — chosen with Intl.PluralRules by `count`
+const MESSAGES = {
+  en: {
+    'location.unknown': 'Unknown',
+    'location.classroom': 'Classroom',
+    'location.hostel': 'Hostel',
+    'location.gate': 'At Gate',
+    'location.left': 'Left',
+    'location.sneaked': 'Sneaked',
+    'location.campus': 'On campus',
+    'location.atZone': 'At {zone}',
+
+    'duration.seconds': '{seconds}s',
+    'duration.minutes': '{minutes}m {seconds}s',
+
+    'analytics.wrongZone': 'Wrong zone',
+    'analytics.blocked': 'Analytics need IndexedDB, which this browser blocks',
+    'analytics.pickDay': 'Pick a day to see occupancy',
+    'analytics.occupancyChart': 'Students per zone over the day',
+    'analytics.noSamples': 'No occupancy samples for this day',
+    'analytics.byHourChart': 'Incidents by hour of day',
+    'analytics.byWeekdayChart': 'Incidents by weekday',
+    'analytics.noIncidents': 'No incidents in this period',
+    'analytics.gateWaits': {
+      one: '{count} approved exit · longest {longest}',
+      other: '{count} approved exits · longest {longest}'
+    },
+    'analytics.noExits': 'No approved exits in this period',
+
+    'mode.class': 'Class Time',
+    'mode.free': 'Free Time',
+    'mode.switching': 'Switching…',
+    'mode.switchingTo': 'Switching to {mode}…',
+    'mode.classDetail': 'Class Time — restrictions enforced',
+    'mode.freeDetail': 'Free Time — no restrictions',
+
+    'connection.connect': 'Connect',
+    'connection.disconnect': 'Disconnect',
+    'connection.cancel': 'Cancel',
+    'connection.connected': 'Connected · {transport}',
+    'connection.reconnecting': 'Reconnecting… (attempt {attempt})',
+    'connection.replaying': 'Replaying recording',
+    'connection.disconnected': 'Disconnected',
+    'connection.serial': 'USB cable (Web Serial — Chrome/Edge)',
+    'connection.websocket': 'Network bridge (WebSocket — any browser)',
+    'connection.simulator': 'Simulator (no hardware)',
+
+    'transport.usb': 'USB',
+    'transport.bridge': 'Bridge',
+    'transport.simulator': 'Simulator',
+    'transport.serialUnsupported': 'Web Serial API not supported. Use Chrome/Edge/Brave or the network bridge.',
+    'transport.serialClosed': 'Serial port closed',
+    'transport.invalidUrl': 'Invalid bridge address "{url}"',
+    'transport.unreachable': 'Cannot reach bridge at {url}',
+    'transport.lost': 'Bridge connection lost',
+
+    'alert.ready': '🛡️ Guardian-Track ready. Click Connect to start monitoring.',
+    'alert.tip': '💡 Tip: Press Ctrl+Shift+D to start the simulator (no hardware needed).',
+    'alert.connectFailed': 'Connection failed: {error}',
+    'alert.simulatorStarted': '🧪 Simulator started — tap cards below the map',
+    'alert.bridgeConnected': 'Connected to bridge at {url}',
+    'alert.arduinoConnected': 'Connected to Arduino',
+    'alert.connectionLost': '🔌 Connection lost ({error}) — reconnecting…',
+    'alert.simulatorStopped': 'Simulator stopped',
+    'alert.bridgeDisconnected': 'Disconnected from bridge',
+    'alert.arduinoDisconnected': 'Disconnected from Arduino',
+    'alert.booted': 'Arduino booted successfully',
+    'alert.bootedFirmware': 'Arduino booted successfully — firmware {firmware}',
+    'alert.restarted': {
+      one: '♻️ Arduino restarted — the location of {count} student was reset to Unknown',
+      other: '♻️ Arduino restarted — the locations of {count} students were reset to Unknown'
+    },
+    'alert.unknownCard': 'Unknown card {card} at {zone}',
+    'alert.unknownCardNoId': 'Unknown card at {zone}',
+    'alert.reader': 'reader',
+    'alert.scan': '🚪 {student} at gate — awaiting approval',
+    'alert.approved': '✅ {student} — exit approved by {by}',
+    'alert.denied': '⛔ {student} — exit denied by {by}',
+    'alert.timeout': '⌛ {student} — gate request expired',
+    'alert.sneaked': '🚨 ALERT: {student} sneaked out!',
+    'alert.zoneChange': '{icon} {student} → {place}',
+    'alert.alarm': '⚠️ Alarm: {student} — {reason}',
+    'alert.securityBreach': 'security breach',
+    'alert.modeChanged': 'Mode changed to {mode}',
+    'alert.modeChangedTimetable': 'Mode changed to {mode} by the timetable',
+    'alert.offLimits': '⚠️ {student} is in the {zone} — off limits during {mode}',
+    'alert.none': 'No alerts yet',
+    'alert.ack': 'Ack',
+    'alert.resolve': 'Resolve',
+    'alert.escalated': 'escalated {count}×',
+    'alert.status.open': 'Open',
+    'alert.status.acknowledged': 'Acknowledged',
+    'alert.status.resolved': 'Resolved',
+    'alert.log.opened': 'opened',
+    'alert.log.acknowledged': 'acknowledged',
+    'alert.log.resolved': 'resolved',
+    'alert.log.assigned': 'assigned',
+    'alert.log.note': 'note',
+    'alert.log.escalated': 'escalated',
+    'alert.by.system': 'system',
+    'alert.by.dashboard': 'dashboard',
+    'alert.openFor': 'open for {minutes} min',
+    'alert.nobody': 'nobody',
+
+    'gate.adminCard': 'admin card',
+    'gate.approvedBy': 'Approved by {by}',
+    'gate.deniedBy': 'Denied by {by}',
+    'gate.expired': 'Request expired — no decision in time',
+    'gate.leftUnapproved': 'Left without approval',
+    'gate.wentBack': 'Went back to the {place}',
+
+    'students.registered': { one: '{count} registered', other: '{count} registered' },
+    'students.filtered': '{shown} of {total}',
+    'students.noMatch': 'No students match these filters',
+    'students.connect': 'Connect Arduino to see students',
+    'students.noProfile': 'No profile yet',
+    'students.allClasses': 'All classes',
+    'students.allDorms': 'All dorms',
+    'students.allLocations': 'All locations',
+
+    'map.students': { one: '{count} student', other: '{count} students' },
+    'map.more': '+{count} more',
+    'map.showAll': 'Show all {count} in the student list',
+    'map.drawZone': 'Draw zone',
+    'map.drawing': 'Drag on the map…',
+
+    'history.events': { one: '{count} event', other: '{count} events' },
+    'history.latest': 'latest {count} events',
+    'history.none': 'No matching events',
+    'history.empty': 'No events recorded yet',
+    'history.unavailable': 'History storage unavailable in this browser',
+    'history.allStudents': 'All students',
+    'history.allZones': 'All zones',
+    'history.allEvents': 'All events',
+    'history.type.zone_change': 'Zone change',
+    'history.type.scan': 'Gate scan',
+    'history.type.approved': 'Exit approved',
+    'history.type.denied': 'Exit denied',
+    'history.type.gate_timeout': 'Gate timeout',
+    'history.type.sneaked': 'Sneaked out',
+    'history.type.alarm': 'Alarm',
+    'history.type.mode_change': 'Mode change',
+    'history.scan': '{student} requested exit at gate',
+    'history.approved': '{student} left school (approved by {by})',
+    'history.denied': '{student} exit denied by {by}',
+    'history.timeout': '{student} gate request expired',
+    'history.sneaked': '{student} sneaked out',
+    'history.alarm': 'Alarm: {student} — {reason}',
+    'history.modeChanged': 'Mode changed to {mode}',
+
+    'gate.notConnected': 'Not connected — the gate cannot be reached',
+    'gate.ignored': 'Gate command ignored ({reason}) — no request pending',
+    'gate.alreadyClosed': 'Request already closed at the gate',
+    'gate.sendingApproval': 'Sending approval…',
+    'gate.sendingDenial': 'Sending denial…',
+    'gate.waiting': 'Waiting {waited}s of {timeout}s',
+
+    'permit.reason.medical': 'Medical appointment',
+    'permit.reason.weekend': 'Home for the weekend',
+    'permit.reason.family': 'Family matter',
+    'permit.reason.errand': 'School errand',
+    'permit.reason.sports': 'Sports fixture',
+    'permit.return.60': 'Back in 1 hour',
+    'permit.return.120': 'Back in 2 hours',
+    'permit.return.240': 'Back in 4 hours',
+    'permit.return.evening': 'Back by 18:00',
+    'permit.return.sunday': 'Back Sunday 17:00',
+    'permit.return.none': 'No return time',
+    'permit.span.underMinute': 'under a minute',
+    'permit.span.minutes': '{minutes} min',
+    'permit.span.hours': '{hours} h',
+    'permit.span.hoursMinutes': '{hours} h {minutes} min',
+    'permit.span.days': '{days} d',
+    'permit.span.daysHours': '{days} d {hours} h',
+    'permit.back': '🏠 {student} is back ({zone}) after {span} out',
+    'permit.backLate': '🏠 {student} is back ({zone}) after {span} out, {late} late',
+    'permit.overdue': '⏰ {student} is {span} overdue — approved by {by}',
+    'permit.overdueReason': '⏰ {student} is {span} overdue ({reason}) — approved by {by}',
+    'permit.out': '{count} out',
+    'permit.outOverdue': '{count} out · {overdue} overdue',
+    'permit.late': '{span} overdue',
+    'permit.backIn': 'Back in {span}',
+    'permit.noReason': 'No reason given',
+    'permit.meta': 'Left {time} · approved by {by}',
+    'permit.status.out': 'Out',
+    'permit.status.returned': 'Returned',
+    'permit.status.closed': 'Closed by staff',
+    'permit.status.replaced': 'Replaced by a new permit',
+    'permit.ended': 'permit {status}',
+
+    'rules.gateVisits': '{student} at the gate {count} times in {minutes} min',
+    'rules.zoneInPeriod': '{student} tapped the {reader} reader during {period}',
+    'rules.massExit': '{count} students left within {minutes} min',
+    'rules.notSeen': '{student} not seen at any reader since {time}',
+    'rules.type.gate_visits': 'At the gate too often',
+    'rules.type.not_seen': 'Not seen at any reader',
+    'rules.type.zone_in_period': 'Tap during a timetable period',
+    'rules.type.mass_exit': 'Many students leaving at once',
+    'rules.param.moreThan': 'More than',
+    'rules.param.within': 'Within',
+    'rules.param.for': 'For',
+    'rules.param.reader': 'Reader',
+    'rules.param.during': 'During',
+    'rules.unit.gateTaps': 'gate taps',
+    'rules.unit.min': 'min',
+    'rules.unit.hours': 'hours',
+    'rules.unit.students': 'students',
+    'rules.describe.gate_visits': 'more than {count} gate taps within {minutes} min',
+    'rules.describe.not_seen': 'no reader has seen them for {hours} h',
+    'rules.describe.zone_in_period': '{reader} tap during {period}',
+    'rules.describe.mass_exit': 'more than {count} students left within {minutes} min',
+    'rules.severity.info': 'Info',
+    'rules.severity.warning': 'Warning',
+    'rules.severity.critical': 'Critical',
+    'rules.sound.none': 'Silent',
+    'rules.sound.chime': 'Chime',
+    'rules.sound.alarm': 'Alarm',
+    'rules.sound.siren': 'Alarm, repeated, with vibration',
+    'rules.default.gateVisits': 'Hanging around the gate',
+    'rules.default.missing': 'Missing',
+    'rules.default.hostelPrep': 'In the hostel during prep',
+    'rules.default.massExit': 'Mass exit',
+    'rules.off': 'Off — only the firmware raises alarms',
+    'rules.on': { one: '{on} of {count} rule on', other: '{on} of {count} rules on' },
+    'rules.none': 'No rules yet',
+    'rules.target.push': 'notification',
+    'rules.target.parent': 'parent',
+    'rules.target.track': 'tracked',
+    'rules.edit': 'Edit',
+    'rules.ruleOn': 'Rule on',
+
+    'timetable.lesson': 'Lesson',
+    'timetable.prep': 'Prep',
+    'timetable.break': 'Break',
+    'timetable.notConnected': 'Not connected — mode not changed',
+    'timetable.unconfirmed': '⚠️ Device did not confirm {mode} — mode unchanged',
+    'timetable.unconfirmedRetry': '⚠️ Device did not confirm {mode} — timetable will retry',
+    'timetable.copied': 'Copied {day} timetable to Mon–Fri',
+    'timetable.day.sun': 'Sun',
+    'timetable.day.mon': 'Mon',
+    'timetable.day.tue': 'Tue',
+    'timetable.day.wed': 'Wed',
+    'timetable.day.thu': 'Thu',
+    'timetable.day.fri': 'Fri',
+    'timetable.day.sat': 'Sat',
+    'timetable.off': 'Off — switch modes by hand',
+    'timetable.holiday': 'holiday',
+    'timetable.till': '{period} till {end}',
+    'timetable.nextSwitch': '{mode} at {at}',
+    'timetable.noPeriods': 'No periods — free time all day',
+    'timetable.periodType': 'Period type',
+    'timetable.start': 'Start',
+    'timetable.end': 'End',
+    'timetable.removePeriod': 'Remove period',
+    'timetable.noHolidays': 'No holidays',
+    'timetable.removeHoliday': 'Remove holiday',
+
+    'roster.connect': 'Connect to the device to push the roster',
+    'roster.tooMany': 'Roster has {count} slots but the device holds {slots}',
+    'roster.saved': { one: '📋 Roster saved on device ({count} student)', other: '📋 Roster saved on device ({count} students)' },
+    'roster.failed': 'Roster push failed: {error}',
+    'roster.newStudent': 'New student',
+    'roster.editStudent': 'Edit {name}',
+    'roster.confirmBind': 'Bind card {uid} (tapped at {reader}) to {name}?',
+    'roster.thisStudent': 'this student',
+    'roster.aReader': 'a reader',
+    'roster.pushing': 'Pushing {slot}/{count}…',
+    'roster.noReply': 'device did not respond',
+    'roster.rejected': 'device rejected {command} ({reason})',
+    'roster.tapCard': 'Tap the new card on any reader…',
+    'roster.cardTaken': 'Card {uid} already belongs to {name}',
+    'roster.nameRequired': 'Name is required',
+    'roster.uidFormat': 'Card UID must look like 93:85:CB:13',
+    'roster.full': 'The device holds at most {slots} students',
+    'roster.notLoaded': 'Device roster not loaded — connect to sync',
+    'roster.unsynced': { one: '{count} change not on the device yet', other: '{count} changes not on the device yet' },
+    'roster.upToDate': 'Device is up to date',
+    'roster.empty': 'No students yet — add one or connect the device',
+    'roster.noCard': 'no card',
+    'roster.inactive': 'Inactive',
+    'roster.notSynced': 'Not synced',
+
+    'operator.autoLocked': '🔒 Locked after {minutes} min without activity',
+    'operator.setup': 'Protected actions need an operator. Create the first one — more can be added under Settings → Operators.',
+    'operator.enterPin': 'Enter your PIN to continue.',
+    'operator.enterPinFor': 'Enter your PIN to continue ({purpose}).',
+    'operator.create': 'Create & sign in',
+    'operator.signIn': 'Sign in',
+    'operator.confirmRemove': 'Remove operator {name}?',
+    'operator.nameRequired': 'Name is required',
+    'operator.pinFormat': 'PIN must be 4–8 digits',
+    'operator.pinMismatch': 'PINs do not match',
+    'operator.tooManyPins': 'Too many wrong PINs — try again in {seconds}s',
+    'operator.choose': 'Choose an operator',
+    'operator.wrongPin': 'Wrong PIN',
+    'operator.keepOne': 'Keep at least one operator',
+    'operator.locked': '🔒 Locked',
+    'operator.signedInAs': 'Signed in as {name} — locks after {minutes} min idle',
+    'operator.lockedSummary': {
+      one: 'Locked — protected actions ask for a PIN ({count} operator)',
+      other: 'Locked — protected actions ask for a PIN ({count} operators)'
+    },
+    'operator.noneYet': 'No operators yet — the first protected action sets one up',
+    'operator.lock': 'Lock',
+    'operator.none': 'No operators yet',
+    'operator.signedIn': 'Signed in',
+    'operator.remove': 'Remove',
+
+    'audit.loading': 'Loading…',
+    'audit.unavailable': 'Audit log unavailable (storage blocked)',
+    'audit.entries': { one: '{count} entry', other: '{count} entries' },
+    'audit.intact': 'chain intact',
+    'audit.broken': '⚠️ chain broken at entry #{entry} — entries were altered or removed',
+    'audit.empty': 'Nothing recorded yet',
+    'audit.action.sign_in': 'Sign-in',
+    'audit.action.sign_in_failed': 'Wrong PIN',
+    'audit.action.lock': 'Lock',
+    'audit.action.auto_lock': 'Auto-lock',
+    'audit.action.mode': 'Mode change',
+    'audit.action.timetable_edit': 'Timetable change',
+    'audit.action.clear_alerts': 'Alerts cleared',
+    'audit.action.roster_save': 'Roster edit',
+    'audit.action.roster_push': 'Roster push',
+    'audit.action.gate_decision': 'Gate decision',
+    'audit.action.console_command': 'Console command',
+    'audit.action.permit_edit': 'Permit edit',
+    'audit.action.permit_close': 'Permit closed',
+    'audit.action.rules_edit': 'Rule change',
+    'audit.action.map_edit': 'Map change',
+    'audit.action.integrations_edit': 'Integration change',
+    'audit.action.notify_settings': 'Parent notification settings',
+    'audit.action.backup': 'Backup',
+    'audit.action.backup_restore': 'Restore from backup',
+    'audit.action.backup_settings': 'Backup settings',
+    'audit.action.operator_add': 'Operator added',
+    'audit.action.operator_pin': 'PIN reset',
+    'audit.action.operator_remove': 'Operator removed',
+    'audit.action.lock_settings': 'Auto-lock setting',
+
+    'reconnect.reconnected': '🔌 Reconnected after {duration} — checking what changed',
+    'reconnect.stopped': 'Stopped reconnecting',
+    'reconnect.nothingChanged': 'Nothing changed while the dashboard was offline',
+    'reconnect.meta': 'Offline {from}–{to} ({duration}) · {count} changed',
+    'reconnect.new': 'New',
+    'reconnect.removed': 'Removed',
+    'reconnect.changed': {
+      one: '📋 {count} student changed while offline — tap for the report',
+      other: '📋 {count} students changed while offline — tap for the report'
+    },
+    'reconnect.changedReset': {
+      one: '📋 {count} student changed while offline (Arduino restarted) — tap for the report',
+      other: '📋 {count} students changed while offline (Arduino restarted) — tap for the report'
+    },
+
+    'protocol.error.not_json': 'unreadable line',
+    'protocol.error.bad_checksum': 'checksum mismatch',
+    'protocol.error.missing_checksum': 'line without checksum',
+    'protocol.error.unknown_event': 'unknown event',
+    'protocol.error.bad_field': 'missing or invalid field',
+    'protocol.error.dropped': 'lines lost',
+    'protocol.error.out_of_order': 'line out of sequence',
+    'protocol.alert': 'Serial protocol: {error}',
+    'protocol.alertDetail': 'Serial protocol: {error} ({detail})',
+    'protocol.newer': 'Firmware {firmware} speaks protocol {version}; this dashboard only knows up to {known} — please update it',
+    'protocol.noHello': 'Firmware did not answer HELLO — no checksums or sequence numbers, students matched by name. Update the firmware.',
+    'protocol.waiting': 'Waiting for the firmware to identify itself…',
+    'protocol.notConnected': 'Not connected',
+    'protocol.firmware': 'Firmware {firmware} · protocol {version}',
+    'protocol.legacy': 'Legacy firmware · protocol {version}',
+    'protocol.errors': { one: '{count} error', other: '{count} errors' },
+    'protocol.lost': '{count} lost',
+    'protocol.noErrors': 'no errors',
+
+    'notify.queueFailed': 'Parent notification could not be queued — storage unavailable',
+    'notify.skipped': 'Parent of {student} not notified: {reason}',
+    'notify.failed': '📵 Could not notify the parent of {student}: {error}',
+    'notify.kind.sneaked': 'Sneaked out',
+    'notify.kind.approved': 'Approved exit',
+    'notify.kind.rule': 'Alert rule',
+    'notify.subject.sneaked': 'Guardian-Track: {student} left school without permission',
+    'notify.subject.approved': 'Guardian-Track: {student} signed out',
+    'notify.subject.rule': 'Guardian-Track: a message about {student}',
+    'notify.body.sneaked': 'URGENT: {student} ({class}) left school without permission at {time}. Please contact the school immediately.',
+    'notify.body.approved': '{student} ({class}) left school at {time} with permission from {by}.',
+    'notify.body.rule': '{student} ({class}): {rule} ({time}). The school is looking into it.',
+    'notify.status.queued': 'queued',
+    'notify.status.sending': 'sending',
+    'notify.status.sent': 'sent',
+    'notify.status.failed': 'failed',
+    'notify.status.skipped': 'skipped',
+    'notify.provider.sms': 'SMS',
+    'notify.provider.email': 'Email',
+    'notify.provider.mock': 'Test',
+    'notify.gatewayStatus': 'gateway answered {status}',
+    'notify.gatewayTimeout': 'gateway timed out',
+    'notify.noSmsUrl': 'no SMS gateway URL set',
+    'notify.noMailUrl': 'no mail relay URL set',
+    'notify.simulatedFailure': 'simulated failure',
+    'notify.noContact': 'no parent contact on file',
+    'notify.rateLimited': 'rate limit ({limit} per hour)',
+    'notify.storageUnavailable': 'Storage unavailable',
+    'notify.off': 'Off — parents are not notified',
+    'notify.via': 'Via {provider}',
+    'notify.queued': '{count} queued',
+    'notify.failedCount': '{count} failed',
+    'notify.nothingSent': 'Nothing sent yet',
+    'notify.attempts': '{count} attempts',
+    'notify.retry': 'Retry',
+    'notify.subjectOf': '{kind} subject',
+    'notify.messageOf': '{kind} message',
+
+    'push.label.sneaked': 'Sneaked out',
+    'push.label.alarm': 'Wrong-zone alarm',
+    'push.label.escalated': 'Alert still unacknowledged',
+    'push.label.scan': 'Gate request waiting',
+    'push.label.overdue': 'Student overdue back',
+    'push.label.rule': 'Alert rules',
+    'push.label.connection': 'Connection lost',
+    'push.title.sneaked': '🚨 Student sneaked out',
+    'push.title.alarm': '⚠️ Wrong-zone alarm',
+    'push.title.escalated': '🔔 Alert needs attention',
+    'push.title.scan': '🚪 Gate request',
+    'push.title.overdue': '⏰ Student overdue',
+    'push.title.rule': '🔔 Alert rule',
+    'push.title.connection': '🔌 Arduino disconnected',
+    'push.acknowledge': 'Acknowledge',
+    'push.openStudent': 'Open student',
+    'push.unsupported': 'Not supported by this browser',
+    'push.blocked': 'Blocked — allow notifications for this site in the browser',
+    'push.on': 'On — critical events reach this device in the background',
+    'push.off': 'Off — alerts only sound while the dashboard is open',
+    'push.test': 'Test notification — critical events will arrive like this',
+
+    'drawer.justNow': 'just now',
+    'drawer.forMinutes': 'for {minutes} min',
+    'drawer.forHours': 'for {hours} h {minutes} min',
+    'drawer.since': 'since {time}',
+    'drawer.call': 'Call',
+    'drawer.sms': 'SMS',
+    'drawer.today': '{type} today',
+    'drawer.inDays': '{count} in {days} days',
+    'drawer.noMovements': 'No movements today',
+
+    'diagnostics.quietReader': '📡 {reader} reader has had no taps since {time} while the others logged {count} — check its wiring',
+    'diagnostics.quietReaderNever': '📡 {reader} reader has had no taps yet while the others logged {count} — check its wiring',
+    'diagnostics.noHeartbeat': '💓 No status heartbeat for {duration} — the Arduino may have hung',
+    'diagnostics.notConnected': 'Not connected — command not sent',
+    'diagnostics.pause': 'Pause',
+    'diagnostics.resume': 'Resume',
+
+    'recorder.full': '⏺ Recording stopped at {count} lines — download it and start a new one',
+    'recorder.unreadable': 'Cannot read {file}',
+    'recorder.badFile': 'Cannot replay {file}: {error}',
+    'recorder.finished': '⏹ Replay finished — connect to see live data again',
+    'recorder.lines': { one: '{number} line', other: '{number} lines' },
+    'recorder.off': 'Off — raw serial lines are not kept',
+    'recorder.recording': '⏺ Recording — {lines}, {duration}',
+    'recorder.stopped': 'Stopped — {lines} ready to download',
+    'recorder.stop': 'Stop',
+
+    'reports.exportFailed': 'Export failed — stored history is not available in this browser',
+    'reports.nothing': 'Nothing to export — no {dataset} in that range',
+    'reports.reportFailed': 'Report failed — stored history is not available in this browser',
+
+    'rollcall.noZone': 'Add an inside zone to the campus map to take a roll call',
+    'rollcall.noStudents': 'No students to count — connect to the device first',
+    'rollcall.saveFailed': 'Roll call could not be saved (storage unavailable)',
+    'rollcall.saved': '📋 {label} roll call saved — {present}/{total} present',
+    'rollcall.savedSneaked': '📋 {label} roll call saved — {present}/{total} present, {sneaked} sneaked out',
+
+    'backup.failed': 'Backup failed — stored data is not available in this browser',
+    'backup.restoreFailed': 'Restore failed — nothing was changed ({error})',
+    'backup.paused': '💾 Automatic backups are paused — allow access to the backup folder again under Settings → Backup & Restore',
+    'backup.autoFailed': '💾 Automatic backup failed: {error}',
+    'backup.unsupported': 'Needs Chrome or Edge (File System Access)',
+    'backup.folder': 'Folder: {folder}',
+    'backup.noFolder': 'No folder chosen',
+    'backup.allowAccess': 'Allow access',
+    'backup.changeFolder': 'Change folder…',
+    'backup.chooseFolder': 'Choose folder…',
+    'backup.confirmReplace': 'Replace everything on this dashboard — students, settings, history, alerts and the audit log — with the backup?',
+    'backup.setting.map': 'Campus map',
+    'backup.setting.timetable': 'Timetable',
+    'backup.setting.operators': 'Operators',
+    'backup.setting.alerts': 'Alert escalation',
+    'backup.setting.rules': 'Alert rules',
+    'backup.setting.notify': 'Parent notifications',
+    'backup.setting.push': 'System notifications',
+    'backup.setting.integrations': 'Integrations',
+    'backup.setting.diagnostics': 'Diagnostics',
+    'backup.setting.connection': 'Connection',
+    'backup.setting.language': 'Language',
+    'backup.store.roster': 'Student profiles',
+    'backup.store.events': 'Movement history',
+    'backup.store.alerts': 'Tracked alerts',
+    'backup.store.samples': 'Occupancy samples',
+    'backup.store.rollcalls': 'Roll calls',
+    'backup.store.permits': 'Exit permits',
+    'backup.store.outbox': 'Parent messages',
+    'backup.store.deliveries': 'Integration deliveries',
+    'backup.store.audit': 'Audit log',
+    'backup.every.1': 'Every hour',
+    'backup.every.6': 'Every 6 hours',
+    'backup.every.24': 'Every day',
+    'backup.every.168': 'Every week',
+    'backup.error.notJson': 'not a JSON file',
+    'backup.error.notBackup': 'not a Guardian-Track backup',
+    'backup.error.newer': 'made by a newer dashboard (backup version {version}) — update this one first',
+    'backup.error.checksum': 'the checksum does not match — the file is damaged or was edited',
+    'backup.error.missing': 'settings or data are missing from the file',
+    'backup.error.malformed': '{store} in the file are malformed',
+    'backup.error.auditBroken': 'the audit log in the file breaks at entry {entry}',
+    'backup.error.storage': 'stored data is not available in this browser',
+    'backup.error.storageShort': 'storage unavailable',
+    'backup.error.write': 'could not write to the folder',
+    'backup.cantRestore': 'Can\'t restore {file}: {error}',
+    'backup.restored': 'Restored — reloading the dashboard…',
+    'backup.status.noFolder': 'Choose a folder to start',
+    'backup.status.paused': 'Paused — the folder needs access allowed again',
+    'backup.status.failed': 'Last attempt failed: {error}',
+    'backup.status.last': 'Last backup {time}',
+    'backup.status.first': 'First backup on its way',
+    'backup.summary': '{interval} to “{folder}” · {status}',
+    'backup.off': 'Off — back up by hand from here',
+    'backup.reviewInfo': '{file} · made {created} · {count} records · checksum OK',
+    'backup.diff.added': '{count} new',
+    'backup.diff.changed': '{count} different',
+    'backup.diff.nothingNew': 'nothing new',
+    'backup.diff.onlyReplace': 'only with Replace',
+    'backup.diff.counts': 'here {here} · file {file}',
+    'backup.diff.new': 'new',
+    'backup.diff.different': 'different',
+    'backup.diff.same': 'same',
+    'backup.diff.onlyHere': 'only here',
+    'backup.diff.data': 'Data',
+    'backup.diff.settings': 'Settings',
+    'backup.diff.noSettings': 'None in the file or here',
+
+    'simulator.start': 'Start Simulator',
+    'simulator.stop': 'Stop Simulator',
+    'simulator.adminCard': 'Admin card',
+    'simulator.blankCard': 'Blank card ({uid})',
+    'simulator.admin': 'Admin',
+    'simulator.gateCard': 'Card on gate reader: {card}',
+    'simulator.noCard': 'none',
+    'simulator.gateOpen': 'Gate OPEN',
+    'simulator.buzzerOn': 'Buzzer ON',
+    'simulator.gate.idle': 'Idle',
+    'simulator.gate.waiting': '{name} waiting for approval — {seconds}s to timeout',
+    'simulator.gate.sneak': '{name} card removed — sneak alarm in {seconds}s',
+    'simulator.gate.approved': 'Gate open for {name}',
+    'simulator.gate.alarm': 'ALARM sounding for {name}',
+    'simulator.gate.alarmEnded': 'Alarm ended',
+
+    'page.inSchool': 'In School',
+    'page.left': 'Left',
+    'page.sneaked': 'Sneaked',
+    'page.liveTracking': 'Live Tracking',
+    'page.editMap': 'Edit map',
+    'page.currentlyOut': 'Currently Out',
+    'page.exitRequest': 'Exit request',
+    'page.deny': 'Deny',
+    'page.approve': 'Approve',
+    'page.reason': 'Reason for leaving',
+    'page.expectedReturn': 'Expected return',
+    'page.students': 'Students',
+    'page.rollCall': 'Roll call',
+    'page.manage': 'Manage',
+    'page.search': 'Search name, class, dorm or card',
+    'page.searchLabel': 'Search students',
+    'page.class': 'Class',
+    'page.dorm': 'Dorm',
+    'page.location': 'Location',
+    'page.liveAlerts': 'Live Alerts',
+    'page.clear': 'Clear',
+    'page.history': 'History',
+    'page.export': 'Export',
+    'page.student': 'Student',
+    'page.zone': 'Zone',
+    'page.eventType': 'Event type',
+    'page.from': 'From',
+    'page.to': 'To',
+    'page.settings': 'Settings',
+    'page.language': 'Language',
+    'page.languageDetail': 'Main screens, alerts and history',
+    'page.systemMode': 'System Mode',
+    'page.automaticMode': 'Automatic Mode',
+    'page.timetable': 'Timetable',
+    'page.campusMap': 'Campus Map',
+    'page.edit': 'Edit',
+    'page.operator': 'Operator',
+    'page.operators': 'Operators',
+    'page.auditLog': 'Audit log',
+    'page.lock': 'Lock',
+    'page.lockDetail': 'min without activity',
+    'page.escalate': 'Escalate',
+    'page.escalateDetail': 'min unacknowledged',
+    'page.alertRules': 'Alert Rules',
+    'page.systemNotifications': 'System Notifications',
+    'page.test': 'Test',
+    'page.whenVisible': 'Also while the dashboard is on screen',
+    'page.parentNotifications': 'Parent Notifications',
+    'page.configure': 'Configure',
+    'page.integrations': 'Integrations',
+    'page.exports': 'Exports & Reports',
+    'page.exportsDetail': 'Roster, movements and incidents as CSV or JSON; daily incident report',
+    'page.open': 'Open',
+    'page.backup': 'Backup & Restore',
+    'page.connection': 'Connection',
+    'page.connectionDetail': 'Used by the Connect button',
+    'page.diagnostics': 'Diagnostics',
+    'page.bridge': 'Bridge',
+    'page.serialRecording': 'Serial Recording',
+    'page.record': 'Record',
+    'page.download': 'Download',
+    'page.replay': 'Replay…',
+    'page.leftSchool': 'Left School',
+    'page.sneakedOut': 'Sneaked Out',
+    'page.simulatorShortcut': 'Ctrl+Shift+D toggles the simulator',
+    'page.analytics': 'Analytics',
+    'page.last7': 'Last 7 days',
+    'page.last30': 'Last 30 days',
+    'page.last90': 'Last 90 days',
+    'page.occupancy': 'Occupancy by zone',
+    'page.incidentsHour': 'Incidents by hour',
+    'page.incidentsWeekday': 'Incidents by weekday',
+    'page.mostIncidents': 'Most incidents',
+    'page.gateWait': 'Average wait at the gate before approval',
+    'page.map': 'Map',
+    'page.alerts': 'Alerts',
+    'page.today': 'Today',
+    'page.editProfile': 'Edit profile',
+    'page.studentRoster': 'Student Roster',
+    'page.pushToDevice': 'Push to device',
+    'page.addNew': '+ Add',
+    'page.name': 'Name',
+    'page.parent': 'Parent',
+    'page.email': 'Email',
+    'page.card': 'Card',
+    'page.scanCard': 'Scan card',
+    'page.cancel': 'Cancel',
+    'page.save': 'Save',
+    'page.weeklyTimetable': 'Weekly Timetable',
+    'page.addPeriod': '+ Add period',
+    'page.copyWeekdays': 'Copy to Mon–Fri',
+    'page.add': 'Add',
+    'page.criticalAlert': 'Critical Alert',
+    'page.assign': 'Assign',
+    'page.addNote': 'Add note',
+    'page.acknowledge': 'Acknowledge',
+    'page.resolve': 'Resolve',
+    'page.exitPermit': 'Exit Permit',
+    'page.reasonShort': 'Reason',
+    'page.backBy': 'Back by',
+    'page.closePermit': 'Close permit',
+    'page.addRule': 'Add rule',
+    'page.watchFor': 'Watch for',
+    'page.severity': 'Severity',
+    'page.sound': 'Sound',
+    'page.quietFor': 'Quiet for',
+    'page.minAfterFiring': 'min after firing',
+    'page.delete': 'Delete',
+    'page.reset': 'Reset',
+    'page.icon': 'Icon',
+    'page.kind': 'Kind',
+    'page.shape': 'Shape',
+    'page.reader': 'Reader',
+    'page.colour': 'Colour',
+    'page.offLimits': 'Off limits during',
+    'page.deleteZone': 'Delete zone',
+    'page.data': 'Data',
+    'page.print': 'Print',
+    'page.downloadBackup': 'Download backup',
+    'page.every': 'Every',
+    'page.keep': 'Keep',
+    'page.files': 'files',
+    'page.chooseFile': 'Choose file…',
+    'page.replace': 'Replace',
+    'page.merge': 'Merge',
+    'page.addWebhook': 'Add webhook',
+    'page.addMqtt': 'Add MQTT',
+    'page.address': 'Address',
+    'page.token': 'Token',
+    'page.topic': 'Topic',
+    'page.user': 'User',
+    'page.password': 'Password',
+    'page.qos': 'QoS',
+    'page.eventsToForward': 'Events to forward',
+    'page.sendTest': 'Send test',
+    'page.deliveryLog': 'Delivery log',
+    'page.changedOffline': 'Changed While Offline',
+    'page.rollCallTitle': 'Roll Call',
+    'page.backToLive': 'Back to live',
+    'page.saveRecord': 'Save record',
+    'page.savedRollCalls': 'Saved roll calls',
+    'page.lastHeartbeat': 'Last heartbeat',
+    'page.heartbeatEvery': 'expected every 5s',
+    'page.bootsSeen': 'Boots seen',
+    'page.linesConnection': 'Lines this connection',
+    'page.parseErrors': 'Parse errors',
+    'page.rfidReaders': 'RFID readers',
+    'page.resetCounters': 'Reset counters',
+    'page.serialConsole': 'Serial console',
+    'page.send': 'Send',
+    'page.signIn': 'Operator Sign-in',
+    'page.pin': 'PIN',
+    'page.repeat': 'Repeat',
+    'page.auditLogTitle': 'Audit Log',
+    'page.sendVia': 'Send via',
+    'page.url': 'URL',
+    'page.sender': 'Sender',
+    'page.relay': 'Relay',
+    'page.limit': 'Limit',
+    'page.perStudentHour': 'per student / hour',
+    'page.close': 'Close',
+    'page.nameLimit': 'The device shows the first 16 letters',
+    'page.emailOptional': 'parent@example.com (optional)',
+    'page.cardUid': 'Card UID',
+    'page.holidayDate': 'Holiday date',
+    'page.nameOptional': 'Name (optional)',
+    'page.assignee': 'Staff member handling it',
+    'page.alertNote': 'Add a note (who was called, where the student was found…)',
+    'page.permitReason': 'Why the student left',
+    'page.ruleNameHint': 'Shown at the start of the alert',
+    'page.mapEditor': 'Campus map editor',
+    'page.readerHint': 'Name the firmware reports',
+    'page.reportDay': 'Report day',
+    'page.autoBackups': 'Automatic backups',
+    'page.backupsToKeep': 'Backups to keep',
+    'page.integrationNameHint': 'e.g. Gate NVR',
+    'page.bearerOptional': 'Bearer token (optional)',
+    'page.countIn': 'Count students in',
+    'page.rollCallName': 'Roll call name',
+    'page.commandHint': 'Command, e.g. SYNC',
+    'page.commandToSend': 'Command to send',
+    'page.signinNameHint': 'Recorded with every protected action',
+    'page.pinDigits': '4–8 digits',
+    'page.samePin': 'Same PIN again',
+    'page.operatorName': 'Operator name',
+    'page.apiTokenOptional': 'API token (optional)',
+    'page.activeCard': 'Active — the card is recognised by the readers',
+    'page.systemNotification': 'System notification',
+    'page.notifyParent': 'Notify the parent',
+    'page.trackUntilResolved': 'Track until resolved',
+    'page.retain': 'Retain',
+    'page.failEverySend': 'Fail every send (to try out retries)',
+    'page.holidays': 'Holidays',
+    'page.holidaysDetail': '— Free Time all day',
+    'page.dailyReport': 'Daily incident report',
+    'page.dailyReportDetail': '— summary and each student\'s incidents',
+    'page.backupNow': 'Back up now',
+    'page.backupNowDetail': '— students, settings, history and alerts in one file',
+    'page.autoBackupsDetail': '— while the dashboard is open',
+    'page.restore': 'Restore',
+    'page.restoreDetail': '— checked and compared before anything changes',
+    'page.addOperator': 'Add operator',
+    'page.addOperatorDetail': '— an existing name gets its PIN reset',
+    'page.templates': 'Templates',
+    'page.templatesDetail': '— {student} {class} {dorm} {time} {by} {rule}',
+    'page.exportDetail': '— CSV for spreadsheets, JSON for the archive',
+    'page.timetableHint': 'Lessons and prep switch the device to Class Time. Breaks and anything unscheduled are Free Time.',
+    'page.permitHint': 'The permit closes by itself when the student taps any reader.',
+    'page.mapHint': 'Drag a zone to move it and its corner to resize it. Draw zone, then drag across an empty spot to add one.',
+    'page.backupWarning': 'The file holds operator PIN hashes and integration passwords — keep it somewhere safe.',
+    'page.mergeHint': 'Merge adds what this dashboard doesn\'t have and keeps its own version of the rest. Replace makes it exactly the backup. Either way the dashboard reloads afterwards.',
+    'page.topicHint': 'Topic placeholders: {event} {zone} {studentId} {mode}. The broker needs a WebSocket listener.',
+    'page.offlineReset': 'The Arduino restarted while the dashboard was away. It keeps locations in memory only, so everyone shows as Unknown until they tap a reader again.',
+    'page.corsHint': 'The gateway or relay must allow requests from this page (CORS). Only one dashboard per school should send.',
+    'page.qos0': '0 — at most once',
+    'page.qos1': '1 — at least once',
+    'page.off': 'Off',
+    'page.smsGateway': 'SMS gateway (HTTP)',
+    'page.emailRelay': 'Email (local relay)',
+    'page.testLog': 'Test log (browser console)'
+  },
+
+  sw: {
+    'location.unknown': 'Haijulikani',
+    'location.classroom': 'Darasani',
+    'location.hostel': 'Bwenini',
+    'location.gate': 'Langoni',
+    'location.left': 'Ameondoka',
+    'location.sneaked': 'Ametoroka',
+    'location.campus': 'Shuleni',
+    'location.atZone': 'Kwenye {zone}',
+
+    'duration.seconds': 'sek {seconds}',
+    'duration.minutes': 'dak {minutes} sek {seconds}',
+
+    'analytics.wrongZone': 'Eneo lisilo sahihi',
+    'analytics.blocked': 'Takwimu zinahitaji IndexedDB, ambayo kivinjari hiki kinazuia',
+    'analytics.pickDay': 'Chagua siku ili kuona idadi ya wanafunzi',
+    'analytics.occupancyChart': 'Wanafunzi kwa kila eneo kwa siku nzima',
+    'analytics.noSamples': 'Hakuna sampuli za idadi kwa siku hii',
+    'analytics.byHourChart': 'Matukio kwa saa ya siku',
+    'analytics.byWeekdayChart': 'Matukio kwa siku ya wiki',
+    'analytics.noIncidents': 'Hakuna matukio katika kipindi hiki',
+    'analytics.gateWaits': {
+      one: 'Kutoka {count} kulikoidhinishwa · kirefu zaidi {longest}',
+      other: 'Kutoka {count} kulikoidhinishwa · kirefu zaidi {longest}'
+    },
+    'analytics.noExits': 'Hakuna kutoka kulikoidhinishwa katika kipindi hiki',
+
+    'mode.class': 'Wakati wa Darasa',
+    'mode.free': 'Wakati Huru',
+    'mode.switching': 'Inabadilisha…',
+    'mode.switchingTo': 'Inabadilisha kwenda {mode}…',
+    'mode.classDetail': 'Wakati wa Darasa — vikwazo vinatekelezwa',
+    'mode.freeDetail': 'Wakati Huru — hakuna vikwazo',
+
+    'connection.connect': 'Unganisha',
+    'connection.disconnect': 'Tenganisha',
+    'connection.cancel': 'Ghairi',
+    'connection.connected': 'Imeunganishwa · {transport}',
+    'connection.reconnecting': 'Inaunganisha upya… (jaribio la {attempt})',
+    'connection.replaying': 'Inacheza rekodi',
+    'connection.disconnected': 'Haijaunganishwa',
+    'connection.serial': 'Kebo ya USB (Web Serial — Chrome/Edge)',
+    'connection.websocket': 'Daraja la mtandao (WebSocket — kivinjari chochote)',
+    'connection.simulator': 'Kiigaji (bila vifaa)',
+
+    'transport.usb': 'USB',
+    'transport.bridge': 'Daraja',
+    'transport.simulator': 'Kiigaji',
+    'transport.serialUnsupported': 'Web Serial API haitumiki. Tumia Chrome/Edge/Brave au daraja la mtandao.',
+    'transport.serialClosed': 'Mlango wa serial umefungwa',
+    'transport.invalidUrl': 'Anwani ya daraja si sahihi "{url}"',
+    'transport.unreachable': 'Haiwezi kufikia daraja kwenye {url}',
+    'transport.lost': 'Muunganisho wa daraja umepotea',
+
+    'alert.ready': '🛡️ Guardian-Track iko tayari. Bofya Unganisha kuanza ufuatiliaji.',
+    'alert.tip': '💡 Kidokezo: Bonyeza Ctrl+Shift+D kuanzisha kiigaji (hakuna vifaa vinavyohitajika).',
+    'alert.connectFailed': 'Imeshindwa kuunganisha: {error}',
+    'alert.simulatorStarted': '🧪 Kiigaji kimeanza — gusa kadi chini ya ramani',
+    'alert.bridgeConnected': 'Imeunganishwa na daraja {url}',
+    'alert.arduinoConnected': 'Imeunganishwa na Arduino',
+    'alert.connectionLost': '🔌 Muunganisho umekatika ({error}) — inaunganisha upya…',
+    'alert.simulatorStopped': 'Kiigaji kimesimamishwa',
+    'alert.bridgeDisconnected': 'Imetenganishwa na daraja',
+    'alert.arduinoDisconnected': 'Imetenganishwa na Arduino',
+    'alert.booted': 'Arduino imewashwa kikamilifu',
+    'alert.bootedFirmware': 'Arduino imewashwa kikamilifu — programu dhibiti {firmware}',
+    'alert.restarted': {
+      one: '♻️ Arduino imewashwa upya — mahali pa mwanafunzi {count} pamerudishwa kuwa Haijulikani',
+      other: '♻️ Arduino imewashwa upya — mahali pa wanafunzi {count} pamerudishwa kuwa Haijulikani'
+    },
+    'alert.unknownCard': 'Kadi isiyojulikana {card} kwenye {zone}',
+    'alert.unknownCardNoId': 'Kadi isiyojulikana kwenye {zone}',
+    'alert.reader': 'kisomaji',
+    'alert.scan': '🚪 {student} yuko langoni — anasubiri idhini',
+    'alert.approved': '✅ {student} — ameruhusiwa kutoka na {by}',
+    'alert.denied': '⛔ {student} — amekataliwa kutoka na {by}',
+    'alert.timeout': '⌛ {student} — muda wa ombi la langoni umeisha',
+    'alert.sneaked': '🚨 TAHADHARI: {student} ametoroka!',
+    'alert.zoneChange': '{icon} {student} → {place}',
+    'alert.alarm': '⚠️ Kengele: {student} — {reason}',
+    'alert.securityBreach': 'uvunjaji wa usalama',
+    'alert.modeChanged': 'Hali imebadilishwa kuwa {mode}',
+    'alert.modeChangedTimetable': 'Hali imebadilishwa kuwa {mode} na ratiba',
+    'alert.offLimits': '⚠️ {student} yuko {zone} — hairuhusiwi wakati huu ({mode})',
+    'alert.none': 'Hakuna tahadhari bado',
+    'alert.ack': 'Pokea',
+    'alert.resolve': 'Tatua',
+    'alert.escalated': 'imepandishwa mara {count}',
+    'alert.status.open': 'Wazi',
+    'alert.status.acknowledged': 'Imepokelewa',
+    'alert.status.resolved': 'Imetatuliwa',
+    'alert.log.opened': 'imefunguliwa',
+    'alert.log.acknowledged': 'imepokelewa',
+    'alert.log.resolved': 'imetatuliwa',
+    'alert.log.assigned': 'imekabidhiwa',
+    'alert.log.note': 'dokezo',
+    'alert.log.escalated': 'imepandishwa',
+    'alert.by.system': 'mfumo',
+    'alert.by.dashboard': 'dashibodi',
+    'alert.openFor': 'wazi kwa dakika {minutes}',
+    'alert.nobody': 'hakuna mtu',
+
+    'gate.adminCard': 'kadi ya msimamizi',
+    'gate.approvedBy': 'Ameruhusiwa na {by}',
+    'gate.deniedBy': 'Amekataliwa na {by}',
+    'gate.expired': 'Muda wa ombi umeisha — hakuna uamuzi uliofanywa',
+    'gate.leftUnapproved': 'Ameondoka bila ruhusa',
+    'gate.wentBack': 'Amerudi {place}',
+
+    'students.registered': { one: '{count} amesajiliwa', other: '{count} wamesajiliwa' },
+    'students.filtered': '{shown} kati ya {total}',
+    'students.noMatch': 'Hakuna mwanafunzi anayelingana na vichujio hivi',
+    'students.connect': 'Unganisha Arduino kuona wanafunzi',
+    'students.noProfile': 'Bado hana wasifu',
+    'students.allClasses': 'Madarasa yote',
+    'students.allDorms': 'Mabweni yote',
+    'students.allLocations': 'Mahali pote',
+
+    'map.students': { one: 'mwanafunzi {count}', other: 'wanafunzi {count}' },
+    'map.more': '+{count} zaidi',
+    'map.showAll': 'Onyesha wote {count} kwenye orodha ya wanafunzi',
+    'map.drawZone': 'Chora eneo',
+    'map.drawing': 'Buruta kwenye ramani…',
+
+    'history.events': { one: 'tukio {count}', other: 'matukio {count}' },
+    'history.latest': 'matukio {count} ya karibuni',
+    'history.none': 'Hakuna matukio yanayolingana',
+    'history.empty': 'Hakuna matukio yaliyorekodiwa bado',
+    'history.unavailable': 'Hifadhi ya historia haipatikani kwenye kivinjari hiki',
+    'history.allStudents': 'Wanafunzi wote',
+    'history.allZones': 'Maeneo yote',
+    'history.allEvents': 'Matukio yote',
+    'history.type.zone_change': 'Kubadili eneo',
+    'history.type.scan': 'Kadi langoni',
+    'history.type.approved': 'Ameruhusiwa kutoka',
+    'history.type.denied': 'Amekataliwa kutoka',
+    'history.type.gate_timeout': 'Muda wa langoni umeisha',
+    'history.type.sneaked': 'Ametoroka',
+    'history.type.alarm': 'Kengele',
+    'history.type.mode_change': 'Kubadili hali',
+    'history.scan': '{student} ameomba kutoka langoni',
+    'history.approved': '{student} ameondoka shuleni (ameruhusiwa na {by})',
+    'history.denied': '{student} amekataliwa kutoka na {by}',
+    'history.timeout': 'Muda wa ombi la {student} langoni umeisha',
+    'history.sneaked': '{student} ametoroka',
+    'history.alarm': 'Kengele: {student} — {reason}',
+    'history.modeChanged': 'Hali imebadilishwa kuwa {mode}',
+
+    'gate.notConnected': 'Haijaunganishwa — lango haliwezi kufikiwa',
+    'gate.ignored': 'Amri ya lango imepuuzwa ({reason}) — hakuna ombi linalosubiri',
+    'gate.alreadyClosed': 'Ombi limeshafungwa langoni',
+    'gate.sendingApproval': 'Inatuma ruhusa…',
+    'gate.sendingDenial': 'Inatuma kukataa…',
+    'gate.waiting': 'Inasubiri sekunde {waited} kati ya {timeout}',
+
+    'permit.reason.medical': 'Miadi ya matibabu',
+    'permit.reason.weekend': 'Nyumbani kwa wikendi',
+    'permit.reason.family': 'Jambo la kifamilia',
+    'permit.reason.errand': 'Shughuli ya shule',
+    'permit.reason.sports': 'Mechi ya michezo',
+    'permit.return.60': 'Atarudi baada ya saa 1',
+    'permit.return.120': 'Atarudi baada ya saa 2',
+    'permit.return.240': 'Atarudi baada ya saa 4',
+    'permit.return.evening': 'Atarudi kabla ya 18:00',
+    'permit.return.sunday': 'Atarudi Jumapili 17:00',
+    'permit.return.none': 'Hakuna muda wa kurudi',
+    'permit.span.underMinute': 'chini ya dakika moja',
+    'permit.span.minutes': 'dakika {minutes}',
+    'permit.span.hours': 'saa {hours}',
+    'permit.span.hoursMinutes': 'saa {hours} dakika {minutes}',
+    'permit.span.days': 'siku {days}',
+    'permit.span.daysHours': 'siku {days} saa {hours}',
+    'permit.back': '🏠 {student} amerudi ({zone}) baada ya {span} nje',
+    'permit.backLate': '🏠 {student} amerudi ({zone}) baada ya {span} nje, amechelewa {late}',
+    'permit.overdue': '⏰ {student} amechelewa {span} — aliruhusiwa na {by}',
+    'permit.overdueReason': '⏰ {student} amechelewa {span} ({reason}) — aliruhusiwa na {by}',
+    'permit.out': '{count} nje',
+    'permit.outOverdue': '{count} nje · {overdue} wamechelewa',
+    'permit.late': 'amechelewa {span}',
+    'permit.backIn': 'Atarudi baada ya {span}',
+    'permit.noReason': 'Hakuna sababu',
+    'permit.meta': 'Aliondoka {time} · aliruhusiwa na {by}',
+    'permit.status.out': 'Yuko nje',
+    'permit.status.returned': 'Amerudi',
+    'permit.status.closed': 'Kimefungwa na mhudumu',
+    'permit.status.replaced': 'Kimebadilishwa na kibali kipya',
+    'permit.ended': 'kibali: {status}',
+
+    'rules.gateVisits': '{student} langoni mara {count} ndani ya dakika {minutes}',
+    'rules.zoneInPeriod': '{student} aligusa kisomaji cha {reader} wakati wa {period}',
+    'rules.massExit': 'Wanafunzi {count} waliondoka ndani ya dakika {minutes}',
+    'rules.notSeen': '{student} hajaonekana kwenye kisomaji chochote tangu {time}',
+    'rules.type.gate_visits': 'Langoni mara nyingi mno',
+    'rules.type.not_seen': 'Hajaonekana kwenye kisomaji chochote',
+    'rules.type.zone_in_period': 'Kuguswa wakati wa kipindi cha ratiba',
+    'rules.type.mass_exit': 'Wanafunzi wengi wanaondoka pamoja',
+    'rules.param.moreThan': 'Zaidi ya',
+    'rules.param.within': 'Ndani ya',
+    'rules.param.for': 'Kwa',
+    'rules.param.reader': 'Kisomaji',
+    'rules.param.during': 'Wakati wa',
+    'rules.unit.gateTaps': 'miguso ya langoni',
+    'rules.unit.min': 'dak',
+    'rules.unit.hours': 'saa',
+    'rules.unit.students': 'wanafunzi',
+    'rules.describe.gate_visits': 'zaidi ya miguso {count} ya langoni ndani ya dakika {minutes}',
+    'rules.describe.not_seen': 'hakuna kisomaji kilichowaona kwa saa {hours}',
+    'rules.describe.zone_in_period': 'mguso wa {reader} wakati wa {period}',
+    'rules.describe.mass_exit': 'zaidi ya wanafunzi {count} waliondoka ndani ya dakika {minutes}',
+    'rules.severity.info': 'Taarifa',
+    'rules.severity.warning': 'Onyo',
+    'rules.severity.critical': 'Hatari',
+    'rules.sound.none': 'Kimya',
+    'rules.sound.chime': 'Mlio',
+    'rules.sound.alarm': 'Kengele',
+    'rules.sound.siren': 'Kengele, inayorudiwa, pamoja na mtetemo',
+    'rules.default.gateVisits': 'Kuzurura langoni',
+    'rules.default.missing': 'Hayupo',
+    'rules.default.hostelPrep': 'Bwenini wakati wa prep',
+    'rules.default.massExit': 'Kutoka kwa wingi',
+    'rules.off': 'Imezimwa — ni firmware pekee inayopiga kengele',
+    'rules.on': { one: 'Kanuni {on} kati ya {count} imewashwa', other: 'Kanuni {on} kati ya {count} zimewashwa' },
+    'rules.none': 'Hakuna kanuni bado',
+    'rules.target.push': 'arifa',
+    'rules.target.parent': 'mzazi',
+    'rules.target.track': 'inafuatiliwa',
+    'rules.edit': 'Hariri',
+    'rules.ruleOn': 'Kanuni imewashwa',
+
+    'timetable.lesson': 'Kipindi',
+    'timetable.prep': 'Prep',
+    'timetable.break': 'Mapumziko',
+    'timetable.notConnected': 'Haijaunganishwa — hali haijabadilishwa',
+    'timetable.unconfirmed': '⚠️ Kifaa hakijathibitisha {mode} — hali haijabadilika',
+    'timetable.unconfirmedRetry': '⚠️ Kifaa hakijathibitisha {mode} — ratiba itajaribu tena',
+    'timetable.copied': 'Ratiba ya {day} imenakiliwa hadi Jumatatu–Ijumaa',
+    'timetable.day.sun': 'Jpl',
+    'timetable.day.mon': 'Jtt',
+    'timetable.day.tue': 'Jnn',
+    'timetable.day.wed': 'Jtn',
+    'timetable.day.thu': 'Alh',
+    'timetable.day.fri': 'Iju',
+    'timetable.day.sat': 'Jmo',
+    'timetable.off': 'Imezimwa — badilisha hali kwa mkono',
+    'timetable.holiday': 'sikukuu',
+    'timetable.till': '{period} hadi {end}',
+    'timetable.nextSwitch': '{mode} saa {at}',
+    'timetable.noPeriods': 'Hakuna vipindi — wakati huru siku nzima',
+    'timetable.periodType': 'Aina ya kipindi',
+    'timetable.start': 'Mwanzo',
+    'timetable.end': 'Mwisho',
+    'timetable.removePeriod': 'Ondoa kipindi',
+    'timetable.noHolidays': 'Hakuna sikukuu',
+    'timetable.removeHoliday': 'Ondoa sikukuu',
+
+    'roster.connect': 'Unganisha na kifaa ili kutuma orodha',
+    'roster.tooMany': 'Orodha ina nafasi {count} lakini kifaa kinashika {slots}',
+    'roster.saved': { one: '📋 Orodha imehifadhiwa kwenye kifaa (mwanafunzi {count})', other: '📋 Orodha imehifadhiwa kwenye kifaa (wanafunzi {count})' },
+    'roster.failed': 'Kutuma orodha kumeshindwa: {error}',
+    'roster.newStudent': 'Mwanafunzi mpya',
+    'roster.editStudent': 'Hariri {name}',
+    'roster.confirmBind': 'Unganisha kadi {uid} (iliyoguswa kwenye {reader}) na {name}?',
+    'roster.thisStudent': 'mwanafunzi huyu',
+    'roster.aReader': 'kisomaji',
+    'roster.pushing': 'Inatuma {slot}/{count}…',
+    'roster.noReply': 'kifaa hakikujibu',
+    'roster.rejected': 'kifaa kimekataa {command} ({reason})',
+    'roster.tapCard': 'Gusa kadi mpya kwenye kisomaji chochote…',
+    'roster.cardTaken': 'Kadi {uid} tayari ni ya {name}',
+    'roster.nameRequired': 'Jina linahitajika',
+    'roster.uidFormat': 'UID ya kadi lazima ifanane na 93:85:CB:13',
+    'roster.full': 'Kifaa hushika wanafunzi {slots} tu',
+    'roster.notLoaded': 'Orodha ya kifaa haijapakiwa — unganisha ili kusawazisha',
+    'roster.unsynced': { one: 'Badiliko {count} bado halipo kwenye kifaa', other: 'Mabadiliko {count} bado hayapo kwenye kifaa' },
+    'roster.upToDate': 'Kifaa kiko sawa',
+    'roster.empty': 'Hakuna wanafunzi bado — ongeza mmoja au unganisha kifaa',
+    'roster.noCard': 'hakuna kadi',
+    'roster.inactive': 'Hatumiki',
+    'roster.notSynced': 'Haijasawazishwa',
+
+    'operator.autoLocked': '🔒 Imefungwa baada ya dakika {minutes} bila shughuli',
+    'operator.setup': 'Vitendo vinavyolindwa vinahitaji mhudumu. Unda wa kwanza — wengine wanaweza kuongezwa chini ya Mipangilio → Wahudumu.',
+    'operator.enterPin': 'Weka PIN yako ili kuendelea.',
+    'operator.enterPinFor': 'Weka PIN yako ili kuendelea ({purpose}).',
+    'operator.create': 'Unda na uingie',
+    'operator.signIn': 'Ingia',
+    'operator.confirmRemove': 'Ondoa mhudumu {name}?',
+    'operator.nameRequired': 'Jina linahitajika',
+    'operator.pinFormat': 'PIN lazima iwe tarakimu 4–8',
+    'operator.pinMismatch': 'PIN hazilingani',
+    'operator.tooManyPins': 'PIN nyingi zisizo sahihi — jaribu tena baada ya sekunde {seconds}',
+    'operator.choose': 'Chagua mhudumu',
+    'operator.wrongPin': 'PIN si sahihi',
+    'operator.keepOne': 'Baki na angalau mhudumu mmoja',
+    'operator.locked': '🔒 Imefungwa',
+    'operator.signedInAs': 'Umeingia kama {name} — hufunga baada ya dakika {minutes} bila shughuli',
+    'operator.lockedSummary': {
+      one: 'Imefungwa — vitendo vinavyolindwa vinaomba PIN (mhudumu {count})',
+      other: 'Imefungwa — vitendo vinavyolindwa vinaomba PIN (wahudumu {count})'
+    },
+    'operator.noneYet': 'Hakuna wahudumu bado — kitendo cha kwanza kinacholindwa kitaunda mmoja',
+    'operator.lock': 'Funga',
+    'operator.none': 'Hakuna wahudumu bado',
+    'operator.signedIn': 'Ameingia',
+    'operator.remove': 'Ondoa',
+
+    'audit.loading': 'Inapakia…',
+    'audit.unavailable': 'Kumbukumbu ya ukaguzi haipatikani (hifadhi imezuiwa)',
+    'audit.entries': { one: 'ingizo {count}', other: 'maingizo {count}' },
+    'audit.intact': 'mnyororo uko kamili',
+    'audit.broken': '⚠️ mnyororo umekatika kwenye ingizo #{entry} — maingizo yalibadilishwa au kuondolewa',
+    'audit.empty': 'Hakuna kilichorekodiwa bado',
+    'audit.action.sign_in': 'Kuingia',
+    'audit.action.sign_in_failed': 'PIN si sahihi',
+    'audit.action.lock': 'Kufunga',
+    'audit.action.auto_lock': 'Kufunga kiotomatiki',
+    'audit.action.mode': 'Mabadiliko ya hali',
+    'audit.action.timetable_edit': 'Mabadiliko ya ratiba',
+    'audit.action.clear_alerts': 'Tahadhari zimefutwa',
+    'audit.action.roster_save': 'Kuhariri orodha',
+    'audit.action.roster_push': 'Kutuma orodha',
+    'audit.action.gate_decision': 'Uamuzi wa lango',
+    'audit.action.console_command': 'Amri ya koni',
+    'audit.action.permit_edit': 'Kuhariri kibali',
+    'audit.action.permit_close': 'Kibali kimefungwa',
+    'audit.action.rules_edit': 'Mabadiliko ya kanuni',
+    'audit.action.map_edit': 'Mabadiliko ya ramani',
+    'audit.action.integrations_edit': 'Mabadiliko ya muunganisho',
+    'audit.action.notify_settings': 'Mipangilio ya arifa kwa wazazi',
+    'audit.action.backup': 'Nakala',
+    'audit.action.backup_restore': 'Kurejesha kutoka nakala',
+    'audit.action.backup_settings': 'Mipangilio ya nakala',
+    'audit.action.operator_add': 'Mhudumu ameongezwa',
+    'audit.action.operator_pin': 'PIN imewekwa upya',
+    'audit.action.operator_remove': 'Mhudumu ameondolewa',
+    'audit.action.lock_settings': 'Mpangilio wa kufunga kiotomatiki',
+
+    'reconnect.reconnected': '🔌 Imeunganishwa upya baada ya {duration} — inakagua kilichobadilika',
+    'reconnect.stopped': 'Imeacha kuunganisha upya',
+    'reconnect.nothingChanged': 'Hakuna kilichobadilika dashibodi ilipokuwa nje ya mtandao',
+    'reconnect.meta': 'Nje ya mtandao {from}–{to} ({duration}) · {count} wamebadilika',
+    'reconnect.new': 'Mpya',
+    'reconnect.removed': 'Ameondolewa',
+    'reconnect.changed': {
+      one: '📋 Mwanafunzi {count} alibadilika ukiwa nje ya mtandao — gusa kuona ripoti',
+      other: '📋 Wanafunzi {count} walibadilika ukiwa nje ya mtandao — gusa kuona ripoti'
+    },
+    'reconnect.changedReset': {
+      one: '📋 Mwanafunzi {count} alibadilika ukiwa nje ya mtandao (Arduino ilianza upya) — gusa kuona ripoti',
+      other: '📋 Wanafunzi {count} walibadilika ukiwa nje ya mtandao (Arduino ilianza upya) — gusa kuona ripoti'
+    },
+
+    'protocol.error.not_json': 'mstari usiosomeka',
+    'protocol.error.bad_checksum': 'checksum hailingani',
+    'protocol.error.missing_checksum': 'mstari bila checksum',
+    'protocol.error.unknown_event': 'tukio lisilojulikana',
+    'protocol.error.bad_field': 'sehemu haipo au si sahihi',
+    'protocol.error.dropped': 'mistari imepotea',
+    'protocol.error.out_of_order': 'mstari nje ya mfuatano',
+    'protocol.alert': 'Itifaki ya serial: {error}',
+    'protocol.alertDetail': 'Itifaki ya serial: {error} ({detail})',
+    'protocol.newer': 'Firmware {firmware} inatumia itifaki {version}; dashibodi hii inajua hadi {known} tu — tafadhali isasishe',
+    'protocol.noHello': 'Firmware haikujibu HELLO — hakuna checksum wala nambari za mfuatano, wanafunzi wanatambuliwa kwa jina. Sasisha firmware.',
+    'protocol.waiting': 'Inasubiri firmware ijitambulishe…',
+    'protocol.notConnected': 'Haijaunganishwa',
+    'protocol.firmware': 'Firmware {firmware} · itifaki {version}',
+    'protocol.legacy': 'Firmware ya zamani · itifaki {version}',
+    'protocol.errors': { one: 'hitilafu {count}', other: 'hitilafu {count}' },
+    'protocol.lost': '{count} zimepotea',
+    'protocol.noErrors': 'hakuna hitilafu',
+
+    'notify.queueFailed': 'Arifa kwa mzazi haikuweza kupangwa — hifadhi haipatikani',
+    'notify.skipped': 'Mzazi wa {student} hajaarifiwa: {reason}',
+    'notify.failed': '📵 Imeshindwa kumwarifu mzazi wa {student}: {error}',
+    'notify.kind.sneaked': 'Ametoroka',
+    'notify.kind.approved': 'Kutoka kulikoidhinishwa',
+    'notify.kind.rule': 'Kanuni ya tahadhari',
+    'notify.subject.sneaked': 'Guardian-Track: {student} ameondoka shuleni bila ruhusa',
+    'notify.subject.approved': 'Guardian-Track: {student} ameondoka kwa ruhusa',
+    'notify.subject.rule': 'Guardian-Track: ujumbe kuhusu {student}',
+    'notify.body.sneaked': 'DHARURA: {student} ({class}) ameondoka shuleni bila ruhusa saa {time}. Tafadhali wasiliana na shule mara moja.',
+    'notify.body.approved': '{student} ({class}) ameondoka shuleni saa {time} kwa ruhusa ya {by}.',
+    'notify.body.rule': '{student} ({class}): {rule} ({time}). Shule inalifuatilia.',
+    'notify.status.queued': 'kwenye foleni',
+    'notify.status.sending': 'inatuma',
+    'notify.status.sent': 'imetumwa',
+    'notify.status.failed': 'imeshindwa',
+    'notify.status.skipped': 'imerukwa',
+    'notify.provider.sms': 'SMS',
+    'notify.provider.email': 'Barua pepe',
+    'notify.provider.mock': 'Jaribio',
+    'notify.gatewayStatus': 'lango la ujumbe lilijibu {status}',
+    'notify.gatewayTimeout': 'muda wa lango la ujumbe umeisha',
+    'notify.noSmsUrl': 'hakuna URL ya lango la SMS',
+    'notify.noMailUrl': 'hakuna URL ya relei ya barua',
+    'notify.simulatedFailure': 'hitilafu ya kuigwa',
+    'notify.noContact': 'hakuna mawasiliano ya mzazi yaliyohifadhiwa',
+    'notify.rateLimited': 'kikomo cha ujumbe ({limit} kwa saa)',
+    'notify.storageUnavailable': 'Hifadhi haipatikani',
+    'notify.off': 'Imezimwa — wazazi hawaarifiwi',
+    'notify.via': 'Kupitia {provider}',
+    'notify.queued': '{count} kwenye foleni',
+    'notify.failedCount': '{count} zimeshindwa',
+    'notify.nothingSent': 'Hakuna kilichotumwa bado',
+    'notify.attempts': 'majaribio {count}',
+    'notify.retry': 'Jaribu tena',
+    'notify.subjectOf': 'Kichwa cha {kind}',
+    'notify.messageOf': 'Ujumbe wa {kind}',
+
+    'push.label.sneaked': 'Ametoroka',
+    'push.label.alarm': 'Kengele ya eneo lisilo sahihi',
+    'push.label.escalated': 'Tahadhari bado haijapokelewa',
+    'push.label.scan': 'Ombi la langoni linasubiri',
+    'push.label.overdue': 'Mwanafunzi amechelewa kurudi',
+    'push.label.rule': 'Kanuni za tahadhari',
+    'push.label.connection': 'Muunganisho umepotea',
+    'push.title.sneaked': '🚨 Mwanafunzi ametoroka',
+    'push.title.alarm': '⚠️ Kengele ya eneo lisilo sahihi',
+    'push.title.escalated': '🔔 Tahadhari inahitaji kushughulikiwa',
+    'push.title.scan': '🚪 Ombi la langoni',
+    'push.title.overdue': '⏰ Mwanafunzi amechelewa',
+    'push.title.rule': '🔔 Kanuni ya tahadhari',
+    'push.title.connection': '🔌 Arduino imetenganishwa',
+    'push.acknowledge': 'Pokea',
+    'push.openStudent': 'Fungua mwanafunzi',
+    'push.unsupported': 'Haitumiki kwenye kivinjari hiki',
+    'push.blocked': 'Imezuiwa — ruhusu arifa za tovuti hii kwenye kivinjari',
+    'push.on': 'Imewashwa — matukio muhimu hufika kwenye kifaa hiki hata ukiwa nje',
+    'push.off': 'Imezimwa — tahadhari hulia tu dashibodi ikiwa wazi',
+    'push.test': 'Arifa ya majaribio — matukio muhimu yatafika hivi',
+
+    'drawer.justNow': 'sasa hivi',
+    'drawer.forMinutes': 'kwa dakika {minutes}',
+    'drawer.forHours': 'kwa saa {hours} dakika {minutes}',
+    'drawer.since': 'tangu {time}',
+    'drawer.call': 'Piga simu',
+    'drawer.sms': 'SMS',
+    'drawer.today': '{type} leo',
+    'drawer.inDays': '{count} katika siku {days}',
+    'drawer.noMovements': 'Hakuna mienendo leo',
+
+    'diagnostics.quietReader': '📡 Kisomaji cha {reader} hakijaguswa tangu {time} wakati vingine vimeguswa mara {count} — kagua nyaya zake',
+    'diagnostics.quietReaderNever': '📡 Kisomaji cha {reader} hakijaguswa bado wakati vingine vimeguswa mara {count} — kagua nyaya zake',
+    'diagnostics.noHeartbeat': '💓 Hakuna mapigo ya hali kwa {duration} — huenda Arduino imekwama',
+    'diagnostics.notConnected': 'Haijaunganishwa — amri haijatumwa',
+    'diagnostics.pause': 'Sitisha',
+    'diagnostics.resume': 'Endelea',
+
+    'recorder.full': '⏺ Kurekodi kumesimama kwenye mistari {count} — ipakue na uanzishe mpya',
+    'recorder.unreadable': 'Haiwezi kusoma {file}',
+    'recorder.badFile': 'Haiwezi kucheza {file}: {error}',
+    'recorder.finished': '⏹ Uchezaji umekwisha — unganisha ili kuona data ya moja kwa moja tena',
+    'recorder.lines': { one: 'mstari {number}', other: 'mistari {number}' },
+    'recorder.off': 'Kimezimwa — mistari ghafi ya serial haihifadhiwi',
+    'recorder.recording': '⏺ Inarekodi — {lines}, {duration}',
+    'recorder.stopped': 'Imesimamishwa — {lines} tayari kupakuliwa',
+    'recorder.stop': 'Simamisha',
+
+    'reports.exportFailed': 'Kuhamisha kumeshindwa — historia iliyohifadhiwa haipatikani kwenye kivinjari hiki',
+    'reports.nothing': 'Hakuna cha kuhamisha — hakuna {dataset} katika kipindi hicho',
+    'reports.reportFailed': 'Ripoti imeshindwa — historia iliyohifadhiwa haipatikani kwenye kivinjari hiki',
+
+    'rollcall.noZone': 'Ongeza eneo la ndani kwenye ramani ya shule ili kuchukua mahudhurio',
+    'rollcall.noStudents': 'Hakuna wanafunzi wa kuhesabu — unganisha na kifaa kwanza',
+    'rollcall.saveFailed': 'Mahudhurio hayakuweza kuhifadhiwa (hifadhi haipatikani)',
+    'rollcall.saved': '📋 Mahudhurio ya {label} yamehifadhiwa — {present}/{total} wapo',
+    'rollcall.savedSneaked': '📋 Mahudhurio ya {label} yamehifadhiwa — {present}/{total} wapo, {sneaked} wametoroka',
+
+    'backup.failed': 'Kuhifadhi nakala kumeshindwa — data iliyohifadhiwa haipatikani kwenye kivinjari hiki',
+    'backup.restoreFailed': 'Kurejesha kumeshindwa — hakuna kilichobadilishwa ({error})',
+    'backup.paused': '💾 Nakala za kiotomatiki zimesimamishwa — ruhusu tena ufikiaji wa folda ya nakala chini ya Mipangilio → Hifadhi Nakala na Urejeshaji',
+    'backup.autoFailed': '💾 Nakala ya kiotomatiki imeshindwa: {error}',
+    'backup.unsupported': 'Inahitaji Chrome au Edge (File System Access)',
+    'backup.folder': 'Folda: {folder}',
+    'backup.noFolder': 'Hakuna folda iliyochaguliwa',
+    'backup.allowAccess': 'Ruhusu ufikiaji',
+    'backup.changeFolder': 'Badilisha folda…',
+    'backup.chooseFolder': 'Chagua folda…',
+    'backup.confirmReplace': 'Badilisha kila kitu kwenye dashibodi hii — wanafunzi, mipangilio, historia, tahadhari na kumbukumbu ya ukaguzi — kwa nakala hii?',
+    'backup.setting.map': 'Ramani ya shule',
+    'backup.setting.timetable': 'Ratiba',
+    'backup.setting.operators': 'Wahudumu',
+    'backup.setting.alerts': 'Upandishaji wa tahadhari',
+    'backup.setting.rules': 'Kanuni za tahadhari',
+    'backup.setting.notify': 'Arifa kwa wazazi',
+    'backup.setting.push': 'Arifa za mfumo',
+    'backup.setting.integrations': 'Miunganisho',
+    'backup.setting.diagnostics': 'Uchunguzi',
+    'backup.setting.connection': 'Muunganisho',
+    'backup.setting.language': 'Lugha',
+    'backup.store.roster': 'Wasifu wa wanafunzi',
+    'backup.store.events': 'Historia ya mienendo',
+    'backup.store.alerts': 'Tahadhari zinazofuatiliwa',
+    'backup.store.samples': 'Sampuli za idadi',
+    'backup.store.rollcalls': 'Mahudhurio',
+    'backup.store.permits': 'Vibali vya kutoka',
+    'backup.store.outbox': 'Ujumbe kwa wazazi',
+    'backup.store.deliveries': 'Uwasilishaji wa miunganisho',
+    'backup.store.audit': 'Kumbukumbu ya ukaguzi',
+    'backup.every.1': 'Kila saa',
+    'backup.every.6': 'Kila saa 6',
+    'backup.every.24': 'Kila siku',
+    'backup.every.168': 'Kila wiki',
+    'backup.error.notJson': 'si faili la JSON',
+    'backup.error.notBackup': 'si nakala ya Guardian-Track',
+    'backup.error.newer': 'imetengenezwa na dashibodi mpya zaidi (toleo la nakala {version}) — sasisha hii kwanza',
+    'backup.error.checksum': 'checksum hailingani — faili limeharibika au limehaririwa',
+    'backup.error.missing': 'mipangilio au data haipo kwenye faili',
+    'backup.error.malformed': '{store} kwenye faili zina hitilafu',
+    'backup.error.auditBroken': 'kumbukumbu ya ukaguzi kwenye faili inakatika kwenye ingizo {entry}',
+    'backup.error.storage': 'data iliyohifadhiwa haipatikani kwenye kivinjari hiki',
+    'backup.error.storageShort': 'hifadhi haipatikani',
+    'backup.error.write': 'haikuweza kuandika kwenye folda',
+    'backup.cantRestore': 'Haiwezi kurejesha {file}: {error}',
+    'backup.restored': 'Imerejeshwa — inapakia upya dashibodi…',
+    'backup.status.noFolder': 'Chagua folda ili kuanza',
+    'backup.status.paused': 'Imesitishwa — folda inahitaji kuruhusiwa tena',
+    'backup.status.failed': 'Jaribio la mwisho limeshindwa: {error}',
+    'backup.status.last': 'Nakala ya mwisho {time}',
+    'backup.status.first': 'Nakala ya kwanza inakuja',
+    'backup.summary': '{interval} kwenda “{folder}” · {status}',
+    'backup.off': 'Imezimwa — hifadhi nakala kwa mkono hapa',
+    'backup.reviewInfo': '{file} · ilitengenezwa {created} · rekodi {count} · checksum sawa',
+    'backup.diff.added': '{count} mpya',
+    'backup.diff.changed': '{count} tofauti',
+    'backup.diff.nothingNew': 'hakuna jipya',
+    'backup.diff.onlyReplace': 'kwa Badilisha tu',
+    'backup.diff.counts': 'hapa {here} · faili {file}',
+    'backup.diff.new': 'mpya',
+    'backup.diff.different': 'tofauti',
+    'backup.diff.same': 'sawa',
+    'backup.diff.onlyHere': 'hapa tu',
+    'backup.diff.data': 'Data',
+    'backup.diff.settings': 'Mipangilio',
+    'backup.diff.noSettings': 'Hakuna kwenye faili wala hapa',
+
+    'simulator.start': 'Anzisha Kiigaji',
+    'simulator.stop': 'Simamisha Kiigaji',
+    'simulator.adminCard': 'Kadi ya msimamizi',
+    'simulator.blankCard': 'Kadi tupu ({uid})',
+    'simulator.admin': 'Msimamizi',
+    'simulator.gateCard': 'Kadi kwenye kisomaji cha lango: {card}',
+    'simulator.noCard': 'hakuna',
+    'simulator.gateOpen': 'Lango WAZI',
+    'simulator.buzzerOn': 'Kengele IMEWASHWA',
+    'simulator.gate.idle': 'Tulivu',
+    'simulator.gate.waiting': '{name} anasubiri idhini — sekunde {seconds} kabla ya muda kuisha',
+    'simulator.gate.sneak': 'Kadi ya {name} imeondolewa — kengele ya kutoroka baada ya sekunde {seconds}',
+    'simulator.gate.approved': 'Lango liko wazi kwa {name}',
+    'simulator.gate.alarm': 'KENGELE inalia kwa {name}',
+    'simulator.gate.alarmEnded': 'Kengele imekwisha',
+
+    'page.inSchool': 'Shuleni',
+    'page.left': 'Wameondoka',
+    'page.sneaked': 'Wametoroka',
+    'page.liveTracking': 'Ufuatiliaji wa Moja kwa Moja',
+    'page.editMap': 'Hariri ramani',
+    'page.currentlyOut': 'Walio Nje Sasa',
+    'page.exitRequest': 'Ombi la kutoka',
+    'page.deny': 'Kataa',
+    'page.approve': 'Ruhusu',
+    'page.reason': 'Sababu ya kuondoka',
+    'page.expectedReturn': 'Anatarajiwa kurudi',
+    'page.students': 'Wanafunzi',
+    'page.rollCall': 'Mahudhurio',
+    'page.manage': 'Simamia',
+    'page.search': 'Tafuta jina, darasa, bweni au kadi',
+    'page.searchLabel': 'Tafuta wanafunzi',
+    'page.class': 'Darasa',
+    'page.dorm': 'Bweni',
+    'page.location': 'Mahali',
+    'page.liveAlerts': 'Tahadhari za Moja kwa Moja',
+    'page.clear': 'Futa',
+    'page.history': 'Historia',
+    'page.export': 'Hamisha',
+    'page.student': 'Mwanafunzi',
+    'page.zone': 'Eneo',
+    'page.eventType': 'Aina ya tukio',
+    'page.from': 'Kuanzia',
+    'page.to': 'Hadi',
+    'page.settings': 'Mipangilio',
+    'page.language': 'Lugha',
+    'page.languageDetail': 'Skrini kuu, tahadhari na historia',
+    'page.systemMode': 'Hali ya Mfumo',
+    'page.automaticMode': 'Hali ya Kiotomatiki',
+    'page.timetable': 'Ratiba',
+    'page.campusMap': 'Ramani ya Shule',
+    'page.edit': 'Hariri',
+    'page.operator': 'Mhudumu',
+    'page.operators': 'Wahudumu',
+    'page.auditLog': 'Kumbukumbu',
+    'page.lock': 'Funga',
+    'page.lockDetail': 'dak. bila shughuli',
+    'page.escalate': 'Pandisha',
+    'page.escalateDetail': 'dak. bila kupokelewa',
+    'page.alertRules': 'Kanuni za Tahadhari',
+    'page.systemNotifications': 'Arifa za Mfumo',
+    'page.test': 'Jaribu',
+    'page.whenVisible': 'Pia wakati dashibodi iko kwenye skrini',
+    'page.parentNotifications': 'Arifa kwa Wazazi',
+    'page.configure': 'Sanidi',
+    'page.integrations': 'Miunganisho',
+    'page.exports': 'Uhamishaji na Ripoti',
+    'page.exportsDetail': 'Orodha ya wanafunzi, mienendo na matukio kama CSV au JSON; ripoti ya matukio ya kila siku',
+    'page.open': 'Fungua',
+    'page.backup': 'Hifadhi Nakala na Urejeshaji',
+    'page.connection': 'Muunganisho',
+    'page.connectionDetail': 'Hutumiwa na kitufe cha Unganisha',
+    'page.diagnostics': 'Uchunguzi',
+    'page.bridge': 'Daraja',
+    'page.serialRecording': 'Kurekodi Serial',
+    'page.record': 'Rekodi',
+    'page.download': 'Pakua',
+    'page.replay': 'Cheza tena…',
+    'page.leftSchool': 'Wameondoka Shuleni',
+    'page.sneakedOut': 'Wametoroka',
+    'page.simulatorShortcut': 'Ctrl+Shift+D huwasha au kuzima kiigaji',
+    'page.analytics': 'Takwimu',
+    'page.last7': 'Siku 7 zilizopita',
+    'page.last30': 'Siku 30 zilizopita',
+    'page.last90': 'Siku 90 zilizopita',
+    'page.occupancy': 'Idadi kwa kila eneo',
+    'page.incidentsHour': 'Matukio kwa saa',
+    'page.incidentsWeekday': 'Matukio kwa siku ya wiki',
+    'page.mostIncidents': 'Matukio mengi zaidi',
+    'page.gateWait': 'Wastani wa kusubiri langoni kabla ya kuruhusiwa',
+    'page.map': 'Ramani',
+    'page.alerts': 'Tahadhari',
+    'page.today': 'Leo',
+    'page.editProfile': 'Hariri wasifu',
+    'page.studentRoster': 'Orodha ya Wanafunzi',
+    'page.pushToDevice': 'Tuma kwenye kifaa',
+    'page.addNew': '+ Ongeza',
+    'page.name': 'Jina',
+    'page.parent': 'Mzazi',
+    'page.email': 'Barua pepe',
+    'page.card': 'Kadi',
+    'page.scanCard': 'Soma kadi',
+    'page.cancel': 'Ghairi',
+    'page.save': 'Hifadhi',
+    'page.weeklyTimetable': 'Ratiba ya Wiki',
+    'page.addPeriod': '+ Ongeza kipindi',
+    'page.copyWeekdays': 'Nakili hadi Jumatatu–Ijumaa',
+    'page.add': 'Ongeza',
+    'page.criticalAlert': 'Tahadhari Muhimu',
+    'page.assign': 'Mkabidhi',
+    'page.addNote': 'Ongeza dokezo',
+    'page.acknowledge': 'Kiri',
+    'page.resolve': 'Tatua',
+    'page.exitPermit': 'Kibali cha Kutoka',
+    'page.reasonShort': 'Sababu',
+    'page.backBy': 'Arudi kabla ya',
+    'page.closePermit': 'Funga kibali',
+    'page.addRule': 'Ongeza sheria',
+    'page.watchFor': 'Angalia',
+    'page.severity': 'Uzito',
+    'page.sound': 'Sauti',
+    'page.quietFor': 'Kimya kwa',
+    'page.minAfterFiring': 'dakika baada ya kulia',
+    'page.delete': 'Futa',
+    'page.reset': 'Weka upya',
+    'page.icon': 'Ikoni',
+    'page.kind': 'Aina',
+    'page.shape': 'Umbo',
+    'page.reader': 'Kisomaji',
+    'page.colour': 'Rangi',
+    'page.offLimits': 'Marufuku wakati wa',
+    'page.deleteZone': 'Futa eneo',
+    'page.data': 'Data',
+    'page.print': 'Chapisha',
+    'page.downloadBackup': 'Pakua nakala',
+    'page.every': 'Kila',
+    'page.keep': 'Weka',
+    'page.files': 'faili',
+    'page.chooseFile': 'Chagua faili…',
+    'page.replace': 'Badilisha',
+    'page.merge': 'Unganisha',
+    'page.addWebhook': 'Ongeza webhook',
+    'page.addMqtt': 'Ongeza MQTT',
+    'page.address': 'Anwani',
+    'page.token': 'Tokeni',
+    'page.topic': 'Mada',
+    'page.user': 'Mtumiaji',
+    'page.password': 'Nywila',
+    'page.qos': 'QoS',
+    'page.eventsToForward': 'Matukio ya kutuma',
+    'page.sendTest': 'Tuma jaribio',
+    'page.deliveryLog': 'Kumbukumbu ya uwasilishaji',
+    'page.changedOffline': 'Yaliyobadilika Ukiwa Nje ya Mtandao',
+    'page.rollCallTitle': 'Mahudhurio',
+    'page.backToLive': 'Rudi moja kwa moja',
+    'page.saveRecord': 'Hifadhi rekodi',
+    'page.savedRollCalls': 'Mahudhurio yaliyohifadhiwa',
+    'page.lastHeartbeat': 'Mapigo ya mwisho',
+    'page.heartbeatEvery': 'hutarajiwa kila sekunde 5',
+    'page.bootsSeen': 'Kuwashwa kulikoonekana',
+    'page.linesConnection': 'Mistari ya muunganisho huu',
+    'page.parseErrors': 'Hitilafu za uchanganuzi',
+    'page.rfidReaders': 'Visomaji vya RFID',
+    'page.resetCounters': 'Weka vihesabu upya',
+    'page.serialConsole': 'Kiweko cha serial',
+    'page.send': 'Tuma',
+    'page.signIn': 'Kuingia kwa Mhudumu',
+    'page.pin': 'PIN',
+    'page.repeat': 'Rudia',
+    'page.auditLogTitle': 'Kumbukumbu ya Ukaguzi',
+    'page.sendVia': 'Tuma kupitia',
+    'page.url': 'URL',
+    'page.sender': 'Mtumaji',
+    'page.relay': 'Relay',
+    'page.limit': 'Kikomo',
+    'page.perStudentHour': 'kwa mwanafunzi / saa',
+    'page.close': 'Funga',
+    'page.nameLimit': 'Kifaa huonyesha herufi 16 za kwanza',
+    'page.emailOptional': 'parent@example.com (si lazima)',
+    'page.cardUid': 'UID ya kadi',
+    'page.holidayDate': 'Tarehe ya likizo',
+    'page.nameOptional': 'Jina (si lazima)',
+    'page.assignee': 'Mfanyakazi anayeshughulikia',
+    'page.alertNote': 'Ongeza dokezo (nani alipigiwa simu, mwanafunzi alipatikana wapi…)',
+    'page.permitReason': 'Kwa nini mwanafunzi aliondoka',
+    'page.ruleNameHint': 'Huonyeshwa mwanzoni mwa tahadhari',
+    'page.mapEditor': 'Kihariri cha ramani ya shule',
+    'page.readerHint': 'Jina linaloripotiwa na firmware',
+    'page.reportDay': 'Siku ya ripoti',
+    'page.autoBackups': 'Nakala za kiotomatiki',
+    'page.backupsToKeep': 'Nakala za kuweka',
+    'page.integrationNameHint': 'mf. NVR ya Lango',
+    'page.bearerOptional': 'Tokeni ya Bearer (si lazima)',
+    'page.countIn': 'Hesabu wanafunzi katika',
+    'page.rollCallName': 'Jina la mahudhurio',
+    'page.commandHint': 'Amri, mf. SYNC',
+    'page.commandToSend': 'Amri ya kutuma',
+    'page.signinNameHint': 'Hurekodiwa pamoja na kila kitendo kinacholindwa',
+    'page.pinDigits': 'Tarakimu 4–8',
+    'page.samePin': 'PIN ile ile tena',
+    'page.operatorName': 'Jina la mhudumu',
+    'page.apiTokenOptional': 'Tokeni ya API (si lazima)',
+    'page.activeCard': 'Hai — kadi inatambuliwa na visomaji',
+    'page.systemNotification': 'Arifa ya mfumo',
+    'page.notifyParent': 'Mjulishe mzazi',
+    'page.trackUntilResolved': 'Fuatilia hadi itatuliwe',
+    'page.retain': 'Hifadhi (retain)',
+    'page.failEverySend': 'Shindwa kila utumaji (kujaribu kurudia)',
+    'page.holidays': 'Likizo',
+    'page.holidaysDetail': '— Wakati Huru siku nzima',
+    'page.dailyReport': 'Ripoti ya matukio ya kila siku',
+    'page.dailyReportDetail': '— muhtasari na matukio ya kila mwanafunzi',
+    'page.backupNow': 'Hifadhi nakala sasa',
+    'page.backupNowDetail': '— wanafunzi, mipangilio, historia na tahadhari katika faili moja',
+    'page.autoBackupsDetail': '— wakati dashibodi iko wazi',
+    'page.restore': 'Rejesha',
+    'page.restoreDetail': '— hukaguliwa na kulinganishwa kabla ya kubadilisha chochote',
+    'page.addOperator': 'Ongeza mhudumu',
+    'page.addOperatorDetail': '— jina lililopo hupewa PIN mpya',
+    'page.templates': 'Violezo',
+    'page.templatesDetail': '— {student} {class} {dorm} {time} {by} {rule}',
+    'page.exportDetail': '— CSV kwa lahajedwali, JSON kwa kumbukumbu',
+    'page.timetableHint': 'Vipindi na prep hubadilisha kifaa kuwa Wakati wa Darasa. Mapumziko na muda usiopangwa ni Wakati Huru.',
+    'page.permitHint': 'Kibali hujifunga chenyewe mwanafunzi anapogusa kisomaji chochote.',
+    'page.mapHint': 'Buruta eneo ili kulihamisha na kona yake ili kubadilisha ukubwa. Chora eneo, kisha buruta kwenye sehemu tupu ili kuongeza moja.',
+    'page.backupWarning': 'Faili lina hashi za PIN za wahudumu na nywila za miunganisho — liweke mahali salama.',
+    'page.mergeHint': 'Unganisha huongeza kisichokuwepo kwenye dashibodi hii na huhifadhi toleo lake la vingine. Badilisha huifanya kuwa sawa kabisa na nakala. Kwa vyovyote vile dashibodi hupakiwa upya baadaye.',
+    'page.topicHint': 'Vishika nafasi vya mada: {event} {zone} {studentId} {mode}. Broker inahitaji msikilizaji wa WebSocket.',
+    'page.offlineReset': 'Arduino ilianza upya wakati dashibodi haikuwepo. Huhifadhi mahali kwenye kumbukumbu tu, hivyo kila mtu anaonekana Haijulikani hadi aguse kisomaji tena.',
+    'page.corsHint': 'Lango au relay lazima iruhusu maombi kutoka ukurasa huu (CORS). Dashibodi moja tu kwa kila shule inapaswa kutuma.',
+    'page.qos0': '0 — mara moja zaidi',
+    'page.qos1': '1 — angalau mara moja',
+    'page.off': 'Imezimwa',
+    'page.smsGateway': 'Lango la SMS (HTTP)',
+    'page.emailRelay': 'Barua pepe (relay ya ndani)',
+    'page.testLog': 'Kumbukumbu ya majaribio (kiweko cha kivinjari)'
+  }
+};
+
+function loadLanguage() {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    if (LANGUAGES[saved]) return saved;
+  } catch (e) { /* storage unavailable */ }
+  const browser = String(navigator.language || '').slice(0, 2);
+  return LANGUAGES[browser] ? browser : 'en';
+}
+
+let currentLanguage = loadLanguage();
+
+function currentLocale() {
+  return LANGUAGES[currentLanguage].locale;
+}
+
+// ============================================================
+//  LOOKUP
+// ============================================================
+function t(key, vars = {}) {
+  let message = key in MESSAGES[currentLanguage] ? MESSAGES[currentLanguage][key] : MESSAGES.en[key];
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(currentLocale()).select(Number(vars.count) || 0);
+    message = form in message ? message[form] : message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => name in vars ? String(vars[name]) : match);
+}
+
+// For label tables indexed all over the code (LOC_NAMES, MODE_LABELS):
+// every read looks the label up in the current language
+function localizedLabels(keys) {
+  const labels = {};
+  Object.entries(keys).forEach(([value, key]) =>
+    Object.defineProperty(labels, value, { get: () => t(key), enumerable: true }));
+  return labels;
+}
+
+function formatTime(ts) {
+  return new Date(ts).toLocaleTimeString(currentLocale(), { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+// ============================================================
+//  PAGE TEXT
+// ============================================================
+const I18N_ATTRIBUTES = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAriaLabel: 'aria-label' };
+
+function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  Object.entries(I18N_ATTRIBUTES).forEach(([prop, attr]) => {
+    const selector = `[data-${prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}]`;
+    root.querySelectorAll(selector).forEach(el => el.setAttribute(attr, t(el.dataset[prop])));
+  });
+}
+
+// Everything drawn from t() is drawn again in the new language
+function setLanguage(language) {
+  if (!LANGUAGES[language]) return;
+  currentLanguage = language;
+  try { localStorage.setItem(LANGUAGE_KEY, language); } catch (e) { /* storage unavailable */ }
+
+  document.documentElement.lang = language;
+  translatePage();
+  state.alerts.forEach(a => { a.time = formatTime(a.ts); });
+  renderAlerts();
+  renderAlertDetail();
+  updateModeUI();
+  updateConnectionUI(connected);
+  updateSimulatorUI();
+  populateSimulatorCards();
+  updateHistoryTypeOptions();
+  applyCampusMap();
+  renderHistory();
+  renderPermitChoices();
+  renderOutBoard();
+  renderProtocolStatus();
+  renderRecorder();
+  renderOperatorStatus();
+  renderOperators();
+  renderRoster();
+  renderOutbox();
+  renderTimetableStatus();
+  renderTimetableEditor();
+  if (state.activeTab === 'analytics') renderAnalytics();
+  refreshStudentDrawer();
+  renderPushSettings();
+  renderRuleChoices();
+  renderRules();
+  renderBackupIntervals();
+  renderBackup();
+}
+
+function initLanguage() {
+  const select = document.getElementById('language-select');
+  document.documentElement.lang = currentLanguage;
+  translatePage();
+  if (!select) return;
+  select.innerHTML = Object.entries(LANGUAGES)
+    .map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('');
+  select.value = currentLanguage;
+  select.addEventListener('change', () => setLanguage(select.value));
+}
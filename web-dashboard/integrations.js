@@ -0,0 +1,513 @@
+/* ============================================================
+   Guardian-Track — Integrations
+   Forwards device events to other systems (CCTV/NVR, intercom,
+   home-automation tools) as one normalized JSON shape:
+     { source, event, ts, studentId, student, zone, mode, by, reason }
+   Each destination is an HTTP webhook (POSTed JSON) or an MQTT
+   broker reached over WebSockets (see mqtt.js), with its own
+   choice of events and, for MQTT, a topic template. Deliveries
+   wait in IndexedDB and are retried in order until they go
+   through, so nothing is lost while the network is down.
+   ============================================================ */
+
+const INTEGRATIONS_KEY = 'gt-integrations';
+const INTEGRATION_PUMP_MS = 15000;
+const INTEGRATION_TIMEOUT_MS = 10000;
+const INTEGRATION_BACKOFF_MS = [5000, 30000, 120000, 600000];   // Then every 10 min
+const INTEGRATION_MAX_AGE_MS = 24 * 3600 * 1000;                 // Older deliveries are dropped
+const INTEGRATION_LOG_LIMIT = 30;                                // Finished deliveries older than these are deleted
+
+const INTEGRATION_KINDS = { webhook: 'HTTP webhook', mqtt: 'MQTT broker' };
+
+// Events a destination can subscribe to; status lines are left out on purpose
+const INTEGRATION_EVENTS = {
+  sneaked: 'Sneaked out',
+  alarm: 'Alarm',
+  scan: 'Gate scan',
+  approved: 'Exit approved',
+  denied: 'Exit denied',
+  gate_timeout: 'Gate timeout',
+  zone_change: 'Zone change',
+  mode_change: 'Mode change',
+  unknown_card: 'Unknown card',
+  boot: 'Device boot'
+};
+const INTEGRATION_DEFAULT_EVENTS = ['sneaked', 'alarm', 'approved', 'scan'];
+const INTEGRATION_DEFAULT_TOPIC = 'guardian-track/{event}';
+
+const DELIVERY_STATUS_CSS = { queued: 'gate', sending: 'gate', sent: 'classroom', expired: 'sneaked' };
+
+const integrationEls = {
+  summary: document.getElementById('integrations-summary'),
+  btnOpen: document.getElementById('btn-integrations'),
+  modal: document.getElementById('integrations-modal'),
+  btnClose: document.getElementById('integrations-close'),
+  list: document.getElementById('integrations-list'),
+  btnAddWebhook: document.getElementById('integrations-add-webhook'),
+  btnAddMqtt: document.getElementById('integrations-add-mqtt'),
+  form: document.getElementById('integration-form'),
+  name: document.getElementById('integration-name'),
+  url: document.getElementById('integration-url'),
+  token: document.getElementById('integration-token'),
+  webhookFields: document.getElementById('integration-webhook-fields'),
+  mqttFields: document.getElementById('integration-mqtt-fields'),
+  topic: document.getElementById('integration-topic'),
+  username: document.getElementById('integration-username'),
+  password: document.getElementById('integration-password'),
+  qos: document.getElementById('integration-qos'),
+  retain: document.getElementById('integration-retain'),
+  events: document.getElementById('integration-events'),
+  testResult: document.getElementById('integration-test-result'),
+  btnTest: document.getElementById('integration-test'),
+  btnDelete: document.getElementById('integration-delete'),
+  btnCancel: document.getElementById('integration-cancel'),
+  log: document.getElementById('integrations-log')
+};
+
+let integrationSettings = loadIntegrationSettings();
+let integrationEditing = null;   // { id, kind } while the form is open; id null for a new one
+let deliveriesBusy = false;
+let mqttClients = new Map();     // destination id → connected MqttClient
+
+// ============================================================
+//  SETTINGS
+// ============================================================
+function makeDestination(kind, fields = {}) {
+  return {
+    id: `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    kind,
+    name: INTEGRATION_KINDS[kind],
+    enabled: true,
+    url: '',
+    token: '',
+    topic: INTEGRATION_DEFAULT_TOPIC,
+    username: '',
+    password: '',
+    qos: 1,
+    retain: false,
+    events: [...INTEGRATION_DEFAULT_EVENTS],
+    ...fields
+  };
+}
+
+function loadIntegrationSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(INTEGRATIONS_KEY)) || {};
+    return {
+      destinations: (saved.destinations || []).filter(d => INTEGRATION_KINDS[d.kind]).map(d => makeDestination(d.kind, d)),
+      clientId: saved.clientId || Math.random().toString(36).slice(2, 10)
+    };
+  } catch (e) {
+    return { destinations: [], clientId: Math.random().toString(36).slice(2, 10) };
+  }
+}
+
+function saveIntegrationSettings() {
+  try { localStorage.setItem(INTEGRATIONS_KEY, JSON.stringify(integrationSettings)); } catch (e) { /* storage unavailable */ }
+}
+
+function findDestination(id) {
+  return integrationSettings.destinations.find(d => d.id === id);
+}
+
+// ============================================================
+//  EVENTS
+// ============================================================
+function normalizeEvent(data) {
+  const student = data.student ? eventStudent(data) : null;
+  return {
+    source: 'guardian-track',
+    event: data.event,
+    ts: new Date().toISOString(),
+    studentId: student ? student.id : (typeof data.id === 'number' ? data.id : null),
+    student: data.student || null,
+    zone: historyZoneFor(data, student) || data.zone || null,
+    mode: data.event === 'mode_change' ? data.mode : state.mode,
+    by: data.by ? describeDecider(data.by) : null,
+    reason: data.reason || null
+  };
+}
+
+function fillTopic(template, event) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    event[key] === null || event[key] === undefined ? 'none' : String(event[key]).replace(/[#+/]/g, '_'));
+}
+
+// Called for every valid device message
+async function forwardEvent(data) {
+  if (!INTEGRATION_EVENTS[data.event] || isReplaying()) return;
+  const targets = integrationSettings.destinations.filter(d => d.enabled && d.events.includes(data.event));
+  if (targets.length === 0) return;
+
+  const event = normalizeEvent(data);
+  try {
+    for (const destination of targets) {
+      await dbAdd('deliveries', {
+        ts: Date.now(),
+        destination: destination.id,
+        event: event.event,
+        payload: event,
+        status: 'queued',
+        attempts: 0,
+        nextAttempt: Date.now(),
+        error: null
+      });
+    }
+  } catch (e) {
+    return;   // storage unavailable — nowhere to keep it
+  }
+  pumpDeliveries();
+}
+
+// ============================================================
+//  SENDING
+// ============================================================
+async function mqttClientFor(destination) {
+  const existing = mqttClients.get(destination.id);
+  if (existing && existing.connected) return existing;
+
+  const client = new MqttClient({
+    url: destination.url,
+    // Brokers only have to accept 23 characters; unique per dashboard and destination
+    clientId: `gt-${integrationSettings.clientId}-${destination.id.slice(-8)}`,
+    username: destination.username,
+    password: destination.password
+  });
+  client.onClose = () => mqttClients.delete(destination.id);
+  await client.connect();
+  mqttClients.set(destination.id, client);
+  return client;
+}
+
+function dropMqttClient(id) {
+  const client = mqttClients.get(id);
+  if (client) client.close();
+  mqttClients.delete(id);
+}
+
+async function sendToDestination(destination, event) {
+  if (!destination.url) throw new Error('no address set');
+  if (destination.kind === 'mqtt') {
+    const client = await mqttClientFor(destination);
+    await client.publish(fillTopic(destination.topic, event), JSON.stringify(event), { qos: destination.qos, retain: destination.retain });
+    return;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), INTEGRATION_TIMEOUT_MS);
+  try {
+    const res = await fetch(destination.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(destination.token ? { Authorization: `Bearer ${destination.token}` } : {}) },
+      body: JSON.stringify(event),
+      signal: controller.signal
+    });
+    if (!res.ok) throw new Error(`webhook answered ${res.status}`);
+  } catch (err) {
+    throw new Error(err.name === 'AbortError' ? 'webhook timed out' : err.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function deliver(delivery, destination) {
+  delivery.status = 'sending';
+  delivery.attempts++;
+  await dbPut('deliveries', delivery);
+
+  try {
+    await sendToDestination(destination, delivery.payload);
+    Object.assign(delivery, { status: 'sent', sentAt: Date.now(), error: null });
+  } catch (err) {
+    if (destination.kind === 'mqtt') dropMqttClient(destination.id);
+    delivery.error = err.message;
+    delivery.status = 'queued';
+    delivery.nextAttempt = Date.now() + INTEGRATION_BACKOFF_MS[Math.min(delivery.attempts, INTEGRATION_BACKOFF_MS.length) - 1];
+  }
+  await dbPut('deliveries', delivery);
+  return delivery.status === 'sent';
+}
+
+// Oldest first; a destination that fails waits for its next turn so its
+// events still arrive in order
+async function pumpDeliveries() {
+  if (deliveriesBusy) return;
+  deliveriesBusy = true;
+  try {
+    const now = Date.now();
+    const queued = await dbQuery('deliveries', { index: 'status', range: IDBKeyRange.only('queued') });
+    const blocked = new Set();
+    for (const delivery of queued.sort((a, b) => a.id - b.id)) {
+      const destination = findDestination(delivery.destination);
+      if (!destination || now - delivery.ts > INTEGRATION_MAX_AGE_MS) {
+        Object.assign(delivery, { status: 'expired', error: destination ? 'gave up after 24 h' : 'destination removed' });
+        await dbPut('deliveries', delivery);
+        continue;
+      }
+      if (!destination.enabled || blocked.has(destination.id)) continue;
+      if (delivery.nextAttempt > now || !(await deliver(delivery, destination))) blocked.add(destination.id);
+    }
+    await pruneDeliveries();
+  } catch (e) {
+    /* storage unavailable — nothing to deliver */
+  } finally {
+    deliveriesBusy = false;
+    renderIntegrations();
+  }
+}
+
+// Only the log shows sent and expired deliveries, so anything finished
+// that has scrolled out of it goes; queued ones always stay
+async function pruneDeliveries() {
+  const older = (await dbQuery('deliveries', { direction: 'prev' })).slice(INTEGRATION_LOG_LIMIT);
+  for (const delivery of older) {
+    if (delivery.status === 'sent' || delivery.status === 'expired') await dbDelete('deliveries', delivery.id);
+  }
+}
+
+// A send interrupted by closing the page is simply tried again
+async function requeueDeliveries() {
+  const stuck = await dbQuery('deliveries', { index: 'status', range: IDBKeyRange.only('sending') });
+  for (const delivery of stuck) {
+    delivery.status = 'queued';
+    await dbPut('deliveries', delivery);
+  }
+}
+
+async function retryDelivery(id) {
+  const delivery = await dbGet('deliveries', id);
+  if (!delivery) return;
+  Object.assign(delivery, { status: 'queued', ts: Date.now(), attempts: 0, nextAttempt: Date.now(), error: null });
+  await dbPut('deliveries', delivery);
+  pumpDeliveries();
+}
+
+// ============================================================
+//  EDITING
+// ============================================================
+function openIntegrationForm(kind, id) {
+  const destination = findDestination(id) || makeDestination(kind);
+  integrationEditing = { id: id || null, kind: destination.kind };
+
+  integrationEls.name.value = destination.name;
+  integrationEls.url.value = destination.url;
+  integrationEls.url.placeholder = destination.kind === 'mqtt' ? 'ws://192.168.1.10:9001' : 'https://nvr.local/hooks/guardian';
+  integrationEls.token.value = destination.token;
+  integrationEls.topic.value = destination.topic;
+  integrationEls.username.value = destination.username;
+  integrationEls.password.value = destination.password;
+  integrationEls.qos.value = String(destination.qos);
+  integrationEls.retain.checked = destination.retain;
+  integrationEls.webhookFields.classList.toggle('hidden', destination.kind !== 'webhook');
+  integrationEls.mqttFields.classList.toggle('hidden', destination.kind !== 'mqtt');
+  integrationEls.events.innerHTML = Object.entries(INTEGRATION_EVENTS).map(([event, label]) =>
+    `<label class="flex items-center gap-2 text-[11px] text-white/60">
+      <input type="checkbox" data-integration-event="${event}" ${destination.events.includes(event) ? 'checked' : ''} /> ${label}
+    </label>`).join('');
+  integrationEls.testResult.textContent = '';
+  integrationEls.btnDelete.classList.toggle('hidden', !id);
+  integrationEls.form.classList.remove('hidden');
+  integrationEls.name.focus();
+}
+
+function closeIntegrationForm() {
+  integrationEditing = null;
+  integrationEls.form.classList.add('hidden');
+}
+
+function readIntegrationForm() {
+  const { kind } = integrationEditing;
+  return {
+    kind,
+    name: integrationEls.name.value.trim() || INTEGRATION_KINDS[kind],
+    url: integrationEls.url.value.trim(),
+    token: integrationEls.token.value.trim(),
+    topic: integrationEls.topic.value.trim() || INTEGRATION_DEFAULT_TOPIC,
+    username: integrationEls.username.value.trim(),
+    password: integrationEls.password.value,
+    qos: Number(integrationEls.qos.value) ? 1 : 0,
+    retain: integrationEls.retain.checked,
+    events: [...integrationEls.events.querySelectorAll('[data-integration-event]:checked')].map(input => input.dataset.integrationEvent)
+  };
+}
+
+// For the audit log — tokens and passwords stay out of it
+function describeDestination(destination) {
+  const events = destination.events.length === Object.keys(INTEGRATION_EVENTS).length ? 'all events'
+    : destination.events.map(event => INTEGRATION_EVENTS[event]).join(', ') || 'no events';
+  const topic = destination.kind === 'mqtt' ? ` · ${destination.topic}` : '';
+  return `${destination.url}${topic} · ${events}${destination.enabled ? '' : ' · off'}`;
+}
+
+// Destinations receive student movements, so adding, changing or
+// removing one needs a signed-in operator. A cancelled sign-in keeps
+// the form open with what was typed.
+function saveIntegrationForm(e) {
+  e.preventDefault();
+  const fields = readIntegrationForm();
+  if (fields.kind === 'mqtt' && fields.password && !fields.username) {
+    integrationEls.testResult.className = 'text-[11px] text-red-400';
+    integrationEls.testResult.textContent = '✗ A broker password needs a username too';
+    integrationEls.username.focus();
+    return;
+  }
+  withOperator('integrations_edit', () => {
+    const existing = findDestination(integrationEditing.id);
+    const before = existing ? describeDestination(existing) : null;
+    let destination = existing;
+    if (existing) {
+      Object.assign(existing, fields);
+      dropMqttClient(existing.id);   // Reconnect with the new address or login
+    } else {
+      destination = makeDestination(fields.kind, fields);
+      integrationSettings.destinations.push(destination);
+    }
+    saveIntegrationSettings();
+    closeIntegrationForm();
+    renderIntegrations();
+    pumpDeliveries();
+    return { target: destination.name, before, after: describeDestination(destination) };
+  });
+}
+
+function deleteIntegration() {
+  const destination = findDestination(integrationEditing.id);
+  if (!destination) return;
+  withOperator('integrations_edit', () => {
+    integrationSettings.destinations = integrationSettings.destinations.filter(d => d.id !== destination.id);
+    dropMqttClient(destination.id);
+    saveIntegrationSettings();
+    closeIntegrationForm();
+    renderIntegrations();
+    return { target: destination.name, before: describeDestination(destination), after: null };
+  });
+}
+
+function toggleIntegration(id, enabled) {
+  const destination = findDestination(id);
+  if (!destination) return;
+  renderIntegrations();   // Snap back until the operator is known
+  withOperator('integrations_edit', () => {
+    if (destination.enabled === enabled) return null;
+    destination.enabled = enabled;
+    if (!enabled) dropMqttClient(id);
+    saveIntegrationSettings();
+    renderIntegrations();
+    pumpDeliveries();
+    return { target: destination.name, before: enabled ? 'off' : 'on', after: enabled ? 'on' : 'off' };
+  });
+}
+
+// Sends straight away with what is in the form, without queueing
+async function testIntegration() {
+  const fields = readIntegrationForm();
+  const destination = makeDestination(fields.kind, { ...fields, id: 'test' });
+  const event = {
+    source: 'guardian-track', event: 'test', ts: new Date().toISOString(),
+    studentId: null, student: null, zone: null, mode: state.mode, by: getOperatorName() || null, reason: 'test-send from the dashboard'
+  };
+  integrationEls.testResult.className = 'text-[11px] text-white/40';
+  integrationEls.testResult.textContent = 'Sending…';
+  try {
+    await sendToDestination(destination, event);
+    integrationEls.testResult.className = 'text-[11px] text-accent';
+    integrationEls.testResult.textContent = fields.kind === 'mqtt' ? `✓ Published to ${fillTopic(destination.topic, event)}` : '✓ Webhook accepted the test event';
+  } catch (err) {
+    integrationEls.testResult.className = 'text-[11px] text-red-400';
+    integrationEls.testResult.textContent = `✗ ${err.message}`;
+  } finally {
+    dropMqttClient('test');
+  }
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+async function renderIntegrations() {
+  if (!integrationEls.summary) return;
+  const destinations = integrationSettings.destinations;
+  const on = destinations.filter(d => d.enabled).length;
+
+  let deliveries = [];
+  try {
+    deliveries = await dbQuery('deliveries', { direction: 'prev', limit: INTEGRATION_LOG_LIMIT });
+  } catch (e) { /* storage unavailable */ }
+  const queued = deliveries.filter(d => d.status === 'queued' || d.status === 'sending').length;
+
+  integrationEls.summary.textContent = on === 0 ? 'Off — events stay in this tab'
+    : [`${on} destination${on === 1 ? '' : 's'}`, queued && `${queued} waiting to send`].filter(Boolean).join(' · ');
+  if (integrationEls.modal.classList.contains('hidden')) return;
+
+  integrationEls.list.innerHTML = destinations.length === 0
+    ? '<p class="px-4 py-6 text-center text-white/25 text-xs">No destinations yet</p>'
+    : destinations.map(d => `<div class="flex items-center gap-3 px-4 py-2.5">
+      <div class="flex-1 min-w-0">
+        <p class="text-xs font-medium text-white/80 truncate">${escapeHtml(d.name)} <span class="text-white/30 font-normal">· ${INTEGRATION_KINDS[d.kind]}</span></p>
+        <p class="text-[10px] text-white/35 truncate">${escapeHtml(d.url || 'no address set')} · ${d.events.length} event type${d.events.length === 1 ? '' : 's'}</p>
+      </div>
+      <button class="text-[10px] text-accent/70 hover:text-accent transition-colors font-medium uppercase tracking-wider flex-shrink-0" data-integration-edit="${d.id}">Edit</button>
+      <label class="toggle-switch flex-shrink-0">
+        <input type="checkbox" data-integration-toggle="${d.id}" ${d.enabled ? 'checked' : ''} aria-label="Destination on" />
+        <span class="toggle-track"></span>
+      </label>
+    </div>`).join('');
+
+  integrationEls.log.innerHTML = deliveries.length === 0
+    ? '<p class="text-white/25 text-xs text-center py-3">Nothing forwarded yet</p>'
+    : deliveries.map(d => {
+      const destination = findDestination(d.destination);
+      const meta = [formatHistoryTime(d.ts), destination ? destination.name : 'removed destination', d.attempts > 1 ? `${d.attempts} attempts` : '']
+        .filter(Boolean).map(escapeHtml).join(' · ');
+      return `<div class="history-item">
+        <div class="alert-content">
+          <div class="alert-message">${escapeHtml(INTEGRATION_EVENTS[d.event] || d.event)}${d.payload.student ? ` — ${escapeHtml(d.payload.student)}` : ''}</div>
+          <div class="alert-time">${meta}</div>
+          ${d.error ? `<div class="alert-time text-red-400/70">${escapeHtml(d.error)}</div>` : ''}
+        </div>
+        <div class="flex flex-col items-end gap-1">
+          <span class="student-status ${DELIVERY_STATUS_CSS[d.status]}">${d.status}</span>
+          ${d.status === 'expired' && destination ? `<button type="button" class="text-[10px] text-accent/70 hover:text-accent" data-delivery-retry="${d.id}">Retry</button>` : ''}
+        </div>
+      </div>`;
+    }).join('');
+}
+
+function openIntegrations() {
+  closeIntegrationForm();
+  integrationEls.modal.classList.remove('hidden');
+  renderIntegrations();
+}
+
+function closeIntegrations() {
+  integrationEls.modal.classList.add('hidden');
+}
+
+function initIntegrations() {
+  if (!integrationEls.summary) return;
+
+  integrationEls.btnOpen.addEventListener('click', openIntegrations);
+  integrationEls.btnClose.addEventListener('click', closeIntegrations);
+  integrationEls.modal.addEventListener('click', (e) => { if (e.target === integrationEls.modal) closeIntegrations(); });
+  integrationEls.btnAddWebhook.addEventListener('click', () => openIntegrationForm('webhook', null));
+  integrationEls.btnAddMqtt.addEventListener('click', () => openIntegrationForm('mqtt', null));
+  integrationEls.list.addEventListener('click', (e) => {
+    const edit = e.target.closest('[data-integration-edit]');
+    if (edit) openIntegrationForm(null, edit.dataset.integrationEdit);
+  });
+  integrationEls.list.addEventListener('change', (e) => {
+    const toggle = e.target.closest('[data-integration-toggle]');
+    if (toggle) toggleIntegration(toggle.dataset.integrationToggle, toggle.checked);
+  });
+  integrationEls.log.addEventListener('click', (e) => {
+    const retry = e.target.closest('[data-delivery-retry]');
+    if (retry) retryDelivery(Number(retry.dataset.deliveryRetry));
+  });
+  integrationEls.form.addEventListener('submit', saveIntegrationForm);
+  integrationEls.btnTest.addEventListener('click', testIntegration);
+  integrationEls.btnDelete.addEventListener('click', deleteIntegration);
+  integrationEls.btnCancel.addEventListener('click', closeIntegrationForm);
+
+  window.addEventListener('online', pumpDeliveries);
+  setInterval(pumpDeliveries, INTEGRATION_PUMP_MS);
+  requeueDeliveries().catch(() => {}).then(pumpDeliveries);
+}
@@ -0,0 +1,584 @@
+/* ============================================================
+   Guardian-Track — Campus Map
+   The map is a config rather than fixed markup: each zone has a
+   shape and a place on the 800×500 plan, a name, a colour, the
+   reader whose taps put a student there and when it is off
+   limits. The live map, the stats bar and where the student
+   list says everyone is are all drawn from it. The editor
+   works on a copy — draw, move and resize zones, then save.
+   Kept in localStorage.
+   ============================================================ */
+
+const MAP_KEY = 'gt-map';
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 500;
+const MAP_GRID = 10;                        // The editor snaps to this
+const MAP_MIN_SIZE = { w: 60, h: 20 };
+const MAP_NEW_SIZE = { w: 160, h: 100 };    // A zone "drawn" with a single click
+const MAP_COLORS = ['#10b981', '#06b6d4', '#f59e0b', '#ec4899', '#84cc16'];
+
+const MAP_ZONE_KINDS = { inside: 'Inside school', gate: 'Gate', outside: 'Outside school' };
+const MAP_SHAPES = { rect: 'Rectangle', ellipse: 'Oval' };
+
+// Off-limits rules the Arduino enforces itself with a wrong_zone alarm,
+// by reader — the dashboard leaves those to it
+const MAP_FIRMWARE_RULES = { hostel: ['class'] };
+
+// The compound as it was drawn before the map became editable
+const MAP_DEFAULT_ZONES = [
+  { id: 'classroom', name: 'Classroom', icon: '📚', kind: 'inside', shape: 'rect', color: '#3b82f6', reader: 'classroom', offLimits: [], x: 80, y: 80, w: 280, h: 220 },
+  { id: 'hostel', name: 'Hostel', icon: '🏠', kind: 'inside', shape: 'rect', color: '#8b5cf6', reader: 'hostel', offLimits: ['class'], x: 440, y: 80, w: 280, h: 220 },
+  { id: 'gate', name: 'Main Gate', icon: '🚪', kind: 'gate', shape: 'rect', color: '#fbbf24', reader: 'gate', offLimits: [], x: 320, y: 380, w: 160, h: 80 },
+  { id: 'outside', name: 'Outside School', icon: '', kind: 'outside', shape: 'rect', color: '#ef4444', reader: '', offLimits: [], x: 40, y: 476, w: 720, h: 24 }
+];
+
+const mapEls = {
+  zones: document.getElementById('map-zones'),
+  stats: document.getElementById('zone-stats'),
+  summary: document.getElementById('map-summary'),
+  btnOpen: document.getElementById('btn-map'),
+  btnEdit: document.getElementById('btn-map-edit'),
+  modal: document.getElementById('map-modal'),
+  btnClose: document.getElementById('map-close'),
+  btnDraw: document.getElementById('map-draw'),
+  btnReset: document.getElementById('map-reset'),
+  editor: document.getElementById('map-editor'),
+  form: document.getElementById('map-zone-form'),
+  name: document.getElementById('map-zone-name'),
+  icon: document.getElementById('map-zone-icon'),
+  kind: document.getElementById('map-zone-kind'),
+  shape: document.getElementById('map-zone-shape'),
+  color: document.getElementById('map-zone-color'),
+  reader: document.getElementById('map-zone-reader'),
+  readers: document.getElementById('map-readers'),
+  limits: document.getElementById('map-zone-limits'),
+  note: document.getElementById('map-zone-note'),
+  btnDelete: document.getElementById('map-zone-delete'),
+  error: document.getElementById('map-error'),
+  btnCancel: document.getElementById('map-cancel'),
+  btnSave: document.getElementById('map-save')
+};
+
+let campusMap = loadCampusMap();
+let mapDraft = null;       // Zones being edited, null while the editor is closed
+let mapSelected = null;    // Id of the zone in the form
+let mapDrawing = false;
+let mapDrag = null;        // { mode: 'move' | 'resize' | 'draw', zone, start, origin }
+
+// ============================================================
+//  CONFIG
+// ============================================================
+function cloneZones(zones) {
+  return zones.map(z => ({ ...z, offLimits: [...z.offLimits] }));
+}
+
+function normalizeReader(text) {
+  return String(text || '').trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// Zone ids end up in element ids and colours in attributes, so only
+// well-formed ones survive a load
+function cleanZone(z) {
+  if (!z || !/^[a-z0-9-]+$/i.test(z.id)) return null;
+  const number = (value, fallback) => Number.isFinite(value) ? value : fallback;
+  return {
+    id: z.id,
+    name: String(z.name || z.id),
+    icon: String(z.icon || ''),
+    kind: MAP_ZONE_KINDS[z.kind] ? z.kind : 'inside',
+    shape: MAP_SHAPES[z.shape] ? z.shape : 'rect',
+    color: /^#[0-9a-f]{6}$/i.test(z.color) ? z.color : MAP_COLORS[0],
+    reader: normalizeReader(z.reader),
+    offLimits: Array.isArray(z.offLimits) ? z.offLimits.filter(mode => MODE_LABELS[mode]) : [],
+    x: number(z.x, 0),
+    y: number(z.y, 0),
+    w: Math.max(MAP_MIN_SIZE.w, number(z.w, MAP_NEW_SIZE.w)),
+    h: Math.max(MAP_MIN_SIZE.h, number(z.h, MAP_NEW_SIZE.h))
+  };
+}
+
+function loadCampusMap() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MAP_KEY));
+    const zones = saved && Array.isArray(saved.zones) ? saved.zones.map(cleanZone).filter(Boolean) : [];
+    if (zones.some(z => z.kind === 'outside') && zones.some(z => z.kind === 'gate')) return { zones };
+  } catch (e) { /* fall through to defaults */ }
+  return { zones: cloneZones(MAP_DEFAULT_ZONES) };
+}
+
+function saveCampusMap() {
+  try { localStorage.setItem(MAP_KEY, JSON.stringify(campusMap)); } catch (e) { /* storage unavailable */ }
+}
+
+// ============================================================
+//  LOOKUPS
+// ============================================================
+function mapZone(id) {
+  return campusMap.zones.find(z => z.id === id) || null;
+}
+
+function zoneForReader(reader) {
+  return reader ? campusMap.zones.find(z => z.reader === reader) || null : null;
+}
+
+function outsideZone() {
+  return campusMap.zones.find(z => z.kind === 'outside');
+}
+
+// A scan names its gate reader; other gate events only have the student
+function gateZoneFor(reader) {
+  const zone = zoneForReader(reader);
+  return zone && zone.kind === 'gate' ? zone : campusMap.zones.find(z => z.kind === 'gate');
+}
+
+// The Arduino only has location codes for its own two inside readers;
+// a tap anywhere else is tracked by the reader it came from
+function readerLocation(reader) {
+  switch (reader) {
+    case 'classroom': return LOC.CLASSROOM;
+    case 'hostel': return LOC.HOSTEL;
+    default: return LOC.ON_CAMPUS;
+  }
+}
+
+// → the zone a student is drawn in, or null while nobody knows
+function zoneForStudent(s) {
+  switch (s.location) {
+    case LOC.CLASSROOM: return zoneForReader('classroom');
+    case LOC.HOSTEL: return zoneForReader('hostel');
+    case LOC.ON_CAMPUS: return zoneForReader(s.reader);
+    case LOC.AT_GATE: return gateZoneFor(s.reader);
+    case LOC.LEFT:
+    case LOC.SNEAKED: return outsideZone();
+    default: return null;
+  }
+}
+
+function zonePlaceName(zone) {
+  return zone.kind === 'gate' ? t('location.atZone', { zone: zone.name }) : zone.name;
+}
+
+function mapZoneName(id) {
+  const zone = mapZone(id);
+  return zone ? zone.name : id;
+}
+
+function mapReaderName(reader) {
+  const zone = zoneForReader(reader);
+  return zone ? zone.name : reader;
+}
+
+// reader → name of the zone it puts students in
+function mapReaders() {
+  return Object.fromEntries(campusMap.zones.filter(z => z.reader).map(z => [z.reader, z.name]));
+}
+
+// Where the student list and drawer say someone is: the zone's own name
+// and colour inside school, the device's words for left/sneaked/unknown
+function studentPlace(s) {
+  const zone = zoneForStudent(s);
+  if (zone && zone.kind !== 'outside') return { name: zonePlaceName(zone), css: '', style: `background:${zone.color}26; color:${zone.color}` };
+  return { name: LOC_NAMES[s.location] || LOC_NAMES[LOC.UNKNOWN], css: LOC_CSS[s.location] || 'unknown', style: '' };
+}
+
+function studentPlaceHtml(s) {
+  const place = studentPlace(s);
+  return `<span class="student-status${place.css ? ` ${place.css}` : ''}"${place.style ? ` style="${place.style}"` : ''}>${escapeHtml(place.name)}</span>`;
+}
+
+// ============================================================
+//  ZONE RULES
+// ============================================================
+function checkZoneRules(data, student) {
+  const zone = zoneForReader(data.zone);
+  if (!zone || !student || !zone.offLimits.includes(state.mode)) return;
+  if ((MAP_FIRMWARE_RULES[zone.reader] || []).includes(state.mode)) return;
+
+  addAlert('critical', t('alert.offLimits', { student: student.name, zone: zone.name, mode: MODE_LABELS[state.mode].toLowerCase() }),
+    { student: student.name, studentId: student.id, track: true, push: 'alarm' });
+  playAlertSound();
+  vibrateDevice();
+}
+
+// ============================================================
+//  LIVE MAP
+// ============================================================
+function zoneShapeSvg(zone, attrs) {
+  if (zone.shape === 'ellipse') {
+    return `<ellipse cx="${zone.x + zone.w / 2}" cy="${zone.y + zone.h / 2}" rx="${zone.w / 2}" ry="${zone.h / 2}" ${attrs} />`;
+  }
+  return `<rect x="${zone.x}" y="${zone.y}" width="${zone.w}" height="${zone.h}" rx="14" ${attrs} />`;
+}
+
+// Where a zone's labels go and the free space below them that its
+// student dots are laid out in. Outside is a strip with its label in
+// the middle and dots to the left of it.
+function mapZoneLayout(zone) {
+  if (zone.kind === 'outside') {
+    return {
+      cx: zone.x + zone.w / 2,
+      labelY: zone.y + zone.h - 4,
+      area: { x: zone.x + 20, y: zone.y + 11, w: Math.max(0, zone.w / 2 - 96), h: Math.max(0, zone.h - 26) }
+    };
+  }
+  // An oval's labels and dots go in the rectangle inscribed in it
+  const scale = zone.shape === 'ellipse' ? Math.SQRT1_2 : 1;
+  const box = { w: zone.w * scale, h: zone.h * scale };
+  box.x = zone.x + (zone.w - box.w) / 2;
+  box.y = zone.y + (zone.h - box.h) / 2;
+
+  const large = box.h >= 120;
+  const labelY = Math.round(box.y + Math.min(45, box.h * 0.375));
+  const countY = labelY + (large ? 23 : 20);
+  const top = countY + (large ? 20 : 17);
+  const side = box.w >= 200 ? 18 : 14;
+  return {
+    cx: box.x + box.w / 2,
+    labelY,
+    countY,
+    large,
+    area: { x: box.x + side, y: top, w: Math.max(0, box.w - 2 * side), h: Math.max(0, box.y + box.h - 14 - top) }
+  };
+}
+
+function zoneSvg(zone) {
+  const layout = mapZoneLayout(zone);
+  const students = `<g id="zone-students-${zone.id}"></g>`;
+  if (zone.kind === 'outside') {
+    return `<g data-zone="${zone.id}">
+      <text x="${layout.cx}" y="${layout.labelY}" text-anchor="middle" fill="${zone.color}" fill-opacity="0.3" font-size="9" font-family="Inter" letter-spacing="2">${escapeHtml(zone.name.toUpperCase())}</text>
+      ${students}
+    </g>`;
+  }
+
+  const label = [zone.icon, zone.name.toUpperCase()].filter(Boolean).join(' ');
+  const exit = zone.kind !== 'gate' ? '' : `
+      <rect x="${layout.cx - 30}" y="${zone.y + zone.h}" width="60" height="16" rx="4" fill="${zone.color}" fill-opacity="0.08" stroke="${zone.color}" stroke-opacity="0.15" stroke-width="1" />
+      <text x="${layout.cx}" y="${zone.y + zone.h + 12}" text-anchor="middle" fill="${zone.color}" fill-opacity="0.4" font-size="7" font-family="Inter">EXIT →</text>`;
+  return `<g data-zone="${zone.id}">
+      <defs>
+        <linearGradient id="zone-grad-${zone.id}" x1="0%" y1="0%" x2="100%" y2="100%">
+          <stop offset="0%" stop-color="${zone.color}" stop-opacity="0.12" />
+          <stop offset="100%" stop-color="${zone.color}" stop-opacity="0.04" />
+        </linearGradient>
+      </defs>
+      ${zoneShapeSvg(zone, `class="zone" fill="url(#zone-grad-${zone.id})" stroke="${zone.color}" stroke-opacity="0.2" stroke-width="1.5"`)}
+      <text x="${layout.cx}" y="${layout.labelY}" text-anchor="middle" fill="rgba(255,255,255,0.85)" font-size="${layout.large ? 15 : 13}" font-weight="700" font-family="Inter">${escapeHtml(label)}</text>
+      <text x="${layout.cx}" y="${layout.countY}" text-anchor="middle" fill="rgba(255,255,255,0.35)" font-size="${layout.large ? 11 : 10}" font-family="Inter" class="zone-count" id="zone-count-${zone.id}">${t('map.students', { count: 0 })}</text>${exit}
+      ${students}
+    </g>`;
+}
+
+function renderCampusMap() {
+  if (mapEls.zones) mapEls.zones.innerHTML = campusMap.zones.map(zoneSvg).join('');
+}
+
+// One stats bar card per zone inside school, between "In School" and "Left"
+function renderZoneStats() {
+  if (!mapEls.stats) return;
+  const inside = campusMap.zones.filter(z => z.kind === 'inside');
+  mapEls.stats.parentElement.style.setProperty('--stat-cols', inside.length + 3);
+  mapEls.stats.innerHTML = inside.map(z => `<div class="stat-card glass-card group" data-tilt>
+      <div class="stat-icon" style="background:${z.color}26; color:${z.color}">${escapeHtml(z.icon || z.name[0])}</div>
+      <div class="stat-info">
+        <span class="stat-value" id="stat-zone-${z.id}">0</span>
+        <span class="stat-label">${escapeHtml(z.name)}</span>
+      </div>
+    </div>`).join('');
+}
+
+function renderMapSummary() {
+  if (!mapEls.summary) return;
+  const readers = campusMap.zones.filter(z => z.reader).map(z => z.reader);
+  mapEls.summary.textContent = `${campusMap.zones.length} zones · readers: ${readers.join(', ')}`;
+}
+
+function applyCampusMap() {
+  renderCampusMap();
+  renderZoneStats();
+  initTiltEffect(mapEls.stats);
+  renderMapSummary();
+  updateStudentLocationOptions();
+  updateHistoryZoneOptions();
+  updateRollCallZones();
+  refreshStudents();
+}
+
+// ============================================================
+//  EDITOR
+// ============================================================
+function draftZone(id) {
+  return mapDraft.find(z => z.id === id) || null;
+}
+
+function newMapZone(x, y) {
+  const inside = mapDraft.filter(z => z.kind === 'inside').length;
+  return {
+    id: `zone-${Date.now().toString(36)}`,
+    name: 'New zone',
+    icon: '📍',
+    kind: 'inside',
+    shape: 'rect',
+    color: MAP_COLORS[inside % MAP_COLORS.length],
+    reader: '',
+    offLimits: [],
+    x, y, w: 0, h: 0
+  };
+}
+
+function renderMapEditor() {
+  const zones = mapDraft.map(z => {
+    const selected = z.id === mapSelected;
+    const label = [z.icon, z.name].filter(Boolean).join(' ');
+    return `<g class="map-editor-zone${selected ? ' selected' : ''}" data-map-zone="${z.id}">
+      ${zoneShapeSvg(z, `fill="${z.color}" fill-opacity="0.15" stroke="${z.color}" stroke-opacity="0.6" stroke-width="1.5"${z.kind === 'outside' ? ' stroke-dasharray="6,4"' : ''}`)}
+      <text x="${z.x + z.w / 2}" y="${z.y + z.h / 2}" class="map-editor-label">${escapeHtml(label)}</text>
+      ${selected ? `<rect class="map-editor-handle" data-map-handle="${z.id}" x="${z.x + z.w - 6}" y="${z.y + z.h - 6}" width="12" height="12" rx="2" />` : ''}
+    </g>`;
+  }).join('');
+  mapEls.editor.innerHTML = `<rect x="40" y="30" width="720" height="440" rx="16" class="map-editor-grounds" />${zones}`;
+  mapEls.editor.classList.toggle('drawing', mapDrawing);
+  mapEls.btnDraw.textContent = t(mapDrawing ? 'map.drawing' : 'map.drawZone');
+}
+
+// Off-limits modes the Arduino already enforces for this reader can't be unticked
+function renderMapZoneLimits(zone) {
+  const locked = MAP_FIRMWARE_RULES[zone.reader] || [];
+  mapEls.limits.querySelectorAll('[data-map-limit]').forEach(box => {
+    box.checked = zone.offLimits.includes(box.dataset.mapLimit) || locked.includes(box.dataset.mapLimit);
+    box.disabled = locked.includes(box.dataset.mapLimit);
+  });
+  mapEls.limits.classList.toggle('hidden', zone.kind !== 'inside');
+  mapEls.note.textContent = zone.kind === 'outside'
+    ? 'Students who left with approval or sneaked out are shown here.'
+    : locked.length ? `The Arduino raises its own alarm for the ${zone.reader} reader during ${locked.map(m => MODE_LABELS[m].toLowerCase()).join(' and ')}.` : '';
+}
+
+function renderMapZoneForm() {
+  const zone = mapSelected ? draftZone(mapSelected) : null;
+  mapEls.form.classList.toggle('hidden', !zone);
+  if (!zone) return;
+
+  mapEls.name.value = zone.name;
+  mapEls.icon.value = zone.icon;
+  mapEls.kind.innerHTML = Object.entries(MAP_ZONE_KINDS)
+    .filter(([kind]) => (kind === 'outside') === (zone.kind === 'outside'))
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  mapEls.kind.value = zone.kind;
+  mapEls.kind.disabled = zone.kind === 'outside';
+  mapEls.shape.value = zone.shape;
+  mapEls.color.value = zone.color;
+  mapEls.reader.value = zone.reader;
+  mapEls.reader.disabled = zone.kind === 'outside';
+  mapEls.btnDelete.classList.toggle('hidden', zone.kind === 'outside');
+  renderMapZoneLimits(zone);
+}
+
+function readMapZoneForm() {
+  const zone = draftZone(mapSelected);
+  if (!zone) return;
+  zone.name = mapEls.name.value.trim();
+  zone.icon = mapEls.icon.value.trim();
+  zone.kind = mapEls.kind.value;
+  zone.shape = mapEls.shape.value;
+  zone.color = mapEls.color.value;
+  zone.reader = zone.kind === 'outside' ? '' : normalizeReader(mapEls.reader.value);
+  zone.offLimits = zone.kind !== 'inside' ? [] : [...mapEls.limits.querySelectorAll('[data-map-limit]')]
+    .filter(box => box.checked).map(box => box.dataset.mapLimit);
+  renderMapZoneLimits(zone);
+  renderMapEditor();
+}
+
+function deleteMapZone() {
+  mapDraft = mapDraft.filter(z => z.id !== mapSelected);
+  mapSelected = null;
+  renderMapEditor();
+  renderMapZoneForm();
+}
+
+// Readers the firmware has, plus the ones already on the map
+function renderMapReaderOptions() {
+  const readers = new Set(['gate', 'classroom', 'hostel', ...campusMap.zones.map(z => z.reader).filter(Boolean)]);
+  mapEls.readers.innerHTML = [...readers].map(r => `<option value="${escapeHtml(r)}"></option>`).join('');
+}
+
+// → the first thing that stops the draft from being saved, or null
+function mapProblem(zones) {
+  const unnamed = zones.find(z => !z.name);
+  if (unnamed) return 'Every zone needs a name';
+  for (const z of zones) {
+    if (z.kind === 'outside') continue;
+    if (!z.reader) return `${z.name} needs the reader that puts students there`;
+    if (!/^[a-z0-9_-]+$/.test(z.reader)) return `${z.name}: reader names are letters, digits, - and _`;
+    const twin = zones.find(other => other !== z && other.reader === z.reader);
+    if (twin) return `${z.name} and ${twin.name} both use the ${z.reader} reader`;
+  }
+  if (!zones.some(z => z.kind === 'gate')) return 'The map needs at least one gate';
+  return null;
+}
+
+function describeCampusMap(zones) {
+  return zones.map(z => z.reader ? `${z.name} (${z.reader})` : z.name).join(', ');
+}
+
+function saveMapDraft() {
+  const problem = mapProblem(mapDraft);
+  mapEls.error.textContent = problem || '';
+  if (problem) return;
+  if (JSON.stringify(mapDraft) === JSON.stringify(campusMap.zones)) {
+    closeMapEditor();
+    return;
+  }
+  const before = describeCampusMap(campusMap.zones);
+  withOperator('map_edit', () => {
+    campusMap = { zones: cloneZones(mapDraft) };
+    saveCampusMap();
+    applyCampusMap();
+    closeMapEditor();
+    const after = describeCampusMap(campusMap.zones);
+    return { target: 'campus map', before, after: after === before ? `${after} — layout changed` : after };
+  });
+}
+
+function openMapEditor() {
+  mapDraft = cloneZones(campusMap.zones);
+  mapSelected = null;
+  mapDrawing = false;
+  mapEls.error.textContent = '';
+  renderMapReaderOptions();
+  renderMapEditor();
+  renderMapZoneForm();
+  mapEls.modal.classList.remove('hidden');
+}
+
+function closeMapEditor() {
+  mapEls.modal.classList.add('hidden');
+  mapDraft = null;
+  mapDrag = null;
+}
+
+// ============================================================
+//  DRAWING & DRAGGING
+// ============================================================
+function mapPoint(e) {
+  const rect = mapEls.editor.getBoundingClientRect();
+  return {
+    x: Math.min(MAP_WIDTH, Math.max(0, (e.clientX - rect.left) / rect.width * MAP_WIDTH)),
+    y: Math.min(MAP_HEIGHT, Math.max(0, (e.clientY - rect.top) / rect.height * MAP_HEIGHT))
+  };
+}
+
+function snapToGrid(value) {
+  return Math.round(value / MAP_GRID) * MAP_GRID;
+}
+
+function clampNumber(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function startMapDrag(e) {
+  if (e.button !== 0) return;
+  const p = mapPoint(e);
+  const handle = e.target.closest('[data-map-handle]');
+  const target = e.target.closest('[data-map-zone]');
+  let zone, mode;
+
+  if (handle) {
+    zone = draftZone(handle.dataset.mapHandle);
+    mode = 'resize';
+  } else if (mapDrawing) {
+    zone = newMapZone(snapToGrid(p.x), snapToGrid(p.y));
+    mapDraft.push(zone);
+    mode = 'draw';
+  } else if (target) {
+    zone = draftZone(target.dataset.mapZone);
+    mode = 'move';
+  } else {
+    mapSelected = null;
+    renderMapEditor();
+    renderMapZoneForm();
+    return;
+  }
+
+  e.preventDefault();
+  if (mapEls.editor.setPointerCapture) mapEls.editor.setPointerCapture(e.pointerId);
+  mapSelected = zone.id;
+  mapDrag = { mode, zone, start: p, origin: { x: zone.x, y: zone.y, w: zone.w, h: zone.h } };
+  renderMapEditor();
+  renderMapZoneForm();
+}
+
+function moveMapDrag(e) {
+  if (!mapDrag) return;
+  const p = mapPoint(e);
+  const { mode, zone, start, origin } = mapDrag;
+
+  if (mode === 'move') {
+    zone.x = clampNumber(snapToGrid(origin.x + p.x - start.x), 0, MAP_WIDTH - zone.w);
+    zone.y = clampNumber(snapToGrid(origin.y + p.y - start.y), 0, MAP_HEIGHT - zone.h);
+  } else if (mode === 'resize') {
+    zone.w = clampNumber(snapToGrid(origin.w + p.x - start.x), MAP_MIN_SIZE.w, MAP_WIDTH - zone.x);
+    zone.h = clampNumber(snapToGrid(origin.h + p.y - start.y), MAP_MIN_SIZE.h, MAP_HEIGHT - zone.y);
+  } else {
+    // Drawn from where the drag started, in whichever direction it goes
+    const x = snapToGrid(p.x), y = snapToGrid(p.y);
+    zone.x = Math.min(origin.x, x);
+    zone.y = Math.min(origin.y, y);
+    zone.w = Math.abs(x - origin.x);
+    zone.h = Math.abs(y - origin.y);
+  }
+  renderMapEditor();
+}
+
+function endMapDrag() {
+  if (!mapDrag) return;
+  const { mode, zone } = mapDrag;
+  mapDrag = null;
+  if (mode === 'draw') {
+    mapDrawing = false;
+    if (zone.w < MAP_MIN_SIZE.w || zone.h < MAP_MIN_SIZE.h) {
+      zone.w = Math.max(zone.w, MAP_NEW_SIZE.w);
+      zone.h = Math.max(zone.h, MAP_NEW_SIZE.h);
+      zone.x = Math.min(zone.x, MAP_WIDTH - zone.w);
+      zone.y = Math.min(zone.y, MAP_HEIGHT - zone.h);
+    }
+    mapEls.name.focus();
+  }
+  renderMapEditor();
+}
+
+function initCampusMap() {
+  renderCampusMap();
+  renderZoneStats();
+  renderMapSummary();
+  if (!mapEls.modal) return;
+
+  mapEls.shape.innerHTML = Object.entries(MAP_SHAPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  mapEls.limits.querySelector('.map-limit-boxes').innerHTML = Object.entries(MODE_LABELS).map(([mode, label]) =>
+    `<label class="flex items-center gap-2"><input type="checkbox" data-map-limit="${mode}" /> ${label}</label>`).join('');
+
+  [mapEls.btnOpen, mapEls.btnEdit].forEach(btn => { if (btn) btn.addEventListener('click', openMapEditor); });
+  // No closing on a backdrop click: a drag that ends off the card would throw the edits away
+  mapEls.btnClose.addEventListener('click', closeMapEditor);
+  mapEls.btnCancel.addEventListener('click', closeMapEditor);
+  mapEls.btnSave.addEventListener('click', saveMapDraft);
+  mapEls.btnDraw.addEventListener('click', () => {
+    mapDrawing = !mapDrawing;
+    renderMapEditor();
+  });
+  mapEls.btnReset.addEventListener('click', () => {
+    mapDraft = cloneZones(MAP_DEFAULT_ZONES);
+    mapSelected = null;
+    renderMapEditor();
+    renderMapZoneForm();
+  });
+  mapEls.form.addEventListener('input', readMapZoneForm);
+  mapEls.form.addEventListener('change', readMapZoneForm);
+  mapEls.form.addEventListener('submit', (e) => e.preventDefault());
+  mapEls.btnDelete.addEventListener('click', deleteMapZone);
+
+  mapEls.editor.addEventListener('pointerdown', startMapDrag);
+  mapEls.editor.addEventListener('pointermove', moveMapDrag);
+  mapEls.editor.addEventListener('pointerup', endMapDrag);
+  mapEls.editor.addEventListener('pointercancel', endMapDrag);
+}
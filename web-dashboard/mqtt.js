@@ -0,0 +1,204 @@
+/* ============================================================
+   Guardian-Track — MQTT over WebSockets
+   Just enough of MQTT 3.1.1 to publish to a broker's WebSocket
+   listener (Mosquitto, EMQX, Home Assistant's add-on…):
+     connect()                         → resolves on CONNACK
+     publish(topic, text, { qos, retain })
+                                       → resolves once sent (QoS 0)
+                                         or acknowledged (QoS 1)
+     close()
+   and reports a dropped connection through onClose(error).
+   Nothing is subscribed to; the dashboard only talks.
+   ============================================================ */
+
+const MQTT_PACKET = { CONNECT: 1, CONNACK: 2, PUBLISH: 3, PUBACK: 4, PINGREQ: 12, PINGRESP: 13, DISCONNECT: 14 };
+const MQTT_TIMEOUT_MS = 10000;
+const MQTT_KEEPALIVE_S = 30;
+
+const MQTT_CONNACK_ERRORS = {
+  1: 'broker does not speak MQTT 3.1.1',
+  2: 'client id rejected',
+  3: 'broker unavailable',
+  4: 'bad username or password',
+  5: 'not authorised'
+};
+
+class MqttClient {
+  constructor({ url, clientId, username, password }) {
+    this.url = url;
+    this.clientId = clientId;
+    this.username = username;
+    this.password = password;
+    this.ws = null;
+    this.connected = false;
+    this.nextPacketId = 1;
+    this.pending = new Map();   // packet id → { resolve, reject, timer }
+    this.buffer = new Uint8Array(0);
+    this.pinger = null;
+    this.onClose = () => {};
+  }
+
+  // ============================================================
+  //  ENCODING
+  // ============================================================
+  static encodeString(text) {
+    const bytes = new TextEncoder().encode(text);
+    return [bytes.length >> 8, bytes.length & 0xff, ...bytes];
+  }
+
+  static packet(type, flags, body) {
+    const length = [];
+    let n = body.length;
+    do {
+      let digit = n % 128;
+      n = Math.floor(n / 128);
+      if (n > 0) digit |= 0x80;
+      length.push(digit);
+    } while (n > 0);
+    return new Uint8Array([(type << 4) | flags, ...length, ...body]);
+  }
+
+  send(bytes) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.send(bytes);
+  }
+
+  // ============================================================
+  //  CONNECTION
+  // ============================================================
+  connect() {
+    return new Promise((resolve, reject) => {
+      try {
+        this.ws = new WebSocket(this.url, 'mqtt');
+      } catch (e) {
+        reject(new Error(`invalid broker address "${this.url}"`));
+        return;
+      }
+      this.ws.binaryType = 'arraybuffer';
+      const timer = setTimeout(() => fail(new Error('broker did not answer')), MQTT_TIMEOUT_MS);
+      const fail = (err) => {
+        clearTimeout(timer);
+        this.connack = null;
+        this.close();
+        reject(err);
+      };
+      this.connack = { resolve: () => { clearTimeout(timer); resolve(); }, reject: fail };
+
+      this.ws.onopen = () => {
+        // MQTT 3.1.1 only allows a password after a username
+        const password = this.username && this.password;
+        const flags = 0x02 | (this.username ? 0x80 : 0) | (password ? 0x40 : 0);   // Clean session
+        const body = [
+          ...MqttClient.encodeString('MQTT'), 4, flags, MQTT_KEEPALIVE_S >> 8, MQTT_KEEPALIVE_S & 0xff,
+          ...MqttClient.encodeString(this.clientId),
+          ...(this.username ? MqttClient.encodeString(this.username) : []),
+          ...(password ? MqttClient.encodeString(this.password) : [])
+        ];
+        this.send(MqttClient.packet(MQTT_PACKET.CONNECT, 0, body));
+      };
+      this.ws.onmessage = (e) => this.receive(new Uint8Array(e.data));
+      this.ws.onerror = () => {
+        if (this.connack) fail(new Error(`cannot reach broker at ${this.url}`));
+      };
+      this.ws.onclose = () => {
+        if (this.connack) fail(new Error('broker closed the connection'));
+        else if (this.connected) this.dropped(new Error('broker connection lost'));
+      };
+    });
+  }
+
+  dropped(err) {
+    this.connected = false;
+    clearInterval(this.pinger);
+    this.pending.forEach(({ reject, timer }) => { clearTimeout(timer); reject(err); });
+    this.pending.clear();
+    this.onClose(err);
+  }
+
+  close() {
+    if (this.connected) this.send(MqttClient.packet(MQTT_PACKET.DISCONNECT, 0, []));
+    this.connected = false;
+    clearInterval(this.pinger);
+    if (this.ws) {
+      this.ws.onclose = null;
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+
+  // ============================================================
+  //  RECEIVING
+  // ============================================================
+  // A WebSocket frame may hold part of a packet or several of them
+  receive(bytes) {
+    const joined = new Uint8Array(this.buffer.length + bytes.length);
+    joined.set(this.buffer);
+    joined.set(bytes, this.buffer.length);
+    this.buffer = joined;
+
+    while (this.buffer.length >= 2) {
+      let length = 0, multiplier = 1, i = 1, digit;
+      do {
+        if (i >= this.buffer.length) return;
+        digit = this.buffer[i++];
+        length += (digit & 0x7f) * multiplier;
+        multiplier *= 128;
+      } while (digit & 0x80);
+      if (this.buffer.length < i + length) return;
+
+      this.handlePacket(this.buffer[0] >> 4, this.buffer.subarray(i, i + length));
+      this.buffer = this.buffer.slice(i + length);
+    }
+  }
+
+  handlePacket(type, body) {
+    switch (type) {
+      case MQTT_PACKET.CONNACK: {
+        const connack = this.connack;
+        this.connack = null;
+        if (!connack) return;
+        if (body[1] !== 0) {
+          connack.reject(new Error(MQTT_CONNACK_ERRORS[body[1]] || `broker refused (code ${body[1]})`));
+          return;
+        }
+        this.connected = true;
+        this.pinger = setInterval(() => this.send(MqttClient.packet(MQTT_PACKET.PINGREQ, 0, [])), MQTT_KEEPALIVE_S * 1000 / 2);
+        connack.resolve();
+        break;
+      }
+      case MQTT_PACKET.PUBACK: {
+        const id = (body[0] << 8) | body[1];
+        const waiting = this.pending.get(id);
+        if (!waiting) return;
+        clearTimeout(waiting.timer);
+        this.pending.delete(id);
+        waiting.resolve();
+        break;
+      }
+    }
+  }
+
+  // ============================================================
+  //  PUBLISHING
+  // ============================================================
+  publish(topic, text, { qos = 0, retain = false } = {}) {
+    if (!this.connected) return Promise.reject(new Error('not connected to the broker'));
+    const payload = new TextEncoder().encode(text);
+    const flags = (qos ? 0x02 : 0) | (retain ? 0x01 : 0);
+
+    if (!qos) {
+      this.send(MqttClient.packet(MQTT_PACKET.PUBLISH, flags, [...MqttClient.encodeString(topic), ...payload]));
+      return Promise.resolve();
+    }
+
+    const id = this.nextPacketId;
+    this.nextPacketId = id === 0xffff ? 1 : id + 1;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error('broker did not acknowledge'));
+      }, MQTT_TIMEOUT_MS);
+      this.pending.set(id, { resolve, reject, timer });
+      this.send(MqttClient.packet(MQTT_PACKET.PUBLISH, flags, [...MqttClient.encodeString(topic), id >> 8, id & 0xff, ...payload]));
+    });
+  }
+}
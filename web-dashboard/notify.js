@@ -0,0 +1,434 @@
+/* ============================================================
+   Guardian-Track — Parent Notifications
+   Messages are queued in IndexedDB (the outbox) and handed to
+   a provider:
+     send(message) → resolves once the gateway accepted it
+     label         → short name for the delivery log
+   Failed sends are retried with backoff; every attempt ends up
+   in the delivery log.
+   ============================================================ */
+
+const NOTIFY_KEY = 'gt-notify';
+const NOTIFY_PUMP_MS = 10000;
+const NOTIFY_TIMEOUT_MS = 10000;
+const NOTIFY_BACKOFF_MS = [30000, 120000, 600000, 1800000];   // After attempts 1..4
+const NOTIFY_MAX_ATTEMPTS = NOTIFY_BACKOFF_MS.length + 1;
+const NOTIFY_RATE_WINDOW_MS = 60 * 60 * 1000;
+const NOTIFY_LOG_LIMIT = 50;
+
+// Default subjects and bodies come in the dashboard's language; a saved template stays as written
+const NOTIFY_KINDS = Object.fromEntries(['sneaked', 'approved', 'rule'].map(kind => [kind, localizedLabels({
+  label: `notify.kind.${kind}`, subject: `notify.subject.${kind}`, body: `notify.body.${kind}`
+})]));
+
+const NOTIFY_STATUS_CSS = { queued: 'gate', sending: 'gate', sent: 'classroom', failed: 'sneaked', skipped: 'unknown' };
+const NOTIFY_STATUS_LABELS = localizedLabels(Object.fromEntries(
+  Object.keys(NOTIFY_STATUS_CSS).map(status => [status, `notify.status.${status}`])));
+
+const notifyEls = {
+  summary: document.getElementById('notify-summary'),
+  btnOpen: document.getElementById('btn-notify'),
+  modal: document.getElementById('notify-modal'),
+  btnClose: document.getElementById('notify-close'),
+  provider: document.getElementById('notify-provider'),
+  smsFields: document.getElementById('notify-sms-fields'),
+  smsUrl: document.getElementById('notify-sms-url'),
+  smsToken: document.getElementById('notify-sms-token'),
+  smsSender: document.getElementById('notify-sms-sender'),
+  emailFields: document.getElementById('notify-email-fields'),
+  emailUrl: document.getElementById('notify-email-url'),
+  emailFrom: document.getElementById('notify-email-from'),
+  mockFields: document.getElementById('notify-mock-fields'),
+  mockFail: document.getElementById('notify-mock-fail'),
+  rateLimit: document.getElementById('notify-rate-limit'),
+  templates: document.getElementById('notify-templates'),
+  log: document.getElementById('notify-log')
+};
+
+let notifySettings = loadNotifySettings();
+let outboxBusy = false;
+
+// ============================================================
+//  PROVIDERS
+// ============================================================
+async function postJson(url, payload, headers = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), NOTIFY_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    if (!res.ok) throw new Error(t('notify.gatewayStatus', { status: res.status }));
+  } catch (err) {
+    throw new Error(err.name === 'AbortError' ? t('notify.gatewayTimeout') : err.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Generic HTTP SMS gateway: POST { to, from, message }
+class HttpSmsProvider {
+  constructor({ url, token, sender }) {
+    this.label = t('notify.provider.sms');
+    this.url = url;
+    this.token = token;
+    this.sender = sender;
+  }
+
+  recipient(profile) {
+    return profile.contact || '';
+  }
+
+  send(message) {
+    if (!this.url) return Promise.reject(new Error(t('notify.noSmsUrl')));
+    return postJson(this.url, { to: message.to, from: this.sender || undefined, message: message.body },
+      this.token ? { Authorization: `Bearer ${this.token}` } : {});
+  }
+}
+
+// Local mail relay: POST { to, from, subject, text }
+class EmailRelayProvider {
+  constructor({ url, from }) {
+    this.label = t('notify.provider.email');
+    this.url = url;
+    this.from = from;
+  }
+
+  recipient(profile) {
+    return profile.email || '';
+  }
+
+  send(message) {
+    if (!this.url) return Promise.reject(new Error(t('notify.noMailUrl')));
+    return postJson(this.url, { to: message.to, from: this.from || undefined, subject: message.subject, text: message.body });
+  }
+}
+
+// For testing: writes to the browser console, optionally failing to exercise retries
+class MockProvider {
+  constructor({ fail }) {
+    this.label = t('notify.provider.mock');
+    this.fail = fail;
+  }
+
+  recipient(profile) {
+    return profile.contact || profile.email || 'test-parent';
+  }
+
+  send(message) {
+    if (this.fail) return Promise.reject(new Error(t('notify.simulatedFailure')));
+    console.info(`[notify] to ${message.to}: ${message.body}`);
+    return Promise.resolve();
+  }
+}
+
+function createProvider(settings = notifySettings) {
+  switch (settings.provider) {
+    case 'sms': return new HttpSmsProvider(settings.sms);
+    case 'email': return new EmailRelayProvider(settings.email);
+    case 'mock': return new MockProvider(settings.mock);
+    default: return null;
+  }
+}
+
+// ============================================================
+//  SETTINGS
+// ============================================================
+function loadNotifySettings() {
+  const defaults = {
+    provider: 'none',
+    sms: { url: '', token: '', sender: '' },
+    email: { url: 'http://localhost:8025/send', from: '' },
+    mock: { fail: false },
+    rateLimit: 3,
+    templates: Object.fromEntries(Object.entries(NOTIFY_KINDS).map(([k, v]) =>
+      [k, { enabled: true, subject: v.subject, body: v.body }]))
+  };
+  try {
+    const saved = JSON.parse(localStorage.getItem(NOTIFY_KEY)) || {};
+    return {
+      ...defaults, ...saved,
+      sms: { ...defaults.sms, ...saved.sms },
+      email: { ...defaults.email, ...saved.email },
+      mock: { ...defaults.mock, ...saved.mock },
+      templates: { ...defaults.templates, ...saved.templates }
+    };
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function saveNotifySettings() {
+  try { localStorage.setItem(NOTIFY_KEY, JSON.stringify(notifySettings)); } catch (e) { /* storage unavailable */ }
+}
+
+// ============================================================
+//  OUTBOX
+// ============================================================
+function fillTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (vars[key] !== undefined ? vars[key] : match));
+}
+
+async function recentNotifications(studentId) {
+  const since = Date.now() - NOTIFY_RATE_WINDOW_MS;
+  return dbQuery('outbox', {
+    index: 'studentId',
+    range: IDBKeyRange.only(studentId),
+    filter: m => m.ts >= since && m.status !== 'skipped'
+  });
+}
+
+// Queue a message to the parent of the student named in a device event
+async function notifyParent(kind, data) {
+  if (isReplaying()) return;
+  const provider = createProvider();
+  const template = notifySettings.templates[kind];
+  if (!provider || !template || !template.enabled) return;
+
+  const student = eventStudent(data);
+  const profile = (student && rosterProfile(student.id)) || student || {};
+  const vars = {
+    student: data.student,
+    class: profile.classGrade || '—',
+    dorm: profile.dormRoom || '—',
+    time: new Date().toLocaleTimeString(currentLocale(), { hour: '2-digit', minute: '2-digit' }),
+    by: describeDecider(data.by),
+    rule: data.rule || ''
+  };
+
+  const message = {
+    ts: Date.now(),
+    kind,
+    studentId: student ? student.id : -1,
+    student: data.student,
+    to: provider.recipient(profile),
+    subject: fillTemplate(template.subject, vars),
+    body: fillTemplate(template.body, vars),
+    status: 'queued',
+    attempts: 0,
+    nextAttempt: Date.now(),
+    provider: provider.label,
+    error: null
+  };
+
+  try {
+    if (!message.to) {
+      message.status = 'skipped';
+      message.error = t('notify.noContact');
+    } else if ((await recentNotifications(message.studentId)).length >= notifySettings.rateLimit) {
+      message.status = 'skipped';
+      message.error = t('notify.rateLimited', { limit: notifySettings.rateLimit });
+    }
+    await dbAdd('outbox', message);
+  } catch (e) {
+    addAlert('warning', t('notify.queueFailed'));
+    return;
+  }
+
+  if (message.status === 'skipped') {
+    addAlert('warning', t('notify.skipped', { student: data.student, reason: message.error }));
+  }
+  pumpOutbox();
+}
+
+async function deliverMessage(provider, message) {
+  message.status = 'sending';
+  message.attempts++;
+  message.provider = provider.label;
+  await dbPut('outbox', message);
+  renderOutbox();
+
+  try {
+    await provider.send(message);
+    message.status = 'sent';
+    message.sentAt = Date.now();
+    message.error = null;
+  } catch (err) {
+    message.error = err.message;
+    if (message.attempts >= NOTIFY_MAX_ATTEMPTS) {
+      message.status = 'failed';
+      addAlert('critical', t('notify.failed', { student: message.student, error: err.message }));
+    } else {
+      message.status = 'queued';
+      message.nextAttempt = Date.now() + NOTIFY_BACKOFF_MS[message.attempts - 1];
+    }
+  }
+  await dbPut('outbox', message);
+}
+
+async function pumpOutbox() {
+  const provider = createProvider();
+  if (outboxBusy || !provider) return;
+
+  outboxBusy = true;
+  try {
+    const now = Date.now();
+    const due = await dbQuery('outbox', {
+      index: 'status',
+      range: IDBKeyRange.only('queued'),
+      filter: m => m.nextAttempt <= now
+    });
+    for (const message of due) await deliverMessage(provider, message);
+  } catch (e) {
+    /* storage unavailable — nothing to deliver */
+  } finally {
+    outboxBusy = false;
+    renderOutbox();
+  }
+}
+
+// A send interrupted by closing the page is simply tried again
+async function requeueInterrupted() {
+  const stuck = await dbQuery('outbox', { index: 'status', range: IDBKeyRange.only('sending') });
+  for (const message of stuck) {
+    message.status = 'queued';
+    await dbPut('outbox', message);
+  }
+}
+
+async function retryMessage(id) {
+  const message = await dbGet('outbox', id);
+  if (!message) return;
+  Object.assign(message, { status: 'queued', attempts: 0, nextAttempt: Date.now(), error: null });
+  await dbPut('outbox', message);
+  pumpOutbox();
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+async function renderOutbox() {
+  if (!notifyEls.summary) return;
+
+  let messages;
+  try {
+    messages = await dbQuery('outbox', { index: 'ts', direction: 'prev', limit: NOTIFY_LOG_LIMIT });
+  } catch (e) {
+    notifyEls.summary.textContent = t('notify.storageUnavailable');
+    return;
+  }
+
+  const queued = messages.filter(m => m.status === 'queued' || m.status === 'sending').length;
+  const failed = messages.filter(m => m.status === 'failed').length;
+  notifyEls.summary.textContent = notifySettings.provider === 'none'
+    ? t('notify.off')
+    : [t('notify.via', { provider: createProvider().label }), queued && t('notify.queued', { count: queued }),
+      failed && t('notify.failedCount', { count: failed })].filter(Boolean).join(' · ');
+
+  if (notifyEls.modal.classList.contains('hidden')) return;
+  if (messages.length === 0) {
+    notifyEls.log.innerHTML = `<p class="text-white/25 text-xs text-center py-3">${t('notify.nothingSent')}</p>`;
+    return;
+  }
+
+  notifyEls.log.innerHTML = messages.map(m => {
+    const meta = [formatHistoryTime(m.ts), m.provider, m.to, m.attempts > 1 ? t('notify.attempts', { count: m.attempts }) : '']
+      .filter(Boolean).map(escapeHtml).join(' · ');
+    return `<div class="history-item">
+      <div class="alert-content">
+        <div class="alert-message">${escapeHtml(NOTIFY_KINDS[m.kind].label)} — ${escapeHtml(m.student)}</div>
+        <div class="alert-time">${meta}</div>
+        ${m.error ? `<div class="alert-time text-red-400/70">${escapeHtml(m.error)}</div>` : ''}
+      </div>
+      <div class="flex flex-col items-end gap-1">
+        <span class="student-status ${NOTIFY_STATUS_CSS[m.status]}">${NOTIFY_STATUS_LABELS[m.status]}</span>
+        ${m.status === 'failed' ? `<button type="button" class="text-[10px] text-accent/70 hover:text-accent" data-retry="${m.id}">${t('notify.retry')}</button>` : ''}
+      </div>
+    </div>`;
+  }).join('');
+}
+
+function renderNotifySettings() {
+  const s = notifySettings;
+  notifyEls.provider.value = s.provider;
+  notifyEls.smsFields.classList.toggle('hidden', s.provider !== 'sms');
+  notifyEls.emailFields.classList.toggle('hidden', s.provider !== 'email');
+  notifyEls.mockFields.classList.toggle('hidden', s.provider !== 'mock');
+  notifyEls.smsUrl.value = s.sms.url;
+  notifyEls.smsToken.value = s.sms.token;
+  notifyEls.smsSender.value = s.sms.sender;
+  notifyEls.emailUrl.value = s.email.url;
+  notifyEls.emailFrom.value = s.email.from;
+  notifyEls.mockFail.checked = s.mock.fail;
+  notifyEls.rateLimit.value = s.rateLimit;
+
+  notifyEls.templates.innerHTML = Object.entries(NOTIFY_KINDS).map(([kind, def]) => {
+    const template = s.templates[kind];
+    return `<div class="space-y-1" data-kind="${kind}">
+      <label class="flex items-center gap-2 text-[11px] text-white/60">
+        <input type="checkbox" data-field="enabled" ${template.enabled ? 'checked' : ''} /> ${def.label}
+      </label>
+      <input type="text" class="glass-input" data-field="subject" value="${escapeHtml(template.subject)}" aria-label="${t('notify.subjectOf', { kind: def.label })}" />
+      <textarea class="glass-input" rows="2" data-field="body" aria-label="${t('notify.messageOf', { kind: def.label })}">${escapeHtml(template.body)}</textarea>
+    </div>`;
+  }).join('');
+}
+
+// For the audit log: where messages go and which are sent, never the token
+function describeNotifySettings(s) {
+  const via = s.provider === 'sms' ? `SMS ${s.sms.url}${s.sms.sender ? ` as ${s.sms.sender}` : ''}`
+    : s.provider === 'email' ? `email ${s.email.url}${s.email.from ? ` from ${s.email.from}` : ''}`
+    : s.provider === 'mock' ? `test log${s.mock.fail ? ', failing' : ''}` : 'off';
+  const kinds = Object.keys(NOTIFY_KINDS).filter(kind => s.templates[kind].enabled).join(', ') || 'no messages';
+  return `${via} · ${kinds} · ${s.rateLimit} per student / hour`;
+}
+
+// The gateway and its token decide where parents' numbers go, so
+// changes need a signed-in operator
+function readNotifySettings() {
+  const next = {
+    provider: notifyEls.provider.value,
+    sms: { url: notifyEls.smsUrl.value.trim(), token: notifyEls.smsToken.value.trim(), sender: notifyEls.smsSender.value.trim() },
+    email: { url: notifyEls.emailUrl.value.trim(), from: notifyEls.emailFrom.value.trim() },
+    mock: { fail: notifyEls.mockFail.checked },
+    rateLimit: Math.max(1, Number(notifyEls.rateLimit.value) || 1),
+    templates: { ...notifySettings.templates }
+  };
+  notifyEls.templates.querySelectorAll('[data-kind]').forEach(block => {
+    next.templates[block.dataset.kind] = {
+      enabled: block.querySelector('[data-field="enabled"]').checked,
+      subject: block.querySelector('[data-field="subject"]').value,
+      body: block.querySelector('[data-field="body"]').value
+    };
+  });
+  renderNotifySettings();   // Snap back until the operator is known
+  withOperator('notify_settings', () => {
+    const previous = JSON.stringify(notifySettings);
+    const before = describeNotifySettings(notifySettings);
+    Object.assign(notifySettings, next);
+    if (JSON.stringify(notifySettings) === previous) return null;
+    saveNotifySettings();
+    renderNotifySettings();
+    pumpOutbox();
+    const after = describeNotifySettings(notifySettings);
+    return { target: 'parent notifications', before, after: after === before ? `${after} · token or templates edited` : after };
+  });
+}
+
+function initNotify() {
+  if (!notifyEls.modal) return;
+
+  notifyEls.btnOpen.addEventListener('click', () => {
+    notifyEls.modal.classList.remove('hidden');
+    renderNotifySettings();
+    renderOutbox();
+  });
+  notifyEls.btnClose.addEventListener('click', () => notifyEls.modal.classList.add('hidden'));
+  notifyEls.modal.addEventListener('click', (e) => {
+    if (e.target === notifyEls.modal) notifyEls.modal.classList.add('hidden');
+  });
+  notifyEls.modal.addEventListener('change', (e) => {
+    if (!notifyEls.log.contains(e.target)) readNotifySettings();
+  });
+  notifyEls.log.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-retry]');
+    if (btn) retryMessage(Number(btn.dataset.retry));
+  });
+
+  setInterval(pumpOutbox, NOTIFY_PUMP_MS);
+  requeueInterrupted().catch(() => {}).then(pumpOutbox);
+  renderOutbox();
+}
@@ -0,0 +1,504 @@
+/* ============================================================
+   Guardian-Track — Operators & Audit Trail
+   Staff sign in with their own PIN before changing the mode,
+   clearing alerts, editing the roster, deciding at the gate or
+   typing raw commands into the diagnostics console.
+   The session locks itself after a few idle minutes. Every
+   protected action is appended to the audit store, each entry
+   hashed together with the one before it so a removed or edited
+   entry shows up when the log is checked.
+   ============================================================ */
+
+const OPERATORS_KEY = 'gt-operators';
+const OPERATOR_PIN_PATTERN = /^\d{4,8}$/;
+const OPERATOR_PIN_ITERATIONS = 100000;
+const OPERATOR_MAX_ATTEMPTS = 5;           // Wrong PINs before sign-in pauses
+const OPERATOR_ATTEMPT_PAUSE_MS = 60000;
+const OPERATOR_LOCK_TICK_MS = 15000;
+const AUDIT_VIEW_LIMIT = 500;
+
+const AUDIT_ACTIONS = localizedLabels(Object.fromEntries([
+  'sign_in', 'sign_in_failed', 'lock', 'auto_lock', 'mode', 'timetable_edit', 'clear_alerts',
+  'roster_save', 'roster_push', 'gate_decision', 'console_command', 'permit_edit', 'permit_close',
+  'rules_edit', 'map_edit', 'integrations_edit', 'notify_settings', 'backup', 'backup_restore',
+  'backup_settings', 'operator_add', 'operator_pin', 'operator_remove', 'lock_settings'
+].map(action => [action, `audit.action.${action}`])));
+
+const operatorEls = {
+  chip: document.getElementById('operator-chip'),
+  summary: document.getElementById('operator-summary'),
+  btnLock: document.getElementById('btn-operator-lock'),
+  btnManage: document.getElementById('btn-operators'),
+  btnAudit: document.getElementById('btn-audit'),
+  lockMinutes: document.getElementById('operator-lock-minutes'),
+  signinModal: document.getElementById('signin-modal'),
+  signinForm: document.getElementById('signin-form'),
+  signinClose: document.getElementById('signin-close'),
+  signinPurpose: document.getElementById('signin-purpose'),
+  signinPick: document.getElementById('signin-pick'),
+  signinOperator: document.getElementById('signin-operator'),
+  signinSetup: document.getElementById('signin-setup'),
+  signinName: document.getElementById('signin-name'),
+  signinPin: document.getElementById('signin-pin'),
+  signinConfirm: document.getElementById('signin-confirm'),
+  signinConfirmRow: document.getElementById('signin-confirm-row'),
+  signinError: document.getElementById('signin-error'),
+  signinSubmit: document.getElementById('signin-submit'),
+  manageModal: document.getElementById('operators-modal'),
+  manageClose: document.getElementById('operators-close'),
+  manageList: document.getElementById('operators-list'),
+  manageForm: document.getElementById('operators-form'),
+  manageName: document.getElementById('operators-name'),
+  managePin: document.getElementById('operators-pin'),
+  manageError: document.getElementById('operators-error'),
+  auditModal: document.getElementById('audit-modal'),
+  auditClose: document.getElementById('audit-close'),
+  auditMeta: document.getElementById('audit-meta'),
+  auditList: document.getElementById('audit-list'),
+  auditCsv: document.getElementById('audit-export-csv'),
+  auditJson: document.getElementById('audit-export-json')
+};
+
+let operatorSettings = loadOperatorSettings();
+let operatorSession = null;    // { id, name, lastActive }
+let signinRequest = null;      // { promise, resolve } while the sign-in modal is open
+let signinFailures = { count: 0, until: 0 };
+let auditAppends = Promise.resolve();   // Appends run one at a time to keep the chain
+let auditHead = null;                   // Hash of the newest entry, once known
+
+// ============================================================
+//  SETTINGS
+// ============================================================
+// operators: [{ id, name, salt, pinHash, createdAt }]
+function loadOperatorSettings() {
+  const defaults = { operators: [], lockMinutes: 5 };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(OPERATORS_KEY)) };
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function saveOperatorSettings() {
+  try { localStorage.setItem(OPERATORS_KEY, JSON.stringify(operatorSettings)); } catch (e) { /* storage unavailable */ }
+}
+
+function findOperator(id) {
+  return operatorSettings.operators.find(o => o.id === id);
+}
+
+// ============================================================
+//  PINS
+// ============================================================
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+// PINs are short, so they're stretched with PBKDF2 rather than hashed once
+async function hashPin(pin, salt) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations: OPERATOR_PIN_ITERATIONS },
+    key, 256);
+  return toHex(bits);
+}
+
+async function setOperatorPin(operator, pin) {
+  operator.salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  operator.pinHash = await hashPin(pin, operator.salt);
+}
+
+async function checkPin(operator, pin) {
+  return (await hashPin(pin, operator.salt)) === operator.pinHash;
+}
+
+// ============================================================
+//  SESSION
+// ============================================================
+// The name recorded with alert actions and sent with gate decisions
+function getOperatorName() {
+  return operatorSession ? operatorSession.name : '';
+}
+
+function currentOperator() {
+  if (!operatorSession) return null;
+  if (Date.now() - operatorSession.lastActive >= operatorSettings.lockMinutes * 60000) {
+    lockOperator('auto_lock');
+    return null;
+  }
+  return operatorSession;
+}
+
+// Activity only extends a session that hasn't already run out
+function touchOperatorSession() {
+  if (currentOperator()) operatorSession.lastActive = Date.now();
+}
+
+function signIn(operator) {
+  operatorSession = { id: operator.id, name: operator.name, lastActive: Date.now() };
+  signinFailures = { count: 0, until: 0 };
+  appendAudit('sign_in', {});
+  renderOperatorStatus();
+}
+
+function lockOperator(reason = 'lock') {
+  if (!operatorSession) return;
+  appendAudit(reason, {});
+  operatorSession = null;
+  renderOperatorStatus();
+  if (reason === 'auto_lock') {
+    addAlert('info', t('operator.autoLocked', { minutes: operatorSettings.lockMinutes }));
+  }
+}
+
+// Resolves with the signed-in operator, asking for a PIN first if the
+// dashboard is locked — or with null if the sign-in was cancelled
+function requireOperator(purpose) {
+  const operator = currentOperator();
+  if (operator) {
+    operator.lastActive = Date.now();
+    return Promise.resolve(operator);
+  }
+  if (!signinRequest) openSignin(purpose);
+  return signinRequest.promise;
+}
+
+// Runs a protected action as the signed-in operator. `run` returns the
+// { target, before, after } to audit, or null when nothing changed.
+async function withOperator(action, run) {
+  const operator = await requireOperator(AUDIT_ACTIONS[action].toLowerCase());
+  if (!operator) return false;
+  const change = await run(operator);
+  if (change) await appendAudit(action, change);
+  return !!change;
+}
+
+function checkAutoLock() {
+  currentOperator();
+}
+
+// ============================================================
+//  AUDIT LOG
+// ============================================================
+// Append-only: entries are only ever added, never updated or deleted
+function appendAudit(action, { target = '', before = null, after = null }) {
+  const entry = {
+    ts: Date.now(),
+    operator: getOperatorName() || 'nobody',
+    action, target, before, after
+  };
+  auditAppends = auditAppends.then(async () => {
+    if (auditHead === null) auditHead = await lastAuditHash();
+    entry.prev = auditHead;
+    entry.hash = await auditHash(entry);
+    auditHead = entry.hash;
+    await dbAdd('audit', entry);
+  }).catch(() => { /* storage unavailable — the action itself still happened */ });
+  return auditAppends;
+}
+
+function auditHash(entry) {
+  const { ts, operator, action, target, before, after, prev } = entry;
+  return sha256Hex(JSON.stringify([prev, ts, operator, action, target, before, after]));
+}
+
+// A restore replaced the log (see backup.js): chain on from its last entry
+function resetAuditHead() {
+  auditHead = null;
+}
+
+async function lastAuditHash() {
+  const [last] = await dbQuery('audit', { direction: 'prev', limit: 1 });
+  return last ? last.hash : '';
+}
+
+// → id of the first entry that doesn't follow from the one before, or null
+async function verifyAuditChain(entries) {
+  let prev = '';
+  for (const entry of entries) {
+    if (entry.prev !== prev || (await auditHash(entry)) !== entry.hash) return entry.id;
+    prev = entry.hash;
+  }
+  return null;
+}
+
+function auditValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+async function exportAudit(format) {
+  await auditAppends;
+  const entries = await dbGetAll('audit');
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'json') {
+    downloadFile(`guardian-track-audit-${stamp}.json`, JSON.stringify(entries, null, 2), 'application/json');
+    return;
+  }
+  const rows = [['id', 'time', 'operator', 'action', 'target', 'before', 'after', 'hash']].concat(entries.map(e => [
+    e.id, new Date(e.ts).toISOString(), e.operator, e.action, e.target, auditValue(e.before), auditValue(e.after), e.hash
+  ]));
+  downloadFile(`guardian-track-audit-${stamp}.csv`, rows.map(csvRow).join('\r\n'), 'text/csv');
+}
+
+// ============================================================
+//  SIGN-IN
+// ============================================================
+function openSignin(purpose) {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  signinRequest = { promise, resolve };
+
+  const setup = operatorSettings.operators.length === 0;
+  operatorEls.signinPurpose.textContent = setup ? t('operator.setup')
+    : t(purpose ? 'operator.enterPinFor' : 'operator.enterPin', { purpose });
+  operatorEls.signinPick.classList.toggle('hidden', setup);
+  operatorEls.signinSetup.classList.toggle('hidden', !setup);
+  operatorEls.signinConfirmRow.classList.toggle('hidden', !setup);
+  operatorEls.signinSubmit.textContent = t(setup ? 'operator.create' : 'operator.signIn');
+  operatorEls.signinOperator.innerHTML = operatorSettings.operators
+    .map(o => `<option value="${o.id}">${escapeHtml(o.name)}</option>`).join('');
+  operatorEls.signinName.value = '';
+  operatorEls.signinPin.value = '';
+  operatorEls.signinConfirm.value = '';
+  operatorEls.signinError.classList.add('hidden');
+  operatorEls.signinModal.classList.remove('hidden');
+  (setup ? operatorEls.signinName : operatorEls.signinPin).focus();
+}
+
+function closeSignin(operator = null) {
+  operatorEls.signinModal.classList.add('hidden');
+  if (!signinRequest) return;
+  const { resolve } = signinRequest;
+  signinRequest = null;
+  resolve(operator);
+}
+
+function showSigninError(message) {
+  operatorEls.signinError.textContent = message;
+  operatorEls.signinError.classList.remove('hidden');
+}
+
+async function submitSignin(e) {
+  e.preventDefault();
+  const pin = operatorEls.signinPin.value.trim();
+
+  if (operatorSettings.operators.length === 0) {
+    const name = cleanOperatorName(operatorEls.signinName.value);
+    if (!name) return showSigninError(t('operator.nameRequired'));
+    if (!OPERATOR_PIN_PATTERN.test(pin)) return showSigninError(t('operator.pinFormat'));
+    if (pin !== operatorEls.signinConfirm.value.trim()) return showSigninError(t('operator.pinMismatch'));
+    const operator = await createOperator(name, pin);
+    signIn(operator);
+    appendAudit('operator_add', { target: name });
+    closeSignin(operatorSession);
+    return;
+  }
+
+  const now = Date.now();
+  if (now < signinFailures.until) {
+    return showSigninError(t('operator.tooManyPins', { seconds: Math.ceil((signinFailures.until - now) / 1000) }));
+  }
+  const operator = findOperator(Number(operatorEls.signinOperator.value));
+  if (!operator) return showSigninError(t('operator.choose'));
+
+  if (!(await checkPin(operator, pin))) {
+    signinFailures.count++;
+    if (signinFailures.count >= OPERATOR_MAX_ATTEMPTS) {
+      signinFailures = { count: 0, until: now + OPERATOR_ATTEMPT_PAUSE_MS };
+    }
+    appendAudit('sign_in_failed', { target: operator.name });
+    operatorEls.signinPin.value = '';
+    return showSigninError(t('operator.wrongPin'));
+  }
+  signIn(operator);
+  closeSignin(operatorSession);
+}
+
+// ============================================================
+//  MANAGING OPERATORS
+// ============================================================
+async function createOperator(name, pin) {
+  const ids = operatorSettings.operators.map(o => o.id);
+  const operator = { id: ids.length ? Math.max(...ids) + 1 : 1, name, createdAt: Date.now() };
+  await setOperatorPin(operator, pin);
+  operatorSettings.operators.push(operator);
+  saveOperatorSettings();
+  return operator;
+}
+
+function showOperatorsError(message) {
+  operatorEls.manageError.textContent = message;
+  operatorEls.manageError.classList.remove('hidden');
+}
+
+// Adding a name that already exists resets that operator's PIN
+async function saveOperatorForm(e) {
+  e.preventDefault();
+  const name = cleanOperatorName(operatorEls.manageName.value);
+  const pin = operatorEls.managePin.value.trim();
+  if (!name) return showOperatorsError(t('operator.nameRequired'));
+  if (!OPERATOR_PIN_PATTERN.test(pin)) return showOperatorsError(t('operator.pinFormat'));
+
+  const existing = operatorSettings.operators.find(o => o.name.toLowerCase() === name.toLowerCase());
+  const saved = await withOperator(existing ? 'operator_pin' : 'operator_add', async () => {
+    if (existing) {
+      await setOperatorPin(existing, pin);
+      saveOperatorSettings();
+    } else {
+      await createOperator(name, pin);
+    }
+    return { target: existing ? existing.name : name };
+  });
+  if (!saved) return;
+  operatorEls.manageName.value = '';
+  operatorEls.managePin.value = '';
+  operatorEls.manageError.classList.add('hidden');
+  renderOperators();
+}
+
+function removeOperator(id) {
+  const operator = findOperator(id);
+  if (!operator) return;
+  if (operatorSettings.operators.length === 1) return showOperatorsError(t('operator.keepOne'));
+  if (!window.confirm(t('operator.confirmRemove', { name: operator.name }))) return;
+
+  withOperator('operator_remove', () => {
+    operatorSettings.operators = operatorSettings.operators.filter(o => o.id !== id);
+    saveOperatorSettings();
+    return { target: operator.name };
+  }).then(() => {
+    if (operatorSession && !findOperator(operatorSession.id)) lockOperator();
+    renderOperators();
+  });
+}
+
+function openOperators() {
+  operatorEls.manageError.classList.add('hidden');
+  operatorEls.manageModal.classList.remove('hidden');
+  renderOperators();
+}
+
+function closeOperators() {
+  operatorEls.manageModal.classList.add('hidden');
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function renderOperatorStatus() {
+  const name = getOperatorName();
+  if (operatorEls.chip) {
+    operatorEls.chip.textContent = name ? `👤 ${name}` : t('operator.locked');
+    operatorEls.chip.classList.toggle('text-accent', !!name);
+    operatorEls.chip.classList.toggle('text-white/40', !name);
+  }
+  if (!operatorEls.summary) return;
+  const count = operatorSettings.operators.length;
+  operatorEls.summary.textContent = name
+    ? t('operator.signedInAs', { name, minutes: operatorSettings.lockMinutes })
+    : count ? t('operator.lockedSummary', { count }) : t('operator.noneYet');
+  operatorEls.btnLock.textContent = name ? t('operator.lock') : t('operator.signIn');
+}
+
+function renderOperators() {
+  if (!operatorEls.manageList) return;
+  const operators = operatorSettings.operators;
+  operatorEls.manageList.innerHTML = operators.length === 0
+    ? `<p class="text-white/25 text-xs px-4 py-3">${t('operator.none')}</p>`
+    : operators.map(o => `<div class="flex items-center gap-2 px-4 py-2 text-xs">
+        <span class="flex-1 truncate text-white/80">${escapeHtml(o.name)}</span>
+        ${operatorSession && operatorSession.id === o.id ? `<span class="student-status classroom">${t('operator.signedIn')}</span>` : ''}
+        <button class="text-[10px] text-red-400/70 hover:text-red-400 transition-colors font-medium uppercase tracking-wider" data-remove-operator="${o.id}">${t('operator.remove')}</button>
+      </div>`).join('');
+}
+
+async function openAuditLog() {
+  operatorEls.auditModal.classList.remove('hidden');
+  operatorEls.auditMeta.textContent = t('audit.loading');
+  operatorEls.auditList.innerHTML = '';
+
+  let entries;
+  try {
+    await auditAppends;
+    entries = await dbGetAll('audit');
+  } catch (e) {
+    operatorEls.auditMeta.textContent = t('audit.unavailable');
+    return;
+  }
+  const broken = await verifyAuditChain(entries);
+  operatorEls.auditMeta.textContent = `${t('audit.entries', { count: entries.length })} · ` +
+    (broken === null ? t('audit.intact') : t('audit.broken', { entry: broken }));
+  operatorEls.auditMeta.classList.toggle('text-red-400/90', broken !== null);
+
+  const shown = entries.slice(-AUDIT_VIEW_LIMIT).reverse();
+  operatorEls.auditList.innerHTML = shown.length === 0
+    ? `<p class="text-white/25 text-xs px-4 py-3">${t('audit.empty')}</p>`
+    : shown.map(e => {
+      const change = e.before !== null || e.after !== null
+        ? `<span class="text-white/35">${escapeHtml(auditValue(e.before) || '—')} → ${escapeHtml(auditValue(e.after) || '—')}</span>`
+        : '';
+      return `<div class="px-4 py-2 text-[11px] text-white/50 space-y-0.5">
+        <div class="flex gap-2">
+          <span class="text-white/25">${escapeHtml(formatHistoryTime(e.ts))}</span>
+          <span class="text-white/70">${escapeHtml(e.operator)}</span>
+          <span>${AUDIT_ACTIONS[e.action] || escapeHtml(e.action)}${e.target ? ': ' + escapeHtml(e.target) : ''}</span>
+        </div>
+        ${change ? `<div class="truncate">${change}</div>` : ''}
+      </div>`;
+    }).join('');
+}
+
+function closeAuditLog() {
+  operatorEls.auditModal.classList.add('hidden');
+}
+
+function initOperators() {
+  ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, touchOperatorSession, { capture: true, passive: true }));
+  setInterval(checkAutoLock, OPERATOR_LOCK_TICK_MS);
+  renderOperatorStatus();
+  if (!operatorEls.signinModal) return;
+
+  operatorEls.signinForm.addEventListener('submit', submitSignin);
+  operatorEls.signinClose.addEventListener('click', () => closeSignin());
+  operatorEls.signinModal.addEventListener('click', (e) => { if (e.target === operatorEls.signinModal) closeSignin(); });
+
+  const toggleLock = () => getOperatorName() ? lockOperator() : requireOperator();
+  if (operatorEls.chip) operatorEls.chip.addEventListener('click', toggleLock);
+  if (!operatorEls.summary) return;
+
+  operatorEls.btnLock.addEventListener('click', toggleLock);
+  operatorEls.lockMinutes.value = operatorSettings.lockMinutes;
+  // The timeout guards every other protected action, so it is one too
+  operatorEls.lockMinutes.addEventListener('change', () => {
+    const minutes = Math.min(120, Math.max(1, Number(operatorEls.lockMinutes.value) || 1));
+    operatorEls.lockMinutes.value = operatorSettings.lockMinutes;   // Snap back until the operator is known
+    withOperator('lock_settings', () => {
+      const before = operatorSettings.lockMinutes;
+      operatorSettings.lockMinutes = minutes;
+      operatorEls.lockMinutes.value = minutes;
+      saveOperatorSettings();
+      renderOperatorStatus();
+      return minutes === before ? null : { target: 'auto-lock', before: `${before} min`, after: `${minutes} min` };
+    });
+  });
+
+  operatorEls.btnManage.addEventListener('click', openOperators);
+  operatorEls.manageClose.addEventListener('click', closeOperators);
+  operatorEls.manageModal.addEventListener('click', (e) => { if (e.target === operatorEls.manageModal) closeOperators(); });
+  operatorEls.manageForm.addEventListener('submit', saveOperatorForm);
+  operatorEls.manageList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-remove-operator]');
+    if (button) removeOperator(Number(button.dataset.removeOperator));
+  });
+
+  operatorEls.btnAudit.addEventListener('click', openAuditLog);
+  operatorEls.auditClose.addEventListener('click', closeAuditLog);
+  operatorEls.auditModal.addEventListener('click', (e) => { if (e.target === operatorEls.auditModal) closeAuditLog(); });
+  operatorEls.auditCsv.addEventListener('click', () => exportAudit('csv'));
+  operatorEls.auditJson.addEventListener('click', () => exportAudit('json'));
+}
@@ -0,0 +1,344 @@
+/* ============================================================
+   Guardian-Track — Exit Permits
+   Approving an exit issues a permit: why the student left, who
+   let them go and when they are due back. Permits stay open
+   until the student taps any reader again (or staff close
+   them), so "home for the weekend" and "went to town and has
+   not come back" look different on the Currently Out board.
+   A student still out after their return time raises alerts
+   that grow more urgent the longer they stay away.
+   ============================================================ */
+
+const PERMIT_TICK_MS = 15000;
+// Suggestions only: the reason is free text, kept in the language it was typed in
+const PERMIT_REASONS = localizedLabels({
+  medical: 'permit.reason.medical',
+  weekend: 'permit.reason.weekend',
+  family: 'permit.reason.family',
+  errand: 'permit.reason.errand',
+  sports: 'permit.reason.sports'
+});
+
+// Choices offered at the gate; the exact time can be edited later on the board
+const PERMIT_RETURNS = localizedLabels({
+  60: 'permit.return.60',
+  120: 'permit.return.120',
+  240: 'permit.return.240',
+  evening: 'permit.return.evening',
+  sunday: 'permit.return.sunday',
+  none: 'permit.return.none'
+});
+const PERMIT_DEFAULT_RETURN = '120';
+
+// Minutes past the return time at which each alert is raised
+const PERMIT_OVERDUE_STEPS = [
+  { after: 0, type: 'warning' },
+  { after: 30, type: 'critical', track: true, push: 'overdue' },
+  { after: 120, type: 'critical', track: true, push: 'overdue' }
+];
+
+const PERMIT_STATUS_LABELS = localizedLabels({
+  out: 'permit.status.out',
+  returned: 'permit.status.returned',
+  closed: 'permit.status.closed',
+  replaced: 'permit.status.replaced'
+});
+
+const permitEls = {
+  gateReason: document.getElementById('gate-permit-reason'),
+  gateReturn: document.getElementById('gate-permit-return'),
+  reasons: document.getElementById('permit-reasons'),
+  board: document.getElementById('out-board'),
+  count: document.getElementById('out-board-count'),
+  list: document.getElementById('out-board-list'),
+  modal: document.getElementById('permit-modal'),
+  btnClose: document.getElementById('permit-close'),
+  student: document.getElementById('permit-student'),
+  meta: document.getElementById('permit-meta'),
+  reason: document.getElementById('permit-reason'),
+  expected: document.getElementById('permit-expected'),
+  btnSave: document.getElementById('permit-save'),
+  btnReturned: document.getElementById('permit-returned'),
+  btnOpenStudent: document.getElementById('permit-open-student')
+};
+
+let openPermits = new Map();   // student id → open permit
+let permitDetailId = null;     // Student id of the permit shown in the modal
+let permitWrites = Promise.resolve();
+
+// ============================================================
+//  ISSUING
+// ============================================================
+// → timestamp, or null when no return time was given
+function permitReturnTime(choice, from = Date.now()) {
+  const at = new Date(from);
+  switch (choice) {
+    case 'none': return null;
+    case 'evening':
+      at.setHours(18, 0, 0, 0);
+      if (at.getTime() <= from) at.setDate(at.getDate() + 1);
+      return at.getTime();
+    case 'sunday':
+      at.setDate(at.getDate() + (7 - at.getDay()) % 7);
+      at.setHours(17, 0, 0, 0);
+      if (at.getTime() <= from) at.setDate(at.getDate() + 7);
+      return at.getTime();
+    default: return from + Number(choice) * 60000;
+  }
+}
+
+function resetPermitDraft() {
+  if (!permitEls.gateReason) return;
+  permitEls.gateReason.value = '';
+  permitEls.gateReturn.value = PERMIT_DEFAULT_RETURN;
+}
+
+// What the operator filled in on the gate panel before approving
+function readPermitDraft() {
+  if (!permitEls.gateReason) return { reason: '', returnChoice: PERMIT_DEFAULT_RETURN };
+  return { reason: permitEls.gateReason.value.trim(), returnChoice: permitEls.gateReturn.value };
+}
+
+// One write at a time, so a new permit has its id before it is saved again
+function savePermit(permit) {
+  permitWrites = permitWrites
+    .then(() => dbPut('permits', permit))
+    .then(id => { permit.id = id; })
+    .catch(() => { /* storage unavailable — kept in memory */ });
+}
+
+// Called on `approved`. Admin-card approvals at the gate have no draft,
+// so their permit waits on the board for a reason and return time.
+function issuePermit(data, student) {
+  if (!student || isReplaying()) return;
+
+  const previous = openPermits.get(student.id);
+  if (previous) endPermit(previous, 'replaced');
+
+  const draft = gatePermitDraft(data);
+  const now = Date.now();
+  const permit = {
+    studentId: student.id,
+    student: student.name,
+    reason: draft ? draft.reason : '',
+    approvedBy: draft ? draft.approvedBy : describeDecider(data.by),
+    issuedAt: now,
+    expectedReturn: draft ? permitReturnTime(draft.returnChoice, now) : null,
+    status: 'out',
+    returnedAt: null,
+    returnZone: null,
+    closedBy: null,
+    overdueLevel: 0,
+    alertIds: []
+  };
+  openPermits.set(student.id, permit);
+  savePermit(permit);
+  renderOutBoard();
+}
+
+// ============================================================
+//  CLOSING
+// ============================================================
+function endPermit(permit, status, details = {}) {
+  openPermits.delete(permit.studentId);
+  Object.assign(permit, { status, returnedAt: Date.now() }, details);
+  savePermit(permit);
+
+  // Nobody needs to chase a student who is back
+  permit.alertIds.forEach(id => updateAlert(id, alert => {
+    if (alert.status === 'resolved') return;
+    alert.status = 'resolved';
+    logAlertAction(alert, 'resolved', t('permit.ended', { status: PERMIT_STATUS_LABELS[status].toLowerCase() }), 'system');
+  }));
+
+  if (permitDetailId === permit.studentId) closePermitDetail();
+  renderOutBoard();
+}
+
+// A tap on any reader means the student is back in school
+function notePermitReturn(student, zone) {
+  const permit = student && !isReplaying() ? openPermits.get(student.id) : null;
+  if (!permit) return;
+
+  const late = permit.expectedReturn !== null && Date.now() > permit.expectedReturn;
+  endPermit(permit, 'returned', { returnZone: zone });
+  const vars = { student: student.name, zone: mapReaderName(zone), span: formatPermitSpan(permit.returnedAt - permit.issuedAt) };
+  if (late) vars.late = formatPermitSpan(permit.returnedAt - permit.expectedReturn);
+  addAlert(late ? 'warning' : 'success', t(late ? 'permit.backLate' : 'permit.back', vars),
+    { student: student.name, studentId: student.id });
+}
+
+// ============================================================
+//  OVERDUE
+// ============================================================
+function permitOverdueTick() {
+  const now = Date.now();
+  openPermits.forEach(permit => {
+    if (permit.expectedReturn === null) return;
+    // After a long time closed the dashboard raises only the latest step due
+    const level = PERMIT_OVERDUE_STEPS.filter(step => now >= permit.expectedReturn + step.after * 60000).length;
+    if (level <= permit.overdueLevel) return;
+
+    const step = PERMIT_OVERDUE_STEPS[level - 1];
+    permit.overdueLevel = level;
+    const alert = addAlert(step.type, t(permit.reason ? 'permit.overdueReason' : 'permit.overdue', {
+      student: permit.student, span: formatPermitSpan(now - permit.expectedReturn), reason: permit.reason, by: permit.approvedBy
+    }),
+      { student: permit.student, studentId: permit.studentId, track: step.track, push: step.push });
+    if (step.track) permit.alertIds.push(alert.id);
+    if (step.type === 'critical') {
+      playAlertSound();
+      vibrateDevice();
+    }
+    savePermit(permit);
+  });
+  renderOutBoard();
+}
+
+async function restorePermits() {
+  let stored;
+  try {
+    stored = await dbQuery('permits', { index: 'status', range: IDBKeyRange.only('out') });
+  } catch (e) {
+    return;
+  }
+  stored.forEach(permit => {
+    if (!openPermits.has(permit.studentId)) openPermits.set(permit.studentId, permit);
+  });
+  renderOutBoard();
+}
+
+// ============================================================
+//  EDITING
+// ============================================================
+function toLocalInputValue(ts) {
+  const d = new Date(ts);
+  return `${dateKey(d)}T${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+function openPermitDetail(studentId) {
+  const permit = openPermits.get(studentId);
+  if (!permit) return;
+  permitDetailId = studentId;
+  permitEls.student.textContent = permit.student;
+  permitEls.meta.textContent = t('permit.meta', { time: formatHistoryTime(permit.issuedAt), by: permit.approvedBy });
+  permitEls.reason.value = permit.reason;
+  permitEls.expected.value = permit.expectedReturn !== null ? toLocalInputValue(permit.expectedReturn) : '';
+  permitEls.modal.classList.remove('hidden');
+}
+
+function closePermitDetail() {
+  permitDetailId = null;
+  permitEls.modal.classList.add('hidden');
+}
+
+function savePermitDetail() {
+  const permit = openPermits.get(permitDetailId);
+  if (!permit) return;
+  const reason = permitEls.reason.value.trim();
+  // The input only shows minutes, so an untouched time keeps its seconds
+  const untouched = permit.expectedReturn !== null && permitEls.expected.value === toLocalInputValue(permit.expectedReturn);
+  const expectedReturn = untouched ? permit.expectedReturn
+    : permitEls.expected.value ? new Date(permitEls.expected.value).getTime() : null;
+
+  withOperator('permit_edit', () => {
+    if (reason === permit.reason && expectedReturn === permit.expectedReturn) return null;
+    const before = `${permit.reason || 'no reason'}, back ${permit.expectedReturn ? formatHistoryTime(permit.expectedReturn) : 'not set'}`;
+    // A new return time starts the overdue alerts over
+    if (expectedReturn !== permit.expectedReturn) permit.overdueLevel = 0;
+    Object.assign(permit, { reason, expectedReturn });
+    savePermit(permit);
+    renderOutBoard();
+    closePermitDetail();
+    return { target: permit.student, before, after: `${reason || 'no reason'}, back ${expectedReturn ? formatHistoryTime(expectedReturn) : 'not set'}` };
+  });
+}
+
+// For students seen back without tapping, or who are not coming back
+function closePermitByHand() {
+  const permit = openPermits.get(permitDetailId);
+  if (!permit) return;
+  withOperator('permit_close', (operator) => {
+    if (permit.status !== 'out') return null;
+    endPermit(permit, 'closed', { closedBy: operator.name });
+    return { target: permit.student, before: 'out', after: 'closed' };
+  });
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function formatPermitSpan(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes < 1) return t('permit.span.underMinute');
+  if (minutes < 60) return t('permit.span.minutes', { minutes });
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t(minutes % 60 ? 'permit.span.hoursMinutes' : 'permit.span.hours', { hours, minutes: minutes % 60 });
+  return t(hours % 24 ? 'permit.span.daysHours' : 'permit.span.days', { days: Math.floor(hours / 24), hours: hours % 24 });
+}
+
+// Overdue first, then whoever is due back soonest; no return time last
+function permitOrder(a, b) {
+  const due = p => p.expectedReturn === null ? Infinity : p.expectedReturn;
+  return due(a) - due(b) || a.issuedAt - b.issuedAt;
+}
+
+function renderOutBoard() {
+  if (!permitEls.board) return;
+  const permits = [...openPermits.values()].sort(permitOrder);
+  permitEls.board.classList.toggle('hidden', permits.length === 0);
+  if (permits.length === 0) return;
+
+  const now = Date.now();
+  const overdue = permits.filter(p => p.expectedReturn !== null && now > p.expectedReturn).length;
+  permitEls.count.textContent = t(overdue ? 'permit.outOverdue' : 'permit.out', { count: permits.length, overdue });
+  permitEls.count.classList.toggle('text-red-400', overdue > 0);
+
+  permitEls.list.innerHTML = permits.map(p => {
+    const late = p.expectedReturn !== null && now > p.expectedReturn;
+    const due = p.expectedReturn === null ? PERMIT_RETURNS.none
+      : late ? t('permit.late', { span: formatPermitSpan(now - p.expectedReturn) }) : t('permit.backIn', { span: formatPermitSpan(p.expectedReturn - now) });
+    return `<button class="out-row ${late ? 'overdue' : ''}" data-permit-student="${p.studentId}">
+      <span class="min-w-0 text-left">
+        <span class="block text-xs font-medium text-white/80 truncate">${escapeHtml(p.student)}</span>
+        <span class="block text-[10px] text-white/35 truncate">${escapeHtml(p.reason || t('permit.noReason'))} · ${escapeHtml(p.approvedBy)}</span>
+      </span>
+      <span class="text-[11px] font-semibold flex-shrink-0 ${late ? 'text-red-400' : p.expectedReturn === null ? 'text-white/35' : 'text-amber-400'}">${due}</span>
+    </button>`;
+  }).join('');
+}
+
+// Gate panel choices, drawn again when the language changes
+function renderPermitChoices() {
+  if (!permitEls.gateReturn) return;
+  const selected = permitEls.gateReturn.value || PERMIT_DEFAULT_RETURN;
+  permitEls.gateReturn.innerHTML = Object.entries(PERMIT_RETURNS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  permitEls.gateReturn.value = selected;
+  permitEls.reasons.innerHTML = Object.values(PERMIT_REASONS).map(reason => `<option value="${escapeHtml(reason)}"></option>`).join('');
+}
+
+function initPermits() {
+  if (permitEls.gateReturn) {
+    renderPermitChoices();
+    resetPermitDraft();
+  }
+  if (!permitEls.board) return;
+
+  permitEls.list.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-permit-student]');
+    if (row) openPermitDetail(Number(row.dataset.permitStudent));
+  });
+  permitEls.btnClose.addEventListener('click', closePermitDetail);
+  permitEls.modal.addEventListener('click', (e) => { if (e.target === permitEls.modal) closePermitDetail(); });
+  permitEls.btnSave.addEventListener('click', savePermitDetail);
+  permitEls.btnReturned.addEventListener('click', closePermitByHand);
+  permitEls.btnOpenStudent.addEventListener('click', () => {
+    const studentId = permitDetailId;
+    closePermitDetail();
+    openStudentDrawer(studentId);
+  });
+
+  setInterval(permitOverdueTick, PERMIT_TICK_MS);
+  restorePermits();
+}
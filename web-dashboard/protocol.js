@@ -0,0 +1,224 @@
+/* ============================================================
+   Guardian-Track — Serial Protocol
+   Reads device lines. Since protocol 2 every line is numbered
+   and checksummed (XOR of the JSON bytes, NMEA style):
+     {"seq":12,"event":"scan","id":0,"student":"Ali Hassan","zone":"gate"}*5A
+   Each message is checked against the fields its event needs,
+   and a gap in seq means lines were lost, so the dashboard asks
+   for a SYNC. Firmware without the HELLO handshake (plain JSON,
+   students by name) is still understood as protocol 1. Plain
+   text (the reader_test / hostel_debug sketches) isn't protocol
+   at all and only shows in the diagnostics console.
+   ============================================================ */
+
+const PROTOCOL_VERSION = 2;
+const PROTOCOL_SEQ_MOD = 65536;
+const PROTOCOL_HELLO_TIMEOUT_MS = 3000;
+const PROTOCOL_RESYNC_COOLDOWN_MS = 3000;
+const PROTOCOL_ALERT_INTERVAL_MS = 30000;   // One alert per kind of error in this window
+
+// Fields each event must carry, with their types
+const PROTOCOL_EVENTS = {
+  boot: {},
+  hello: { firmware: 'string', protocol: 'number' },
+  student_info: { id: 'number', name: 'string', location: 'number' },
+  status: { classroom: 'number', hostel: 'number', left: 'number', sneaked: 'number' },
+  scan: { student: 'string' },
+  approved: { student: 'string' },
+  denied: { student: 'string' },
+  gate_timeout: { student: 'string' },
+  sneaked: { student: 'string' },
+  zone_change: { student: 'string', zone: 'string' },
+  alarm: { student: 'string' },
+  mode_change: { mode: 'string' },
+  unknown_card: { zone: 'string' },
+  command_error: { command: 'string', reason: 'string' },
+  roster_ack: { id: 'number' },
+  roster_saved: { count: 'number' }
+};
+
+// From protocol 2 on these also name the student by roster slot
+const PROTOCOL_STUDENT_EVENTS = ['scan', 'approved', 'denied', 'gate_timeout', 'sneaked', 'zone_change', 'alarm'];
+
+const PROTOCOL_ERRORS = localizedLabels({
+  not_json: 'protocol.error.not_json',
+  bad_checksum: 'protocol.error.bad_checksum',
+  missing_checksum: 'protocol.error.missing_checksum',
+  unknown_event: 'protocol.error.unknown_event',
+  bad_field: 'protocol.error.bad_field',
+  dropped: 'protocol.error.dropped',
+  out_of_order: 'protocol.error.out_of_order'
+});
+
+const protocolEls = {
+  status: document.getElementById('protocol-status')
+};
+
+const protocol = {
+  version: null,       // null until hello/boot; 1 = firmware without the handshake
+  firmware: null,
+  expectedSeq: null,
+  helloTimer: null,
+  lastResync: 0,
+  lastAlerts: {},      // reason → ts of the last alert shown
+  lastError: null,     // { ts, reason, detail, line }
+  stats: { lines: 0, text: 0, errors: 0, dropped: 0, resyncs: 0 }
+};
+
+// ============================================================
+//  PARSING
+// ============================================================
+function lineChecksum(text) {
+  let sum = 0;
+  for (const byte of new TextEncoder().encode(text)) sum ^= byte;
+  return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+function fieldProblem(data) {
+  const fields = PROTOCOL_EVENTS[data.event];
+  for (const [name, type] of Object.entries(fields)) {
+    if (typeof data[name] !== type) return `${data.event}.${name}`;
+  }
+  if (protocol.version >= 2 && PROTOCOL_STUDENT_EVENTS.includes(data.event) && typeof data.id !== 'number') {
+    return `${data.event}.id`;
+  }
+  return null;
+}
+
+// → { data } or { error, detail }
+function parseDeviceLine(line) {
+  let json = line;
+  const star = line.lastIndexOf('*');
+  if (star > 0 && /^\*[0-9A-Fa-f]{2}$/.test(line.slice(star))) {
+    json = line.slice(0, star);
+    if (lineChecksum(json) !== line.slice(star + 1).toUpperCase()) return { error: 'bad_checksum' };
+  } else if (protocol.version >= 2) {
+    return { error: 'missing_checksum' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    return { error: 'not_json' };
+  }
+  if (!data || typeof data.event !== 'string') return { error: 'not_json' };
+  if (!PROTOCOL_EVENTS[data.event]) return { error: 'unknown_event', detail: data.event };
+
+  const problem = fieldProblem(data);
+  return problem ? { error: 'bad_field', detail: problem } : { data };
+}
+
+// The student a device event is about: by slot id since protocol 2,
+// by name for older firmware
+function eventStudent(data) {
+  if (typeof data.id === 'number') return state.students.find(s => s.id === data.id) || null;
+  return state.students.find(s => s.name === data.student) || null;
+}
+
+// ============================================================
+//  SESSION
+// ============================================================
+// One line from the device → validated message, or null if it was reported
+function readDeviceLine(line) {
+  protocol.stats.lines++;
+  if (!line.startsWith('{')) {
+    protocol.stats.text++;
+    return null;
+  }
+  const result = parseDeviceLine(line);
+  if (result.error) {
+    reportProtocolError(result.error, result.detail, line);
+    // A corrupted line is a lost line; catch up on what it said
+    if (result.error === 'bad_checksum') requestResync();
+    return null;
+  }
+
+  const data = result.data;
+  if (data.event === 'hello' || data.event === 'boot') noteHandshake(data);
+  checkSequence(data);
+  return data;
+}
+
+function checkSequence(data) {
+  if (typeof data.seq !== 'number') return;
+
+  const expected = protocol.expectedSeq;
+  protocol.expectedSeq = (data.seq + 1) % PROTOCOL_SEQ_MOD;
+  // A boot restarts the count; the first line sets it
+  if (data.event === 'boot' || expected === null || data.seq === expected) return;
+
+  const gap = (data.seq - expected + PROTOCOL_SEQ_MOD) % PROTOCOL_SEQ_MOD;
+  if (gap < PROTOCOL_SEQ_MOD / 2) {
+    protocol.stats.dropped += gap;
+    reportProtocolError('dropped', `${gap} before #${data.seq}`);
+  } else {
+    reportProtocolError('out_of_order', `#${data.seq}, expected #${expected}`);
+  }
+  requestResync();
+}
+
+function noteHandshake(data) {
+  clearTimeout(protocol.helloTimer);
+  protocol.version = data.protocol || 1;
+  protocol.firmware = data.firmware || null;
+  if (protocol.version > PROTOCOL_VERSION) {
+    addAlert('warning', t('protocol.newer', { firmware: protocol.firmware, version: protocol.version, known: PROTOCOL_VERSION }));
+  }
+  renderProtocolStatus();
+}
+
+// Forget the last board's state before opening a connection
+function resetProtocol() {
+  clearTimeout(protocol.helloTimer);
+  Object.assign(protocol, { version: null, firmware: null, expectedSeq: null, lastResync: 0, lastError: null });
+  protocol.stats = { lines: 0, text: 0, errors: 0, dropped: 0, resyncs: 0 };
+  renderProtocolStatus();
+}
+
+// Ask for the version unless the boot line already told us
+function startHandshake() {
+  if (protocol.version !== null) return;
+  sendCommand('HELLO');
+  protocol.helloTimer = setTimeout(() => {
+    if (protocol.version !== null || !connected) return;
+    protocol.version = 1;
+    addAlert('warning', t('protocol.noHello'));
+    renderProtocolStatus();
+  }, PROTOCOL_HELLO_TIMEOUT_MS);
+}
+
+function requestResync() {
+  const now = Date.now();
+  if (!connected || now - protocol.lastResync < PROTOCOL_RESYNC_COOLDOWN_MS) return;
+  protocol.lastResync = now;
+  protocol.stats.resyncs++;
+  sendCommand('SYNC');
+}
+
+function reportProtocolError(reason, detail = '', line = '') {
+  const now = Date.now();
+  protocol.stats.errors++;
+  protocol.lastError = { ts: now, reason, detail, line };
+  renderProtocolStatus();
+
+  if (now - (protocol.lastAlerts[reason] || 0) < PROTOCOL_ALERT_INTERVAL_MS) return;
+  protocol.lastAlerts[reason] = now;
+  addAlert('warning', t(detail ? 'protocol.alertDetail' : 'protocol.alert', { error: PROTOCOL_ERRORS[reason], detail }));
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function renderProtocolStatus() {
+  if (!protocolEls.status) return;
+  if (protocol.version === null) {
+    protocolEls.status.textContent = t(connected ? 'protocol.waiting' : 'protocol.notConnected');
+    return;
+  }
+
+  const { errors, dropped } = protocol.stats;
+  const firmware = t(protocol.firmware ? 'protocol.firmware' : 'protocol.legacy', { firmware: protocol.firmware, version: protocol.version });
+  protocolEls.status.textContent = `${firmware} · ` +
+    (errors ? `${t('protocol.errors', { count: errors })}${dropped ? `, ${t('protocol.lost', { count: dropped })}` : ''}` : t('protocol.noErrors'));
+}
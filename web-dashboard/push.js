@@ -0,0 +1,197 @@
+/* ============================================================
+   Guardian-Track — System Notifications
+   Critical events are also shown as system notifications via
+   the service worker, so they reach a background tab or a
+   locked phone where the <audio> alarm may be blocked. Their
+   Acknowledge / Open student buttons are handled in sw.js,
+   which focuses (or opens) the dashboard and hands the action
+   back here.
+   ============================================================ */
+
+const PUSH_KEY = 'gt-push';
+
+// What can notify, in the order shown in Settings
+const PUSH_TYPES = Object.fromEntries(['sneaked', 'alarm', 'escalated', 'scan', 'overdue', 'rule', 'connection']
+  .map(type => [type, localizedLabels({ label: `push.label.${type}`, title: `push.title.${type}` })]));
+
+const pushEls = {
+  enabled: document.getElementById('push-enabled'),
+  summary: document.getElementById('push-summary'),
+  types: document.getElementById('push-types'),
+  whenVisible: document.getElementById('push-when-visible'),
+  btnTest: document.getElementById('btn-push-test')
+};
+
+let pushSettings = loadPushSettings();
+
+// ============================================================
+//  SETTINGS
+// ============================================================
+function loadPushSettings() {
+  const defaults = {
+    enabled: false,
+    whenVisible: false,
+    types: { sneaked: true, alarm: true, escalated: true, scan: false, overdue: true, rule: true, connection: true }
+  };
+  try {
+    const saved = JSON.parse(localStorage.getItem(PUSH_KEY)) || {};
+    return { ...defaults, ...saved, types: { ...defaults.types, ...saved.types } };
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function savePushSettings() {
+  try { localStorage.setItem(PUSH_KEY, JSON.stringify(pushSettings)); } catch (e) { /* storage unavailable */ }
+}
+
+function pushSupported() {
+  return 'Notification' in window;
+}
+
+function pushPermission() {
+  return pushSupported() ? Notification.permission : 'unsupported';
+}
+
+// ============================================================
+//  SHOWING
+// ============================================================
+// Called by addAlert for alerts created with `details.push`
+function pushNotify(type, alert) {
+  if (!pushSettings.enabled || !pushSettings.types[type] || pushPermission() !== 'granted' || isReplaying()) return;
+  if (!document.hidden && !pushSettings.whenVisible) return;
+  showPushNotification(PUSH_TYPES[type].title, alert);
+}
+
+async function showPushNotification(title, alert) {
+  const actions = [];
+  if (alert.status === 'open') actions.push({ action: 'ack', title: t('push.acknowledge') });
+  if (alert.student) actions.push({ action: 'student', title: t('push.openStudent') });
+
+  const options = {
+    body: alert.message,
+    tag: alert.id,
+    renotify: true,
+    requireInteraction: alert.type === 'critical',
+    icon: 'icons/icon-192.png',
+    badge: 'icons/icon-192.png',
+    vibrate: [200, 100, 200, 100, 400],
+    data: { alertId: alert.id, studentId: alert.studentId, student: alert.student },
+    actions
+  };
+
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      // No service worker (e.g. opened from file://): plain notification, no buttons
+      const notification = new Notification(title, { ...options, actions: undefined });
+      notification.onclick = () => {
+        window.focus();
+        handleNotificationAction({ action: 'open', ...options.data });
+      };
+    }
+  } catch (e) { /* notifications unavailable — the in-page alert still shows */ }
+}
+
+// ============================================================
+//  ACTIONS (from sw.js)
+// ============================================================
+// action: 'ack' | 'student' | 'open' (the notification body was clicked)
+async function handleNotificationAction({ action, alertId, studentId, student }) {
+  await alertsRestored;
+  const alert = alertId ? findAlert(alertId) : null;
+
+  if (action === 'ack') {
+    if (alert) acknowledgeAlert(alert.id);
+  } else if (action === 'student') {
+    if (typeof studentId === 'number') openStudentDrawer(studentId);
+    else if (student) openStudentDrawerByName(student);
+  } else {
+    switchTab('alerts');
+    if (alert && alert.status) openAlertDetail(alert.id);
+  }
+}
+
+// A notification clicked while no dashboard was open starts one with ?notify=…
+function handleLaunchAction() {
+  const params = new URLSearchParams(location.search);
+  const action = params.get('notify');
+  if (!action) return;
+
+  const studentId = params.get('student');
+  handleNotificationAction({
+    action,
+    alertId: params.get('alert'),
+    studentId: studentId === null || studentId === '' ? null : Number(studentId),
+    student: params.get('name')
+  });
+  window.history.replaceState(null, '', location.pathname);
+}
+
+// ============================================================
+//  SETTINGS UI
+// ============================================================
+async function setPushEnabled(enabled) {
+  if (enabled && pushPermission() === 'default') await Notification.requestPermission();
+  pushSettings.enabled = enabled && pushPermission() === 'granted';
+  savePushSettings();
+  renderPushSettings();
+}
+
+function renderPushSettings() {
+  if (!pushEls.enabled) return;
+  const permission = pushPermission();
+
+  pushEls.enabled.checked = pushSettings.enabled;
+  pushEls.enabled.disabled = permission === 'unsupported' || permission === 'denied';
+  pushEls.whenVisible.checked = pushSettings.whenVisible;
+  pushEls.summary.textContent =
+    permission === 'unsupported' ? t('push.unsupported')
+      : permission === 'denied' ? t('push.blocked')
+        : pushSettings.enabled ? t('push.on') : t('push.off');
+
+  pushEls.types.innerHTML = Object.entries(PUSH_TYPES).map(([type, def]) => `
+    <label class="flex items-center gap-2 text-[11px] text-white/60">
+      <input type="checkbox" data-push-type="${type}" ${pushSettings.types[type] ? 'checked' : ''} ${pushSettings.enabled ? '' : 'disabled'} /> ${def.label}
+    </label>`).join('');
+  pushEls.whenVisible.disabled = !pushSettings.enabled;
+  pushEls.btnTest.classList.toggle('hidden', !pushSettings.enabled);
+}
+
+function initPush() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'notification-action') handleNotificationAction(e.data);
+    });
+  }
+  handleLaunchAction();
+  if (!pushEls.enabled) return;
+
+  // Permission may have been revoked in browser settings since last time
+  if (pushPermission() !== 'granted' && pushSettings.enabled) {
+    pushSettings.enabled = false;
+    savePushSettings();
+  }
+
+  pushEls.enabled.addEventListener('change', () => setPushEnabled(pushEls.enabled.checked));
+  pushEls.whenVisible.addEventListener('change', () => {
+    pushSettings.whenVisible = pushEls.whenVisible.checked;
+    savePushSettings();
+  });
+  pushEls.types.addEventListener('change', (e) => {
+    const type = e.target.dataset.pushType;
+    if (!type) return;
+    pushSettings.types[type] = e.target.checked;
+    savePushSettings();
+  });
+  pushEls.btnTest.addEventListener('click', () => {
+    showPushNotification('Guardian-Track', {
+      id: 'test', type: 'info', status: null, student: null, studentId: null,
+      message: t('push.test')
+    });
+  });
+
+  renderPushSettings();
+}
@@ -0,0 +1,213 @@
+/* ============================================================
+   Guardian-Track — Reconnect
+   When the link drops on its own (cable wiggled, bridge
+   restarted) the dashboard keeps retrying with backoff — for
+   USB also the moment the port is plugged back in, reusing the
+   port the user already picked. Once back, the SYNC answer is
+   compared with what the dashboard last knew and differences
+   go into a "changed while offline" report.
+   ============================================================ */
+
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];   // Last one repeats
+const RECONCILE_TIMEOUT_MS = 8000;   // Ask again if the SYNC answer hasn't come
+
+const reconnectEls = {
+  modal: document.getElementById('offline-modal'),
+  btnClose: document.getElementById('offline-close'),
+  meta: document.getElementById('offline-meta'),
+  reset: document.getElementById('offline-reset'),
+  changes: document.getElementById('offline-changes')
+};
+
+let reconnectState = null;    // { kind, url, attempt, timer, busy, since, snapshot }
+let reconcile = null;         // { since, until, snapshot, reset, sawStudents, timer }
+let offlineReport = null;     // { since, until, reset, changes }
+let serialPort = null;        // Last port the user authorized in the picker
+
+// ============================================================
+//  RECONNECTING
+// ============================================================
+function rememberSerialPort(port) {
+  if (port) serialPort = port;
+}
+
+// The remembered port if it's plugged in — no picker needed for ports
+// the user already granted
+async function findSerialPort() {
+  if (!SerialTransport.supported || !serialPort) return null;
+  const ports = await navigator.serial.getPorts();
+  if (ports.includes(serialPort)) return serialPort;
+
+  const info = serialPort.getInfo();
+  return ports.find(port => {
+    const other = port.getInfo();
+    return other.usbVendorId === info.usbVendorId && other.usbProductId === info.usbProductId;
+  }) || null;
+}
+
+function studentSnapshot() {
+  return new Map(state.students.map(s => [s.id, { name: s.name, location: s.location }]));
+}
+
+// A transport closed without anyone pressing Disconnect
+async function connectionLost(lost, err) {
+  reconnectState = {
+    kind: lost instanceof WebSocketTransport ? 'websocket' : 'serial',
+    url: lost.url,
+    attempt: 0,
+    timer: null,
+    busy: false,
+    since: (reconcile && reconcile.since) || Date.now(),
+    snapshot: (reconcile && reconcile.snapshot) || studentSnapshot()
+  };
+  cancelReconcile();
+  await disconnectDevice(err);
+  scheduleReconnect();
+}
+
+function scheduleReconnect() {
+  const attempt = reconnectState;
+  const delay = RECONNECT_DELAYS_MS[Math.min(attempt.attempt, RECONNECT_DELAYS_MS.length - 1)];
+  clearTimeout(attempt.timer);
+  attempt.timer = setTimeout(attemptReconnect, delay);
+  updateConnectionUI(false);
+}
+
+async function attemptReconnect() {
+  const attempt = reconnectState;
+  if (!attempt || attempt.busy) return;
+  clearTimeout(attempt.timer);
+  attempt.busy = true;
+  attempt.attempt++;
+  updateConnectionUI(false);
+
+  let next = null;
+  if (attempt.kind === 'websocket') {
+    next = new WebSocketTransport(attempt.url);
+  } else {
+    const port = await findSerialPort().catch(() => null);
+    if (port) next = new SerialTransport({ baudRate: 9600, port });
+  }
+  const ok = next ? await openTransport(next, { quiet: true }) : false;
+  attempt.busy = false;
+
+  if (reconnectState !== attempt) {
+    // Cancelled while the port was opening
+    if (ok) disconnectDevice();
+    return;
+  }
+  if (ok) finishReconnect();
+  else scheduleReconnect();
+}
+
+function finishReconnect() {
+  const { since, snapshot } = reconnectState;
+  reconnectState = null;
+  reconcile = {
+    since, until: Date.now(), snapshot, reset: false, sawStudents: false,
+    timer: setTimeout(requestResync, RECONCILE_TIMEOUT_MS)
+  };
+  addAlert('success', t('reconnect.reconnected', { duration: formatDuration(Date.now() - since) }));
+}
+
+function cancelReconnect() {
+  if (!reconnectState) return;
+  clearTimeout(reconnectState.timer);
+  reconnectState = null;
+  updateConnectionUI(false);
+  addAlert('info', t('reconnect.stopped'));
+}
+
+// USB port plugged back in: don't wait for the next retry
+function handleSerialConnect() {
+  if (reconnectState && reconnectState.kind === 'serial') attemptReconnect();
+}
+
+// ============================================================
+//  RECONCILING
+// ============================================================
+// A boot forgets every location; flag it on the report being collected
+function noteDeviceReset() {
+  if (reconcile) reconcile.reset = true;
+}
+
+// The SYNC answer is the student list followed by a status line
+function noteSyncLine(data) {
+  if (!reconcile) return;
+  if (data.event === 'student_info') reconcile.sawStudents = true;
+  else if (data.event === 'status' && reconcile.sawStudents) finishReconcile();
+}
+
+function cancelReconcile() {
+  if (reconcile) clearTimeout(reconcile.timer);
+  reconcile = null;
+}
+
+function finishReconcile() {
+  const { since, until, snapshot, reset } = reconcile;
+  cancelReconcile();
+
+  const changes = [];
+  snapshot.forEach((before, id) => {
+    const now = state.students.find(s => s.id === id);
+    const after = now ? now.location : null;
+    if (after !== before.location) changes.push({ id, name: now ? now.name : before.name, before: before.location, after });
+  });
+  state.students.forEach(s => {
+    if (!snapshot.has(s.id)) changes.push({ id: s.id, name: s.name, before: null, after: s.location });
+  });
+  offlineReport = { since, until, reset, changes };
+
+  if (changes.length === 0) {
+    addAlert('info', t('reconnect.nothingChanged'));
+    return;
+  }
+  addAlert(reset ? 'critical' : 'warning', t(reset ? 'reconnect.changedReset' : 'reconnect.changed', { count: changes.length }),
+    { kind: 'offline_report' });
+}
+
+// ============================================================
+//  REPORT
+// ============================================================
+function locationChip(location, fallback) {
+  if (location === null) return `<span class="student-status unknown">${fallback}</span>`;
+  return `<span class="student-status ${LOC_CSS[location] || 'unknown'}">${LOC_NAMES[location] || LOC_NAMES[LOC.UNKNOWN]}</span>`;
+}
+
+function openOfflineReport() {
+  if (!offlineReport || !reconnectEls.modal) return;
+  const { since, until, reset, changes } = offlineReport;
+  const time = ts => new Date(ts).toLocaleTimeString(currentLocale(), { hour: '2-digit', minute: '2-digit' });
+
+  reconnectEls.meta.textContent = t('reconnect.meta', {
+    from: time(since), to: time(until), duration: formatDuration(until - since), count: changes.length
+  });
+  reconnectEls.reset.classList.toggle('hidden', !reset);
+  reconnectEls.changes.innerHTML = changes.map(c => `<div class="flex items-center gap-2 py-2 text-xs cursor-pointer" data-student-id="${c.id}">
+      <span class="flex-1 truncate text-white/80">${escapeHtml(c.name)}</span>
+      ${locationChip(c.before, t('reconnect.new'))}
+      <span class="text-white/30">→</span>
+      ${locationChip(c.after, t('reconnect.removed'))}
+    </div>`).join('');
+  reconnectEls.modal.classList.remove('hidden');
+}
+
+function closeOfflineReport() {
+  reconnectEls.modal.classList.add('hidden');
+}
+
+function initReconnect() {
+  if (SerialTransport.supported) navigator.serial.addEventListener('connect', handleSerialConnect);
+  if (!reconnectEls.modal) return;
+
+  reconnectEls.btnClose.addEventListener('click', closeOfflineReport);
+  reconnectEls.modal.addEventListener('click', (e) => {
+    if (e.target === reconnectEls.modal) closeOfflineReport();
+  });
+  reconnectEls.changes.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-student-id]');
+    if (!row) return;
+    closeOfflineReport();
+    openStudentDrawer(Number(row.dataset.studentId));
+  });
+}
@@ -0,0 +1,270 @@
+/* ============================================================
+   Guardian-Track — Session Recording & Replay
+   The recorder keeps every raw line received and every command
+   sent, with millisecond timestamps, and saves them as a JSON
+   Lines file: a header, then one { t, dir, line } per line.
+   Replay disconnects the live link and feeds a recording back
+   through processLine at 1×, 10× or one line at a time, so an
+   incident can be watched again on the map. Nothing it causes
+   is stored, sent to parents or announced.
+   ============================================================ */
+
+const RECORDING_FORMAT = 'guardian-track-recording';
+const RECORDING_VERSION = 1;
+const RECORDING_MAX_LINES = 200000;
+const RECORDER_TICK_MS = 1000;
+const REPLAY_TRACE_LINES = 6;
+
+const recorderEls = {
+  summary: document.getElementById('recorder-summary'),
+  btnRecord: document.getElementById('btn-record'),
+  btnDownload: document.getElementById('btn-record-download'),
+  btnReplay: document.getElementById('btn-replay'),
+  file: document.getElementById('replay-file'),
+  controls: document.getElementById('replay-controls'),
+  name: document.getElementById('replay-name'),
+  btnExit: document.getElementById('replay-exit'),
+  scrubber: document.getElementById('replay-scrubber'),
+  btnPlay: document.getElementById('replay-play'),
+  btnStep: document.getElementById('replay-step'),
+  speed: document.getElementById('replay-speed'),
+  clock: document.getElementById('replay-clock'),
+  trace: document.getElementById('replay-trace')
+};
+
+let recording = null;   // { started, active, ticker, entries: [{ t, dir, line }] } — kept after Stop for download
+let replay = null;      // { name, started, entries, index, speed, playing, timer, savedAlerts }
+
+// ============================================================
+//  RECORDING
+// ============================================================
+// Called for every line read from the device ('rx') and every command written ('tx')
+function recordLine(dir, line) {
+  if (!recording || !recording.active || replay) return;
+  recording.entries.push({ t: Date.now() - recording.started, dir, line });
+  if (recording.entries.length >= RECORDING_MAX_LINES) {
+    stopRecording();
+    addAlert('warning', t('recorder.full', { count: RECORDING_MAX_LINES }));
+  }
+}
+
+function startRecording() {
+  if (replay) return;
+  recording = { started: Date.now(), active: true, entries: [], ticker: setInterval(renderRecorder, RECORDER_TICK_MS) };
+  renderRecorder();
+}
+
+function stopRecording() {
+  if (!recording || !recording.active) return;
+  recording.active = false;
+  clearInterval(recording.ticker);
+  renderRecorder();
+}
+
+function downloadRecording() {
+  if (!recording || recording.entries.length === 0) return;
+  const header = {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    started: new Date(recording.started).toISOString(),
+    lines: recording.entries.length
+  };
+  const text = [header, ...recording.entries].map(entry => JSON.stringify(entry)).join('\n') + '\n';
+  const stamp = new Date(recording.started).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+  downloadFile(`guardian-track-${stamp}.jsonl`, text, 'application/x-ndjson');
+}
+
+// → { started, entries } or { error }
+function parseRecording(text) {
+  const lines = text.split('\n').filter(line => line.trim());
+  let header, entries;
+  try {
+    header = JSON.parse(lines[0]);
+    entries = lines.slice(1).map(line => JSON.parse(line));
+  } catch (e) {
+    return { error: 'not a JSON Lines file' };
+  }
+  if (!header || header.format !== RECORDING_FORMAT) return { error: 'not a Guardian-Track recording' };
+  if (header.version > RECORDING_VERSION) return { error: `made by a newer dashboard (format ${header.version})` };
+
+  const bad = entries.findIndex(e => !e || typeof e.t !== 'number' || (e.dir !== 'rx' && e.dir !== 'tx') || typeof e.line !== 'string');
+  if (bad >= 0) return { error: `line ${bad + 2} is damaged` };
+  if (entries.length === 0) return { error: 'it is empty' };
+  return { started: Date.parse(header.started) || 0, entries };
+}
+
+// ============================================================
+//  REPLAY
+// ============================================================
+// Persistent side effects (history, parent messages, notifications,
+// roster imports, sound) check this and stay quiet during a replay
+function isReplaying() {
+  return replay !== null;
+}
+
+async function openRecordingFile(file) {
+  let text;
+  try {
+    text = await file.text();
+  } catch (e) {
+    addAlert('warning', t('recorder.unreadable', { file: file.name }));
+    return;
+  }
+  const result = parseRecording(text);
+  if (result.error) {
+    addAlert('warning', t('recorder.badFile', { file: file.name, error: result.error }));
+    return;
+  }
+  startReplay(file.name, result);
+}
+
+async function startReplay(name, { started, entries }) {
+  stopRecording();
+  if (reconnectState) cancelReconnect();
+  if (connected) await disconnectDevice();
+  if (replay) exitReplay();
+
+  replay = { name, started, entries, index: 0, speed: 1, playing: false, timer: null, savedAlerts: state.alerts };
+  resetReplayView();
+  recorderEls.scrubber.max = entries.length;
+  recorderEls.speed.value = '1';
+  updateConnectionUI(false);
+  switchTab('map');
+  renderReplay();
+}
+
+// Back to the moment the recording started: nothing known yet
+function resetReplayView() {
+  state.alerts = [];
+  state.mode = 'free';
+  resetTracking();
+  resetProtocol();
+  resetGateRequest();
+  updateModeUI();
+  renderAlerts();
+}
+
+function exitReplay() {
+  if (!replay) return;
+  clearTimeout(replay.timer);
+  const { savedAlerts } = replay;
+  replay = null;
+
+  resetTracking();
+  resetProtocol();
+  resetGateRequest();
+  state.alerts = savedAlerts;
+  state.mode = 'free';
+  updateModeUI();
+  renderAlerts();
+  updateConnectionUI(false);
+  renderReplay();
+  addAlert('info', t('recorder.finished'));
+}
+
+// Commands the dashboard sent are shown in the trace but not replayed
+function replayNext() {
+  const entry = replay.entries[replay.index++];
+  if (entry.dir === 'rx') processLine(entry.line);
+}
+
+function scheduleReplay() {
+  clearTimeout(replay.timer);
+  if (replay.index >= replay.entries.length) replay.playing = false;
+  if (!replay.playing) return renderReplay();
+
+  const prev = replay.index > 0 ? replay.entries[replay.index - 1].t : replay.entries[0].t;
+  const wait = (replay.entries[replay.index].t - prev) / replay.speed;
+  replay.timer = setTimeout(() => {
+    replayNext();
+    renderReplay();
+    scheduleReplay();
+  }, wait);
+}
+
+function toggleReplayPlaying() {
+  if (replay.index >= replay.entries.length) seekReplay(0);
+  replay.playing = !replay.playing;
+  scheduleReplay();
+}
+
+function stepReplay() {
+  replay.playing = false;
+  clearTimeout(replay.timer);
+  if (replay.index < replay.entries.length) replayNext();
+  renderReplay();
+}
+
+// Going back means starting over: the dashboard's view is built line by line
+function seekReplay(target) {
+  clearTimeout(replay.timer);
+  if (target < replay.index) {
+    resetReplayView();
+    replay.index = 0;
+  }
+  while (replay.index < target) replayNext();
+  renderReplay();
+  if (replay.playing) scheduleReplay();
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function renderRecorder() {
+  if (!recorderEls.summary) return;
+  const count = recording ? recording.entries.length : 0;
+  const lines = t('recorder.lines', { count, number: count.toLocaleString(currentLocale()) });
+
+  recorderEls.summary.textContent = !recording ? t('recorder.off')
+    : recording.active ? t('recorder.recording', { lines, duration: formatDuration(Date.now() - recording.started) })
+      : t('recorder.stopped', { lines });
+  recorderEls.btnRecord.textContent = t(recording && recording.active ? 'recorder.stop' : 'page.record');
+  recorderEls.btnRecord.disabled = !!replay;
+  recorderEls.btnDownload.classList.toggle('hidden', count === 0);
+}
+
+function formatReplayClock(ts) {
+  const time = new Date(ts).toLocaleTimeString(currentLocale(), { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+  return `${time}.${String(ts % 1000).padStart(3, '0')}`;
+}
+
+function renderReplay() {
+  if (!recorderEls.controls) return;
+  recorderEls.controls.classList.toggle('hidden', !replay);
+  renderRecorder();
+  if (!replay) return;
+
+  const { entries, index } = replay;
+  const current = entries[Math.max(0, index - 1)];
+  recorderEls.name.textContent = replay.name;
+  recorderEls.scrubber.value = index;
+  recorderEls.btnPlay.textContent = replay.playing ? 'Pause' : index >= entries.length ? 'Restart' : 'Play';
+  recorderEls.btnStep.disabled = index >= entries.length;
+  recorderEls.clock.textContent = `${formatReplayClock(replay.started + current.t)} · ${index}/${entries.length}`;
+  recorderEls.trace.textContent = entries.slice(Math.max(0, index - REPLAY_TRACE_LINES), index)
+    .map(e => `${e.dir === 'rx' ? '←' : '→'} ${e.line}`).join('\n');
+}
+
+function initRecorder() {
+  if (!recorderEls.summary) return;
+
+  recorderEls.btnRecord.addEventListener('click', () => recording && recording.active ? stopRecording() : startRecording());
+  recorderEls.btnDownload.addEventListener('click', downloadRecording);
+  recorderEls.btnReplay.addEventListener('click', () => recorderEls.file.click());
+  recorderEls.file.addEventListener('change', () => {
+    const file = recorderEls.file.files[0];
+    recorderEls.file.value = '';
+    if (file) openRecordingFile(file);
+  });
+
+  recorderEls.btnExit.addEventListener('click', exitReplay);
+  recorderEls.btnPlay.addEventListener('click', toggleReplayPlaying);
+  recorderEls.btnStep.addEventListener('click', stepReplay);
+  recorderEls.speed.addEventListener('change', () => {
+    replay.speed = Number(recorderEls.speed.value);
+    if (replay.playing) scheduleReplay();
+  });
+  recorderEls.scrubber.addEventListener('input', () => seekReplay(Number(recorderEls.scrubber.value)));
+
+  renderRecorder();
+}
@@ -0,0 +1,265 @@
+/* ============================================================
+   Guardian-Track — Exports & Daily Report
+   Gets data out for the school's spreadsheets and archive: the
+   roster with where everyone is now, the movement log and the
+   incidents (sneaked out, alarms, expired gate requests) for a
+   date range, as CSV or JSON. The daily incident report is a
+   printed summary of one day with each student's incidents.
+   ============================================================ */
+
+const EXPORT_FORMAT = 'guardian-track-export';
+const EXPORT_VERSION = 1;
+
+// Events that count as incidents, with how the report names them
+const INCIDENT_TYPES = {
+  sneaked: 'Sneaked out',
+  alarm: 'Alarm',
+  gate_timeout: 'Gate request expired'
+};
+const INCIDENT_ALARM_REASONS = { wrong_zone: 'Wrong zone' };
+const INCIDENT_ALERT_MATCH_MS = 5000;   // How far apart an event and its tracked alert can be
+
+const EXPORT_DATASETS = {
+  roster: { label: 'Roster with current locations', ranged: false },
+  movements: { label: 'Movement log', ranged: true },
+  incidents: { label: 'Incidents', ranged: true }
+};
+
+const reportEls = {
+  btnOpen: document.getElementById('btn-exports'),
+  btnHistory: document.getElementById('btn-history-export'),
+  modal: document.getElementById('export-modal'),
+  btnClose: document.getElementById('export-close'),
+  dataset: document.getElementById('export-dataset'),
+  range: document.getElementById('export-range'),
+  from: document.getElementById('export-from'),
+  to: document.getElementById('export-to'),
+  btnCsv: document.getElementById('export-csv'),
+  btnJson: document.getElementById('export-json'),
+  reportDay: document.getElementById('report-day'),
+  btnReport: document.getElementById('report-print')
+};
+
+// ============================================================
+//  DATA
+// ============================================================
+// Inclusive whole days; an empty end means "up to now"
+function exportRange(fromKey, toKey) {
+  const start = fromKey ? dayBounds(fromKey).start : 0;
+  const end = toKey ? dayBounds(toKey).end : Date.now();
+  return { start, end: Math.max(start, end) };
+}
+
+function localDate(ts) {
+  return dateKey(new Date(ts));
+}
+
+function localTime(ts) {
+  return new Date(ts).toLocaleTimeString(currentLocale(), { hour12: false });
+}
+
+function rosterRows() {
+  return state.students.map(s => {
+    const permit = openPermits.get(s.id);
+    return {
+      id: s.id,
+      name: s.name,
+      uid: s.uid || '',
+      class: s.classGrade || '',
+      dorm: s.dormRoom || '',
+      contact: s.contact || '',
+      location: studentPlace(s).name,
+      permitReason: permit ? permit.reason : '',
+      permitExpectedReturn: permit && permit.expectedReturn ? new Date(permit.expectedReturn).toISOString() : ''
+    };
+  });
+}
+
+function movementRow(e) {
+  return {
+    ts: new Date(e.ts).toISOString(),
+    date: localDate(e.ts),
+    time: localTime(e.ts),
+    type: e.type,
+    event: HISTORY_TYPE_LABELS[e.type] || e.type,
+    studentId: e.studentId,
+    student: e.student || '',
+    zone: e.zone || '',
+    mode: e.mode || '',
+    by: e.by ? describeDecider(e.by) : '',
+    reason: e.reason || ''
+  };
+}
+
+async function movementRows(start, end) {
+  const events = await dbQuery('events', { index: 'ts', range: IDBKeyRange.bound(start, end) });
+  return events.map(movementRow);
+}
+
+function describeIncident(e) {
+  if (e.type !== 'alarm') return INCIDENT_TYPES[e.type];
+  return `${INCIDENT_TYPES.alarm}: ${INCIDENT_ALARM_REASONS[e.reason] || e.reason || 'security breach'}`;
+}
+
+// Incidents from the event log, with how staff handled the alert each one raised
+async function incidentRows(start, end) {
+  const [events, alerts] = await Promise.all([
+    dbQuery('events', { index: 'ts', range: IDBKeyRange.bound(start, end), filter: e => !!INCIDENT_TYPES[e.type] }),
+    dbQuery('alerts', { index: 'ts', range: IDBKeyRange.bound(start - INCIDENT_ALERT_MATCH_MS, end + INCIDENT_ALERT_MATCH_MS) })
+      .catch(() => [])
+  ]);
+  return events.map(e => {
+    const alert = alerts.find(a => Math.abs(a.ts - e.ts) <= INCIDENT_ALERT_MATCH_MS &&
+      (e.studentId !== null ? a.studentId === e.studentId : a.student === e.student));
+    const handled = alert && alert.log.filter(l => l.by !== 'system').pop();
+    return {
+      ...movementRow(e),
+      incident: describeIncident(e),
+      status: alert ? ALERT_STATUS_LABELS[alert.status] : '',
+      assignee: alert ? alert.assignee : '',
+      handledBy: handled ? handled.by : '',
+      notes: alert ? alert.log.filter(l => l.action === 'note').map(l => l.text).join(' | ') : ''
+    };
+  });
+}
+
+async function exportRows(dataset, start, end) {
+  switch (dataset) {
+    case 'roster': return rosterRows();
+    case 'movements': return movementRows(start, end);
+    default: return incidentRows(start, end);
+  }
+}
+
+// ============================================================
+//  EXPORTING
+// ============================================================
+async function exportData(dataset, format) {
+  const { start, end } = exportRange(reportEls.from.value, reportEls.to.value);
+  let rows;
+  try {
+    rows = await exportRows(dataset, start, end);
+  } catch (e) {
+    addAlert('warning', t('reports.exportFailed'));
+    return;
+  }
+
+  const ranged = EXPORT_DATASETS[dataset].ranged;
+  const stamp = ranged ? `${localDate(start)}_${localDate(end)}` : localDate(Date.now());
+  const filename = `guardian-track-${dataset}-${stamp}.${format}`;
+
+  if (format === 'json') {
+    const archive = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      dataset,
+      exported: new Date().toISOString(),
+      from: ranged ? new Date(start).toISOString() : null,
+      to: ranged ? new Date(end).toISOString() : null,
+      rows
+    };
+    downloadFile(filename, JSON.stringify(archive, null, 2), 'application/json');
+    return;
+  }
+  if (rows.length === 0) {
+    addAlert('info', t('reports.nothing', { dataset: EXPORT_DATASETS[dataset].label.toLowerCase() }));
+    return;
+  }
+  const columns = Object.keys(rows[0]);
+  downloadFile(filename, [columns, ...rows.map(row => columns.map(c => row[c]))].map(csvRow).join('\r\n'), 'text/csv');
+}
+
+// ============================================================
+//  DAILY INCIDENT REPORT
+// ============================================================
+async function printDailyReport(key) {
+  const { start, end } = exportRange(key, key);
+  let incidents, movements;
+  try {
+    [incidents, movements] = await Promise.all([incidentRows(start, end), movementRows(start, end)]);
+  } catch (e) {
+    addAlert('warning', t('reports.reportFailed'));
+    return;
+  }
+
+  const count = type => movements.filter(m => m.type === type).length;
+  const summary = [
+    ['Exits approved', count('approved')],
+    ['Exits denied', count('denied')],
+    ...Object.entries(INCIDENT_TYPES).map(([type, label]) => [label, count(type)]),
+    ['Students involved in incidents', new Set(incidents.map(i => i.studentId !== null ? i.studentId : i.student)).size],
+    ['Incidents still open', incidents.filter(i => i.status === ALERT_STATUS_LABELS.open || i.status === ALERT_STATUS_LABELS.acknowledged).length]
+  ];
+
+  const byStudent = new Map();
+  incidents.forEach(i => {
+    const name = i.student || 'Unknown student';
+    if (!byStudent.has(name)) byStudent.set(name, []);
+    byStudent.get(name).push(i);
+  });
+  const students = [...byStudent.entries()].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+
+  const perStudent = students.length === 0 ? '<p>No incidents recorded.</p>' : students.map(([name, lines]) => {
+    const profile = lines[0].studentId !== null ? rosterProfile(lines[0].studentId) : null;
+    return `<h2>${escapeHtml(name)} (${lines.length})${profile && profile.classGrade ? ` — ${escapeHtml(profile.classGrade)}` : ''}</h2>
+      <table>
+        <tr><th>Time</th><th>Incident</th><th>Where</th><th>Status</th><th>Handled by</th><th>Notes</th></tr>
+        ${lines.map(i => `<tr>
+          <td>${i.time}</td>
+          <td>${escapeHtml(i.incident)}</td>
+          <td>${escapeHtml(i.zone ? mapZoneName(i.zone) : '—')}</td>
+          <td>${escapeHtml(i.status || '—')}</td>
+          <td>${escapeHtml(i.handledBy || i.assignee || '—')}</td>
+          <td>${escapeHtml(i.notes)}</td>
+        </tr>`).join('')}
+      </table>`;
+  }).join('');
+
+  const day = new Date(start).toLocaleDateString(currentLocale(), { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  const operator = getOperatorName();
+  printSheet(`<h1>Daily Incident Report — ${escapeHtml(day)}</h1>
+    <p>${incidents.length} incident${incidents.length === 1 ? '' : 's'} · ${movements.length} recorded movements · printed ${escapeHtml(formatHistoryTime(Date.now()))}${operator ? ` by ${escapeHtml(operator)}` : ''}</p>
+    <h2>Summary</h2>
+    <table>${summary.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</table>
+    ${perStudent}
+    <p class="signature">Reviewed by: ______________________ &nbsp; Signature: ______________________</p>`);
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function renderExportForm() {
+  reportEls.range.classList.toggle('hidden', !EXPORT_DATASETS[reportEls.dataset.value].ranged);
+}
+
+// From the History tab the range follows its date filters
+function openExports(fromHistory) {
+  const today = dateKey(new Date());
+  reportEls.from.value = fromHistory && historyEls.from.value ? historyEls.from.value : today;
+  reportEls.to.value = fromHistory && historyEls.to.value ? historyEls.to.value : today;
+  if (fromHistory) reportEls.dataset.value = 'movements';
+  reportEls.reportDay.value = today;
+  renderExportForm();
+  reportEls.modal.classList.remove('hidden');
+}
+
+function closeExports() {
+  reportEls.modal.classList.add('hidden');
+}
+
+function initReports() {
+  if (!reportEls.modal) return;
+
+  reportEls.dataset.innerHTML = Object.entries(EXPORT_DATASETS)
+    .map(([value, def]) => `<option value="${value}">${def.label}</option>`).join('');
+  reportEls.btnOpen.addEventListener('click', () => openExports(false));
+  if (reportEls.btnHistory) reportEls.btnHistory.addEventListener('click', () => openExports(true));
+  reportEls.btnClose.addEventListener('click', closeExports);
+  reportEls.modal.addEventListener('click', (e) => { if (e.target === reportEls.modal) closeExports(); });
+  reportEls.dataset.addEventListener('change', renderExportForm);
+  reportEls.btnCsv.addEventListener('click', () => exportData(reportEls.dataset.value, 'csv'));
+  reportEls.btnJson.addEventListener('click', () => exportData(reportEls.dataset.value, 'json'));
+  reportEls.btnReport.addEventListener('click', () => {
+    if (reportEls.reportDay.value) printDailyReport(reportEls.reportDay.value);
+  });
+}
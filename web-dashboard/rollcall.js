@@ -0,0 +1,314 @@
+/* ============================================================
+   Guardian-Track — Roll Call
+   A headcount against one inside zone of the campus map (the
+   hostel at lights-out, the classroom at prep): who is there, who is elsewhere in school,
+   who left with approval, who sneaked out and who is unknown.
+   Staff can tick off students they saw in person, or untick
+   someone whose card is there without them. The sheet follows
+   the readers live until it is saved as a dated record, which
+   can be printed or exported like the live one.
+   ============================================================ */
+
+const ROLLCALL_SAVED_LIMIT = 20;
+
+// Usual name of the roll call taken in the zone a reader covers
+const ROLLCALL_LABELS = { hostel: 'Lights-out', classroom: 'Prep' };
+const ROLLCALL_DEFAULT_LABEL = 'Roll call';
+
+const ROLLCALL_GROUPS = {
+  present: { label: 'Present', css: 'classroom' },
+  elsewhere: { label: 'Elsewhere in school', css: 'gate' },
+  left: { label: 'Left with approval', css: 'left' },
+  sneaked: { label: 'Sneaked out', css: 'sneaked' },
+  unknown: { label: 'Unknown / not seen', css: 'unknown' }
+};
+
+const rollCallEls = {
+  btnOpen: document.getElementById('btn-rollcall'),
+  modal: document.getElementById('rollcall-modal'),
+  btnClose: document.getElementById('rollcall-close'),
+  setup: document.getElementById('rollcall-setup'),
+  zone: document.getElementById('rollcall-zone'),
+  label: document.getElementById('rollcall-label'),
+  viewing: document.getElementById('rollcall-viewing'),
+  btnLive: document.getElementById('rollcall-live'),
+  summary: document.getElementById('rollcall-summary'),
+  sheet: document.getElementById('rollcall-sheet'),
+  btnSave: document.getElementById('rollcall-save'),
+  btnCsv: document.getElementById('rollcall-csv'),
+  btnPrint: document.getElementById('rollcall-print'),
+  saved: document.getElementById('rollcall-saved')
+};
+
+let rollCallOverrides = new Map();   // student id → 'present' | 'absent', for the live sheet
+let rollCallRecord = null;           // Saved record being looked at, null for the live sheet
+
+// ============================================================
+//  SHEET
+// ============================================================
+// Any inside zone of the campus map can be counted
+function rollCallZones() {
+  return campusMap.zones.filter(z => z.kind === 'inside');
+}
+
+function rollCallLabel(zoneId) {
+  const zone = mapZone(zoneId);
+  return (zone && ROLLCALL_LABELS[zone.reader]) || ROLLCALL_DEFAULT_LABEL;
+}
+
+function inRollCallZone(s, zoneId) {
+  const zone = zoneForStudent(s);
+  return !!zone && zone.id === zoneId;
+}
+
+function rollCallStatus(s, zoneId, override) {
+  if (override === 'present') return 'present';
+  if (override === 'absent') return 'unknown';
+  if (inRollCallZone(s, zoneId)) return 'present';
+  switch (s.location) {
+    case LOC.LEFT: return 'left';
+    case LOC.SNEAKED: return 'sneaked';
+    case LOC.UNKNOWN: return 'unknown';
+    default: return 'elsewhere';
+  }
+}
+
+// The live sheet in the shape it is saved in
+function liveRollCall() {
+  const zone = rollCallEls.zone.value;
+  const entries = [...state.students]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(s => {
+      const override = rollCallOverrides.get(s.id) || null;
+      return {
+        id: s.id, name: s.name, classGrade: s.classGrade || '', dormRoom: s.dormRoom || '',
+        location: s.location, status: rollCallStatus(s, zone, override), override
+      };
+    });
+  return {
+    ts: Date.now(),
+    date: dateKey(new Date()),
+    zone,
+    place: mapZoneName(zone),
+    label: rollCallEls.label.value.trim() || rollCallLabel(zone),
+    takenBy: getOperatorName(),
+    counts: rollCallCounts(entries),
+    entries
+  };
+}
+
+function rollCallCounts(entries) {
+  const counts = {};
+  Object.keys(ROLLCALL_GROUPS).forEach(group => { counts[group] = 0; });
+  entries.forEach(e => counts[e.status]++);
+  return counts;
+}
+
+function currentRollCall() {
+  return rollCallRecord || liveRollCall();
+}
+
+// A tick that agrees with the reader is no override at all
+function checkOffStudent(id, seen) {
+  const student = state.students.find(s => s.id === id);
+  if (!student) return;
+  const byReader = inRollCallZone(student, rollCallEls.zone.value);
+  if (seen === byReader) rollCallOverrides.delete(id);
+  else rollCallOverrides.set(id, seen ? 'present' : 'absent');
+  renderRollCall();
+}
+
+// ============================================================
+//  SAVED RECORDS
+// ============================================================
+async function saveRollCall() {
+  const record = liveRollCall();
+  if (!record.zone) {
+    addAlert('warning', t('rollcall.noZone'));
+    return;
+  }
+  if (record.entries.length === 0) {
+    addAlert('warning', t('rollcall.noStudents'));
+    return;
+  }
+  try {
+    record.id = await dbAdd('rollcalls', record);
+  } catch (e) {
+    addAlert('critical', t('rollcall.saveFailed'));
+    return;
+  }
+  const { counts, entries } = record;
+  addAlert(counts.present === entries.length ? 'success' : 'warning',
+    t(counts.sneaked ? 'rollcall.savedSneaked' : 'rollcall.saved',
+      { label: record.label, present: counts.present, total: entries.length, sneaked: counts.sneaked }));
+  rollCallOverrides = new Map();
+  renderSavedRollCalls();
+}
+
+async function viewRollCall(id) {
+  let record;
+  try {
+    record = await dbGet('rollcalls', id);
+  } catch (e) {
+    return;
+  }
+  if (!record) return;
+  rollCallRecord = record;
+  renderRollCall();
+}
+
+function rollCallTitle(record) {
+  const time = new Date(record.ts).toLocaleTimeString(currentLocale(), { hour: '2-digit', minute: '2-digit' });
+  // Older records predate the campus map and only kept the zone id
+  return `${record.label} — ${record.place || mapZoneName(record.zone)}, ${record.date} ${time}`;
+}
+
+function exportRollCall() {
+  const record = currentRollCall();
+  const rows = [['date', 'time', 'roll call', 'zone', 'student', 'class', 'dorm', 'location', 'status', 'checked by hand']]
+    .concat(record.entries.map(e => [
+      record.date, new Date(record.ts).toLocaleTimeString(currentLocale(), { hour12: false }), record.label, record.place || mapZoneName(record.zone),
+      e.name, e.classGrade, e.dormRoom, LOC_NAMES[e.location] || 'Unknown', ROLLCALL_GROUPS[e.status].label,
+      e.override === 'present' ? 'seen' : e.override === 'absent' ? 'not seen' : ''
+    ]));
+  downloadFile(`roll-call-${record.date}-${record.zone}.csv`, rows.map(csvRow).join('\r\n'), 'text/csv');
+}
+
+function printRollCall() {
+  const record = currentRollCall();
+  const groups = Object.entries(ROLLCALL_GROUPS).map(([group, def]) => {
+    const entries = record.entries.filter(e => e.status === group);
+    if (entries.length === 0) return '';
+    return `<h2>${def.label} (${entries.length})</h2>
+      <table>
+        <tr><th></th><th>Student</th><th>Class</th><th>Dorm</th><th>Reader says</th></tr>
+        ${entries.map(e => `<tr>
+          <td>${e.status === 'present' ? '☑' : '☐'}</td>
+          <td>${escapeHtml(e.name)}${e.override ? ` <em>(${e.override === 'present' ? 'seen' : 'not seen'})</em>` : ''}</td>
+          <td>${escapeHtml(e.classGrade)}</td>
+          <td>${escapeHtml(e.dormRoom)}</td>
+          <td>${LOC_NAMES[e.location] || 'Unknown'}</td>
+        </tr>`).join('')}
+      </table>`;
+  }).join('');
+
+  printSheet(`<h1>${escapeHtml(rollCallTitle(record))}</h1>
+    <p>${record.counts.present} of ${record.entries.length} present${record.takenBy ? ` · taken by ${escapeHtml(record.takenBy)}` : ''}${record.id ? '' : ' · live, not saved'}</p>
+    ${groups}
+    <p class="signature">Checked by: ______________________ &nbsp; Signature: ______________________</p>`);
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function openRollCall() {
+  rollCallRecord = null;
+  rollCallEls.modal.classList.remove('hidden');
+  renderRollCall();
+  renderSavedRollCalls();
+}
+
+function closeRollCall() {
+  rollCallEls.modal.classList.add('hidden');
+}
+
+// Called when students move or change (see flushRender)
+function refreshRollCall() {
+  if (rollCallEls.modal && !rollCallEls.modal.classList.contains('hidden') && !rollCallRecord) renderRollCall();
+}
+
+function renderRollCall() {
+  const record = currentRollCall();
+  const live = !rollCallRecord;
+
+  rollCallEls.setup.classList.toggle('hidden', !live);
+  rollCallEls.viewing.classList.toggle('hidden', live);
+  rollCallEls.btnSave.classList.toggle('hidden', !live);
+  if (!live) {
+    rollCallEls.viewing.querySelector('span').textContent =
+      `${rollCallTitle(record)}${record.takenBy ? ` · ${record.takenBy}` : ''}`;
+  }
+
+  rollCallEls.summary.innerHTML = Object.entries(ROLLCALL_GROUPS).map(([group, def]) =>
+    `<span class="student-status ${def.css}">${def.label} ${record.counts[group]}</span>`).join('');
+
+  if (record.entries.length === 0) {
+    rollCallEls.sheet.innerHTML = '<p class="text-white/25 text-xs px-4 py-6 text-center">Connect to the device to take a roll call</p>';
+    return;
+  }
+  rollCallEls.sheet.innerHTML = Object.entries(ROLLCALL_GROUPS).map(([group, def]) => {
+    const entries = record.entries.filter(e => e.status === group);
+    if (entries.length === 0) return '';
+    return `<p class="px-4 pt-3 pb-1 text-[10px] font-bold uppercase tracking-widest text-white/40">${def.label} · ${entries.length}</p>` +
+      entries.map(e => `<label class="flex items-center gap-2 px-4 py-1.5 text-xs">
+        <input type="checkbox" data-rollcall-id="${e.id}" ${e.status === 'present' ? 'checked' : ''} ${live ? '' : 'disabled'} />
+        <span class="flex-1 min-w-0 truncate text-white/80">${escapeHtml(e.name)}
+          <span class="text-white/30">${escapeHtml([e.classGrade, e.dormRoom].filter(Boolean).join(' · '))}</span></span>
+        ${e.override ? `<span class="text-[10px] text-amber-400/80">${e.override === 'present' ? 'seen' : 'not seen'}</span>` : ''}
+        <span class="student-status ${LOC_CSS[e.location] || 'unknown'}">${LOC_NAMES[e.location] || 'Unknown'}</span>
+      </label>`).join('');
+  }).join('');
+}
+
+// Called when the campus map changes (see applyCampusMap)
+function updateRollCallZones() {
+  if (!rollCallEls.zone) return;
+  const selected = rollCallEls.zone.value;
+  const zones = rollCallZones();
+  rollCallEls.zone.innerHTML = zones
+    .map(z => `<option value="${z.id}">${escapeHtml(z.name)} (${escapeHtml(rollCallLabel(z.id))})</option>`).join('');
+  if (zones.some(z => z.id === selected)) {
+    rollCallEls.zone.value = selected;
+  } else {
+    rollCallOverrides = new Map();
+  }
+  rollCallEls.label.placeholder = rollCallLabel(rollCallEls.zone.value);
+  refreshRollCall();
+}
+
+async function renderSavedRollCalls() {
+  let records;
+  try {
+    records = await dbQuery('rollcalls', { index: 'ts', direction: 'prev', limit: ROLLCALL_SAVED_LIMIT });
+  } catch (e) {
+    records = [];
+  }
+  rollCallEls.saved.innerHTML = records.length === 0
+    ? '<p class="text-white/25 text-xs px-4 py-3">No roll calls saved yet</p>'
+    : records.map(r => `<button class="w-full flex items-center gap-2 px-4 py-2 text-left text-xs hover:bg-white/[0.03] transition-colors" data-rollcall-record="${r.id}">
+        <span class="flex-1 truncate text-white/70">${escapeHtml(rollCallTitle(r))}</span>
+        <span class="${r.counts.present === r.entries.length ? 'text-accent' : 'text-amber-400'}">${r.counts.present}/${r.entries.length}</span>
+      </button>`).join('');
+}
+
+function initRollCall() {
+  if (!rollCallEls.modal) return;
+
+  rollCallEls.btnOpen.addEventListener('click', openRollCall);
+  rollCallEls.btnClose.addEventListener('click', closeRollCall);
+  rollCallEls.modal.addEventListener('click', (e) => { if (e.target === rollCallEls.modal) closeRollCall(); });
+
+  updateRollCallZones();
+  rollCallEls.zone.addEventListener('change', () => {
+    // Overrides were ticked against the old zone
+    rollCallOverrides = new Map();
+    rollCallEls.label.placeholder = rollCallLabel(rollCallEls.zone.value);
+    renderRollCall();
+  });
+
+  rollCallEls.sheet.addEventListener('change', (e) => {
+    const id = e.target.dataset.rollcallId;
+    if (id !== undefined) checkOffStudent(Number(id), e.target.checked);
+  });
+  rollCallEls.saved.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-rollcall-record]');
+    if (item) viewRollCall(Number(item.dataset.rollcallRecord));
+  });
+  rollCallEls.btnLive.addEventListener('click', () => {
+    rollCallRecord = null;
+    renderRollCall();
+  });
+  rollCallEls.btnSave.addEventListener('click', saveRollCall);
+  rollCallEls.btnCsv.addEventListener('click', exportRollCall);
+  rollCallEls.btnPrint.addEventListener('click', printRollCall);
+}
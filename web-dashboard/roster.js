@@ -0,0 +1,397 @@
+/* ============================================================
+   Guardian-Track — Roster & Card Enrollment
+   The dashboard owns student profiles (class, dorm, parent
+   contact); the device only stores card UID, name and the
+   active flag, which are pushed to it line by line.
+   ============================================================ */
+
+const ROSTER_SLOTS = 40;              // Mirrors MAX_STUDENTS in the firmware
+const ROSTER_NAME_MAX = 16;           // Mirrors NAME_LEN in the firmware (bytes)
+const ROSTER_PROFILE_NAME_MAX = 40;
+const ROSTER_ACK_TIMEOUT_MS = 3000;
+const ROSTER_EMPTY_UID = '00:00:00:00';
+const UID_PATTERN = /^[0-9A-F]{2}(:[0-9A-F]{2}){3}$/;
+
+const rosterEls = {
+  modal: document.getElementById('roster-modal'),
+  list: document.getElementById('roster-list'),
+  sync: document.getElementById('roster-sync'),
+  btnManage: document.getElementById('btn-manage-roster'),
+  btnClose: document.getElementById('roster-close'),
+  btnPush: document.getElementById('roster-push'),
+  btnAdd: document.getElementById('roster-add'),
+  form: document.getElementById('roster-form'),
+  formTitle: document.getElementById('roster-form-title'),
+  name: document.getElementById('roster-name'),
+  classGrade: document.getElementById('roster-class'),
+  dormRoom: document.getElementById('roster-dorm'),
+  contact: document.getElementById('roster-contact'),
+  email: document.getElementById('roster-email'),
+  uid: document.getElementById('roster-uid'),
+  active: document.getElementById('roster-active'),
+  enroll: document.getElementById('roster-enroll'),
+  enrollStatus: document.getElementById('roster-enroll-status'),
+  error: document.getElementById('roster-error'),
+  cancel: document.getElementById('roster-cancel')
+};
+
+const roster = new Map();        // id → { id, name, uid, classGrade, dormRoom, contact, email, active }
+const deviceRoster = new Map();  // id → { name, uid, active } as last reported by the device
+let rosterEditingId = null;      // null while adding a new student
+let enrollWaiting = false;
+let rosterPush = null;           // { waiting: { expect, resolve, reject } }
+let rosterLoaded = Promise.resolve(); // Resolves once the stored roster is in memory
+
+// ============================================================
+//  STORAGE
+// ============================================================
+function loadRoster() {
+  rosterLoaded = dbGetAll('roster')
+    .then(records => records.forEach(r => roster.set(r.id, r)))
+    .catch(() => { /* storage unavailable — roster lives in memory only */ });
+  return rosterLoaded;
+}
+
+async function saveRosterRecord(record) {
+  roster.set(record.id, record);
+  try { await dbPut('roster', record); } catch (e) { /* keep in memory */ }
+}
+
+function rosterProfile(id) {
+  return roster.get(id);
+}
+
+// First simulator run: give the factory students realistic profiles
+async function seedDemoRoster(students) {
+  await rosterLoaded;
+  if (roster.size > 0) return;
+  for (let i = 0; i < students.length; i++) {
+    const s = students[i];
+    await saveRosterRecord({
+      id: i, name: s.name, uid: s.uid, classGrade: s.classGrade,
+      dormRoom: s.dormRoom, contact: s.parentContact, active: true
+    });
+  }
+}
+
+// ============================================================
+//  DEVICE SYNC
+// ============================================================
+function cleanStudentName(name) {
+  return String(name).replace(/["\\\r\n:]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, ROSTER_PROFILE_NAME_MAX);
+}
+
+// The device keeps NAME_LEN bytes and its LCD only has ASCII glyphs, so
+// its copy drops accents and anything else outside ASCII, which also
+// makes every character one byte. The profile keeps the name as typed.
+function deviceStudentName(name) {
+  return cleanStudentName(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?').substring(0, ROSTER_NAME_MAX).trim();
+}
+
+function deviceActive(record) {
+  return !!(record.active && record.uid);
+}
+
+// Called for every student_info line. Students the device knows but the
+// dashboard doesn't are imported so both sides describe the same slots.
+function noteDeviceStudent(data) {
+  if (isReplaying()) return;
+  const entry = { name: data.name, uid: data.uid || null, active: data.active !== 0 };
+  deviceRoster.set(data.id, entry);
+
+  rosterLoaded.then(() => {
+    if (!roster.has(data.id)) {
+      saveRosterRecord({
+        id: data.id, name: data.name, uid: entry.uid,
+        classGrade: data.class || '', dormRoom: data.dorm || '', contact: data.contact || '',
+        active: entry.active
+      });
+    }
+    renderRoster();
+  });
+}
+
+// Roster records that differ from what the device last reported
+function rosterChanges() {
+  if (deviceRoster.size === 0) return [];
+  return [...roster.values()].filter(r => {
+    const d = deviceRoster.get(r.id);
+    if (!d) return deviceActive(r);
+    return d.name !== deviceStudentName(r.name) || d.active !== deviceActive(r) ||
+      (deviceActive(r) && d.uid !== r.uid);
+  });
+}
+
+function rosterLine(id) {
+  const r = roster.get(id);
+  if (!r) return `ROSTER:SET:${id}:${ROSTER_EMPTY_UID}:0:`;
+  return `ROSTER:SET:${id}:${r.uid || ROSTER_EMPTY_UID}:${deviceActive(r) ? 1 : 0}:${deviceStudentName(r.name)}`;
+}
+
+function sendRosterCommand(line, expect) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(t('roster.noReply'))), ROSTER_ACK_TIMEOUT_MS);
+    rosterPush.waiting = {
+      expect,
+      resolve: () => { clearTimeout(timer); resolve(); },
+      reject: (err) => { clearTimeout(timer); reject(err); }
+    };
+    sendCommand(line);
+  });
+}
+
+// Push one record at a time and wait for each ack: the Nano's serial
+// buffer only holds 64 bytes, so blasting the whole roster would drop lines.
+// Resolves to the number of slots written, or null if nothing was saved.
+async function pushRoster() {
+  if (rosterPush) return null;
+  if (!connected) {
+    addAlert('warning', t('roster.connect'));
+    return null;
+  }
+
+  const ids = [...roster.keys()];
+  const count = ids.length ? Math.max(...ids) + 1 : 0;
+  if (count > ROSTER_SLOTS) {
+    addAlert('critical', t('roster.tooMany', { count, slots: ROSTER_SLOTS }));
+    return null;
+  }
+
+  rosterPush = { waiting: null };
+  try {
+    for (let id = 0; id < count; id++) {
+      renderRosterSync(t('roster.pushing', { slot: id + 1, count }));
+      await sendRosterCommand(rosterLine(id), id);
+    }
+    await sendRosterCommand(`ROSTER:END:${count}`, 'end');
+    addAlert('success', t('roster.saved', { count }));
+    return count;
+  } catch (err) {
+    addAlert('critical', t('roster.failed', { error: err.message }));
+    return null;
+  } finally {
+    rosterPush = null;
+    renderRoster();
+  }
+}
+
+// The Push button overwrites the device's EEPROM roster, so it is an
+// operator action of its own (saves from the form push as part of theirs)
+function pushRosterByHand() {
+  const pending = rosterChanges().length;
+  withOperator('roster_push', async () => {
+    const count = await pushRoster();
+    if (count === null) return null;
+    return { target: 'device roster', before: `${pending} unsynced change${pending === 1 ? '' : 's'}`, after: `${count} slots written` };
+  });
+}
+
+function handleRosterAck(data) {
+  if (rosterPush && rosterPush.waiting && rosterPush.waiting.expect === data.id) {
+    rosterPush.waiting.resolve();
+  }
+}
+
+function handleRosterSaved() {
+  if (rosterPush && rosterPush.waiting && rosterPush.waiting.expect === 'end') {
+    rosterPush.waiting.resolve();
+  }
+  populateSimulatorCards();
+}
+
+function handleRosterCommandError(data) {
+  if (rosterPush && rosterPush.waiting) {
+    rosterPush.waiting.reject(new Error(t('roster.rejected', { command: data.command, reason: data.reason })));
+  }
+}
+
+// ============================================================
+//  CARD ENROLLMENT
+// ============================================================
+function startEnroll() {
+  enrollWaiting = true;
+  rosterEls.enrollStatus.textContent = t('roster.tapCard');
+  rosterEls.enrollStatus.classList.remove('hidden');
+}
+
+function stopEnroll() {
+  enrollWaiting = false;
+  rosterEls.enrollStatus.classList.add('hidden');
+}
+
+// Returns true when the unknown card was taken by an enrollment in progress
+function offerCardEnrollment(data) {
+  if (!enrollWaiting || !data.uid) return false;
+
+  const uid = data.uid.toUpperCase();
+  const owner = [...roster.values()].find(r => r.uid === uid && r.id !== rosterEditingId);
+  if (owner) {
+    rosterEls.enrollStatus.textContent = t('roster.cardTaken', { uid, name: owner.name });
+    return true;
+  }
+
+  const name = rosterEls.name.value.trim() || t('roster.thisStudent');
+  const reader = data.zone ? mapReaderName(data.zone) : t('roster.aReader');
+  if (window.confirm(t('roster.confirmBind', { uid, reader, name }))) {
+    rosterEls.uid.value = uid;
+    stopEnroll();
+  }
+  return true;
+}
+
+// ============================================================
+//  EDITOR
+// ============================================================
+function openRoster(id) {
+  rosterEls.modal.classList.remove('hidden');
+  renderRoster();
+  if (id !== undefined) openRosterForm(id);
+}
+
+function closeRoster() {
+  stopEnroll();
+  rosterEls.form.classList.add('hidden');
+  rosterEls.modal.classList.add('hidden');
+}
+
+function openRosterForm(id = null) {
+  const r = id === null ? null : roster.get(id);
+  rosterEditingId = r ? r.id : null;
+  rosterEls.formTitle.textContent = r ? t('roster.editStudent', { name: r.name }) : t('roster.newStudent');
+  rosterEls.name.value = r ? r.name : '';
+  rosterEls.classGrade.value = r ? r.classGrade : '';
+  rosterEls.dormRoom.value = r ? r.dormRoom : '';
+  rosterEls.contact.value = r ? r.contact : '';
+  rosterEls.email.value = r && r.email ? r.email : '';
+  rosterEls.uid.value = r && r.uid ? r.uid : '';
+  rosterEls.active.checked = r ? r.active : true;
+  rosterEls.error.classList.add('hidden');
+  stopEnroll();
+  rosterEls.form.classList.remove('hidden');
+  rosterEls.name.focus();
+}
+
+function showRosterError(message) {
+  rosterEls.error.textContent = message;
+  rosterEls.error.classList.remove('hidden');
+}
+
+function nextFreeSlot() {
+  for (let id = 0; id < ROSTER_SLOTS; id++) {
+    if (!roster.has(id)) return id;
+  }
+  return -1;
+}
+
+async function saveRosterForm(e) {
+  e.preventDefault();
+
+  const name = cleanStudentName(rosterEls.name.value);
+  const uid = rosterEls.uid.value.trim().toUpperCase();
+  if (!name) return showRosterError(t('roster.nameRequired'));
+  if (uid && !UID_PATTERN.test(uid)) return showRosterError(t('roster.uidFormat'));
+
+  const owner = uid && [...roster.values()].find(r => r.uid === uid && r.id !== rosterEditingId);
+  if (owner) return showRosterError(t('roster.cardTaken', { uid, name: owner.name }));
+
+  const id = rosterEditingId !== null ? rosterEditingId : nextFreeSlot();
+  if (id < 0) return showRosterError(t('roster.full', { slots: ROSTER_SLOTS }));
+
+  const record = {
+    id, name, uid: uid || null,
+    classGrade: rosterEls.classGrade.value.trim(),
+    dormRoom: rosterEls.dormRoom.value.trim(),
+    contact: rosterEls.contact.value.trim(),
+    email: rosterEls.email.value.trim(),
+    active: rosterEls.active.checked
+  };
+
+  // Sign-in cancelled: keep the form open with what was typed
+  if (!(await requireOperator(AUDIT_ACTIONS.roster_save.toLowerCase()))) return;
+  const before = roster.get(id) || null;
+  await withOperator('roster_save', async () => {
+    if (before && JSON.stringify(before) === JSON.stringify({ ...before, ...record })) return null;
+    await saveRosterRecord(record);
+    applyRosterProfile(record);
+    return { target: `#${id} ${name}`, before, after: record };
+  });
+
+  stopEnroll();
+  rosterEls.form.classList.add('hidden');
+  renderRoster();
+
+  if (connected && rosterChanges().length > 0) pushRoster();
+}
+
+// Reflect profile edits in the live student list right away
+function applyRosterProfile(record) {
+  const s = state.students.find(s => s.id === record.id);
+  if (!s) return;
+  Object.assign(s, { classGrade: record.classGrade, dormRoom: record.dormRoom, contact: record.contact });
+  refreshStudents();
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function renderRosterSync(text) {
+  if (!rosterEls.sync) return;
+  const changes = rosterChanges().length;
+  if (!text) {
+    if (deviceRoster.size === 0) text = t('roster.notLoaded');
+    else if (changes > 0) text = t('roster.unsynced', { count: changes });
+    else text = t('roster.upToDate');
+  }
+  rosterEls.sync.textContent = text;
+  rosterEls.sync.classList.toggle('text-amber-400', changes > 0);
+  rosterEls.btnPush.disabled = !!rosterPush || !connected || changes === 0;
+}
+
+function renderRoster() {
+  if (!rosterEls.list || rosterEls.modal.classList.contains('hidden')) return;
+  renderRosterSync();
+
+  const records = [...roster.values()].sort((a, b) => a.name.localeCompare(b.name));
+  if (records.length === 0) {
+    rosterEls.list.innerHTML = `<div class="empty-state px-4 py-8 text-center"><p class="text-white/25 text-xs">${t('roster.empty')}</p></div>`;
+    return;
+  }
+
+  const pending = new Set(rosterChanges().map(r => r.id));
+  rosterEls.list.innerHTML = records.map(r => {
+    const meta = [r.classGrade, r.dormRoom, r.uid || t('roster.noCard')].filter(Boolean).map(escapeHtml).join(' · ');
+    const badge = !r.active
+      ? `<span class="student-status unknown">${t('roster.inactive')}</span>`
+      : pending.has(r.id) ? `<span class="student-status gate">${t('roster.notSynced')}</span>` : '';
+    return `<button type="button" class="student-item w-full text-left" data-roster-id="${r.id}">
+      <div class="student-details">
+        <div class="student-name">${escapeHtml(r.name)}</div>
+        <div class="student-meta">${meta}</div>
+      </div>
+      ${badge}
+    </button>`;
+  }).join('');
+}
+
+function initRoster() {
+  if (!rosterEls.modal) return;
+
+  rosterEls.btnManage.addEventListener('click', () => openRoster());
+  rosterEls.btnClose.addEventListener('click', closeRoster);
+  rosterEls.modal.addEventListener('click', (e) => { if (e.target === rosterEls.modal) closeRoster(); });
+  rosterEls.btnAdd.addEventListener('click', () => openRosterForm(null));
+  rosterEls.btnPush.addEventListener('click', pushRosterByHand);
+  rosterEls.form.addEventListener('submit', saveRosterForm);
+  rosterEls.cancel.addEventListener('click', () => { stopEnroll(); rosterEls.form.classList.add('hidden'); });
+  rosterEls.enroll.addEventListener('click', () => enrollWaiting ? stopEnroll() : startEnroll());
+  rosterEls.list.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-roster-id]');
+    if (item) openRosterForm(Number(item.dataset.rosterId));
+  });
+
+  loadRoster().then(() => {
+    roster.forEach(applyRosterProfile);
+    renderRoster();
+  });
+}
@@ -0,0 +1,463 @@
+/* ============================================================
+   Guardian-Track — Alert Rules
+   Staff-defined rules checked against the live event stream,
+   on top of the alarms the firmware raises by itself. Each
+   rule has a type (what to watch for), its own thresholds, a
+   severity, a sound and where else to send it: system
+   notifications, the parent, and the tracked alert workflow.
+   Rules are kept in localStorage; what fires goes through
+   addAlert like every other alert.
+   ============================================================ */
+
+const RULES_KEY = 'gt-rules';
+const RULES_TICK_MS = 60000;
+const RULE_SIREN_REPEATS = 3;
+const RULE_SIREN_GAP_MS = 1500;
+
+// params: the thresholds a rule of this type is edited with
+const RULE_TYPES = {
+  gate_visits: {
+    get label() { return t('rules.type.gate_visits'); },
+    params: {
+      count: { get label() { return t('rules.param.moreThan'); }, get unit() { return t('rules.unit.gateTaps'); }, value: 3 },
+      minutes: { get label() { return t('rules.param.within'); }, get unit() { return t('rules.unit.min'); }, value: 60 }
+    },
+    describe: p => t('rules.describe.gate_visits', { count: p.count, minutes: p.minutes })
+  },
+  not_seen: {
+    get label() { return t('rules.type.not_seen'); },
+    params: { hours: { get label() { return t('rules.param.for'); }, get unit() { return t('rules.unit.hours'); }, value: 6 } },
+    describe: p => t('rules.describe.not_seen', { hours: p.hours })
+  },
+  zone_in_period: {
+    get label() { return t('rules.type.zone_in_period'); },
+    params: {
+      zone: { get label() { return t('rules.param.reader'); }, options: mapReaders, value: 'hostel' },
+      period: {
+        get label() { return t('rules.param.during'); },
+        options: () => Object.fromEntries(Object.entries(PERIOD_KINDS).map(([k, v]) => [k, v.label])),
+        value: 'prep'
+      }
+    },
+    describe: p => t('rules.describe.zone_in_period', {
+      reader: mapReaderName(p.zone).toLowerCase(), period: PERIOD_KINDS[p.period].label.toLowerCase()
+    })
+  },
+  mass_exit: {
+    get label() { return t('rules.type.mass_exit'); },
+    params: {
+      count: { get label() { return t('rules.param.moreThan'); }, get unit() { return t('rules.unit.students'); }, value: 3 },
+      minutes: { get label() { return t('rules.param.within'); }, get unit() { return t('rules.unit.min'); }, value: 10 }
+    },
+    describe: p => t('rules.describe.mass_exit', { count: p.count, minutes: p.minutes })
+  }
+};
+
+const RULE_SEVERITIES = localizedLabels({ info: 'rules.severity.info', warning: 'rules.severity.warning', critical: 'rules.severity.critical' });
+const RULE_SEVERITY_CSS = { info: 'classroom', warning: 'gate', critical: 'sneaked' };
+const RULE_SEVERITY_ICONS = { info: '🔔', warning: '⚠️', critical: '🚨' };
+const RULE_SOUNDS = localizedLabels({ none: 'rules.sound.none', chime: 'rules.sound.chime', alarm: 'rules.sound.alarm', siren: 'rules.sound.siren' });
+
+const rulesEls = {
+  summary: document.getElementById('rules-summary'),
+  btnOpen: document.getElementById('btn-rules'),
+  modal: document.getElementById('rules-modal'),
+  btnClose: document.getElementById('rules-close'),
+  list: document.getElementById('rules-list'),
+  btnAdd: document.getElementById('rules-add'),
+  form: document.getElementById('rule-form'),
+  name: document.getElementById('rule-name'),
+  type: document.getElementById('rule-type'),
+  params: document.getElementById('rule-params'),
+  severity: document.getElementById('rule-severity'),
+  sound: document.getElementById('rule-sound'),
+  push: document.getElementById('rule-push'),
+  parent: document.getElementById('rule-parent'),
+  track: document.getElementById('rule-track'),
+  cooldown: document.getElementById('rule-cooldown'),
+  btnDelete: document.getElementById('rule-delete'),
+  btnCancel: document.getElementById('rule-cancel')
+};
+
+let rules = loadRules();
+let ruleRuntime = new Map();    // rule id → { hits: Map key → [ts], fired: Map key → ts }
+let ruleLastSeen = new Map();   // student id → when a reader last saw them
+let ruleEditingId = null;       // null while the form is closed, '' for a new rule
+let ruleAudio = null;
+
+// ============================================================
+//  STORAGE
+// ============================================================
+function ruleParamDefaults(type) {
+  return Object.fromEntries(Object.entries(RULE_TYPES[type].params).map(([key, def]) => [key, def.value]));
+}
+
+function makeRule(type, fields = {}) {
+  return {
+    id: `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: RULE_TYPES[type].label,
+    type,
+    params: ruleParamDefaults(type),
+    enabled: false,
+    severity: 'warning',
+    sound: 'chime',
+    targets: { push: false, parent: false, track: false },
+    cooldown: 30,
+    ...fields
+  };
+}
+
+// The examples staff asked for, switched off until someone turns them on
+function defaultRules() {
+  return [
+    makeRule('gate_visits', { id: 'gate-visits', name: t('rules.default.gateVisits') }),
+    makeRule('not_seen', { id: 'not-seen', name: t('rules.default.missing'), severity: 'critical', sound: 'alarm', targets: { push: true, parent: false, track: true } }),
+    makeRule('zone_in_period', { id: 'hostel-prep', name: t('rules.default.hostelPrep') }),
+    makeRule('mass_exit', { id: 'mass-exit', name: t('rules.default.massExit'), severity: 'critical', sound: 'siren', targets: { push: true, parent: false, track: true } })
+  ];
+}
+
+function loadRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RULES_KEY));
+    if (Array.isArray(saved)) {
+      return saved.filter(r => RULE_TYPES[r.type]).map(r => ({
+        ...makeRule(r.type), ...r,
+        params: { ...ruleParamDefaults(r.type), ...r.params },
+        targets: { push: false, parent: false, track: false, ...r.targets }
+      }));
+    }
+  } catch (e) { /* fall through to defaults */ }
+  return defaultRules();
+}
+
+function saveRules() {
+  try { localStorage.setItem(RULES_KEY, JSON.stringify(rules)); } catch (e) { /* storage unavailable */ }
+}
+
+function describeRule(rule) {
+  return RULE_TYPES[rule.type].describe(rule.params);
+}
+
+// ============================================================
+//  EVALUATION
+// ============================================================
+function runtimeFor(rule) {
+  if (!ruleRuntime.has(rule.id)) ruleRuntime.set(rule.id, { hits: new Map(), fired: new Map() });
+  return ruleRuntime.get(rule.id);
+}
+
+// Remember `ts` under `key` and return how many hits fall inside the window
+function countHits(rule, key, windowMs, ts = Date.now()) {
+  const hits = runtimeFor(rule).hits;
+  const recent = (hits.get(key) || []).filter(t => ts - t < windowMs);
+  recent.push(ts);
+  hits.set(key, recent);
+  return recent.length;
+}
+
+// Called for every valid device message, after the dashboard has handled it
+function noteRulesEvent(data) {
+  if (isReplaying()) return;
+  const student = data.student ? eventStudent(data) : null;
+  if (student && (data.event === 'scan' || data.event === 'zone_change')) ruleLastSeen.set(student.id, Date.now());
+
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    const p = rule.params;
+    switch (rule.type) {
+      case 'gate_visits':
+        if (data.event !== 'scan' || !student) return;
+        if (countHits(rule, student.id, p.minutes * 60000) > p.count) {
+          fireRule(rule, student.id, t('rules.gateVisits', { student: student.name, count: runtimeFor(rule).hits.get(student.id).length, minutes: p.minutes }), student);
+        }
+        return;
+      case 'zone_in_period': {
+        const zone = data.event === 'scan' ? 'gate' : data.event === 'zone_change' ? data.zone : null;
+        const slot = timetableSlot(new Date());
+        if (zone !== p.zone || !student || !slot.period || slot.period.kind !== p.period) return;
+        fireRule(rule, student.id, t('rules.zoneInPeriod', {
+          student: student.name, reader: mapReaderName(zone).toLowerCase(), period: PERIOD_KINDS[p.period].label.toLowerCase()
+        }), student);
+        return;
+      }
+      case 'mass_exit':
+        if (data.event !== 'approved' && data.event !== 'sneaked') return;
+        if (countHits(rule, 'all', p.minutes * 60000) > p.count) {
+          fireRule(rule, 'all', t('rules.massExit', { count: runtimeFor(rule).hits.get('all').length, minutes: p.minutes }), null);
+        }
+        return;
+    }
+  });
+}
+
+// Students out on a permit or already reported as sneaked out are accounted for
+function expectedAtReaders(student) {
+  return student.location !== LOC.LEFT && student.location !== LOC.SNEAKED && !openPermits.has(student.id);
+}
+
+// Fill in when a student was last seen from the history, for students
+// the dashboard has not seen since it was opened
+async function seedLastSeen(student) {
+  ruleLastSeen.set(student.id, Date.now());
+  let last;
+  try {
+    last = await dbQuery('events', {
+      index: 'studentId', range: IDBKeyRange.only(student.id), direction: 'prev', limit: 1,
+      filter: e => e.type === 'scan' || e.type === 'zone_change'
+    });
+  } catch (e) {
+    return;
+  }
+  if (last.length && last[0].ts < ruleLastSeen.get(student.id)) ruleLastSeen.set(student.id, last[0].ts);
+}
+
+function rulesTick() {
+  // Without a link nobody can tap in, so silence proves nothing
+  if (!connected || isReplaying()) return;
+  const now = Date.now();
+  rules.filter(rule => rule.enabled && rule.type === 'not_seen').forEach(rule => {
+    state.students.filter(expectedAtReaders).forEach(student => {
+      if (!ruleLastSeen.has(student.id)) {
+        seedLastSeen(student);
+        return;
+      }
+      const since = ruleLastSeen.get(student.id);
+      if (now - since < rule.params.hours * 3600000) return;
+      // Keyed by the sighting, so each absence is reported once
+      fireRule(rule, `${student.id}@${since}`, t('rules.notSeen', { student: student.name, time: formatHistoryTime(since) }), student);
+    });
+  });
+}
+
+// ============================================================
+//  FIRING
+// ============================================================
+function fireRule(rule, key, detail, student) {
+  const fired = runtimeFor(rule).fired;
+  const now = Date.now();
+  if (fired.has(key) && now - fired.get(key) < rule.cooldown * 60000) return;
+  fired.set(key, now);
+
+  addAlert(rule.severity, `${RULE_SEVERITY_ICONS[rule.severity]} ${rule.name}: ${detail}`, {
+    student: student ? student.name : null,
+    studentId: student ? student.id : null,
+    track: rule.targets.track,
+    push: rule.targets.push ? 'rule' : null
+  });
+  playRuleSound(rule.sound);
+  if (rule.targets.parent && student) notifyParent('rule', { id: student.id, student: student.name, rule: detail });
+}
+
+function playChime() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return;
+  try {
+    ruleAudio = ruleAudio || new AudioCtx();
+    const t = ruleAudio.currentTime;
+    const osc = ruleAudio.createOscillator();
+    const gain = ruleAudio.createGain();
+    osc.frequency.setValueAtTime(880, t);
+    osc.frequency.setValueAtTime(660, t + 0.15);
+    gain.gain.setValueAtTime(0.15, t);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.6);
+    osc.connect(gain).connect(ruleAudio.destination);
+    osc.start(t);
+    osc.stop(t + 0.6);
+  } catch (e) { /* audio unavailable */ }
+}
+
+function playRuleSound(sound) {
+  switch (sound) {
+    case 'chime': playChime(); break;
+    case 'alarm': playAlertSound(); break;
+    case 'siren':
+      for (let i = 0; i < RULE_SIREN_REPEATS; i++) setTimeout(playAlertSound, i * RULE_SIREN_GAP_MS);
+      vibrateDevice();
+      break;
+  }
+}
+
+// ============================================================
+//  EDITING
+// ============================================================
+function changeRules(target, before, after, change) {
+  return withOperator('rules_edit', () => {
+    change();
+    saveRules();
+    renderRules();
+    return { target, before, after };
+  });
+}
+
+function toggleRule(id, enabled) {
+  const rule = rules.find(r => r.id === id);
+  if (!rule) return;
+  changeRules(rule.name, rule.enabled ? 'on' : 'off', enabled ? 'on' : 'off', () => {
+    rule.enabled = enabled;
+    ruleRuntime.delete(rule.id);
+  }).then(renderRules);
+}
+
+function renderRuleParams(type, params) {
+  rulesEls.params.innerHTML = Object.entries(RULE_TYPES[type].params).map(([key, def]) => {
+    // Readers come from the campus map, so their list is built each time
+    const options = typeof def.options === 'function' ? def.options() : def.options;
+    const input = options
+      ? `<select class="glass-input" data-rule-param="${key}">${Object.entries(options).map(([value, label]) =>
+        `<option value="${escapeHtml(value)}" ${params[key] === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}</select>`
+      : `<input type="number" class="glass-input" min="1" data-rule-param="${key}" value="${params[key]}" />`;
+    return `<label class="glass-field">
+      <span>${def.label}</span>
+      ${input}
+      ${def.unit ? `<span class="!w-auto whitespace-nowrap normal-case tracking-normal">${def.unit}</span>` : ''}
+    </label>`;
+  }).join('');
+}
+
+function openRuleForm(id) {
+  const rule = rules.find(r => r.id === id) || makeRule('gate_visits', { name: '' });
+  ruleEditingId = id || '';
+  rulesEls.name.value = rule.name;
+  rulesEls.type.value = rule.type;
+  rulesEls.severity.value = rule.severity;
+  rulesEls.sound.value = rule.sound;
+  rulesEls.push.checked = rule.targets.push;
+  rulesEls.parent.checked = rule.targets.parent;
+  rulesEls.track.checked = rule.targets.track;
+  rulesEls.cooldown.value = rule.cooldown;
+  rulesEls.btnDelete.classList.toggle('hidden', !id);
+  renderRuleParams(rule.type, rule.params);
+  rulesEls.form.classList.remove('hidden');
+  rulesEls.name.focus();
+}
+
+function closeRuleForm() {
+  ruleEditingId = null;
+  rulesEls.form.classList.add('hidden');
+}
+
+function readRuleForm() {
+  const type = rulesEls.type.value;
+  const params = ruleParamDefaults(type);
+  rulesEls.params.querySelectorAll('[data-rule-param]').forEach(input => {
+    const key = input.dataset.ruleParam;
+    params[key] = RULE_TYPES[type].params[key].options ? input.value : Math.max(1, Math.round(Number(input.value)) || 1);
+  });
+  return {
+    name: rulesEls.name.value.trim() || RULE_TYPES[type].label,
+    type,
+    params,
+    severity: rulesEls.severity.value,
+    sound: rulesEls.sound.value,
+    targets: { push: rulesEls.push.checked, parent: rulesEls.parent.checked, track: rulesEls.track.checked },
+    cooldown: Math.max(1, Math.round(Number(rulesEls.cooldown.value)) || 1)
+  };
+}
+
+async function saveRuleForm(e) {
+  e.preventDefault();
+  const fields = readRuleForm();
+  const existing = rules.find(r => r.id === ruleEditingId);
+  const before = existing ? `${existing.name}: ${describeRule(existing)}` : null;
+  const after = `${fields.name}: ${RULE_TYPES[fields.type].describe(fields.params)}`;
+
+  const saved = await changeRules(fields.name, before, after, () => {
+    if (existing) {
+      Object.assign(existing, fields);
+      ruleRuntime.delete(existing.id);
+    } else {
+      rules.push(makeRule(fields.type, { ...fields, enabled: true }));
+    }
+  });
+  if (saved) closeRuleForm();
+}
+
+async function deleteRule() {
+  const rule = rules.find(r => r.id === ruleEditingId);
+  if (!rule) return;
+  const removed = await changeRules(rule.name, describeRule(rule), null, () => {
+    rules = rules.filter(r => r !== rule);
+    ruleRuntime.delete(rule.id);
+  });
+  if (removed) closeRuleForm();
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function renderRules() {
+  if (!rulesEls.summary) return;
+  const on = rules.filter(r => r.enabled).length;
+  rulesEls.summary.textContent = on === 0 ? t('rules.off') : t('rules.on', { on, count: rules.length });
+
+  rulesEls.list.innerHTML = rules.length === 0
+    ? `<p class="px-4 py-6 text-center text-white/25 text-xs">${t('rules.none')}</p>`
+    : rules.map(rule => {
+      const targets = ['push', 'parent', 'track'].filter(target => rule.targets[target])
+        .map(target => t(`rules.target.${target}`)).join(', ');
+      return `<div class="flex items-center gap-3 px-4 py-2.5">
+        <div class="flex-1 min-w-0">
+          <p class="flex items-center gap-2 text-xs font-medium text-white/80">
+            <span class="truncate">${escapeHtml(rule.name)}</span>
+            <span class="student-status ${RULE_SEVERITY_CSS[rule.severity]}">${RULE_SEVERITIES[rule.severity]}</span>
+          </p>
+          <p class="text-[10px] text-white/35 truncate">${describeRule(rule)} · ${RULE_SOUNDS[rule.sound].toLowerCase()}${targets ? ` · ${targets}` : ''}</p>
+        </div>
+        <button class="text-[10px] text-accent/70 hover:text-accent transition-colors font-medium uppercase tracking-wider flex-shrink-0" data-rule-edit="${rule.id}">${t('rules.edit')}</button>
+        <label class="toggle-switch flex-shrink-0">
+          <input type="checkbox" data-rule-toggle="${rule.id}" ${rule.enabled ? 'checked' : ''} aria-label="${t('rules.ruleOn')}" />
+          <span class="toggle-track"></span>
+        </label>
+      </div>`;
+    }).join('');
+}
+
+// Rebuilt when the language changes, keeping what the open form has chosen
+function renderRuleChoices() {
+  if (!rulesEls.summary) return;
+  const options = (select, entries) => {
+    const chosen = select.value;
+    select.innerHTML = Object.entries(entries).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    if (chosen) select.value = chosen;
+  };
+  options(rulesEls.type, Object.fromEntries(Object.entries(RULE_TYPES).map(([k, v]) => [k, v.label])));
+  options(rulesEls.severity, RULE_SEVERITIES);
+  options(rulesEls.sound, RULE_SOUNDS);
+}
+
+function openRules() {
+  closeRuleForm();
+  renderRules();
+  rulesEls.modal.classList.remove('hidden');
+}
+
+function closeRules() {
+  rulesEls.modal.classList.add('hidden');
+}
+
+function initRules() {
+  setInterval(rulesTick, RULES_TICK_MS);
+  if (!rulesEls.summary) return;
+
+  renderRuleChoices();
+
+  rulesEls.btnOpen.addEventListener('click', openRules);
+  rulesEls.btnClose.addEventListener('click', closeRules);
+  rulesEls.modal.addEventListener('click', (e) => { if (e.target === rulesEls.modal) closeRules(); });
+  rulesEls.btnAdd.addEventListener('click', () => openRuleForm(null));
+  rulesEls.list.addEventListener('click', (e) => {
+    const edit = e.target.closest('[data-rule-edit]');
+    if (edit) openRuleForm(edit.dataset.ruleEdit);
+  });
+  rulesEls.list.addEventListener('change', (e) => {
+    const toggle = e.target.closest('[data-rule-toggle]');
+    if (toggle) toggleRule(toggle.dataset.ruleToggle, toggle.checked);
+  });
+  rulesEls.type.addEventListener('change', () => renderRuleParams(rulesEls.type.value, ruleParamDefaults(rulesEls.type.value)));
+  rulesEls.sound.addEventListener('change', () => playRuleSound(rulesEls.sound.value));
+  rulesEls.form.addEventListener('submit', saveRuleForm);
+  rulesEls.btnDelete.addEventListener('click', deleteRule);
+  rulesEls.btnCancel.addEventListener('click', closeRuleForm);
+
+  renderRules();
+}
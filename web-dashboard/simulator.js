@@ -0,0 +1,549 @@
+/* ============================================================
+   Guardian-Track — Firmware Simulator
+   Mirrors guardian_track.ino: same JSON lines out, same
+   commands in, same gate state machine and timings.
+   ============================================================ */
+
+const SIM_TIMING = {
+  GATE_TIMEOUT_MS: 20000,   // Max time to wait while card at gate
+  SNEAK_WINDOW_MS: 5000,    // 5 seconds after card leaves gate
+  GATE_OPEN_TIME_MS: 5000,  // How long gate stays open
+  ALARM_DURATION_MS: 10000, // How long sneak alarm lasts
+  GATE_COOLDOWN_MS: 5000,   // Ignore a denied/expired card left on the gate
+  OPERATOR_LEN: 16,         // Max operator name in GATE: commands
+  MAX_STUDENTS: 40,         // EEPROM roster slots
+  NAME_LEN: 16,             // Max student name stored on the device
+  LCD_OVERRIDE_MS: 3000,    // How long to show override message
+  STATUS_INTERVAL_MS: 5000,
+  LOOP_MS: 50               // Main loop delay
+};
+
+const SIM_LOC = { UNKNOWN: 0, CLASSROOM: 1, HOSTEL: 2, AT_GATE: 3, LEFT: 4, SNEAKED: 5 };
+
+const SIM_GATE = { IDLE: 0, WAITING_APPROVAL: 1, APPROVED: 2, SNEAK_COUNTDOWN: 3, ALARM: 4 };
+
+const SIM_READERS = ['gate', 'classroom', 'hostel'];
+
+// Same tags and names as the firmware's factory roster. Class, dorm and
+// contact aren't stored on the device; the dashboard uses them to seed a
+// demo roster the first time the simulator runs.
+const SIM_STUDENTS = [
+  { uid: '93:85:CB:13', name: 'Ali Hassan', classGrade: 'Form 3A', dormRoom: 'Dorm A, Rm 5', parentContact: '+254700000001' },
+  { uid: '93:E5:02:29', name: 'Fatima Said', classGrade: 'Form 3B', dormRoom: 'Dorm B, Rm 12', parentContact: '+254700000002' },
+  { uid: '23:9E:C8:13', name: 'James Ochieng', classGrade: 'Form 4A', dormRoom: 'Dorm A, Rm 8', parentContact: '+254700000003' },
+  { uid: '53:C3:B7:13', name: 'Sarah Wanjiku', classGrade: 'Form 4B', dormRoom: 'Dorm C, Rm 3', parentContact: '+254700000004' },
+  { uid: 'B3:21:D3:26', name: 'David Mutua', classGrade: 'Form 2A', dormRoom: 'Dorm B, Rm 7', parentContact: '+254700000005' }
+];
+
+const SIM_ADMIN_UID = '03:3E:27:29';
+
+const SIM_FIRMWARE_VERSION = '2.0.0';
+const SIM_PROTOCOL_VERSION = 2;
+const SIM_SEQ_MOD = 65536;   // Same as PROTOCOL_SEQ_MOD; kept here so the bridge can load this file alone
+
+// The firmware copies the first NAME_LEN bytes of a name, even if that
+// splits a character
+function simDeviceName(name) {
+  const bytes = new TextEncoder().encode(name).slice(0, SIM_TIMING.NAME_LEN);
+  return new TextDecoder().decode(bytes);
+}
+
+// XOR of the JSON bytes, as ProtocolLine computes it on the device
+function simChecksum(text) {
+  let sum = 0;
+  for (const byte of new TextEncoder().encode(text)) sum ^= byte;
+  return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+class FirmwareSimulator {
+  constructor({ onLine = () => {}, onChange = () => {}, students = SIM_STUDENTS, now = () => Date.now() } = {}) {
+    this.onLine = onLine;
+    this.onChange = onChange;
+    this.now = now;
+    // Stands in for the EEPROM roster: survives reset(), like the real thing
+    this.students = students.map(s => ({ uid: s.uid, name: simDeviceName(s.name), active: true, location: SIM_LOC.UNKNOWN }));
+    this.commands = [];
+    this.timer = null;
+    this.reset();
+  }
+
+  reset() {
+    this.systemMode = 'free';
+    this.gateState = SIM_GATE.IDLE;
+    this.gateStudentIdx = -1;
+    this.gateEventTime = 0;
+    this.sneakStartTime = 0;
+    this.gateReturnLocation = SIM_LOC.UNKNOWN;
+    this.gateCooldownIdx = -1;
+    this.gateCooldownTime = 0;
+    this.alarmActive = false;
+    this.alarmStartTime = 0;
+    this.gateOpen = false;
+    this.lastStatusBroadcast = 0;
+    this.seq = 0;             // Line sequence number restarts with the board
+    this.lcd = ['Guardian-Track', 'Initializing...'];
+    this.lcdOverrideTime = 0;
+    // Card currently held against each reader; taps on zone readers are momentary
+    this.cards = { gate: null, classroom: null, hostel: null };
+    this.students.forEach(s => { s.location = SIM_LOC.UNKNOWN; });
+  }
+
+  // ============================================================
+  //  LIFECYCLE
+  // ============================================================
+  start() {
+    if (this.timer) return;
+    this.reset();
+    this.sendHello('boot');
+    this.sendStudentList();
+    this.sendStatus();
+    this.lcdShowOverride('Guardian-Track', 'System ready');
+    this.lastStatusBroadcast = this.now();
+    this.timer = setInterval(() => this.loop(), SIM_TIMING.LOOP_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  // Dashboard → device (same as a line written to the serial port)
+  write(cmd) {
+    this.commands.push(String(cmd).trim());
+  }
+
+  // ============================================================
+  //  CARD CONTROLS
+  // ============================================================
+  tapCard(readerName, uid) {
+    if (!SIM_READERS.includes(readerName)) return;
+    this.cards[readerName] = { uid, momentary: readerName !== 'gate' };
+    this.onChange();
+  }
+
+  removeCard(readerName) {
+    if (!SIM_READERS.includes(readerName)) return;
+    this.cards[readerName] = null;
+    this.onChange();
+  }
+
+  // readCard(): returns the UID of a card on the reader, consuming a tap
+  readCard(readerName) {
+    const card = this.cards[readerName];
+    if (!card) return null;
+    if (card.momentary) this.cards[readerName] = null;
+    return card.uid;
+  }
+
+  isCardPresent(readerName) {
+    return this.cards[readerName] !== null;
+  }
+
+  findStudent(uid) {
+    return this.students.findIndex(s => s.active && s.uid === uid);
+  }
+
+  isAdmin(uid) {
+    return uid === SIM_ADMIN_UID;
+  }
+
+  countAt(loc) {
+    return this.students.filter(s => s.location === loc).length;
+  }
+
+  // ============================================================
+  //  SERIAL OUTPUT
+  // ============================================================
+  // Sequence number first, XOR checksum after the JSON — see ProtocolLine
+  sendLine(obj) {
+    const json = JSON.stringify({ seq: this.seq, ...obj });
+    this.seq = (this.seq + 1) % SIM_SEQ_MOD;
+    this.onLine(`${json}*${simChecksum(json)}`);
+  }
+
+  sendHello(event) {
+    this.sendLine({ event, firmware: SIM_FIRMWARE_VERSION, protocol: SIM_PROTOCOL_VERSION, max_students: SIM_TIMING.MAX_STUDENTS });
+  }
+
+  sendEvent(event, studentIdx, extra1, extra2) {
+    const msg = { event };
+    if (studentIdx >= 0) {
+      msg.id = studentIdx;
+      msg.student = this.students[studentIdx].name;
+    }
+    if (extra1 !== undefined && extra2 !== undefined) msg[extra1] = extra2;
+    this.sendLine(msg);
+  }
+
+  sendStatus() {
+    this.sendLine({
+      event: 'status',
+      classroom: this.countAt(SIM_LOC.CLASSROOM),
+      hostel: this.countAt(SIM_LOC.HOSTEL),
+      left: this.countAt(SIM_LOC.LEFT),
+      sneaked: this.countAt(SIM_LOC.SNEAKED),
+      mode: this.systemMode
+    });
+  }
+
+  sendStudentList() {
+    this.students.forEach((s, i) => {
+      this.sendLine({
+        event: 'student_info', id: i, name: s.name, uid: s.uid,
+        active: s.active ? 1 : 0, location: s.location
+      });
+    });
+  }
+
+  sendUnknownCard(zoneName, uid) {
+    this.sendLine({ event: 'unknown_card', zone: zoneName, uid });
+  }
+
+  processSerialCommand() {
+    const cmd = this.commands.shift();
+    if (cmd === undefined) return;
+
+    if (cmd === 'MODE:CLASS') {
+      this.systemMode = 'class';
+      this.sendLine({ event: 'mode_change', mode: 'class' });
+      this.lcdShowOverride('Mode: CLASS', 'Time enforced!');
+    } else if (cmd === 'MODE:FREE') {
+      this.systemMode = 'free';
+      this.sendLine({ event: 'mode_change', mode: 'free' });
+      this.lcdShowOverride('Mode: FREE', 'No restrictions');
+    } else if (cmd === 'HELLO') {
+      this.sendHello('hello');
+    } else if (cmd === 'SYNC') {
+      this.sendStudentList();
+      this.sendStatus();
+    } else if (cmd.startsWith('GATE:APPROVE')) {
+      if (this.gateRequestPending()) this.gateApproved(this.readOperator(cmd, 13));
+      else this.sendLine({ event: 'command_error', command: 'GATE:APPROVE', reason: 'no_request' });
+    } else if (cmd.startsWith('ROSTER:SET:')) {
+      this.handleRosterSet(cmd);
+    } else if (cmd.startsWith('ROSTER:END:')) {
+      this.handleRosterEnd(cmd);
+    } else if (cmd.startsWith('GATE:DENY')) {
+      if (this.gateRequestPending()) this.gateDenied(this.readOperator(cmd, 10));
+      else this.sendLine({ event: 'command_error', command: 'GATE:DENY', reason: 'no_request' });
+    }
+  }
+
+  readOperator(cmd, prefixLen) {
+    return cmd.length > prefixLen ? cmd.substring(prefixLen, prefixLen + SIM_TIMING.OPERATOR_LEN) : 'dashboard';
+  }
+
+  // ROSTER:SET:<id>:<uid>:<active>:<name>
+  handleRosterSet(cmd) {
+    const m = cmd.match(/^ROSTER:SET:(\d+):([0-9A-Fa-f]{2}(?::[0-9A-Fa-f]{2}){3}):([01]):(.*)$/);
+    const id = m ? Number(m[1]) : -1;
+    if (!m || id >= SIM_TIMING.MAX_STUDENTS) {
+      this.sendLine({ event: 'command_error', command: 'ROSTER:SET', reason: 'bad_record' });
+      return;
+    }
+
+    const uid = m[2].toUpperCase();
+    const record = { uid, name: simDeviceName(m[4]), active: m[3] === '1' };
+    this.pendingRoster = this.pendingRoster || this.students.map(s => ({ ...s }));
+    const previous = this.pendingRoster[id] || { uid: null, location: SIM_LOC.UNKNOWN };
+    this.pendingRoster[id] = { ...record, location: previous.uid === uid ? previous.location : SIM_LOC.UNKNOWN };
+    this.sendLine({ event: 'roster_ack', id });
+  }
+
+  // ROSTER:END:<count>
+  handleRosterEnd(cmd) {
+    const count = Number(cmd.substring(11));
+    if (cmd.length <= 11 || !Number.isInteger(count) || count < 0 || count > SIM_TIMING.MAX_STUDENTS) {
+      this.sendLine({ event: 'command_error', command: 'ROSTER:END', reason: 'bad_count' });
+      return;
+    }
+
+    const roster = this.pendingRoster || this.students;
+    this.students = [];
+    for (let i = 0; i < count; i++) {
+      const s = roster[i] || { uid: '00:00:00:00', name: '', active: false };
+      this.students.push({ ...s, location: s.active ? (s.location || SIM_LOC.UNKNOWN) : SIM_LOC.UNKNOWN });
+    }
+    this.pendingRoster = null;
+
+    this.sendLine({ event: 'roster_saved', count: this.students.length });
+    this.sendStudentList();
+    this.sendStatus();
+    this.lcdShowOverride('Roster updated', '');
+  }
+
+  gateRequestPending() {
+    return this.gateState === SIM_GATE.WAITING_APPROVAL || this.gateState === SIM_GATE.SNEAK_COUNTDOWN;
+  }
+
+  // ============================================================
+  //  LCD
+  // ============================================================
+  lcdShow(line1, line2) {
+    this.lcd = [line1, line2];
+  }
+
+  lcdShowOverride(line1, line2) {
+    this.lcdShow(line1, line2);
+    this.lcdOverrideTime = this.now();
+  }
+
+  updateLCDDefault() {
+    if (this.now() - this.lcdOverrideTime <= SIM_TIMING.LCD_OVERRIDE_MS) return;
+    if (this.gateState !== SIM_GATE.IDLE) return;
+    this.lcdShow('Guardian-Track', this.systemMode === 'class' ? 'Mode: CLASS' : 'Mode: FREE');
+  }
+
+  // ============================================================
+  //  ZONE HANDLING
+  // ============================================================
+  handleZoneTap(studentIdx, readerName) {
+    const student = this.students[studentIdx];
+    student.location = readerName === 'classroom' ? SIM_LOC.CLASSROOM : SIM_LOC.HOSTEL;
+
+    this.sendEvent('zone_change', studentIdx, 'zone', readerName);
+    this.lcdShowOverride(student.name, '-> ' + readerName);
+
+    if (this.systemMode === 'class' && student.location === SIM_LOC.HOSTEL) {
+      this.sendEvent('alarm', studentIdx, 'reason', 'wrong_zone');
+      this.lcdShowOverride('!! ALERT !!', 'Wrong zone!');
+    }
+
+    this.sendStatus();
+  }
+
+  // ============================================================
+  //  GATE AUTHORIZATION STATE MACHINE
+  // ============================================================
+  handleGateDetection(studentIdx) {
+    if (this.gateState !== SIM_GATE.IDLE) return;
+
+    this.gateStudentIdx = studentIdx;
+    this.gateState = SIM_GATE.WAITING_APPROVAL;
+    this.gateEventTime = this.now();
+    this.gateReturnLocation = this.students[studentIdx].location;
+    this.students[studentIdx].location = SIM_LOC.AT_GATE;
+
+    this.lcdShow('EXIT REQUEST:', this.students[studentIdx].name);
+    this.sendEvent('scan', studentIdx, 'zone', 'gate');
+    this.sendStatus();
+  }
+
+  gateApproved(by) {
+    this.students[this.gateStudentIdx].location = SIM_LOC.LEFT;
+    this.gateOpen = true;
+    this.gateEventTime = this.now();
+    this.lcdShow('APPROVED!', this.students[this.gateStudentIdx].name);
+    this.sendEvent('approved', this.gateStudentIdx, 'by', by);
+    this.sendStatus();
+    this.gateState = SIM_GATE.APPROVED;
+  }
+
+  gateDenied(by) {
+    this.students[this.gateStudentIdx].location = this.gateReturnLocation;
+    this.lcdShowOverride('EXIT DENIED', this.students[this.gateStudentIdx].name);
+    this.sendEvent('denied', this.gateStudentIdx, 'by', by);
+    this.sendStatus();
+    this.startGateCooldown();
+  }
+
+  startGateCooldown() {
+    this.gateCooldownIdx = this.gateStudentIdx;
+    this.gateCooldownTime = this.now();
+    this.gateIdle();
+  }
+
+  inGateCooldown(studentIdx) {
+    return studentIdx === this.gateCooldownIdx &&
+      this.now() - this.gateCooldownTime < SIM_TIMING.GATE_COOLDOWN_MS;
+  }
+
+  gateIdle() {
+    this.gateState = SIM_GATE.IDLE;
+    this.gateStudentIdx = -1;
+  }
+
+  // Student card seen on a zone reader while the gate is busy
+  zoneReaderDuringGate(readerName, uid) {
+    const idx = this.findStudent(uid);
+    if (idx >= 0) this.handleZoneTap(idx, readerName);
+  }
+
+  updateGateStateMachine() {
+    const now = this.now();
+
+    switch (this.gateState) {
+      case SIM_GATE.WAITING_APPROVAL: {
+        for (const readerName of ['classroom', 'hostel']) {
+          const uid = this.readCard(readerName);
+          if (uid === null) continue;
+          if (this.isAdmin(uid)) { this.gateApproved('admin_card'); return; }
+          this.zoneReaderDuringGate(readerName, uid);
+        }
+
+        if (!this.isCardPresent('gate')) {
+          this.gateState = SIM_GATE.SNEAK_COUNTDOWN;
+          this.sneakStartTime = now;
+          this.lcdShow('Card removed!', 'Verifying...');
+        }
+
+        if (now - this.gateEventTime > SIM_TIMING.GATE_TIMEOUT_MS) {
+          this.students[this.gateStudentIdx].location = this.gateReturnLocation;
+          this.sendEvent('gate_timeout', this.gateStudentIdx);
+          this.sendStatus();
+          this.startGateCooldown();
+          this.lcdShowOverride('Gate timeout', 'Request expired');
+        }
+        break;
+      }
+
+      case SIM_GATE.SNEAK_COUNTDOWN: {
+        for (const readerName of ['classroom', 'hostel']) {
+          const uid = this.readCard(readerName);
+          if (uid === null) continue;
+          const idx = this.findStudent(uid);
+          if (idx === this.gateStudentIdx) {
+            // Student went back inside
+            const student = this.students[idx];
+            student.location = readerName === 'classroom' ? SIM_LOC.CLASSROOM : SIM_LOC.HOSTEL;
+            this.sendEvent('zone_change', idx, 'zone', readerName);
+            this.sendStatus();
+            this.lcdShowOverride('Student returned', 'to ' + (readerName === 'classroom' ? 'Classroom' : 'Hostel'));
+            this.gateIdle();
+            return;
+          } else if (this.isAdmin(uid)) {
+            // Late admin approval - still allow
+            this.gateApproved('admin_card');
+            return;
+          } else if (idx >= 0) {
+            this.handleZoneTap(idx, readerName);
+          }
+        }
+
+        const gateUid = this.readCard('gate');
+        if (gateUid !== null && this.findStudent(gateUid) === this.gateStudentIdx) {
+          // Student came back to gate, resume waiting
+          this.gateState = SIM_GATE.WAITING_APPROVAL;
+          this.gateEventTime = now;
+          this.lcdShow('EXIT REQUEST:', this.students[this.gateStudentIdx].name);
+          return;
+        }
+
+        if (now - this.sneakStartTime >= SIM_TIMING.SNEAK_WINDOW_MS) {
+          this.students[this.gateStudentIdx].location = SIM_LOC.SNEAKED;
+          this.sendEvent('sneaked', this.gateStudentIdx);
+          this.sendStatus();
+          this.lcdShow('!! ALARM !!', this.students[this.gateStudentIdx].name);
+          this.alarmActive = true;
+          this.alarmStartTime = now;
+          this.gateState = SIM_GATE.ALARM;
+        }
+        break;
+      }
+
+      case SIM_GATE.ALARM: {
+        const uid = this.readCard('classroom') || this.readCard('hostel');
+        if (uid !== null && this.isAdmin(uid)) {
+          this.alarmActive = false;
+          this.lcdShowOverride('Alarm cleared', 'by Admin');
+          this.gateIdle();
+          return;
+        }
+        if (!this.alarmActive) this.gateIdle();
+        break;
+      }
+
+      case SIM_GATE.APPROVED: {
+        if (now - this.gateEventTime >= SIM_TIMING.GATE_OPEN_TIME_MS) {
+          this.gateOpen = false;
+          this.gateIdle();
+          this.lcdShowOverride('Gate closed', 'System ready');
+          this.sendStatus();
+        }
+        break;
+      }
+    }
+  }
+
+  updateAlarm() {
+    if (this.alarmActive && this.now() - this.alarmStartTime > SIM_TIMING.ALARM_DURATION_MS) {
+      this.alarmActive = false;
+    }
+  }
+
+  // ============================================================
+  //  MAIN LOOP
+  // ============================================================
+  loop() {
+    this.processSerialCommand();
+    this.updateGateStateMachine();
+    this.updateAlarm();
+
+    if (this.gateState === SIM_GATE.IDLE) {
+      const uid = this.readCard('gate');
+      if (uid !== null) {
+        if (this.isAdmin(uid)) {
+          this.lcdShowOverride('Admin Card', 'Recognized');
+        } else {
+          const idx = this.findStudent(uid);
+          if (idx >= 0) {
+            if (!this.inGateCooldown(idx)) this.handleGateDetection(idx);
+          } else {
+            this.lcdShowOverride('UNKNOWN CARD!', 'Access Denied');
+            this.sendUnknownCard('gate', uid);
+          }
+        }
+      }
+    }
+
+    if (this.gateState === SIM_GATE.IDLE || this.gateState === SIM_GATE.ALARM) {
+      for (const readerName of ['classroom', 'hostel']) {
+        const uid = this.readCard(readerName);
+        if (uid === null || this.isAdmin(uid)) continue;
+        const idx = this.findStudent(uid);
+        if (idx >= 0) {
+          this.handleZoneTap(idx, readerName);
+        } else {
+          this.lcdShowOverride('UNKNOWN CARD!', readerName === 'classroom' ? 'Classroom' : 'Hostel');
+          this.sendUnknownCard(readerName, uid);
+        }
+      }
+    }
+
+    this.updateLCDDefault();
+
+    if (this.now() - this.lastStatusBroadcast > SIM_TIMING.STATUS_INTERVAL_MS) {
+      this.lastStatusBroadcast = this.now();
+      this.sendStatus();
+    }
+
+    this.onChange();
+  }
+
+  // Gate status for the control panel, as a catalog key and its values
+  describeGate() {
+    const now = this.now();
+    const name = this.gateStudentIdx >= 0 ? this.students[this.gateStudentIdx].name : '';
+    switch (this.gateState) {
+      case SIM_GATE.WAITING_APPROVAL: {
+        const left = Math.max(0, SIM_TIMING.GATE_TIMEOUT_MS - (now - this.gateEventTime));
+        return ['simulator.gate.waiting', { name, seconds: Math.ceil(left / 1000) }];
+      }
+      case SIM_GATE.SNEAK_COUNTDOWN: {
+        const left = Math.max(0, SIM_TIMING.SNEAK_WINDOW_MS - (now - this.sneakStartTime));
+        return ['simulator.gate.sneak', { name, seconds: Math.ceil(left / 1000) }];
+      }
+      case SIM_GATE.APPROVED: return ['simulator.gate.approved', { name }];
+      case SIM_GATE.ALARM: return this.alarmActive ? ['simulator.gate.alarm', { name }] : ['simulator.gate.alarmEnded'];
+      default: return ['simulator.gate.idle'];
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FirmwareSimulator, SIM_STUDENTS, SIM_ADMIN_UID, SIM_TIMING };
+}
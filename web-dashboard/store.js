@@ -0,0 +1,111 @@
+/* ============================================================
+   Guardian-Track — Local Storage (IndexedDB)
+   ============================================================ */
+
+const DB_NAME = 'guardian-track';
+const DB_VERSION = 10;
+
+// Object store layout. Bump DB_VERSION whenever a store or index is added.
+const DB_STORES = {
+  events: { keyPath: 'id', autoIncrement: true, indexes: ['ts', 'studentId', 'type'] },
+  roster: { keyPath: 'id' },
+  outbox: { keyPath: 'id', autoIncrement: true, indexes: ['ts', 'status', 'studentId'] },
+  alerts: { keyPath: 'id', indexes: ['ts', 'status'] },
+  samples: { keyPath: 'ts' },
+  audit: { keyPath: 'id', autoIncrement: true, indexes: ['ts', 'operator', 'action'] },
+  rollcalls: { keyPath: 'id', autoIncrement: true, indexes: ['ts', 'date'] },
+  permits: { keyPath: 'id', autoIncrement: true, indexes: ['issuedAt', 'studentId', 'status'] },
+  deliveries: { keyPath: 'id', autoIncrement: true, indexes: ['ts', 'status', 'destination'] },
+  handles: { keyPath: 'name' }   // File System Access handles, e.g. the backup folder
+};
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB not supported'));
+      return;
+    }
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      Object.entries(DB_STORES).forEach(([name, def]) => {
+        const store = db.objectStoreNames.contains(name)
+          ? req.transaction.objectStore(name)
+          : db.createObjectStore(name, { keyPath: def.keyPath, autoIncrement: !!def.autoIncrement });
+        (def.indexes || []).forEach(index => {
+          if (!store.indexNames.contains(index)) store.createIndex(index, index);
+        });
+      });
+    };
+
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // Allow a later retry if opening failed (e.g. private browsing)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+// Run a single request against a store and resolve with its result
+async function dbRequest(storeName, mode, makeRequest) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function dbAdd(storeName, value) {
+  return dbRequest(storeName, 'readwrite', store => store.add(value));
+}
+
+function dbPut(storeName, value) {
+  return dbRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+function dbGet(storeName, key) {
+  return dbRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function dbGetAll(storeName) {
+  return dbRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function dbDelete(storeName, key) {
+  return dbRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+function dbClear(storeName) {
+  return dbRequest(storeName, 'readwrite', store => store.clear());
+}
+
+// Walk a store (optionally through an index and key range) and collect
+// records accepted by `filter`, stopping once `limit` matches are found.
+async function dbQuery(storeName, { index, range, direction = 'next', filter, limit = Infinity } = {}) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const results = [];
+    const tx = db.transaction(storeName, 'readonly');
+    const source = index ? tx.objectStore(storeName).index(index) : tx.objectStore(storeName);
+    const req = source.openCursor(range || null, direction);
+
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || results.length >= limit) return;
+      if (!filter || filter(cursor.value)) results.push(cursor.value);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(results);
+    tx.onerror = () => reject(tx.error);
+  });
+}
@@ -1,8 +1,34 @@
-const CACHE_NAME = 'guardian-track-v1';
+const CACHE_NAME = 'guardian-track-v25';
 const ASSETS = [
   './',
   './index.html',
   './style.css',
+  './i18n.js',
+  './store.js',
+  './protocol.js',
+  './history.js',
+  './simulator.js',
+  './transport.js',
+  './gate.js',
+  './operators.js',
+  './roster.js',
+  './timetable.js',
+  './map.js',
+  './notify.js',
+  './alerts.js',
+  './analytics.js',
+  './drawer.js',
+  './reconnect.js',
+  './recorder.js',
+  './diagnostics.js',
+  './rollcall.js',
+  './permits.js',
+  './rules.js',
+  './reports.js',
+  './mqtt.js',
+  './integrations.js',
+  './backup.js',
+  './push.js',
   './app.js',
   './manifest.json'
 ];
@@ -23,6 +49,32 @@ self.addEventListener('activate', (e) => {
   self.clients.claim();
 });
 
+// Notification buttons (see push.js): hand the action to an open dashboard,
+// or open one that picks it up from the URL
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  const { alertId, studentId, student } = e.notification.data || {};
+  const message = { type: 'notification-action', action: e.action || 'open', alertId, studentId, student };
+  e.waitUntil(deliverNotificationAction(message));
+});
+
+async function deliverNotificationAction(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    // Acknowledging doesn't need the dashboard in front
+    if (message.action !== 'ack') await windows[0].focus().catch(() => {});
+    windows[0].postMessage(message);
+    return;
+  }
+  const params = new URLSearchParams({
+    notify: message.action,
+    alert: message.alertId || '',
+    student: typeof message.studentId === 'number' ? message.studentId : '',
+    name: message.student || ''
+  });
+  await self.clients.openWindow(`./?${params}`);
+}
+
 self.addEventListener('fetch', (e) => {
   // Network-first for HTML (always get latest), cache-first for assets
   if (e.request.mode === 'navigate') {
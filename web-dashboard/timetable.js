@@ -0,0 +1,381 @@
+/* ============================================================
+   Guardian-Track — Timetable & Mode Switching
+   Every mode change is a request: the dashboard only believes
+   the new mode once the device answers with mode_change.
+   ============================================================ */
+
+const TIMETABLE_KEY = 'gt-timetable';
+const MODE_CONFIRM_MS = 5000;      // How long the device gets to answer MODE:
+const MODE_RETRY_MS = 60000;       // Wait before the timetable tries again
+const TIMETABLE_TICK_MS = 10000;
+
+// Indexed like Date.getDay()
+const TIMETABLE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIMETABLE_DAY_LABELS = localizedLabels(Object.fromEntries(TIMETABLE_DAYS.map((d, i) => [i, `timetable.day.${d}`])));
+
+const PERIOD_KINDS = {
+  lesson: { get label() { return t('timetable.lesson'); }, mode: 'class' },
+  prep: { get label() { return t('timetable.prep'); }, mode: 'class' },
+  break: { get label() { return t('timetable.break'); }, mode: 'free' }
+};
+
+const MODE_LABELS = localizedLabels({ class: 'mode.class', free: 'mode.free' });
+
+const timetableEls = {
+  enabled: document.getElementById('timetable-enabled'),
+  status: document.getElementById('timetable-status'),
+  btnEdit: document.getElementById('btn-timetable'),
+  modal: document.getElementById('timetable-modal'),
+  btnClose: document.getElementById('timetable-close'),
+  days: document.getElementById('timetable-days'),
+  periods: document.getElementById('timetable-periods'),
+  btnAdd: document.getElementById('timetable-add'),
+  btnCopy: document.getElementById('timetable-copy'),
+  holidays: document.getElementById('timetable-holidays'),
+  holidayDate: document.getElementById('holiday-date'),
+  holidayLabel: document.getElementById('holiday-label'),
+  btnHoliday: document.getElementById('holiday-add')
+};
+
+let modeRequest = null;          // { mode, source, timer } while waiting for mode_change
+let deviceModeKnown = false;     // false until the device reports its mode after connecting
+let timetableTarget = null;      // Mode the timetable last put the device in
+let timetableRetryAt = 0;
+let timetableDay = new Date().getDay();
+let timetable = loadTimetable();
+
+// ============================================================
+//  MODE REQUESTS
+// ============================================================
+// Returns false when the request could not be sent
+function requestMode(mode, source) {
+  if (!connected) {
+    addAlert('warning', t('timetable.notConnected'));
+    updateModeUI();
+    return false;
+  }
+
+  if (modeRequest) clearTimeout(modeRequest.timer);
+  modeRequest = { mode, source, timer: setTimeout(modeRequestTimedOut, MODE_CONFIRM_MS) };
+  updateModeUI();
+  sendCommand('MODE:' + mode.toUpperCase());
+  return true;
+}
+
+function modeRequestTimedOut() {
+  const request = modeRequest;
+  modeRequest = null;
+  if (request.source === 'timetable') timetableRetryAt = Date.now() + MODE_RETRY_MS;
+  addAlert('warning', t(request.source === 'timetable' ? 'timetable.unconfirmedRetry' : 'timetable.unconfirmed',
+    { mode: MODE_LABELS[request.mode] }));
+  updateModeUI();
+}
+
+// Mode the toggles should show: the pending request wins over the confirmed mode
+function displayedMode() {
+  return modeRequest ? modeRequest.mode : state.mode;
+}
+
+// Called for every mode_change; returns the request it confirms, if any
+function confirmModeChange(mode) {
+  deviceModeKnown = true;
+  if (!modeRequest || modeRequest.mode !== mode) return null;
+
+  const request = modeRequest;
+  clearTimeout(request.timer);
+  modeRequest = null;
+  if (request.source === 'timetable') timetableTarget = mode;
+  return request;
+}
+
+// Called when a status line reports the device's mode
+function noteDeviceMode() {
+  const firstReport = !deviceModeKnown;
+  deviceModeKnown = true;
+  if (firstReport) timetableTick();
+}
+
+// Forget everything learned from the previous connection
+function resetModeSync() {
+  if (modeRequest) clearTimeout(modeRequest.timer);
+  modeRequest = null;
+  deviceModeKnown = false;
+  timetableTarget = null;
+  timetableRetryAt = 0;
+}
+
+// ============================================================
+//  TIMETABLE
+// ============================================================
+function defaultTimetable() {
+  const weekday = [
+    { kind: 'lesson', start: '08:00', end: '10:30' },
+    { kind: 'break', start: '10:30', end: '11:00' },
+    { kind: 'lesson', start: '11:00', end: '13:00' },
+    { kind: 'lesson', start: '14:00', end: '16:00' },
+    { kind: 'prep', start: '19:00', end: '21:00' }
+  ];
+  return {
+    enabled: false,
+    days: TIMETABLE_DAYS.map((d, i) => (i >= 1 && i <= 5 ? weekday.map(p => ({ ...p })) : [])),
+    holidays: []
+  };
+}
+
+function loadTimetable() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TIMETABLE_KEY));
+    if (saved && Array.isArray(saved.days) && saved.days.length === 7) {
+      return { enabled: !!saved.enabled, days: saved.days, holidays: saved.holidays || [] };
+    }
+  } catch (e) { /* fall through to defaults */ }
+  return defaultTimetable();
+}
+
+function saveTimetable() {
+  try { localStorage.setItem(TIMETABLE_KEY, JSON.stringify(timetable)); } catch (e) { /* storage unavailable */ }
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+function validPeriod(p) {
+  return PERIOD_KINDS[p.kind] && /^\d\d:\d\d$/.test(p.start) && /^\d\d:\d\d$/.test(p.end) &&
+    minutesOf(p.start) < minutesOf(p.end);
+}
+
+function dateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// What the timetable says for a moment in time. Breaks win over
+// lessons they overlap; anything unscheduled is free time.
+function timetableSlot(date) {
+  const holiday = timetable.holidays.find(h => h.date === dateKey(date));
+  if (holiday) return { mode: 'free', holiday };
+
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const current = timetable.days[date.getDay()].filter(p =>
+    validPeriod(p) && minutesOf(p.start) <= minute && minute < minutesOf(p.end));
+
+  const pause = current.find(p => PERIOD_KINDS[p.kind].mode === 'free');
+  if (pause) return { mode: 'free', period: pause };
+  const period = current.find(p => PERIOD_KINDS[p.kind].mode === 'class');
+  if (period) return { mode: 'class', period };
+  return { mode: 'free' };
+}
+
+// Next time the timetable changes mode, searched minute by minute over a week
+function nextModeSwitch(from) {
+  const mode = timetableSlot(from).mode;
+  const t = new Date(from);
+  t.setSeconds(0, 0);
+  for (let i = 0; i < 7 * 24 * 60; i++) {
+    t.setMinutes(t.getMinutes() + 1);
+    if (timetableSlot(t).mode !== mode) return { at: new Date(t), mode: timetableSlot(t).mode };
+  }
+  return null;
+}
+
+// Switch only when the timetable's answer changes, so a manual override
+// holds until the next boundary instead of being undone on the next tick.
+function timetableTick() {
+  renderTimetableStatus();
+  if (!timetable.enabled || !connected || !deviceModeKnown || modeRequest) return;
+
+  const expected = timetableSlot(new Date()).mode;
+  if (expected === timetableTarget) return;
+  if (state.mode === expected) {
+    timetableTarget = expected;
+    return;
+  }
+  if (Date.now() < timetableRetryAt) return;
+  requestMode(expected, 'timetable');
+}
+
+// ============================================================
+//  RENDERING
+// ============================================================
+function formatClock(date) {
+  return date.toLocaleTimeString(currentLocale(), { hour: '2-digit', minute: '2-digit' });
+}
+
+function renderTimetableStatus() {
+  if (!timetableEls.status) return;
+  if (!timetable.enabled) {
+    timetableEls.status.textContent = t('timetable.off');
+    return;
+  }
+
+  const now = new Date();
+  const slot = timetableSlot(now);
+  const next = nextModeSwitch(now);
+  let text = MODE_LABELS[slot.mode];
+  if (slot.holiday) text += ` (${slot.holiday.label || t('timetable.holiday')})`;
+  else if (slot.period) text += ` (${t('timetable.till', { period: PERIOD_KINDS[slot.period.kind].label, end: slot.period.end })})`;
+  if (next) {
+    const at = next.at.toDateString() === now.toDateString() ? formatClock(next.at)
+      : `${TIMETABLE_DAY_LABELS[next.at.getDay()]} ${formatClock(next.at)}`;
+    text += ` · ${t('timetable.nextSwitch', { mode: MODE_LABELS[next.mode], at })}`;
+  }
+  timetableEls.status.textContent = text;
+}
+
+function renderTimetableEditor() {
+  if (timetableEls.modal.classList.contains('hidden')) return;
+
+  timetableEls.days.innerHTML = TIMETABLE_DAYS.map((d, i) =>
+    `<button type="button" class="day-tab ${i === timetableDay ? 'active' : ''}" data-day="${i}">${TIMETABLE_DAY_LABELS[i]}<span>${timetable.days[i].length || ''}</span></button>`
+  ).join('');
+
+  const periods = timetable.days[timetableDay];
+  timetableEls.periods.innerHTML = periods.length === 0
+    ? `<p class="text-white/25 text-xs text-center py-3">${t('timetable.noPeriods')}</p>`
+    : periods.map((p, i) => `<div class="timetable-row ${validPeriod(p) ? '' : 'invalid'}" data-index="${i}">
+      <select class="glass-input" data-field="kind" aria-label="${t('timetable.periodType')}">
+        ${Object.entries(PERIOD_KINDS).map(([k, v]) => `<option value="${k}" ${k === p.kind ? 'selected' : ''}>${v.label}</option>`).join('')}
+      </select>
+      <input type="time" class="glass-input" data-field="start" value="${p.start}" aria-label="${t('timetable.start')}" />
+      <input type="time" class="glass-input" data-field="end" value="${p.end}" aria-label="${t('timetable.end')}" />
+      <button type="button" class="text-white/30 hover:text-red-400 transition-colors px-1" data-remove aria-label="${t('timetable.removePeriod')}">&times;</button>
+    </div>`).join('');
+
+  const holidays = [...timetable.holidays].sort((a, b) => a.date.localeCompare(b.date));
+  timetableEls.holidays.innerHTML = holidays.length === 0
+    ? `<p class="text-white/25 text-xs">${t('timetable.noHolidays')}</p>`
+    : holidays.map(h => `<div class="flex items-center justify-between text-[11px] text-white/60">
+      <span>${new Date(h.date + 'T00:00:00').toLocaleDateString(currentLocale(), { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}${h.label ? ' — ' + escapeHtml(h.label) : ''}</span>
+      <button type="button" class="text-white/30 hover:text-red-400 transition-colors px-1" data-holiday="${h.date}" aria-label="${t('timetable.removeHoliday')}">&times;</button>
+    </div>`).join('');
+}
+
+// Any edit may move the current boundary, so re-evaluate straight away
+function timetableChanged() {
+  saveTimetable();
+  timetableTarget = null;
+  renderTimetableEditor();
+  timetableTick();
+}
+
+function describeTimetableDays(days) {
+  return days.map(d => {
+    const periods = timetable.days[d];
+    const text = periods.length ? periods.map(p => `${PERIOD_KINDS[p.kind].label} ${p.start}–${p.end}`).join(', ') : 'free';
+    return `${TIMETABLE_DAY_LABELS[d]}: ${text}`;
+  }).join('; ');
+}
+
+function describeHolidays() {
+  return timetable.holidays.map(h => h.date + (h.label ? ` ${h.label}` : '')).sort().join(', ') || 'none';
+}
+
+// The timetable drives the gate, so every edit needs a signed-in operator.
+// Until one is known the editor shows the saved timetable again.
+function editTimetable(target, describe, change) {
+  const before = describe();
+  return withOperator('timetable_edit', () => {
+    change();
+    timetableChanged();
+    const after = describe();
+    return after === before ? null : { target, before, after };
+  }).then(done => {
+    timetableEls.enabled.checked = timetable.enabled;
+    renderTimetableEditor();
+    return done;
+  });
+}
+
+function initTimetable() {
+  if (!timetableEls.modal) return;
+
+  timetableEls.enabled.checked = timetable.enabled;
+  timetableEls.enabled.addEventListener('change', () => {
+    const enabled = timetableEls.enabled.checked;
+    timetableEls.enabled.checked = timetable.enabled;   // Snap back until the operator is known
+    editTimetable('timetable', () => (timetable.enabled ? 'on' : 'off'), () => { timetable.enabled = enabled; });
+  });
+
+  timetableEls.btnEdit.addEventListener('click', () => {
+    timetableEls.modal.classList.remove('hidden');
+    renderTimetableEditor();
+  });
+  timetableEls.btnClose.addEventListener('click', () => timetableEls.modal.classList.add('hidden'));
+  timetableEls.modal.addEventListener('click', (e) => {
+    if (e.target === timetableEls.modal) timetableEls.modal.classList.add('hidden');
+  });
+
+  timetableEls.days.addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-day]');
+    if (!tab) return;
+    timetableDay = Number(tab.dataset.day);
+    renderTimetableEditor();
+  });
+
+  timetableEls.periods.addEventListener('change', (e) => {
+    const row = e.target.closest('[data-index]');
+    if (!row || !e.target.dataset.field) return;
+    const day = timetableDay;
+    const index = Number(row.dataset.index);
+    const { field } = e.target.dataset;
+    const value = e.target.value;
+    editTimetable('timetable', () => describeTimetableDays([day]), () => {
+      timetable.days[day][index][field] = value;
+      timetable.days[day].sort((a, b) => a.start.localeCompare(b.start));
+    });
+  });
+  timetableEls.periods.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-index]');
+    if (!row || !e.target.closest('[data-remove]')) return;
+    const day = timetableDay;
+    const index = Number(row.dataset.index);
+    editTimetable('timetable', () => describeTimetableDays([day]), () => {
+      timetable.days[day].splice(index, 1);
+    });
+  });
+
+  timetableEls.btnAdd.addEventListener('click', () => {
+    const day = timetableDay;
+    editTimetable('timetable', () => describeTimetableDays([day]), () => {
+      const periods = timetable.days[day];
+      const start = periods.length ? periods[periods.length - 1].end : '08:00';
+      const end = String(Math.min(23, Math.floor(minutesOf(start) / 60) + 1)).padStart(2, '0') + start.substring(2);
+      periods.push({ kind: 'lesson', start, end });
+    });
+  });
+
+  timetableEls.btnCopy.addEventListener('click', () => {
+    const day = timetableDay;
+    const targets = [1, 2, 3, 4, 5].filter(d => d !== day);
+    editTimetable(`timetable (copy of ${TIMETABLE_DAY_LABELS[day]})`, () => describeTimetableDays(targets), () => {
+      const source = timetable.days[day];
+      targets.forEach(d => { timetable.days[d] = source.map(p => ({ ...p })); });
+    }).then(done => {
+      if (done) addAlert('info', t('timetable.copied', { day: TIMETABLE_DAY_LABELS[day] }));
+    });
+  });
+
+  timetableEls.btnHoliday.addEventListener('click', () => {
+    const date = timetableEls.holidayDate.value;
+    if (!date) return;
+    const label = timetableEls.holidayLabel.value.trim();
+    editTimetable('holidays', describeHolidays, () => {
+      timetable.holidays = timetable.holidays.filter(h => h.date !== date);
+      timetable.holidays.push({ date, label });
+      timetableEls.holidayDate.value = '';
+      timetableEls.holidayLabel.value = '';
+    });
+  });
+  timetableEls.holidays.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-holiday]');
+    if (!btn) return;
+    const date = btn.dataset.holiday;
+    editTimetable('holidays', describeHolidays, () => {
+      timetable.holidays = timetable.holidays.filter(h => h.date !== date);
+    });
+  });
+
+  setInterval(timetableTick, TIMETABLE_TICK_MS);
+  renderTimetableStatus();
+}
@@ -0,0 +1,164 @@
+/* ============================================================
+   Guardian-Track — Transports
+   Every way of talking to the device looks the same to the
+   dashboard:
+     open()       → resolves once lines can flow
+     close()      → resolves once released
+     write(line)  → sends one command line
+     label        → short name for the header
+   and reports back through onLine(line) / onClose(error).
+   ============================================================ */
+
+class Transport {
+  constructor(labelKey) {
+    this.labelKey = labelKey;
+    this.onLine = () => {};
+    this.onClose = () => {};
+    this.lineBuffer = '';
+    this.closing = false;
+  }
+
+  get label() {
+    return t(this.labelKey);
+  }
+
+  // Split an incoming text chunk into complete, trimmed lines
+  receive(chunk) {
+    this.lineBuffer += chunk;
+    const lines = this.lineBuffer.split('\n');
+    this.lineBuffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) this.onLine(line.trim());
+    }
+  }
+}
+
+// ============================================================
+//  WEB SERIAL (USB cable, Chromium only)
+// ============================================================
+// `port` reopens a port the user already granted instead of asking again
+class SerialTransport extends Transport {
+  constructor({ baudRate = 9600, port = null } = {}) {
+    super('transport.usb');
+    this.baudRate = baudRate;
+    this.port = port;
+    this.reader = null;
+    this.writer = null;
+  }
+
+  static get supported() {
+    return typeof navigator !== 'undefined' && 'serial' in navigator;
+  }
+
+  async open() {
+    if (!SerialTransport.supported) {
+      throw new Error(t('transport.serialUnsupported'));
+    }
+
+    if (!this.port) this.port = await navigator.serial.requestPort();
+    await this.port.open({ baudRate: this.baudRate });
+
+    const textDecoder = new TextDecoderStream();
+    this.readableClosed = this.port.readable.pipeTo(textDecoder.writable).catch(() => {});
+    this.reader = textDecoder.readable.getReader();
+
+    const textEncoder = new TextEncoderStream();
+    this.writableClosed = textEncoder.readable.pipeTo(this.port.writable).catch(() => {});
+    this.writer = textEncoder.writable.getWriter();
+
+    this.readLoop();
+  }
+
+  async readLoop() {
+    try {
+      while (true) {
+        const { value, done } = await this.reader.read();
+        if (done) break;
+        this.receive(value);
+      }
+      if (!this.closing) this.onClose(new Error(t('transport.serialClosed')));
+    } catch (e) {
+      if (!this.closing) this.onClose(e);
+    }
+  }
+
+  async close() {
+    this.closing = true;
+    try {
+      if (this.reader) { await this.reader.cancel(); this.reader = null; }
+      await this.readableClosed;
+      if (this.writer) { await this.writer.close(); this.writer = null; }
+      await this.writableClosed;
+      if (this.port) { await this.port.close(); this.port = null; }
+    } catch (e) { /* ignore */ }
+  }
+
+  async write(line) {
+    if (!this.writer) return;
+    await this.writer.write(line + '\n');
+  }
+}
+
+// ============================================================
+//  WEBSOCKET (network bridge, any modern browser)
+// ============================================================
+class WebSocketTransport extends Transport {
+  constructor(url) {
+    super('transport.bridge');
+    this.url = url;
+    this.ws = null;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      try {
+        this.ws = new WebSocket(this.url);
+      } catch (e) {
+        reject(new Error(t('transport.invalidUrl', { url: this.url })));
+        return;
+      }
+
+      this.ws.onopen = () => { opened = true; resolve(); };
+      this.ws.onmessage = (e) => { if (typeof e.data === 'string') this.receive(e.data); };
+      this.ws.onerror = () => {
+        if (!opened) reject(new Error(t('transport.unreachable', { url: this.url })));
+      };
+      this.ws.onclose = () => {
+        if (opened && !this.closing) this.onClose(new Error(t('transport.lost')));
+      };
+    });
+  }
+
+  async close() {
+    this.closing = true;
+    if (this.ws) { this.ws.close(); this.ws = null; }
+  }
+
+  async write(line) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.send(line + '\n');
+  }
+}
+
+// ============================================================
+//  SIMULATOR (no hardware)
+// ============================================================
+class SimulatorTransport extends Transport {
+  constructor({ onChange } = {}) {
+    super('transport.simulator');
+    this.simulator = new FirmwareSimulator({ onLine: line => this.onLine(line), onChange });
+  }
+
+  async open() {
+    this.simulator.start();
+  }
+
+  async close() {
+    this.closing = true;
+    this.simulator.stop();
+  }
+
+  async write(line) {
+    this.simulator.write(line);
+  }
+}